@@ -0,0 +1,36 @@
+/**
+ * SHARED TOKEN AUTHENTICATION
+ * Used by the remote control server and the OSC relay
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+// Returns isAuthorized(token); with no tokens configured every client is accepted
+function createTokenChecker(tokens = []) {
+    const hashes = tokens.map(hashToken);
+    
+    const isAuthorized = (token) => {
+        if (hashes.length === 0) return true;
+        if (typeof token !== 'string') return false;
+        
+        // Equal-length digests keep the comparison constant-time
+        const candidate = hashToken(token);
+        return hashes.some(hash => crypto.timingSafeEqual(hash, candidate));
+    };
+    isAuthorized.open = hashes.length === 0;
+    
+    return isAuthorized;
+}
+
+// VIB3_REMOTE_TOKENS=a,b (controllers), VIB3_SYSTEM_TOKENS=c (pages)
+function tokensFromEnv(env = process.env, variable = 'VIB3_REMOTE_TOKENS') {
+    return env[variable] ? env[variable].split(',').map(token => token.trim()).filter(Boolean) : [];
+}
+
+module.exports = { createTokenChecker, tokensFromEnv };
\ No newline at end of file
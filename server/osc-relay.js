@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * VIB3 OSC RELAY
+ * Forwards OSC packets between UDP (VJ software, TouchOSC, installation
+ * controllers) and VIB3 pages connected over WebSocket (OSCBridge)
+ * 
+ * Responsibilities:
+ * - Receive OSC over UDP and pass each packet through unchanged as a binary frame
+ * - Send feedback packets from the page back out over UDP, only to a configured or allowlisted host
+ * - Authenticate WebSocket clients with the same tokens as the remote server
+ * 
+ * Decoding and address mapping happen in the page, where parameter ranges are known.
+ * OSC over UDP has no authentication, so UDP listens on loopback unless --udp-host says otherwise.
+ * 
+ * Usage:
+ *   node server/osc-relay.js --udp-port 9000 --ws-port 8788 --token secret
+ *     [--udp-host 0.0.0.0] [--feedback-host 192.168.1.20 --feedback-port 9001 | --feedback-allow 192.168.1.20]
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const http = require('http');
+const { acceptUpgrade, isLoopback } = require('./websocket.js');
+const { createTokenChecker, tokensFromEnv } = require('./auth.js');
+
+// '/' starts a message, '#' a bundle
+function looksLikeOSC(packet) {
+    return packet.length >= 4 && packet.length % 4 === 0 && (packet[0] === 0x2F || packet[0] === 0x23);
+}
+
+class OSCRelay {
+    constructor(options = {}) {
+        this.options = {
+            udpHost: '127.0.0.1',
+            udpPort: 9000,
+            wsHost: '127.0.0.1',
+            wsPort: 8788,
+            tokens: [],
+            // Browser origins allowed to connect besides the relay's own (see acceptUpgrade)
+            allowedOrigins: [],
+            // Hostnames (besides loopback) the relay is reached by, for the same-origin check
+            allowedHosts: [],
+            feedbackHost: null,
+            feedbackPort: null,
+            // Without a fixed target, feedback goes to the last sender if its address is listed here
+            feedbackAllow: [],
+            helloTimeoutMS: 5000,
+            maxPayload: 64 * 1024,
+            ...options
+        };
+        
+        this.isAuthorized = createTokenChecker(this.options.tokens);
+        this.clients = new Set();
+        this.lastSender = null;
+        this.udpSocket = null;
+        this.httpServer = null;
+        
+        if (this.isAuthorized.open) {
+            console.warn('⚠️ No tokens configured: any local page may connect. Pass --token for anything but local testing.');
+        }
+        if (!isLoopback(this.options.udpHost)) {
+            console.warn(`⚠️ UDP bound to ${this.options.udpHost}: anyone who can reach it can drive the page. OSC has no authentication.`);
+        }
+    }
+    
+    async start() {
+        await this.startUdp();
+        await this.startWebSocket();
+        return {
+            udpPort: this.udpSocket.address().port,
+            wsPort: this.httpServer.address().port
+        };
+    }
+    
+    startUdp() {
+        this.udpSocket = dgram.createSocket('udp4');
+        
+        this.udpSocket.on('message', (packet, remote) => {
+            if (!looksLikeOSC(packet)) return;
+            
+            if (this.options.feedbackAllow.includes(remote.address)) {
+                this.lastSender = { address: remote.address, port: remote.port };
+            }
+            for (const client of this.clients) {
+                client.send(packet);
+            }
+        });
+        
+        return new Promise((resolve, reject) => {
+            this.udpSocket.once('error', reject);
+            this.udpSocket.bind(this.options.udpPort, this.options.udpHost, () => {
+                // Past bind, a socket error (e.g. an unreachable feedback host) must not crash the relay
+                this.udpSocket.off('error', reject);
+                this.udpSocket.on('error', error => console.warn('OSC relay UDP error:', error.message));
+                console.log(`🎚️ OSC relay receiving UDP on ${this.options.udpHost}:${this.udpSocket.address().port}`);
+                resolve();
+            });
+        });
+    }
+    
+    startWebSocket() {
+        this.httpServer = http.createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain' });
+            response.end('VIB3 OSC relay: connect with a WebSocket client\n');
+        });
+        
+        this.httpServer.on('upgrade', (request, socket) => {
+            const connection = acceptUpgrade(request, socket, {
+                maxPayload: this.options.maxPayload,
+                allowedOrigins: this.options.allowedOrigins,
+                allowedHosts: this.options.allowedHosts
+            });
+            if (connection) {
+                this.handleConnection(connection);
+            }
+        });
+        
+        return new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.options.wsPort, this.options.wsHost, () => {
+                console.log(`🎚️ OSC relay serving pages on ws://${this.options.wsHost}:${this.httpServer.address().port}`);
+                resolve();
+            });
+        });
+    }
+    
+    handleConnection(connection) {
+        let authenticated = false;
+        
+        const helloTimer = setTimeout(() => {
+            if (!authenticated) connection.close(4001, 'Hello timeout');
+        }, this.options.helloTimeoutMS);
+        
+        connection.on('message', (data, isText) => {
+            if (!authenticated) {
+                // Same hello as REMOTE_PROTOCOL.md, with role 'osc'
+                let message = null;
+                try {
+                    message = isText ? JSON.parse(data) : null;
+                } catch (error) {
+                    // Fall through to the rejection below
+                }
+                
+                if (!message || message.type !== 'hello' || !this.isAuthorized(message.token)) {
+                    connection.sendJSON({ type: 'error', code: 'unauthorized', message: 'Invalid token' });
+                    connection.close(4001, 'Unauthorized');
+                    return;
+                }
+                
+                authenticated = true;
+                this.clients.add(connection);
+                connection.sendJSON({ type: 'welcome', role: 'osc' });
+                console.log('🎚️ Page connected to OSC relay');
+                return;
+            }
+            
+            // Binary frames from the page are OSC feedback for the controller
+            if (!isText && looksLikeOSC(data)) {
+                this.sendFeedback(data);
+            }
+        });
+        
+        connection.on('close', () => {
+            clearTimeout(helloTimer);
+            this.clients.delete(connection);
+        });
+        
+        connection.on('error', error => console.warn('OSC relay connection error:', error.message));
+    }
+    
+    // Never reflects to an arbitrary sender: a spoofed source address would turn the relay into an amplifier
+    sendFeedback(packet) {
+        const host = this.options.feedbackHost || (this.lastSender && this.lastSender.address);
+        const port = this.options.feedbackPort || (this.lastSender && this.lastSender.port);
+        if (!host || !port) return;
+        
+        this.udpSocket.send(packet, port, host);
+    }
+    
+    stop() {
+        for (const client of this.clients) {
+            client.close(1001, 'Relay shutting down');
+        }
+        this.clients.clear();
+        
+        return Promise.all([
+            new Promise(resolve => (this.udpSocket ? this.udpSocket.close(resolve) : resolve())),
+            new Promise(resolve => (this.httpServer ? this.httpServer.close(() => resolve()) : resolve()))
+        ]);
+    }
+}
+
+/**
+ * CLI
+ */
+
+function parseArgs(argv, env = process.env) {
+    const options = { tokens: tokensFromEnv(env), allowedOrigins: [], allowedHosts: [], feedbackAllow: [] };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--udp-port': options.udpPort = parseInt(value); i++; break;
+            case '--udp-host': options.udpHost = value; i++; break;
+            case '--ws-port': options.wsPort = parseInt(value); i++; break;
+            case '--ws-host': options.wsHost = value; i++; break;
+            case '--token': options.tokens.push(value); i++; break;
+            case '--allow-origin': options.allowedOrigins.push(value); i++; break;
+            case '--allow-host': options.allowedHosts.push(value); i++; break;
+            case '--feedback-host': options.feedbackHost = value; i++; break;
+            case '--feedback-port': options.feedbackPort = parseInt(value); i++; break;
+            case '--feedback-allow': options.feedbackAllow.push(value); i++; break;
+            default:
+                console.warn(`Ignoring unknown argument: ${argv[i]}`);
+        }
+    }
+    
+    return options;
+}
+
+if (require.main === module) {
+    const relay = new OSCRelay(parseArgs(process.argv.slice(2)));
+    relay.start().catch(error => {
+        console.error('❌ Failed to start OSC relay:', error.message);
+        process.exit(1);
+    });
+    
+    process.on('SIGINT', () => relay.stop().then(() => process.exit(0)));
+}
+
+module.exports = { OSCRelay, parseArgs };
\ No newline at end of file
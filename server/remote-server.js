@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/**
+ * VIB3 REMOTE CONTROL SERVER (reference implementation)
+ * Relays REMOTE_PROTOCOL.md messages between external controllers
+ * (lighting desks, show-control backends, scripts) and a running VIB3 page
+ * 
+ * Responsibilities:
+ * - Accept WebSocket connections with no npm dependencies
+ * - Authenticate every connection with a shared token (separate ones for controllers and the page)
+ * - Refuse WebSocket upgrades from web pages on origins that aren't allowed
+ * - Route controller commands to the system and results back
+ * - Rate-limit write commands per controller
+ * 
+ * Usage:
+ *   node server/remote-server.js --port 8787 --token secret --system-token page-secret
+ *     [--allow-origin http://localhost:8000] [--allow-host studio.local]
+ *   VIB3_REMOTE_TOKENS=secret,other VIB3_SYSTEM_TOKENS=page-secret node server/remote-server.js
+ */
+
+'use strict';
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const { acceptUpgrade } = require('./websocket.js');
+const { createTokenChecker, tokensFromEnv } = require('./auth.js');
+
+const PROTOCOL_VERSION = 1;
+
+const CONTROLLER_COMMANDS = ['get', 'set', 'subscribe', 'unsubscribe', 'loadPreset', 'setGeometry', 'status', 'ping'];
+
+// Commands that change state and count against the rate limit
+const WRITE_COMMANDS = ['set', 'loadPreset', 'setGeometry'];
+
+/**
+ * RATE LIMITING (token bucket per controller)
+ */
+
+class TokenBucket {
+    constructor({ perSecond, burst }) {
+        this.rate = perSecond / 1000;
+        this.capacity = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+    }
+    
+    take(now = Date.now()) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.rate);
+        this.updatedAt = now;
+        
+        if (this.tokens < 1) {
+            return { allowed: false, retryAfterMS: Math.ceil((1 - this.tokens) / this.rate) };
+        }
+        
+        this.tokens -= 1;
+        return { allowed: true };
+    }
+}
+
+/**
+ * SERVER
+ */
+
+class RemoteControlServer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.options = {
+            host: '127.0.0.1',
+            port: 8787,
+            // Controller tokens; the page authenticates with one of systemTokens instead
+            tokens: [],
+            systemTokens: [],
+            // Browser origins allowed to connect besides the server's own (see acceptUpgrade)
+            allowedOrigins: [],
+            // Hostnames (besides loopback) the server is reached by, for the same-origin check
+            allowedHosts: [],
+            rateLimit: { perSecond: 30, burst: 60 },
+            helloTimeoutMS: 5000,
+            maxPayload: 64 * 1024,
+            ...options
+        };
+        
+        this.isAuthorized = createTokenChecker(this.options.tokens);
+        this.isSystemAuthorized = createTokenChecker(this.options.systemTokens);
+        this.clients = new Map();
+        this.system = null;
+        this.clientCounter = 0;
+        this.httpServer = null;
+        
+        if (this.isAuthorized.open) {
+            console.warn('⚠️ No tokens configured: any local client may connect. Pass --token for anything but local testing.');
+        }
+        if (this.isSystemAuthorized.open && !this.isAuthorized.open) {
+            console.warn('⚠️ No system tokens configured: pages cannot connect. Pass --system-token.');
+        }
+    }
+    
+    start() {
+        this.httpServer = http.createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain' });
+            response.end('VIB3 remote control: connect with a WebSocket client\n');
+        });
+        
+        this.httpServer.on('upgrade', (request, socket) => {
+            const connection = acceptUpgrade(request, socket, {
+                maxPayload: this.options.maxPayload,
+                allowedOrigins: this.options.allowedOrigins,
+                allowedHosts: this.options.allowedHosts
+            });
+            if (connection) {
+                this.handleConnection(connection);
+            }
+        });
+        
+        return new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.options.port, this.options.host, () => {
+                const { port } = this.httpServer.address();
+                console.log(`🛰️ VIB3 remote server listening on ws://${this.options.host}:${port}`);
+                resolve(port);
+            });
+        });
+    }
+    
+    stop() {
+        for (const client of this.clients.values()) {
+            client.transport.close(1001, 'Server shutting down');
+        }
+        this.clients.clear();
+        this.system = null;
+        
+        return new Promise(resolve => {
+            if (!this.httpServer) return resolve();
+            this.httpServer.close(() => resolve());
+        });
+    }
+    
+    /**
+     * CONNECTIONS
+     */
+    
+    handleConnection(connection) {
+        const client = this.attachClient(connection);
+        
+        // Unauthenticated sockets don't get to idle
+        const helloTimer = setTimeout(() => {
+            if (!client.role) connection.close(4001, 'Hello timeout');
+        }, this.options.helloTimeoutMS);
+        
+        connection.on('message', (data, isText) => {
+            if (!isText) {
+                this.sendError(client, null, 'bad_request', 'Binary messages are not supported');
+                return;
+            }
+            
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                this.sendError(client, null, 'bad_request', 'Messages must be JSON');
+                return;
+            }
+            
+            if (message && typeof message === 'object') {
+                this.handleMessage(client, message);
+            }
+        });
+        
+        connection.on('close', () => {
+            clearTimeout(helloTimer);
+            this.detachClient(client);
+        });
+        
+        connection.on('error', error => console.warn(`Connection ${client.id} error:`, error.message));
+    }
+    
+    // Transports only need sendJSON() and close(); in-process bridges (OSC relay) use this directly
+    attachClient(transport, { role = null } = {}) {
+        const client = {
+            id: `c${++this.clientCounter}`,
+            role: null,
+            transport,
+            bucket: new TokenBucket(this.options.rateLimit)
+        };
+        this.clients.set(client.id, client);
+        
+        if (role && !this.assignRole(client, role)) {
+            this.clients.delete(client.id);
+            return null;
+        }
+        return client;
+    }
+    
+    detachClient(client) {
+        if (!this.clients.delete(client.id)) return;
+        
+        if (client === this.system) {
+            this.system = null;
+            this.broadcastToControllers({ type: 'systemDisconnected' });
+            console.log('🛰️ System disconnected');
+        } else if (client.role === 'controller' && this.system) {
+            // Lets the system drop the controller's subscriptions
+            this.system.transport.sendJSON({ type: 'disconnected', clientId: client.id });
+        }
+    }
+    
+    // Returns false when another system already holds the connection; it is never replaced
+    assignRole(client, role) {
+        if (role === 'system' && this.system && this.system !== client) {
+            return false;
+        }
+        
+        client.role = role;
+        
+        if (role === 'system') {
+            this.system = client;
+            this.broadcastToControllers({ type: 'systemConnected' });
+        }
+        
+        client.transport.sendJSON({
+            type: 'welcome',
+            protocol: PROTOCOL_VERSION,
+            clientId: client.id,
+            role,
+            systemConnected: !!this.system
+        });
+        
+        console.log(`🛰️ ${role} connected (${client.id})`);
+        return true;
+    }
+    
+    /**
+     * AUTHENTICATION
+     */
+    
+    // Controller tokens never open the system role. Without system tokens a page may
+    // only connect to a server that is open altogether (local testing).
+    isRoleAuthorized(role, token) {
+        if (role !== 'system') return this.isAuthorized(token);
+        if (this.isSystemAuthorized.open) return this.isAuthorized.open;
+        return this.isSystemAuthorized(token);
+    }
+    
+    /**
+     * ROUTING
+     */
+    
+    handleMessage(client, message) {
+        if (!client.role) {
+            this.handleHello(client, message);
+            return;
+        }
+        
+        if (client.role === 'system') {
+            this.handleSystemMessage(message);
+        } else {
+            this.handleControllerCommand(client, message);
+        }
+    }
+    
+    handleHello(client, message) {
+        if (message.type !== 'hello') {
+            this.sendError(client, message.id, 'unauthorized', 'Send hello first');
+            return;
+        }
+        
+        if (message.role !== 'system' && message.role !== 'controller') {
+            this.sendError(client, message.id, 'bad_request', 'role must be system or controller');
+            return;
+        }
+        
+        if (!this.isRoleAuthorized(message.role, message.token)) {
+            this.sendError(client, message.id, 'unauthorized', 'Invalid token');
+            client.transport.close(4001, 'Unauthorized');
+            return;
+        }
+        
+        if (!this.assignRole(client, message.role)) {
+            this.sendError(client, message.id, 'system_connected', 'Another VIB3 system is already connected');
+            client.transport.close(4002, 'System already connected');
+        }
+    }
+    
+    handleSystemMessage(message) {
+        const { to, ...payload } = message;
+        
+        // Results and subscription pushes are addressed to one controller
+        const target = this.clients.get(to);
+        if (target && target.role === 'controller') {
+            target.transport.sendJSON(payload);
+        }
+    }
+    
+    handleControllerCommand(client, message) {
+        const { id = null, type } = message;
+        
+        if (!CONTROLLER_COMMANDS.includes(type)) {
+            this.sendError(client, id, 'unknown_command', `Unknown command: ${type}`);
+            return;
+        }
+        
+        if (type === 'ping') {
+            client.transport.sendJSON({ type: 'pong', id, time: Date.now() });
+            return;
+        }
+        
+        if (WRITE_COMMANDS.includes(type)) {
+            const { allowed, retryAfterMS } = client.bucket.take();
+            if (!allowed) {
+                this.sendError(client, id, 'rate_limited', `Too many write commands, retry in ${retryAfterMS}ms`, { retryAfterMS });
+                return;
+            }
+        }
+        
+        if (!this.system) {
+            this.sendError(client, id, 'no_system', 'No VIB3 system is connected');
+            return;
+        }
+        
+        this.system.transport.sendJSON({ ...message, from: client.id });
+    }
+    
+    broadcastToControllers(message) {
+        for (const client of this.clients.values()) {
+            if (client.role === 'controller') {
+                client.transport.sendJSON(message);
+            }
+        }
+    }
+    
+    sendError(client, id, code, message, extra = {}) {
+        client.transport.sendJSON({ type: 'error', id: id ?? null, code, message, ...extra });
+    }
+}
+
+/**
+ * CLI
+ */
+
+function parseArgs(argv, env = process.env) {
+    const options = {
+        tokens: tokensFromEnv(env),
+        systemTokens: tokensFromEnv(env, 'VIB3_SYSTEM_TOKENS'),
+        allowedOrigins: [],
+        allowedHosts: []
+    };
+    const rateLimit = { perSecond: 30, burst: 60 };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--port': options.port = parseInt(value); i++; break;
+            case '--host': options.host = value; i++; break;
+            case '--token': options.tokens.push(value); i++; break;
+            case '--system-token': options.systemTokens.push(value); i++; break;
+            case '--allow-origin': options.allowedOrigins.push(value); i++; break;
+            case '--allow-host': options.allowedHosts.push(value); i++; break;
+            case '--rate': rateLimit.perSecond = parseFloat(value); i++; break;
+            case '--burst': rateLimit.burst = parseInt(value); i++; break;
+            default:
+                console.warn(`Ignoring unknown argument: ${argv[i]}`);
+        }
+    }
+    
+    options.rateLimit = rateLimit;
+    return options;
+}
+
+if (require.main === module) {
+    const server = new RemoteControlServer(parseArgs(process.argv.slice(2)));
+    server.start().catch(error => {
+        console.error('❌ Failed to start remote server:', error.message);
+        process.exit(1);
+    });
+    
+    process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+}
+
+module.exports = { RemoteControlServer, TokenBucket, parseArgs, PROTOCOL_VERSION };
\ No newline at end of file
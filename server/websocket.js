@@ -0,0 +1,288 @@
+/**
+ * MINIMAL WEBSOCKET (RFC 6455)
+ * Server-side WebSocket connections on top of Node's http upgrade event,
+ * so the reference servers run without npm dependencies
+ * 
+ * Supports text/binary messages, fragmentation, ping/pong and close.
+ * No extensions (permessage-deflate is declined by omission).
+ * Browser upgrades are refused unless their Origin is this host or allowlisted.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, options = {}) {
+        super();
+        
+        this.socket = socket;
+        this.maxPayload = options.maxPayload || 1024 * 1024;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.fragmentSize = 0;
+        this.closed = false;
+        
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish(1006, 'Connection lost'));
+        socket.on('error', error => this.emit('error', error));
+    }
+    
+    /**
+     * SENDING
+     */
+    
+    send(data) {
+        if (this.closed) return false;
+        
+        const isText = typeof data === 'string';
+        const payload = isText ? Buffer.from(data, 'utf8') : data;
+        this.writeFrame(isText ? OPCODES.text : OPCODES.binary, payload);
+        return true;
+    }
+    
+    sendJSON(message) {
+        return this.send(JSON.stringify(message));
+    }
+    
+    ping(data = Buffer.alloc(0)) {
+        if (!this.closed) this.writeFrame(OPCODES.ping, data);
+    }
+    
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        
+        const reasonBuffer = Buffer.from(reason, 'utf8');
+        const payload = Buffer.alloc(2 + reasonBuffer.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBuffer.copy(payload, 2);
+        
+        this.writeFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.finish(code, reason);
+    }
+    
+    // Server frames are never masked
+    writeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode;
+        
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+    
+    /**
+     * RECEIVING
+     */
+    
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        
+        let frame;
+        while (!this.closed && (frame = this.readFrame()) !== null) {
+            this.handleFrame(frame);
+        }
+    }
+    
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        
+        if (length > this.maxPayload) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+        
+        // Clients must mask every frame
+        if (!masked) {
+            this.close(1002, 'Unmasked client frame');
+            return null;
+        }
+        
+        if (buffer.length < offset + 4 + length) return null;
+        
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+    
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.ping:
+                this.writeFrame(OPCODES.pong, payload);
+                return;
+            
+            case OPCODES.pong:
+                this.emit('pong', payload);
+                return;
+            
+            case OPCODES.close: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                this.close(code === 1005 ? 1000 : code);
+                return;
+            }
+            
+            case OPCODES.text:
+            case OPCODES.binary:
+                // A new message may not start inside a fragmented one
+                if (this.fragmentOpcode !== null) {
+                    this.close(1002, 'Expected continuation frame');
+                    return;
+                }
+                this.fragmentOpcode = opcode;
+                this.fragments = [payload];
+                this.fragmentSize = payload.length;
+                break;
+            
+            case OPCODES.continuation:
+                if (this.fragmentOpcode === null) {
+                    this.close(1002, 'Unexpected continuation frame');
+                    return;
+                }
+                // maxPayload bounds the whole message, not just each frame
+                this.fragmentSize += payload.length;
+                if (this.fragmentSize > this.maxPayload) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                this.fragments.push(payload);
+                break;
+            
+            default:
+                this.close(1002, 'Unknown opcode');
+                return;
+        }
+        
+        if (!fin) return;
+        
+        const message = Buffer.concat(this.fragments);
+        const isText = this.fragmentOpcode === OPCODES.text;
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.fragmentSize = 0;
+        
+        this.emit('message', isText ? message.toString('utf8') : message, isText);
+    }
+    
+    finish(code, reason) {
+        if (this.closed) return;
+        
+        this.closed = true;
+        this.emit('close', code, reason);
+    }
+}
+
+/**
+ * HANDSHAKE
+ */
+
+function isLoopback(host) {
+    return host === 'localhost' || host === '::1' || host.startsWith('127.');
+}
+
+// Hostname from a Host header ("127.0.0.1:8787", "[::1]:8787"), or null if it doesn't parse
+function hostnameOf(host) {
+    try {
+        return new URL(`http://${host}`).hostname.replace(/^\[|\]$/g, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Browsers always send Origin, so any web page could otherwise reach a local server.
+// Clients without one (Node scripts, show-control software) aren't browsers and pass.
+function isOriginAllowed(request, allowedOrigins = [], allowedHosts = []) {
+    const origin = request.headers.origin;
+    if (!origin) return true;
+    if (allowedOrigins.includes('*') || allowedOrigins.includes(origin)) return true;
+    
+    // DNS rebinding: a hostile name re-pointed at 127.0.0.1 makes Origin and Host agree,
+    // so that comparison only counts for loopback names and hosts listed in allowedHosts
+    const hostname = hostnameOf(request.headers.host || '');
+    if (!hostname || !(isLoopback(hostname) || allowedHosts.includes(hostname))) return false;
+    
+    try {
+        return new URL(origin).host === request.headers.host;
+    } catch (error) {
+        // Opaque origins such as "null" from file:// pages must be allowlisted by name
+        return false;
+    }
+}
+
+// Call from an http server's 'upgrade' handler; returns null if the request isn't a valid WebSocket upgrade
+// options: { maxPayload, allowedOrigins, allowedHosts }
+function acceptUpgrade(request, socket, options = {}) {
+    const key = request.headers['sec-websocket-key'];
+    const isUpgrade = (request.headers.upgrade || '').toLowerCase() === 'websocket';
+    
+    if (!isUpgrade || !key || request.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    
+    if (!isOriginAllowed(request, options.allowedOrigins, options.allowedHosts)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return null;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    socket.setNoDelay(true);
+    return new WebSocketConnection(socket, options);
+}
+
+module.exports = { WebSocketConnection, acceptUpgrade, isOriginAllowed, isLoopback, OPCODES };
\ No newline at end of file
@@ -0,0 +1,365 @@
+/**
+ * AUDIO FEATURE EXTRACTOR
+ * Turns audio spectra into features that can drive VIB3 parameters
+ * 
+ * Responsibilities:
+ * - Band energies (bass, mid, high, ...) normalized to 0..1
+ * - Onset detection from spectral flux with an adaptive threshold
+ * - Tempo estimation from the autocorrelation of the flux envelope
+ * - Offline analysis of raw PCM with the same windowing and dB scaling as
+ *   an AnalyserNode, so live and offline features match
+ * 
+ * Features: { time, bands: { name: 0..1 }, energy, flux, onset, tempo, tempoConfidence }
+ * time is in seconds; tempo is BPM or null until enough audio has been heard.
+ */
+
+const DEFAULT_BANDS = {
+    sub: [20, 60],
+    bass: [60, 250],
+    lowMid: [250, 500],
+    mid: [500, 2000],
+    highMid: [2000, 4000],
+    high: [4000, 16000]
+};
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * SPECTRUM HELPERS
+ */
+
+// In-place radix-2 FFT; length must be a power of two
+function fft(real, imag) {
+    const n = real.length;
+    
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+    
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+        
+        for (let start = 0; start < n; start += size) {
+            let wReal = 1;
+            let wImag = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tReal = real[b] * wReal - imag[b] * wImag;
+                const tImag = real[b] * wImag + imag[b] * wReal;
+                real[b] = real[a] - tReal;
+                imag[b] = imag[a] - tImag;
+                real[a] += tReal;
+                imag[a] += tImag;
+                
+                const nextReal = wReal * stepReal - wImag * stepImag;
+                wImag = wReal * stepImag + wImag * stepReal;
+                wReal = nextReal;
+            }
+        }
+    }
+}
+
+// The window AnalyserNode uses (Web Audio spec, alpha = 0.16)
+function blackmanWindow(size) {
+    const coefficients = new Float32Array(size);
+    const a0 = 0.42, a1 = 0.5, a2 = 0.08;
+    for (let i = 0; i < size; i++) {
+        const x = (2 * Math.PI * i) / size;
+        coefficients[i] = a0 - a1 * Math.cos(x) + a2 * Math.cos(2 * x);
+    }
+    return coefficients;
+}
+
+// Average channels of an AudioBuffer-like object ({ numberOfChannels, getChannelData }) into one
+function mixToMono(buffer) {
+    if (buffer instanceof Float32Array) return buffer;
+    
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+    if (channels.length === 1) return channels[0];
+    
+    const mono = new Float32Array(buffer.length);
+    for (const channel of channels) {
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += channel[i] / channels.length;
+        }
+    }
+    return mono;
+}
+
+class AudioFeatureExtractor {
+    constructor(config = {}) {
+        this.config = {
+            sampleRate: 44100,
+            fftSize: 2048,
+            bands: DEFAULT_BANDS,
+            // Same defaults as AnalyserNode
+            minDecibels: -100,
+            maxDecibels: -30,
+            // Onset when flux exceeds mean + onsetSensitivity * deviation of recent flux
+            onsetSensitivity: 1.5,
+            onsetMinFlux: 0.01,
+            onsetMinIntervalMS: 100,
+            fluxHistorySeconds: 1,
+            tempoRange: [60, 180],
+            // A shorter peak wins over the best one when it scores at least this fraction of it
+            tempoPeakTolerance: 0.85,
+            tempoWindowSeconds: 6,
+            tempoUpdateMS: 500,
+            ...config
+        };
+        
+        this.windowCoefficients = blackmanWindow(this.config.fftSize);
+        this.real = new Float32Array(this.config.fftSize);
+        this.imag = new Float32Array(this.config.fftSize);
+        
+        this.reset();
+    }
+    
+    reset() {
+        this.previousLevels = null;
+        this.fluxHistory = [];      // { time, flux } within fluxHistorySeconds
+        this.fluxEnvelope = [];     // { time, flux } within tempoWindowSeconds
+        this.lastOnsetTime = -Infinity;
+        this.lastTempoUpdate = -Infinity;
+        this.tempo = null;
+        this.tempoConfidence = 0;
+        this.features = null;
+    }
+    
+    setSampleRate(sampleRate) {
+        this.config.sampleRate = sampleRate;
+    }
+    
+    /**
+     * ANALYSIS
+     */
+    
+    // spectrum: dB per bin (fftSize / 2 bins), as from AnalyserNode.getFloatFrequencyData
+    processSpectrum(spectrum, time) {
+        const { minDecibels, maxDecibels } = this.config;
+        const range = maxDecibels - minDecibels;
+        
+        const levels = new Float32Array(spectrum.length);
+        for (let i = 0; i < spectrum.length; i++) {
+            levels[i] = clamp01((spectrum[i] - minDecibels) / range);
+        }
+        
+        const bands = {};
+        for (const [name, [low, high]] of Object.entries(this.config.bands)) {
+            bands[name] = this.averageLevel(levels, low, high);
+        }
+        
+        const flux = this.computeFlux(bands);
+        const onset = this.detectOnset(flux, time);
+        this.updateTempo(flux, time);
+        
+        this.features = {
+            time,
+            bands,
+            energy: this.averageLevel(levels, 20, 16000),
+            flux,
+            onset,
+            tempo: this.tempo,
+            tempoConfidence: this.tempoConfidence
+        };
+        return this.features;
+    }
+    
+    // samples: fftSize PCM samples ending at `time`
+    processSamples(samples, time) {
+        return this.processSpectrum(this.computeSpectrum(samples), time);
+    }
+    
+    computeSpectrum(samples) {
+        const size = this.config.fftSize;
+        const offset = Math.max(0, samples.length - size);
+        
+        for (let i = 0; i < size; i++) {
+            const sample = offset + i < samples.length ? samples[offset + i] : 0;
+            this.real[i] = sample * this.windowCoefficients[i];
+            this.imag[i] = 0;
+        }
+        fft(this.real, this.imag);
+        
+        const spectrum = new Float32Array(size / 2);
+        for (let i = 0; i < spectrum.length; i++) {
+            const magnitude = Math.hypot(this.real[i], this.imag[i]) / size;
+            spectrum[i] = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+        }
+        return spectrum;
+    }
+    
+    // Whole-buffer analysis; buffer is a Float32Array or an AudioBuffer
+    analyzeBuffer(buffer, { sampleRate = buffer.sampleRate, hopSize = this.config.fftSize / 2 } = {}) {
+        if (sampleRate) this.setSampleRate(sampleRate);
+        this.reset();
+        
+        const samples = mixToMono(buffer);
+        const size = this.config.fftSize;
+        const features = [];
+        
+        for (let end = size; end <= samples.length; end += hopSize) {
+            const time = end / this.config.sampleRate;
+            features.push(this.processSamples(samples.subarray(end - size, end), time));
+        }
+        
+        return features;
+    }
+    
+    averageLevel(levels, lowHz, highHz) {
+        const binHz = this.config.sampleRate / this.config.fftSize;
+        const first = Math.max(0, Math.floor(lowHz / binHz));
+        const last = Math.min(levels.length - 1, Math.ceil(highHz / binHz));
+        if (last < first) return 0;
+        
+        let sum = 0;
+        for (let i = first; i <= last; i++) sum += levels[i];
+        return sum / (last - first + 1);
+    }
+    
+    /**
+     * ONSETS
+     */
+    
+    // Mean rise in band level since the previous frame, 0..1. Bands rather than bins:
+    // per-bin dB levels of noisy material fluctuate too much to show onsets
+    computeFlux(bands) {
+        const levels = Object.values(bands);
+        const previous = this.previousLevels;
+        this.previousLevels = levels;
+        if (!previous || previous.length !== levels.length) return 0;
+        
+        let sum = 0;
+        for (let i = 0; i < levels.length; i++) {
+            const rise = levels[i] - previous[i];
+            if (rise > 0) sum += rise;
+        }
+        return sum / levels.length;
+    }
+    
+    detectOnset(flux, time) {
+        const history = this.fluxHistory;
+        while (history.length && history[0].time < time - this.config.fluxHistorySeconds) {
+            history.shift();
+        }
+        
+        let onset = false;
+        if (history.length >= 4) {
+            const mean = history.reduce((sum, entry) => sum + entry.flux, 0) / history.length;
+            const variance = history.reduce((sum, entry) => sum + (entry.flux - mean) ** 2, 0) / history.length;
+            const threshold = Math.max(this.config.onsetMinFlux, mean + this.config.onsetSensitivity * Math.sqrt(variance));
+            
+            onset = flux > threshold && (time - this.lastOnsetTime) * 1000 >= this.config.onsetMinIntervalMS;
+            if (onset) this.lastOnsetTime = time;
+        }
+        
+        history.push({ time, flux });
+        return onset;
+    }
+    
+    /**
+     * TEMPO
+     */
+    
+    updateTempo(flux, time) {
+        const envelope = this.fluxEnvelope;
+        envelope.push({ time, flux });
+        while (envelope[0].time < time - this.config.tempoWindowSeconds) {
+            envelope.shift();
+        }
+        
+        if ((time - this.lastTempoUpdate) * 1000 < this.config.tempoUpdateMS) return;
+        this.lastTempoUpdate = time;
+        
+        const estimate = this.estimateTempo();
+        if (estimate) {
+            this.tempo = estimate.bpm;
+            this.tempoConfidence = estimate.confidence;
+        }
+    }
+    
+    // Autocorrelation of the flux envelope over lags in tempoRange; frames are assumed evenly spaced
+    estimateTempo() {
+        const envelope = this.fluxEnvelope;
+        if (envelope.length < 2) return null;
+        
+        const frameSeconds = (envelope[envelope.length - 1].time - envelope[0].time) / (envelope.length - 1);
+        if (!(frameSeconds > 0)) return null;
+        
+        const [minBpm, maxBpm] = this.config.tempoRange;
+        const minLag = Math.max(1, Math.floor(60 / maxBpm / frameSeconds));
+        const maxLag = Math.ceil(60 / minBpm / frameSeconds);
+        
+        // Need at least two beats at the slowest tempo
+        if (envelope.length < maxLag * 2) return null;
+        
+        const mean = envelope.reduce((sum, entry) => sum + entry.flux, 0) / envelope.length;
+        const values = envelope.map(entry => entry.flux - mean);
+        
+        const correlate = (lag) => {
+            let sum = 0;
+            for (let i = lag; i < values.length; i++) sum += values[i] * values[i - lag];
+            return sum / (values.length - lag);
+        };
+        
+        const zeroLag = correlate(0);
+        if (zeroLag <= 0) return null;
+        
+        const scores = [];
+        let bestLag = minLag;
+        for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+            scores[lag] = correlate(lag);
+            if (lag >= minLag && lag <= maxLag && scores[lag] > scores[bestLag]) bestLag = lag;
+        }
+        if (scores[bestLag] <= 0) return null;
+        
+        // A beat also correlates at twice its period, and can win there: a period that falls
+        // between two lags splits its peak across both, while the doubled one may land on a
+        // whole lag. Peaks are compared with their larger neighbour added, and the shortest
+        // one close to the best is the beat rather than a multiple of it.
+        const peakScore = (lag) => scores[lag] + Math.max(0, scores[lag - 1], scores[lag + 1]);
+        const threshold = peakScore(bestLag) * this.config.tempoPeakTolerance;
+        for (let lag = minLag; lag < bestLag; lag++) {
+            const isPeak = scores[lag] >= scores[lag - 1] && scores[lag] >= scores[lag + 1];
+            if (isPeak && peakScore(lag) >= threshold) {
+                bestLag = lag;
+                break;
+            }
+        }
+        
+        // Parabolic interpolation between neighbouring lags for sub-frame precision
+        const before = scores[bestLag - 1];
+        const after = scores[bestLag + 1];
+        const curvature = before - 2 * scores[bestLag] + after;
+        const shift = curvature < 0 ? 0.5 * (before - after) / curvature : 0;
+        
+        return {
+            bpm: 60 / ((bestLag + shift) * frameSeconds),
+            confidence: clamp01(scores[bestLag] / zeroLag)
+        };
+    }
+    
+    getFeatures() {
+        return this.features;
+    }
+}
+
+// Export for module system
+export { AudioFeatureExtractor, DEFAULT_BANDS, fft, blackmanWindow, mixToMono };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.AudioFeatureExtractor = AudioFeatureExtractor;
+    console.log('🎧 AudioFeatureExtractor loaded and available globally');
+}
\ No newline at end of file
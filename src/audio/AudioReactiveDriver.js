@@ -0,0 +1,391 @@
+/**
+ * AUDIO REACTIVE DRIVER
+ * Routes audio features (AudioFeatureExtractor) into VIB3HomeMaster parameters
+ * 
+ * Responsibilities:
+ * - Read live spectra from a Web Audio AnalyserNode (microphone, media element, any node)
+ * - Play back features analyzed offline from decoded PCM, in step with the clock
+ * - Smooth each route with an attack/release envelope, apply gain and a response curve
+ * - Write all routed parameters once per frame with source 'audio'
+ * 
+ * Route: { feature, parameter, gain, attack, release, curve, outputRange, invert }
+ * - feature: a band name (bass, mid, ...), 'energy', 'flux', 'onset' or 'tempo'
+ * - attack/release: seconds for the envelope to follow a rise/fall (0 = instant)
+ * Events: 'features', 'routesChanged'
+ */
+
+import { EventEmitterBase } from '../utils/EventEmitterBase.js';
+import { AudioFeatureExtractor, mixToMono } from './AudioFeatureExtractor.js';
+import { mapInputToParameter } from '../utils/ResponseCurves.js';
+
+const AUDIO_SOURCE = 'audio';
+
+class AudioReactiveDriver extends EventEmitterBase {
+    constructor(config = {}) {
+        super();
+        
+        this.config = {
+            // AudioFeatureExtractor config (fftSize, bands, onsetSensitivity, tempoRange, ...)
+            analysis: {},
+            routes: [],
+            ...config
+        };
+        
+        this.homeMaster = config.homeMaster || null;
+        this.clock = config.clock || (this.homeMaster ? this.homeMaster.clock : null);
+        this.extractor = new AudioFeatureExtractor(this.config.analysis);
+        
+        // Live input
+        this.audioContext = null;
+        this.analyser = null;
+        this.inputNode = null;
+        this.spectrum = null;
+        
+        // Offline input: analyzed features played back from playbackStart
+        this.offlineFeatures = null;
+        this.playbackStart = null;
+        this.playbackIndex = 0;
+        
+        // Routes: id -> route (with its envelope state)
+        this.routes = new Map();
+        this.routeCounter = 0;
+        
+        this.features = null;
+        this.isRunning = false;
+        this.frameId = null;
+        this.lastFrameTime = null;
+        
+        this.config.routes.forEach(route => this.addRoute(route));
+    }
+    
+    static isSupported() {
+        return typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined';
+    }
+    
+    /**
+     * LIVE INPUT
+     */
+    
+    // Analyses any node; the node's own output routing is left alone
+    connectNode(sourceNode) {
+        this.disconnectInput();
+        
+        const context = sourceNode.context;
+        const analyser = context.createAnalyser();
+        analyser.fftSize = this.extractor.config.fftSize;
+        analyser.minDecibels = this.extractor.config.minDecibels;
+        analyser.maxDecibels = this.extractor.config.maxDecibels;
+        // Smoothing would blur onsets; routes smooth on their own
+        analyser.smoothingTimeConstant = 0;
+        
+        sourceNode.connect(analyser);
+        
+        this.audioContext = context;
+        this.analyser = analyser;
+        this.inputNode = sourceNode;
+        this.spectrum = new Float32Array(analyser.frequencyBinCount);
+        this.offlineFeatures = null;
+        
+        this.extractor.setSampleRate(context.sampleRate);
+        this.extractor.reset();
+        return true;
+    }
+    
+    async connectMicrophone(audioContext = this.createContext()) {
+        if (!audioContext || typeof navigator === 'undefined' || !navigator.mediaDevices) {
+            console.warn('Microphone input not supported');
+            return false;
+        }
+        
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+            });
+            return this.connectNode(audioContext.createMediaStreamSource(stream));
+        } catch (error) {
+            console.warn('Microphone access denied:', error.message || error);
+            return false;
+        }
+    }
+    
+    // Keeps the element audible by passing it through to the speakers
+    connectMediaElement(element, audioContext = this.createContext()) {
+        if (!audioContext) {
+            console.warn('Web Audio not supported, audio input disabled');
+            return false;
+        }
+        
+        const source = audioContext.createMediaElementSource(element);
+        source.connect(audioContext.destination);
+        return this.connectNode(source);
+    }
+    
+    createContext() {
+        if (this.audioContext) return this.audioContext;
+        if (!AudioReactiveDriver.isSupported()) return null;
+        
+        const Context = typeof AudioContext !== 'undefined' ? AudioContext : webkitAudioContext;
+        return new Context();
+    }
+    
+    disconnectInput() {
+        if (this.inputNode && this.analyser) {
+            try {
+                this.inputNode.disconnect(this.analyser);
+            } catch (error) {
+                // Already disconnected
+            }
+        }
+        
+        this.analyser = null;
+        this.inputNode = null;
+        this.spectrum = null;
+    }
+    
+    /**
+     * OFFLINE INPUT
+     */
+    
+    // Decodes an encoded file (ArrayBuffer) to an AudioBuffer without touching the audio device
+    static async decodeAudio(arrayBuffer, sampleRate = 44100) {
+        if (typeof OfflineAudioContext === 'undefined') {
+            throw new Error('OfflineAudioContext not supported');
+        }
+        const context = new OfflineAudioContext(1, 1, sampleRate);
+        return context.decodeAudioData(arrayBuffer);
+    }
+    
+    // buffer: AudioBuffer, or a Float32Array of mono PCM with { sampleRate }
+    loadBuffer(buffer, { sampleRate = buffer.sampleRate, hopSize } = {}) {
+        if (!sampleRate) {
+            console.warn('loadBuffer needs a sampleRate for raw PCM');
+            return false;
+        }
+        
+        this.disconnectInput();
+        this.offlineFeatures = this.extractor.analyzeBuffer(mixToMono(buffer), { sampleRate, hopSize });
+        this.playbackStart = null;
+        this.playbackIndex = 0;
+        
+        console.log(`🎧 Analyzed ${this.offlineFeatures.length} frames of offline audio`);
+        return true;
+    }
+    
+    getOfflineFeatures() {
+        return this.offlineFeatures;
+    }
+    
+    // Merges all frames since the last call, so an onset between two render frames isn't lost
+    nextOfflineFeatures(elapsedSeconds) {
+        const frames = this.offlineFeatures;
+        let latest = null;
+        let onset = false;
+        let flux = 0;
+        
+        while (this.playbackIndex < frames.length && frames[this.playbackIndex].time <= elapsedSeconds) {
+            latest = frames[this.playbackIndex++];
+            onset = onset || latest.onset;
+            flux = Math.max(flux, latest.flux);
+        }
+        
+        return latest ? { ...latest, onset, flux } : null;
+    }
+    
+    /**
+     * FRAME LOOP
+     */
+    
+    start() {
+        if (this.isRunning) return true;
+        if (!this.homeMaster || !this.clock) {
+            console.warn('AudioReactiveDriver needs a homeMaster (and its clock) to start');
+            return false;
+        }
+        
+        this.isRunning = true;
+        this.lastFrameTime = null;
+        this.playbackStart = null;
+        this.playbackIndex = 0;
+        
+        const frame = (time) => {
+            if (!this.isRunning) return;
+            
+            this.update(time);
+            this.frameId = this.clock.requestFrame(frame);
+        };
+        
+        this.frameId = this.clock.requestFrame(frame);
+        console.log('🎧 Audio reactive driver started');
+        return true;
+    }
+    
+    stop() {
+        this.isRunning = false;
+        if (this.frameId !== null && this.clock) {
+            this.clock.cancelFrame(this.frameId);
+        }
+        this.frameId = null;
+    }
+    
+    // time in ms (clock time)
+    update(time) {
+        const deltaSeconds = this.lastFrameTime === null ? 0 : (time - this.lastFrameTime) / 1000;
+        this.lastFrameTime = time;
+        
+        let features = null;
+        if (this.analyser) {
+            this.analyser.getFloatFrequencyData(this.spectrum);
+            features = this.extractor.processSpectrum(this.spectrum, this.audioContext.currentTime);
+        } else if (this.offlineFeatures) {
+            if (this.playbackStart === null) this.playbackStart = time;
+            features = this.nextOfflineFeatures((time - this.playbackStart) / 1000);
+        }
+        
+        if (!features) return;
+        
+        this.features = features;
+        this.applyFeatures(features, deltaSeconds);
+        this.emit('features', features);
+    }
+    
+    applyFeatures(features, deltaSeconds) {
+        const changes = {};
+        
+        for (const route of this.routes.values()) {
+            const target = Math.max(0, Math.min(1, this.getFeatureValue(features, route.feature) * route.gain));
+            route.level = this.followEnvelope(route, target, deltaSeconds);
+            
+            const meta = this.homeMaster.getParameterMeta(route.parameter);
+            if (!meta) continue;
+            
+            const value = mapInputToParameter(route.level, meta, {
+                outputRange: route.outputRange,
+                curve: route.curve,
+                invert: route.invert
+            });
+            if (value !== null) changes[route.parameter] = value;
+        }
+        
+        if (Object.keys(changes).length > 0) {
+            this.homeMaster.setParameters(changes, AUDIO_SOURCE);
+        }
+    }
+    
+    // One-pole follower: reaches ~63% of a step after `attack` (rising) or `release` (falling) seconds
+    followEnvelope(route, target, deltaSeconds) {
+        const time = target > route.level ? route.attack : route.release;
+        if (time <= 0) return target;
+        if (deltaSeconds <= 0) return route.level;
+        
+        return route.level + (target - route.level) * (1 - Math.exp(-deltaSeconds / time));
+    }
+    
+    // Normalized 0..1 feature value
+    getFeatureValue(features, feature) {
+        switch (feature) {
+            case 'energy':
+                return features.energy;
+            case 'flux':
+                return features.flux;
+            case 'onset':
+                return features.onset ? 1 : 0;
+            case 'tempo': {
+                if (!features.tempo) return 0;
+                const [min, max] = this.extractor.config.tempoRange;
+                return (features.tempo - min) / (max - min);
+            }
+            default:
+                return features.bands[feature] || 0;
+        }
+    }
+    
+    /**
+     * ROUTES
+     */
+    
+    isValidFeature(feature) {
+        return ['energy', 'flux', 'onset', 'tempo'].includes(feature) || feature in this.extractor.config.bands;
+    }
+    
+    addRoute({ feature, parameter, gain = 1, attack = 0.01, release = 0.25, curve = 'linear', outputRange = null, invert = false }) {
+        if (!this.isValidFeature(feature)) {
+            console.warn(`Unknown audio feature: ${feature}`);
+            return null;
+        }
+        if (this.homeMaster && !this.homeMaster.isParameterRegistered(parameter)) {
+            console.warn(`Cannot route audio to unknown parameter: ${parameter}`);
+            return null;
+        }
+        
+        const id = `audio_${++this.routeCounter}`;
+        this.routes.set(id, { id, feature, parameter, gain, attack, release, curve, outputRange, invert, level: 0 });
+        this.emit('routesChanged', { routes: this.getRoutes() });
+        return id;
+    }
+    
+    updateRoute(id, changes = {}) {
+        const route = this.routes.get(id);
+        if (!route) return false;
+        
+        if (changes.feature !== undefined && !this.isValidFeature(changes.feature)) {
+            console.warn(`Unknown audio feature: ${changes.feature}`);
+            return false;
+        }
+        
+        // id and envelope state aren't configurable
+        const allowed = { ...changes };
+        delete allowed.id;
+        delete allowed.level;
+        Object.assign(route, allowed);
+        this.emit('routesChanged', { routes: this.getRoutes() });
+        return true;
+    }
+    
+    removeRoute(id) {
+        const removed = this.routes.delete(id);
+        if (removed) this.emit('routesChanged', { routes: this.getRoutes() });
+        return removed;
+    }
+    
+    clearRoutes() {
+        this.routes.clear();
+        this.emit('routesChanged', { routes: [] });
+    }
+    
+    getRoutes() {
+        return Array.from(this.routes.values()).map(({ level, ...route }) => route);
+    }
+    
+    /**
+     * STATUS
+     */
+    
+    getFeatures() {
+        return this.features;
+    }
+    
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            input: this.analyser ? 'live' : (this.offlineFeatures ? 'offline' : 'none'),
+            routes: this.routes.size,
+            tempo: this.features ? this.features.tempo : null
+        };
+    }
+    
+    destroy() {
+        this.stop();
+        this.disconnectInput();
+        this.routes.clear();
+        this.offlineFeatures = null;
+    }
+}
+
+// Export for module system
+export { AudioReactiveDriver };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.AudioReactiveDriver = AudioReactiveDriver;
+    console.log('🎧 AudioReactiveDriver loaded and available globally');
+}
\ No newline at end of file
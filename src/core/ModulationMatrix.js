@@ -0,0 +1,351 @@
+/**
+ * MODULATION MATRIX
+ * Continuous modulation sources routed into VIB3HomeMaster parameters
+ * 
+ * Responsibilities:
+ * - Evaluate LFOs (sine, triangle, saw, square, noise), envelopes and random walks
+ * - Route any source into any numeric parameter with depth and offset
+ * - Sum multiple routes per target into a single modulation amount
+ * - Serialize sources and routes so presets can carry them
+ * 
+ * Source outputs:
+ * - lfo / randomWalk: bipolar, -1..1
+ * - envelope: unipolar, 0..1
+ * 
+ * Time is passed in by the caller (VIB3HomeMaster uses globalTime, which
+ * already includes animationSpeed), so the matrix holds no clock of its own.
+ */
+
+const MODULATION_SOURCE_TYPES = ['lfo', 'envelope', 'randomWalk'];
+const LFO_SHAPES = ['sine', 'triangle', 'saw', 'square', 'noise'];
+
+// Most random-walk steps taken in one evaluation. Enough to cross the full -1..1
+// range at any sane step size, so skipping the rest after a long gap isn't audible.
+const MAX_RANDOM_WALK_STEPS = 64;
+
+/**
+ * SHARED HELPERS
+ */
+
+// Deterministic hash of an integer lattice point to 0..1
+function hashNoise(index, seed) {
+    let h = (Math.imul(index | 0, 374761393) + Math.imul(seed | 0, 668265263)) | 0;
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+// Smooth value noise, -1..1
+function valueNoise(x, seed) {
+    const index = Math.floor(x);
+    const fraction = x - index;
+    const smooth = fraction * fraction * (3 - 2 * fraction);
+    const a = hashNoise(index, seed);
+    const b = hashNoise(index + 1, seed);
+    return (a + (b - a) * smooth) * 2 - 1;
+}
+
+function evaluateLFO(source, time) {
+    const cycle = time * source.rate + source.phase;
+    const position = cycle - Math.floor(cycle);
+    
+    switch (source.shape) {
+        case 'triangle':
+            return 1 - 4 * Math.abs(position - 0.5);
+        case 'saw':
+            return position * 2 - 1;
+        case 'square':
+            return position < 0.5 ? 1 : -1;
+        case 'noise':
+            return valueNoise(cycle, source.seed);
+        case 'sine':
+        default:
+            return Math.sin(cycle * Math.PI * 2);
+    }
+}
+
+function evaluateEnvelope(source, time) {
+    const { attack, decay, sustain, release, triggeredAt, releasedAt, releaseLevel } = source;
+    
+    if (triggeredAt === null) return 0;
+    
+    if (releasedAt !== null) {
+        const elapsed = time - releasedAt;
+        if (release <= 0 || elapsed >= release) return 0;
+        return releaseLevel * (1 - elapsed / release);
+    }
+    
+    const elapsed = time - triggeredAt;
+    if (elapsed < attack) {
+        return attack > 0 ? elapsed / attack : 1;
+    }
+    if (elapsed < attack + decay) {
+        return 1 - (1 - sustain) * ((elapsed - attack) / decay);
+    }
+    return sustain;
+}
+
+function evaluateRandomWalk(source, time) {
+    if (source.lastTime === null) {
+        source.lastTime = time;
+        return source.value;
+    }
+    
+    // Step once per 1/rate seconds of elapsed time
+    const interval = 1 / source.rate;
+    const pending = Math.floor((time - source.lastTime) / interval);
+    if (pending > MAX_RANDOM_WALK_STEPS) {
+        // Long gap (tab in the background, big seek forward): drop the oldest steps
+        source.lastTime += (pending - MAX_RANDOM_WALK_STEPS) * interval;
+    }
+    while (time - source.lastTime >= interval) {
+        source.lastTime += interval;
+        const step = (hashNoise(source.randomState++, source.seed) * 2 - 1) * source.step;
+        source.value = Math.max(-1, Math.min(1, source.value + step));
+    }
+    
+    // Time went backwards (seek/reset): restart the walk from here
+    if (time < source.lastTime) {
+        source.lastTime = time;
+    }
+    
+    return source.value;
+}
+
+/**
+ * MODULATION MATRIX
+ */
+
+class ModulationMatrix {
+    constructor() {
+        // Sources keyed by id
+        this.sources = new Map();
+        
+        // Routes keyed by id
+        this.routes = new Map();
+        
+        this.routeCounter = 0;
+    }
+    
+    /**
+     * SOURCES
+     */
+    
+    addSource(id, definition = {}) {
+        const type = definition.type || 'lfo';
+        if (!MODULATION_SOURCE_TYPES.includes(type)) {
+            console.warn(`Unknown modulation source type: ${type}`);
+            return false;
+        }
+        
+        if (type === 'lfo' && definition.shape && !LFO_SHAPES.includes(definition.shape)) {
+            console.warn(`Unknown LFO shape: ${definition.shape}`);
+            return false;
+        }
+        
+        const source = { id, type, seed: definition.seed ?? this.sources.size + 1 };
+        
+        switch (type) {
+            case 'lfo':
+                Object.assign(source, {
+                    shape: definition.shape || 'sine',
+                    rate: Math.max(0, definition.rate ?? 1.0),
+                    phase: definition.phase ?? 0
+                });
+                break;
+            case 'envelope':
+                Object.assign(source, {
+                    attack: Math.max(0, definition.attack ?? 0.1),
+                    decay: Math.max(0, definition.decay ?? 0.2),
+                    sustain: Math.max(0, Math.min(1, definition.sustain ?? 0.7)),
+                    release: Math.max(0, definition.release ?? 0.5),
+                    triggeredAt: null,
+                    releasedAt: null,
+                    releaseLevel: 0
+                });
+                break;
+            case 'randomWalk':
+                Object.assign(source, {
+                    rate: Math.max(0.001, definition.rate ?? 4.0),
+                    step: Math.max(0, definition.step ?? 0.1),
+                    value: 0,
+                    lastTime: null,
+                    randomState: 0
+                });
+                break;
+        }
+        
+        source.output = 0;
+        this.sources.set(id, source);
+        return true;
+    }
+    
+    removeSource(id) {
+        if (!this.sources.delete(id)) return false;
+        
+        // Routes from a removed source go with it
+        for (const [routeId, route] of this.routes) {
+            if (route.source === id) {
+                this.routes.delete(routeId);
+            }
+        }
+        return true;
+    }
+    
+    hasSource(id) {
+        return this.sources.has(id);
+    }
+    
+    trigger(id, time) {
+        const source = this.sources.get(id);
+        if (!source || source.type !== 'envelope') return false;
+        
+        source.triggeredAt = time;
+        source.releasedAt = null;
+        return true;
+    }
+    
+    release(id, time) {
+        const source = this.sources.get(id);
+        if (!source || source.type !== 'envelope' || source.triggeredAt === null) return false;
+        
+        source.releaseLevel = evaluateEnvelope(source, time);
+        source.releasedAt = time;
+        return true;
+    }
+    
+    /**
+     * ROUTES
+     */
+    
+    addRoute({ source, target, depth = 1.0, offset = 0.0, enabled = true }) {
+        if (!this.sources.has(source)) {
+            console.warn(`Unknown modulation source: ${source}`);
+            return null;
+        }
+        
+        const id = `route_${++this.routeCounter}`;
+        this.routes.set(id, { id, source, target, depth, offset, enabled });
+        return id;
+    }
+    
+    updateRoute(id, changes = {}) {
+        const route = this.routes.get(id);
+        if (!route) return false;
+        
+        for (const key of ['depth', 'offset', 'enabled']) {
+            if (changes[key] !== undefined) {
+                route[key] = changes[key];
+            }
+        }
+        return true;
+    }
+    
+    removeRoute(id) {
+        return this.routes.delete(id);
+    }
+    
+    removeRoutesForTarget(target) {
+        let removed = 0;
+        for (const [id, route] of this.routes) {
+            if (route.target === target) {
+                this.routes.delete(id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+    
+    getTargets() {
+        const targets = new Set();
+        for (const route of this.routes.values()) {
+            if (route.enabled) targets.add(route.target);
+        }
+        return Array.from(targets);
+    }
+    
+    /**
+     * EVALUATION
+     */
+    
+    evaluate(time) {
+        // Each source is evaluated once per frame, however many routes use it
+        for (const source of this.sources.values()) {
+            switch (source.type) {
+                case 'lfo':
+                    source.output = evaluateLFO(source, time);
+                    break;
+                case 'envelope':
+                    source.output = evaluateEnvelope(source, time);
+                    break;
+                case 'randomWalk':
+                    source.output = evaluateRandomWalk(source, time);
+                    break;
+            }
+        }
+        
+        const amounts = new Map();
+        for (const route of this.routes.values()) {
+            if (!route.enabled) continue;
+            
+            const source = this.sources.get(route.source);
+            const amount = route.offset + route.depth * source.output;
+            amounts.set(route.target, (amounts.get(route.target) || 0) + amount);
+        }
+        
+        return amounts;
+    }
+    
+    getSourceOutput(id) {
+        const source = this.sources.get(id);
+        return source ? source.output : null;
+    }
+    
+    /**
+     * SERIALIZATION
+     */
+    
+    toJSON() {
+        const sources = {};
+        for (const [id, source] of this.sources) {
+            const { id: _id, output, triggeredAt, releasedAt, releaseLevel, value, lastTime, randomState, ...definition } = source;
+            sources[id] = definition;
+        }
+        
+        const routes = Array.from(this.routes.values()).map(({ id, ...route }) => route);
+        
+        return { sources, routes };
+    }
+    
+    fromJSON(data = {}) {
+        this.clear();
+        
+        for (const [id, definition] of Object.entries(data.sources || {})) {
+            this.addSource(id, definition);
+        }
+        
+        for (const route of data.routes || []) {
+            this.addRoute(route);
+        }
+        
+        return this;
+    }
+    
+    clear() {
+        this.sources.clear();
+        this.routes.clear();
+    }
+    
+    isEmpty() {
+        return this.routes.size === 0;
+    }
+}
+
+// Export for module system
+export { ModulationMatrix, MODULATION_SOURCE_TYPES, LFO_SHAPES };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ModulationMatrix = ModulationMatrix;
+    console.log('🌊 ModulationMatrix loaded and available globally');
+}
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * PARAMETER ANIMATOR
+ * Tween engine for VIB3HomeMaster parameters
+ * 
+ * Responsibilities:
+ * - Track active tweens per parameter with easing and delay
+ * - Interpolate typed values (floats, vectors, colors, discrete types)
+ * - Retarget a parameter when a new tween starts on it
+ * - Report group completion (multi-parameter tweens) once
+ * 
+ * The animator is clock-agnostic: callers pass the current time to update().
+ */
+
+import { resolveEasing } from '../utils/Easing.js';
+import { interpolateParameterValue } from './ParameterTypes.js';
+
+class ParameterAnimator {
+    constructor(config = {}) {
+        this.config = {
+            defaultDuration: 500,
+            defaultEasing: 'easeInOutCubic',
+            ...config
+        };
+        
+        // Active tweens keyed by parameter name
+        this.animations = new Map();
+        
+        // Groups keyed by group id (multi-parameter tweens share one)
+        this.groups = new Map();
+        
+        this.animationCounter = 0;
+    }
+    
+    /**
+     * ANIMATION CONTROL
+     */
+    
+    start(options) {
+        const {
+            name,
+            from,
+            to,
+            meta,
+            startTime,
+            duration = this.config.defaultDuration,
+            easing = this.config.defaultEasing,
+            delay = 0,
+            groupId = null,
+            source = 'animation',
+            onComplete = null
+        } = options;
+        
+        // Retarget: a new tween on the same parameter replaces the old one
+        if (this.animations.has(name)) {
+            this.cancel(name);
+        }
+        
+        const id = `tween_${++this.animationCounter}`;
+        const resolvedGroupId = groupId || id;
+        
+        this.animations.set(name, {
+            id,
+            name,
+            from,
+            to,
+            meta,
+            startTime: startTime + delay,
+            duration: Math.max(0, duration),
+            easing: resolveEasing(easing),
+            groupId: resolvedGroupId,
+            source
+        });
+        
+        if (!this.groups.has(resolvedGroupId)) {
+            this.groups.set(resolvedGroupId, {
+                pending: new Set(),
+                cancelled: false,
+                onComplete: null
+            });
+        }
+        
+        const group = this.groups.get(resolvedGroupId);
+        group.pending.add(name);
+        if (onComplete) {
+            group.onComplete = onComplete;
+        }
+        
+        return id;
+    }
+    
+    update(now) {
+        const values = new Map();
+        const finished = [];
+        
+        for (const [name, animation] of this.animations) {
+            if (now < animation.startTime) continue;
+            
+            const progress = animation.duration > 0 ?
+                Math.min(1, (now - animation.startTime) / animation.duration) : 1;
+            const eased = progress >= 1 ? 1 : animation.easing(progress);
+            
+            values.set(name, {
+                value: interpolateParameterValue(animation.from, animation.to, eased, animation.meta),
+                groupId: animation.groupId,
+                source: animation.source
+            });
+            
+            if (progress >= 1) {
+                finished.push(animation);
+            }
+        }
+        
+        for (const animation of finished) {
+            this.animations.delete(animation.name);
+            this.settle(animation, false);
+        }
+        
+        return values;
+    }
+    
+    cancel(name) {
+        const animation = this.animations.get(name);
+        if (!animation) return false;
+        
+        this.animations.delete(name);
+        this.settle(animation, true);
+        return true;
+    }
+    
+    cancelGroup(groupId) {
+        let cancelled = 0;
+        for (const [name, animation] of this.animations) {
+            if (animation.groupId === groupId && this.cancel(name)) {
+                cancelled++;
+            }
+        }
+        return cancelled;
+    }
+    
+    cancelAll() {
+        for (const name of Array.from(this.animations.keys())) {
+            this.cancel(name);
+        }
+    }
+    
+    settle(animation, cancelled) {
+        const group = this.groups.get(animation.groupId);
+        if (!group) return;
+        
+        group.pending.delete(animation.name);
+        group.cancelled = group.cancelled || cancelled;
+        
+        if (group.pending.size > 0) return;
+        
+        this.groups.delete(animation.groupId);
+        
+        if (typeof group.onComplete === 'function') {
+            try {
+                group.onComplete({ groupId: animation.groupId, cancelled: group.cancelled });
+            } catch (error) {
+                console.error('Error in animation completion handler:', error);
+            }
+        }
+    }
+    
+    /**
+     * QUERIES
+     */
+    
+    isAnimating(name = null) {
+        return name === null ? this.animations.size > 0 : this.animations.has(name);
+    }
+    
+    getTarget(name) {
+        const animation = this.animations.get(name);
+        return animation ? animation.to : undefined;
+    }
+    
+    getActiveAnimations() {
+        return Array.from(this.animations.values()).map(animation => ({
+            id: animation.id,
+            name: animation.name,
+            to: animation.to,
+            startTime: animation.startTime,
+            duration: animation.duration,
+            groupId: animation.groupId
+        }));
+    }
+}
+
+// Export for module system
+export { ParameterAnimator };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ParameterAnimator = ParameterAnimator;
+    console.log('🎞️ ParameterAnimator loaded and available globally');
+}
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * PARAMETER GRAPH
+ * Derived parameters and cross-parameter constraints for VIB3HomeMaster
+ * 
+ * Responsibilities:
+ * - Hold derived parameters (output = compute(inputs))
+ * - Hold constraints (rewrite target parameters based on inputs)
+ * - Keep nodes in dependency order and reject definitions that form cycles
+ * - Resolve which outputs change when a set of inputs changes
+ * 
+ * Ordering: a node runs after every node whose outputs it reads. Constraints
+ * that refine the same parameter run in the order they were added.
+ */
+
+class ParameterGraph {
+    constructor() {
+        // Nodes keyed by id: { id, kind, inputs, outputs, evaluate, seq }
+        this.nodes = new Map();
+        
+        // Derived parameter name -> node id
+        this.derivedOutputs = new Map();
+        
+        // Nodes in dependency order
+        this.order = [];
+        
+        this.sequence = 0;
+    }
+    
+    /**
+     * DEFINITION
+     */
+    
+    addDerived(name, { inputs = [], compute } = {}) {
+        if (typeof compute !== 'function') {
+            console.warn(`Derived parameter ${name} needs a compute function`);
+            return false;
+        }
+        
+        if (this.derivedOutputs.has(name)) {
+            console.warn(`Derived parameter already defined: ${name}`);
+            return false;
+        }
+        
+        if (inputs.includes(name)) {
+            console.warn(`Derived parameter ${name} cannot depend on itself`);
+            return false;
+        }
+        
+        const id = `derived:${name}`;
+        const added = this.addNode({
+            id,
+            kind: 'derived',
+            inputs: [...inputs],
+            outputs: [name],
+            evaluate: values => ({ [name]: compute(values) })
+        });
+        
+        if (added) {
+            this.derivedOutputs.set(name, id);
+        }
+        return added;
+    }
+    
+    addConstraint(id, { inputs = [], targets = [], apply } = {}) {
+        if (typeof apply !== 'function') {
+            console.warn(`Constraint ${id} needs an apply function`);
+            return false;
+        }
+        
+        if (targets.length === 0) {
+            console.warn(`Constraint ${id} needs at least one target`);
+            return false;
+        }
+        
+        const nodeId = `constraint:${id}`;
+        if (this.nodes.has(nodeId)) {
+            console.warn(`Constraint already defined: ${id}`);
+            return false;
+        }
+        
+        // Constraints see their targets' current values as well as their inputs
+        const allInputs = Array.from(new Set([...inputs, ...targets]));
+        
+        return this.addNode({
+            id: nodeId,
+            kind: 'constraint',
+            inputs: allInputs,
+            outputs: [...targets],
+            evaluate: (values) => {
+                const result = apply(values) || {};
+                const outputs = {};
+                for (const target of targets) {
+                    if (result[target] !== undefined) {
+                        outputs[target] = result[target];
+                    }
+                }
+                return outputs;
+            }
+        });
+    }
+    
+    addNode(node) {
+        this.nodes.set(node.id, { ...node, seq: ++this.sequence });
+        
+        const cycle = this.rebuildOrder();
+        if (cycle) {
+            this.nodes.delete(node.id);
+            this.rebuildOrder();
+            console.warn(`Parameter dependency cycle detected: ${cycle.join(' -> ')}`);
+            return false;
+        }
+        return true;
+    }
+    
+    removeDerived(name) {
+        const id = this.derivedOutputs.get(name);
+        if (!id) return false;
+        
+        this.derivedOutputs.delete(name);
+        this.nodes.delete(id);
+        this.rebuildOrder();
+        return true;
+    }
+    
+    removeConstraint(id) {
+        if (!this.nodes.delete(`constraint:${id}`)) return false;
+        
+        this.rebuildOrder();
+        return true;
+    }
+    
+    // Drop every node that reads or writes a parameter (used on unregister)
+    removeNodesReferencing(name) {
+        const removed = [];
+        for (const [id, node] of this.nodes) {
+            if (node.inputs.includes(name) || node.outputs.includes(name)) {
+                this.nodes.delete(id);
+                removed.push(id);
+                if (node.kind === 'derived') {
+                    this.derivedOutputs.delete(node.outputs[0]);
+                }
+            }
+        }
+        
+        if (removed.length > 0) {
+            this.rebuildOrder();
+        }
+        return removed;
+    }
+    
+    /**
+     * ORDERING
+     */
+    
+    dependsOn(node, other) {
+        if (node === other) return false;
+        
+        return other.outputs.some(name => {
+            if (!node.inputs.includes(name)) return false;
+            // Two nodes writing the same parameter: the older one runs first
+            return !node.outputs.includes(name) || other.seq < node.seq;
+        });
+    }
+    
+    // Topological sort; returns the cycle path if one exists, otherwise null
+    rebuildOrder() {
+        const nodes = Array.from(this.nodes.values());
+        const order = [];
+        const state = new Map(); // id -> 'visiting' | 'done'
+        const stack = [];
+        let cycle = null;
+        
+        const visit = (node) => {
+            if (cycle) return;
+            
+            const status = state.get(node.id);
+            if (status === 'done') return;
+            if (status === 'visiting') {
+                const start = stack.indexOf(node.id);
+                cycle = [...stack.slice(start), node.id];
+                return;
+            }
+            
+            state.set(node.id, 'visiting');
+            stack.push(node.id);
+            
+            for (const other of nodes) {
+                if (this.dependsOn(node, other)) {
+                    visit(other);
+                }
+            }
+            
+            stack.pop();
+            state.set(node.id, 'done');
+            order.push(node);
+        };
+        
+        for (const node of nodes.sort((a, b) => a.seq - b.seq)) {
+            visit(node);
+        }
+        
+        if (!cycle) {
+            this.order = order;
+        }
+        return cycle;
+    }
+    
+    /**
+     * RESOLUTION
+     */
+    
+    // Evaluate every node downstream of changedNames. getValue reads the
+    // prospective state; returns { name: value } for the outputs produced.
+    resolve(changedNames, getValue) {
+        const dirty = new Set(changedNames);
+        const outputs = {};
+        const read = name => (name in outputs ? outputs[name] : getValue(name));
+        
+        for (const node of this.order) {
+            if (!node.inputs.some(name => dirty.has(name))) continue;
+            
+            const values = {};
+            for (const name of node.inputs) {
+                values[name] = read(name);
+            }
+            
+            let result;
+            try {
+                result = node.evaluate(values);
+            } catch (error) {
+                console.error(`Error evaluating ${node.id}:`, error);
+                continue;
+            }
+            
+            for (const [name, value] of Object.entries(result)) {
+                if (value === undefined || value === read(name)) continue;
+                outputs[name] = value;
+                dirty.add(name);
+            }
+        }
+        
+        return outputs;
+    }
+    
+    /**
+     * QUERIES
+     */
+    
+    isDerived(name) {
+        return this.derivedOutputs.has(name);
+    }
+    
+    isEmpty() {
+        return this.nodes.size === 0;
+    }
+    
+    getDefinitions() {
+        return this.order.map(({ id, kind, inputs, outputs }) => ({
+            id,
+            kind,
+            inputs: [...inputs],
+            outputs: [...outputs]
+        }));
+    }
+}
+
+// Export for module system
+export { ParameterGraph };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ParameterGraph = ParameterGraph;
+    console.log('🕸️ ParameterGraph loaded and available globally');
+}
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * PARAMETER HISTORY
+ * Undo/redo and checkpoint tracking for VIB3HomeMaster parameter changes
+ * 
+ * Responsibilities:
+ * - Record applied parameter changes as bounded undo steps
+ * - Coalesce bursts of continuous input (mouse, scroll, MIDI, OSC, remote) into single steps
+ * - Group batched updates (setParameters) into one undoable unit
+ * - Store named checkpoints of the full parameter state
+ */
+
+class ParameterHistory {
+    constructor(config = {}) {
+        this.config = {
+            maxSteps: 100,
+            coalesceWindowMS: 500,
+            coalesceSources: ['mouse', 'scroll', 'gamepad', 'midi', 'osc', 'remote'],
+            ignoredSources: ['history', 'timeline', 'restore', 'sync', 'audio'],
+            excludedParameters: ['globalTime'],
+            maxCheckpoints: 50,
+            ...config
+        };
+        
+        // Undo/redo stacks
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        // Named checkpoints
+        this.checkpoints = new Map();
+        
+        console.log('📜 ParameterHistory created');
+    }
+    
+    /**
+     * RECORDING
+     */
+    
+    record(change) {
+        const { name, value, oldValue, source, batchId = null, timestamp = Date.now() } = change;
+        
+        if (this.config.ignoredSources.includes(source)) return false;
+        if (this.config.excludedParameters.includes(name)) return false;
+        
+        const lastStep = this.undoStack[this.undoStack.length - 1];
+        
+        if (lastStep && this.shouldCoalesce(lastStep, source, batchId, timestamp)) {
+            // Keep the oldest value so undo returns to the pre-burst state
+            const existing = lastStep.changes.get(name);
+            lastStep.changes.set(name, {
+                oldValue: existing ? existing.oldValue : oldValue,
+                value
+            });
+            lastStep.updatedAt = timestamp;
+            lastStep.batchId = batchId;
+        } else {
+            this.undoStack.push({
+                source,
+                batchId,
+                createdAt: timestamp,
+                updatedAt: timestamp,
+                changes: new Map([[name, { oldValue, value }]])
+            });
+            
+            // Bound history size
+            if (this.undoStack.length > this.config.maxSteps) {
+                this.undoStack.shift();
+            }
+        }
+        
+        // Any new change invalidates the redo branch
+        this.redoStack = [];
+        
+        return true;
+    }
+    
+    shouldCoalesce(step, source, batchId, timestamp) {
+        if (batchId !== null && step.batchId === batchId) {
+            return true;
+        }
+        
+        // Continuous sources often arrive as one batch per message; those bursts coalesce too
+        if (step.source !== source || !this.config.coalesceSources.includes(source)) {
+            return false;
+        }
+        
+        return timestamp - step.updatedAt <= this.config.coalesceWindowMS;
+    }
+    
+    /**
+     * UNDO / REDO
+     */
+    
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+        
+        this.redoStack.push(step);
+        
+        const parameters = {};
+        for (const [name, change] of step.changes) {
+            parameters[name] = change.oldValue;
+        }
+        return parameters;
+    }
+    
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+        
+        this.undoStack.push(step);
+        
+        const parameters = {};
+        for (const [name, change] of step.changes) {
+            parameters[name] = change.value;
+        }
+        return parameters;
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+    
+    /**
+     * CHECKPOINTS
+     */
+    
+    createCheckpoint(name, parameters) {
+        if (!this.checkpoints.has(name) && this.checkpoints.size >= this.config.maxCheckpoints) {
+            // Drop the oldest checkpoint
+            const oldest = this.checkpoints.keys().next().value;
+            this.checkpoints.delete(oldest);
+        }
+        
+        this.checkpoints.set(name, {
+            name,
+            timestamp: Date.now(),
+            parameters: { ...parameters }
+        });
+        
+        return true;
+    }
+    
+    getCheckpoint(name) {
+        const checkpoint = this.checkpoints.get(name);
+        return checkpoint ? { ...checkpoint, parameters: { ...checkpoint.parameters } } : null;
+    }
+    
+    removeCheckpoint(name) {
+        return this.checkpoints.delete(name);
+    }
+    
+    getCheckpointNames() {
+        return Array.from(this.checkpoints.keys());
+    }
+    
+    /**
+     * STATUS AND DEBUGGING
+     */
+    
+    getStatus() {
+        return {
+            undoSteps: this.undoStack.length,
+            redoSteps: this.redoStack.length,
+            checkpoints: this.checkpoints.size,
+            maxSteps: this.config.maxSteps
+        };
+    }
+}
+
+// Export for module system
+export { ParameterHistory };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ParameterHistory = ParameterHistory;
+    console.log('📜 ParameterHistory loaded and available globally');
+}
\ No newline at end of file
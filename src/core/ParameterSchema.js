@@ -0,0 +1,84 @@
+/**
+ * PARAMETER SCHEMA
+ * Built-in parameter definitions shared by VIB3HomeMaster and PresetDatabase
+ * 
+ * Responsibilities:
+ * - Define defaults, ranges, types and categories for core parameters
+ * - Build HomeMaster state and metadata from definitions
+ * - Derive the PresetDatabase validation schema from the same source
+ */
+
+const DEFAULT_PARAMETER_DEFINITIONS = {
+    // Core 4D parameters
+    dimension: { default: 3.5, min: 3.0, max: 4.5, type: 'float', category: 'core' },
+    morphFactor: { default: 0.5, min: 0.0, max: 1.5, type: 'float', category: 'core' },
+    rotationSpeed: { default: 0.5, min: 0.0, max: 2.0, type: 'float', category: 'core' },
+    
+    // Visual parameters
+    intensity: { default: 0.8, min: 0.0, max: 1.0, type: 'float', category: 'visual' },
+    glitchIntensity: { default: 0.5, min: 0.0, max: 1.0, type: 'float', category: 'visual' },
+    gridDensity: { default: 12.0, min: 5.0, max: 25.0, type: 'float', category: 'visual' },
+    
+    // Interaction parameters
+    interactionIntensity: { default: 0.3, min: 0.0, max: 1.0, type: 'float', category: 'interaction' },
+    
+    // Geometry parameters
+    geometry: { default: 0, min: 0, max: 7, type: 'int', category: 'geometry' }, // Index of current geometry (0-7)
+    
+    // Time-based parameters
+    globalTime: { default: 0.0, min: 0.0, max: Infinity, type: 'float', category: 'time' },
+    animationSpeed: { default: 1.0, min: 0.1, max: 3.0, type: 'float', category: 'time' }
+};
+
+function createParameterDefaults(definitions = DEFAULT_PARAMETER_DEFINITIONS) {
+    const parameters = {};
+    for (const [name, definition] of Object.entries(definitions)) {
+        parameters[name] = definition.default;
+    }
+    return parameters;
+}
+
+function createParameterMeta(definitions = DEFAULT_PARAMETER_DEFINITIONS, builtIn = true) {
+    const meta = {};
+    for (const [name, { default: defaultValue, ...definition }] of Object.entries(definitions)) {
+        meta[name] = { ...definition, default: defaultValue, builtIn };
+    }
+    return meta;
+}
+
+// PresetDatabase speaks 'number'/'integer' rather than 'float'/'int';
+// richer types keep their ParameterTypes name and metadata
+function createPresetParameterSchema(parameterMeta = createParameterMeta()) {
+    const schema = {};
+    for (const [name, meta] of Object.entries(parameterMeta)) {
+        if (meta.type === 'float' || meta.type === 'int') {
+            schema[name] = {
+                type: meta.type === 'int' ? 'integer' : 'number',
+                min: meta.min,
+                max: meta.max
+            };
+        } else {
+            schema[name] = { ...meta };
+        }
+    }
+    return schema;
+}
+
+// Export for module system
+export {
+    DEFAULT_PARAMETER_DEFINITIONS,
+    createParameterDefaults,
+    createParameterMeta,
+    createPresetParameterSchema
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.VIB3ParameterSchema = {
+        DEFAULT_PARAMETER_DEFINITIONS,
+        createParameterDefaults,
+        createParameterMeta,
+        createPresetParameterSchema
+    };
+    console.log('📐 ParameterSchema loaded and available globally');
+}
\ No newline at end of file
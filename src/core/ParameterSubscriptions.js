@@ -0,0 +1,219 @@
+/**
+ * PARAMETER SUBSCRIPTIONS
+ * Selector-based change notifications for VIB3HomeMaster
+ * 
+ * Responsibilities:
+ * - Select a slice of parameter state (name, list of names, or function)
+ * - Notify only when the selected slice actually changes (custom equality)
+ * - Batch notifications per update tick, with the changes that caused them
+ * - Throttle noisy subscribers; the latest value is delivered when the window ends
+ * 
+ * Callbacks receive (next, prev, details) where details is
+ * { changes: [{ name, value, oldValue, source }], sources, timestamp }.
+ */
+
+/**
+ * SHARED HELPERS
+ */
+
+function valuesMatch(a, b) {
+    if (Object.is(a, b)) return true;
+    
+    // Vectors and colors compare by component
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, i) => Object.is(value, b[i]));
+    }
+    return false;
+}
+
+function shallowEqual(a, b) {
+    if (valuesMatch(a, b)) return true;
+    
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) || Array.isArray(b)) {
+        return false;
+    }
+    
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => valuesMatch(a[key], b[key]));
+}
+
+function createSelector(selector) {
+    if (typeof selector === 'function') {
+        return { select: selector, names: null };
+    }
+    
+    if (typeof selector === 'string') {
+        return { select: parameters => parameters[selector], names: [selector] };
+    }
+    
+    if (Array.isArray(selector)) {
+        return {
+            select: (parameters) => {
+                const slice = {};
+                for (const name of selector) {
+                    slice[name] = parameters[name];
+                }
+                return slice;
+            },
+            names: [...selector]
+        };
+    }
+    
+    return null;
+}
+
+/**
+ * SUBSCRIPTIONS
+ */
+
+class ParameterSubscriptions {
+    constructor(config = {}) {
+        // Time source; anything with now() in ms (see utils/Clock.js)
+        this.clock = config.clock || null;
+        
+        this.subscriptions = new Map();
+        this.subscriptionCounter = 0;
+    }
+    
+    add(selector, callback, options = {}, parameters = {}) {
+        const selection = createSelector(selector);
+        if (!selection || typeof callback !== 'function') {
+            console.warn('subscribe() needs a selector (name, names or function) and a callback');
+            return null;
+        }
+        
+        const {
+            throttle = 0,
+            equality = shallowEqual,
+            effective = false,
+            immediate = false
+        } = options;
+        
+        const id = ++this.subscriptionCounter;
+        const subscription = {
+            id,
+            ...selection,
+            callback,
+            throttle,
+            equality,
+            effective,
+            value: this.safeSelect(selection.select, parameters),
+            lastNotified: -Infinity,
+            pending: null
+        };
+        
+        this.subscriptions.set(id, subscription);
+        
+        if (immediate) {
+            this.invoke(subscription, subscription.value, undefined, { changes: [], sources: [], timestamp: this.now() });
+        }
+        
+        return id;
+    }
+    
+    remove(id) {
+        return this.subscriptions.delete(id);
+    }
+    
+    clear() {
+        this.subscriptions.clear();
+    }
+    
+    get size() {
+        return this.subscriptions.size;
+    }
+    
+    now() {
+        return this.clock ? this.clock.now() : performance.now();
+    }
+    
+    /**
+     * NOTIFICATION
+     */
+    
+    // Called once per update tick with the state after all updates were applied
+    notify(parameters, changes, { effective = false, now = this.now() } = {}) {
+        if (this.subscriptions.size === 0 || changes.length === 0) return;
+        
+        const changedNames = new Set(changes.map(change => change.name));
+        
+        for (const subscription of Array.from(this.subscriptions.values())) {
+            if (subscription.effective !== effective) continue;
+            
+            // Name selectors can skip ticks that don't touch them
+            if (subscription.names && !subscription.names.some(name => changedNames.has(name))) continue;
+            
+            const next = this.safeSelect(subscription.select, parameters);
+            const relevant = subscription.names ?
+                changes.filter(change => subscription.names.includes(change.name)) : changes;
+            
+            if (subscription.pending) {
+                // Still inside the throttle window: fold into the pending notification
+                subscription.pending.next = next;
+                subscription.pending.changes.push(...relevant);
+                this.flushSubscription(subscription, now);
+                continue;
+            }
+            
+            if (subscription.equality(subscription.value, next)) continue;
+            
+            subscription.pending = { prev: subscription.value, next, changes: [...relevant] };
+            this.flushSubscription(subscription, now);
+        }
+    }
+    
+    // Deliver throttled notifications whose window has elapsed
+    flush(now = this.now()) {
+        for (const subscription of Array.from(this.subscriptions.values())) {
+            if (subscription.pending) {
+                this.flushSubscription(subscription, now);
+            }
+        }
+    }
+    
+    flushSubscription(subscription, now) {
+        if (now - subscription.lastNotified < subscription.throttle) return;
+        
+        const { prev, next, changes } = subscription.pending;
+        subscription.pending = null;
+        
+        // Changes inside the window may have cancelled out
+        if (subscription.equality(prev, next)) return;
+        
+        subscription.value = next;
+        subscription.lastNotified = now;
+        
+        this.invoke(subscription, next, prev, {
+            changes,
+            sources: Array.from(new Set(changes.map(change => change.source))),
+            timestamp: now
+        });
+    }
+    
+    invoke(subscription, next, prev, details) {
+        try {
+            subscription.callback(next, prev, details);
+        } catch (error) {
+            console.error('Error in parameter subscription:', error);
+        }
+    }
+    
+    safeSelect(select, parameters) {
+        try {
+            return select(parameters);
+        } catch (error) {
+            console.error('Error in parameter selector:', error);
+            return undefined;
+        }
+    }
+}
+
+// Export for module system
+export { ParameterSubscriptions, shallowEqual };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ParameterSubscriptions = ParameterSubscriptions;
+    console.log('📬 ParameterSubscriptions loaded and available globally');
+}
\ No newline at end of file
@@ -0,0 +1,407 @@
+/**
+ * PARAMETER TYPES
+ * Type handlers for VIB3HomeMaster parameters
+ * 
+ * Responsibilities:
+ * - Validate, coerce and clamp values per parameter type
+ * - Interpolate between values (tweens, timelines, modulation)
+ * - Compare values structurally (vectors, colors)
+ * - Serialize values for CSS custom properties and WebGL uniforms
+ * 
+ * Value representations:
+ * - float/int: number
+ * - boolean: true/false
+ * - enum: one of meta.options (string)
+ * - vec2/vec3/vec4: array of numbers
+ * - color: [r, g, b, a] with every channel in 0..1
+ */
+
+const VECTOR_COMPONENTS = ['x', 'y', 'z', 'w'];
+
+/**
+ * SHARED HELPERS
+ */
+
+function clampNumber(value, min, max) {
+    if (typeof min === 'number' && value < min) value = min;
+    if (typeof max === 'number' && value > max) value = max;
+    return value;
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function roundForCSS(value) {
+    return String(Math.round(value * 10000) / 10000);
+}
+
+function parseVector(value, size) {
+    let components = null;
+    
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+        components = Array.from(value);
+    } else if (typeof value === 'string') {
+        components = value.split(/[\s,]+/).filter(part => part.length > 0);
+    } else if (value && typeof value === 'object') {
+        components = VECTOR_COMPONENTS.slice(0, size).map(key => value[key]);
+    }
+    
+    if (!components || components.length !== size) return null;
+    
+    const parsed = components.map(component => parseFloat(component));
+    return parsed.some(component => isNaN(component)) ? null : parsed;
+}
+
+function hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360 / 360;
+    
+    if (s === 0) return [l, l, l];
+    
+    const hueToChannel = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    
+    return [
+        hueToChannel(p, q, h + 1 / 3),
+        hueToChannel(p, q, h),
+        hueToChannel(p, q, h - 1 / 3)
+    ];
+}
+
+function parseColorChannel(part, scale) {
+    const value = parseFloat(part);
+    if (isNaN(value)) return NaN;
+    return part.trim().endsWith('%') ? value / 100 : value / scale;
+}
+
+function parseColor(value) {
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+        const channels = Array.from(value).map(channel => parseFloat(channel));
+        if (channels.length === 3) channels.push(1);
+        return channels.length === 4 && !channels.some(isNaN) ? channels : null;
+    }
+    
+    if (value && typeof value === 'object') {
+        // Object form follows CSS conventions: r/g/b in 0..255, alpha in 0..1
+        const channels = [value.r / 255, value.g / 255, value.b / 255, value.a === undefined ? 1 : value.a];
+        return channels.some(isNaN) ? null : channels;
+    }
+    
+    if (typeof value !== 'string') return null;
+    
+    const input = value.trim().toLowerCase();
+    
+    // Hex: #rgb, #rgba, #rrggbb, #rrggbbaa
+    const hexMatch = input.match(/^#([0-9a-f]{3,8})$/);
+    if (hexMatch) {
+        let hex = hexMatch[1];
+        if (hex.length === 3 || hex.length === 4) {
+            hex = hex.split('').map(digit => digit + digit).join('');
+        }
+        if (hex.length !== 6 && hex.length !== 8) return null;
+        
+        const channels = [];
+        for (let i = 0; i < hex.length; i += 2) {
+            channels.push(parseInt(hex.slice(i, i + 2), 16) / 255);
+        }
+        if (channels.length === 3) channels.push(1);
+        return channels;
+    }
+    
+    // Functional: rgb()/rgba()/hsl()/hsla()
+    const functionMatch = input.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (!functionMatch) return null;
+    
+    const parts = functionMatch[2].split(/[\s,/]+/).filter(part => part.length > 0);
+    if (parts.length < 3 || parts.length > 4) return null;
+    
+    const alpha = parts.length === 4 ? parseColorChannel(parts[3], 1) : 1;
+    
+    let channels;
+    if (functionMatch[1].startsWith('rgb')) {
+        channels = [
+            parseColorChannel(parts[0], 255),
+            parseColorChannel(parts[1], 255),
+            parseColorChannel(parts[2], 255),
+            alpha
+        ];
+    } else {
+        const hue = parseFloat(parts[0]);
+        const saturation = parseFloat(parts[1]) / 100;
+        const lightness = parseFloat(parts[2]) / 100;
+        if ([hue, saturation, lightness].some(isNaN)) return null;
+        channels = [...hslToRgb(hue, saturation, lightness), alpha];
+    }
+    
+    return channels.some(isNaN) ? null : channels;
+}
+
+function createVectorType(size) {
+    const uniformType = `vec${size}`;
+    
+    return {
+        defaultMeta: { min: -Infinity, max: Infinity, default: new Array(size).fill(0) },
+        
+        validate(value, meta) {
+            const vector = parseVector(value, size);
+            if (!vector) return null;
+            
+            // min/max may be a scalar or a per-component array
+            return vector.map((component, i) => clampNumber(
+                component,
+                Array.isArray(meta.min) ? meta.min[i] : meta.min,
+                Array.isArray(meta.max) ? meta.max[i] : meta.max
+            ));
+        },
+        
+        interpolate(from, to, t) {
+            return from.map((component, i) => lerp(component, to[i], t));
+        },
+        
+        equals(a, b) {
+            return Array.isArray(a) && Array.isArray(b) &&
+                a.length === b.length && a.every((component, i) => component === b[i]);
+        },
+        
+        toCSSProperties(value) {
+            const properties = { '': value.map(roundForCSS).join(' ') };
+            value.forEach((component, i) => {
+                properties[`-${VECTOR_COMPONENTS[i]}`] = roundForCSS(component);
+            });
+            return properties;
+        },
+        
+        toUniform(value) {
+            return { type: uniformType, value: value.slice() };
+        }
+    };
+}
+
+/**
+ * TYPE HANDLERS
+ */
+
+const PARAMETER_TYPES = {
+    float: {
+        defaultMeta: { min: 0.0, max: 1.0 },
+        
+        validate(value, meta) {
+            value = parseFloat(value);
+            if (isNaN(value)) return null;
+            return clampNumber(value, meta.min, meta.max);
+        },
+        
+        interpolate(from, to, t) {
+            return lerp(from, to, t);
+        },
+        
+        equals(a, b) {
+            return a === b;
+        },
+        
+        toCSSProperties(value) {
+            return { '': String(value) };
+        },
+        
+        toUniform(value) {
+            return { type: 'float', value };
+        }
+    },
+    
+    int: {
+        defaultMeta: { min: 0, max: 1 },
+        
+        validate(value, meta) {
+            value = parseInt(value);
+            if (isNaN(value)) return null;
+            return clampNumber(value, meta.min, meta.max);
+        },
+        
+        interpolate(from, to, t) {
+            return Math.round(lerp(from, to, t));
+        },
+        
+        equals(a, b) {
+            return a === b;
+        },
+        
+        toCSSProperties(value) {
+            return { '': String(value) };
+        },
+        
+        toUniform(value) {
+            return { type: 'int', value };
+        }
+    },
+    
+    boolean: {
+        defaultMeta: { default: false },
+        
+        validate(value) {
+            if (typeof value === 'boolean') return value;
+            if (value === 1 || value === 0) return value === 1;
+            if (typeof value === 'string') {
+                const input = value.trim().toLowerCase();
+                if (['true', '1', 'on', 'yes'].includes(input)) return true;
+                if (['false', '0', 'off', 'no'].includes(input)) return false;
+            }
+            return null;
+        },
+        
+        // Discrete values switch once the transition completes
+        interpolate(from, to, t) {
+            return t >= 1 ? to : from;
+        },
+        
+        equals(a, b) {
+            return a === b;
+        },
+        
+        toCSSProperties(value) {
+            return { '': value ? '1' : '0' };
+        },
+        
+        toUniform(value) {
+            return { type: 'bool', value: value ? 1 : 0 };
+        }
+    },
+    
+    enum: {
+        defaultMeta: { options: [] },
+        
+        validate(value, meta) {
+            const options = meta.options || [];
+            if (options.includes(value)) return value;
+            
+            // Numeric input selects by index
+            if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value < options.length) {
+                return options[value];
+            }
+            return null;
+        },
+        
+        interpolate(from, to, t) {
+            return t >= 1 ? to : from;
+        },
+        
+        equals(a, b) {
+            return a === b;
+        },
+        
+        toCSSProperties(value) {
+            return { '': String(value) };
+        },
+        
+        toUniform(value, meta) {
+            return { type: 'int', value: (meta.options || []).indexOf(value) };
+        }
+    },
+    
+    vec2: createVectorType(2),
+    vec3: createVectorType(3),
+    vec4: createVectorType(4),
+    
+    color: {
+        defaultMeta: { default: [1, 1, 1, 1] },
+        
+        validate(value) {
+            const channels = parseColor(value);
+            if (!channels) return null;
+            return channels.map(channel => clampNumber(channel, 0, 1));
+        },
+        
+        interpolate(from, to, t) {
+            return from.map((channel, i) => lerp(channel, to[i], t));
+        },
+        
+        equals(a, b) {
+            return Array.isArray(a) && Array.isArray(b) &&
+                a.length === b.length && a.every((channel, i) => channel === b[i]);
+        },
+        
+        toCSSProperties(value) {
+            const [r, g, b, a] = value;
+            return {
+                '': `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${roundForCSS(a)})`
+            };
+        },
+        
+        toUniform(value) {
+            return { type: 'vec4', value: value.slice() };
+        }
+    }
+};
+
+const SUPPORTED_PARAMETER_TYPES = Object.keys(PARAMETER_TYPES);
+
+/**
+ * PUBLIC API
+ */
+
+function getParameterType(type) {
+    return PARAMETER_TYPES[type] || null;
+}
+
+function validateParameterValue(value, meta) {
+    const handler = getParameterType(meta.type);
+    return handler ? handler.validate(value, meta) : null;
+}
+
+function interpolateParameterValue(from, to, t, meta) {
+    const handler = getParameterType(meta.type);
+    if (!handler) return t >= 1 ? to : from;
+    return handler.interpolate(from, to, t, meta);
+}
+
+function parameterValuesEqual(a, b, meta) {
+    const handler = meta ? getParameterType(meta.type) : null;
+    return handler ? handler.equals(a, b) : a === b;
+}
+
+function serializeParameterForCSS(value, meta) {
+    const handler = meta ? getParameterType(meta.type) : null;
+    return handler ? handler.toCSSProperties(value, meta) : { '': String(value) };
+}
+
+function serializeParameterForWebGL(value, meta) {
+    const handler = meta ? getParameterType(meta.type) : null;
+    return handler ? handler.toUniform(value, meta) : { type: 'float', value };
+}
+
+// Export for module system
+export {
+    PARAMETER_TYPES,
+    SUPPORTED_PARAMETER_TYPES,
+    VECTOR_COMPONENTS,
+    parseColor,
+    getParameterType,
+    validateParameterValue,
+    interpolateParameterValue,
+    parameterValuesEqual,
+    serializeParameterForCSS,
+    serializeParameterForWebGL
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.VIB3ParameterTypes = {
+        PARAMETER_TYPES,
+        SUPPORTED_PARAMETER_TYPES,
+        parseColor,
+        validateParameterValue,
+        interpolateParameterValue,
+        parameterValuesEqual,
+        serializeParameterForCSS,
+        serializeParameterForWebGL
+    };
+    console.log('🧬 ParameterTypes loaded and available globally');
+}
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * SOURCE ARBITER
+ * Decides which source may write a VIB3HomeMaster parameter
+ * 
+ * Responsibilities:
+ * - Rank sources by priority (user input over PerformanceMonitor, etc.)
+ * - Hold a parameter for its last writer so lower-priority sources back off
+ * - Temporary locks ("preset owns geometry for 5s")
+ * - Per-parameter ownership rules (only listed sources may write)
+ * - Explain every rejection with a reason
+ * 
+ * Check order: exempt sources -> ownership -> locks -> priority hold
+ */
+
+// Explicit choices (presets) outrank continuous input; automatic
+// adjustments (PerformanceMonitor) yield to everything else
+const DEFAULT_SOURCE_PRIORITIES = {
+    recovery: 100,
+    fallback: 90,
+    preset: 75,
+    keyboard: 70,
+    mouse: 70,
+    scroll: 70,
+    click: 70,
+    touch: 70,
+    osc: 70,
+    midi: 70,
+    gamepad: 70,
+    api: 60,
+    remote: 60,
+    audio: 50,
+    animation: 50,
+    timeline: 40,
+    performance: 10
+};
+
+class SourceArbiter {
+    constructor(config = {}) {
+        this.config = {
+            defaultPriority: 50,
+            holdMS: 3000,
+            // Replays of already-arbitrated state are never blocked; 'sync' writes were
+            // arbitrated in the tab that made them, and dropping one leaves the tabs out of step
+            exemptSources: ['history', 'checkpoint', 'derived', 'restore', 'sync'],
+            // May write through locks (but not ownership rules)
+            lockBypassSources: ['recovery'],
+            ...config
+        };
+        
+        // Time source; anything with now() in ms (see utils/Clock.js)
+        this.clock = config.clock || null;
+        
+        this.priorities = { ...DEFAULT_SOURCE_PRIORITIES, ...(config.priorities || {}) };
+        
+        // Last accepted writer per parameter: name -> { source, priority, time }
+        this.holders = new Map();
+        
+        // Active locks per parameter: name -> { id, source, expiresAt, reason }
+        this.locks = new Map();
+        
+        // Ownership rules: name -> Set of sources
+        this.owners = new Map();
+        
+        this.lockCounter = 0;
+    }
+    
+    now() {
+        return this.clock ? this.clock.now() : performance.now();
+    }
+    
+    /**
+     * PRIORITIES
+     */
+    
+    setPriority(source, priority) {
+        this.priorities[source] = priority;
+    }
+    
+    getPriority(source) {
+        return this.priorities[source] ?? this.config.defaultPriority;
+    }
+    
+    /**
+     * LOCKS
+     */
+    
+    lock(name, source, { duration = null, reason = null, now = this.now() } = {}) {
+        const existing = this.getLock(name, now);
+        if (existing && existing.source !== source) {
+            return null;
+        }
+        
+        const lock = {
+            id: `lock_${++this.lockCounter}`,
+            name,
+            source,
+            reason,
+            expiresAt: duration ? now + duration : null
+        };
+        this.locks.set(name, lock);
+        return lock.id;
+    }
+    
+    unlock(nameOrId) {
+        if (this.locks.delete(nameOrId)) return true;
+        
+        for (const [name, lock] of this.locks) {
+            if (lock.id === nameOrId) {
+                this.locks.delete(name);
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    getLock(name, now = this.now()) {
+        const lock = this.locks.get(name);
+        if (!lock) return null;
+        
+        if (lock.expiresAt !== null && now >= lock.expiresAt) {
+            this.locks.delete(name);
+            return null;
+        }
+        return lock;
+    }
+    
+    getLocks(now = this.now()) {
+        const locks = [];
+        for (const name of Array.from(this.locks.keys())) {
+            const lock = this.getLock(name, now);
+            if (lock) locks.push({ ...lock });
+        }
+        return locks;
+    }
+    
+    /**
+     * OWNERSHIP
+     */
+    
+    setOwners(name, sources) {
+        if (!sources || sources.length === 0) {
+            this.owners.delete(name);
+            return;
+        }
+        this.owners.set(name, new Set(sources));
+    }
+    
+    getOwners(name) {
+        const owners = this.owners.get(name);
+        return owners ? Array.from(owners) : null;
+    }
+    
+    /**
+     * ARBITRATION
+     */
+    
+    check(name, source, now = this.now()) {
+        if (this.config.exemptSources.includes(source)) {
+            return { allowed: true };
+        }
+        
+        const owners = this.owners.get(name);
+        if (owners && !owners.has(source)) {
+            return {
+                allowed: false,
+                reason: 'owned',
+                message: `${name} is owned by ${Array.from(owners).join(', ')}`,
+                holder: Array.from(owners)
+            };
+        }
+        
+        const lock = this.getLock(name, now);
+        if (lock && lock.source !== source && !this.config.lockBypassSources.includes(source)) {
+            return {
+                allowed: false,
+                reason: 'locked',
+                message: `${name} is locked by ${lock.source}${lock.reason ? ` (${lock.reason})` : ''}`,
+                holder: lock.source
+            };
+        }
+        
+        const holder = this.holders.get(name);
+        const priority = this.getPriority(source);
+        if (holder && holder.source !== source && holder.priority > priority &&
+            now - holder.time < this.config.holdMS) {
+            return {
+                allowed: false,
+                reason: 'priority',
+                message: `${name} is held by ${holder.source} (priority ${holder.priority} > ${priority})`,
+                holder: holder.source
+            };
+        }
+        
+        return { allowed: true };
+    }
+    
+    recordWrite(name, source, now = this.now()) {
+        if (this.config.exemptSources.includes(source)) return;
+        
+        this.holders.set(name, { source, priority: this.getPriority(source), time: now });
+    }
+    
+    forget(name) {
+        this.holders.delete(name);
+        this.locks.delete(name);
+        this.owners.delete(name);
+    }
+    
+    getStatus(now = this.now()) {
+        return {
+            priorities: { ...this.priorities },
+            locks: this.getLocks(now),
+            owners: Object.fromEntries(Array.from(this.owners.entries()).map(([name, sources]) => [name, Array.from(sources)]))
+        };
+    }
+}
+
+// Export for module system
+export { SourceArbiter, DEFAULT_SOURCE_PRIORITIES };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.SourceArbiter = SourceArbiter;
+    console.log('⚖️ SourceArbiter loaded and available globally');
+}
\ No newline at end of file
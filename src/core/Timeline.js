@@ -0,0 +1,317 @@
+/**
+ * TIMELINE
+ * Keyframed parameter tracks with play/pause/seek/loop
+ * 
+ * Responsibilities:
+ * - Hold one keyframe track per parameter (values, easing per segment)
+ * - Hold geometry switches and named cues
+ * - Evaluate every track at a timeline position (pure, replayable)
+ * - Track playback against an external clock (VIB3HomeMaster's globalTime)
+ * - Serialize to/from JSON so timelines can travel with presets
+ * 
+ * Events: 'cue', 'loop', 'ended', 'changed' (tracks or cues edited)
+ */
+
+import { EventEmitterBase } from '../utils/EventEmitterBase.js';
+import { resolveEasing } from '../utils/Easing.js';
+import { interpolateParameterValue } from './ParameterTypes.js';
+
+const GEOMETRY_TRACK = 'geometry';
+
+class Timeline extends EventEmitterBase {
+    constructor(data = {}) {
+        super();
+        
+        this.name = data.name || 'untitled';
+        this.duration = data.duration ?? null; // null = end of last keyframe/cue
+        this.loop = !!data.loop;
+        
+        // Tracks keyed by parameter name: { mode, keyframes: [{ time, value, easing }] }
+        this.tracks = new Map();
+        
+        // Cues: [{ time, name, data }]
+        this.cues = [];
+        
+        // Playback state (positions in seconds, clock times in globalTime seconds)
+        this.playing = false;
+        this.position = 0;
+        this.anchorTime = 0;
+        this.lap = 0;
+        this.atStart = true; // cues at the very start fire on the first update
+        
+        if (data.tracks || data.cues) {
+            this.loadTracks(data);
+        }
+    }
+    
+    /**
+     * TRACK EDITING
+     */
+    
+    addKeyframe(name, time, value, options = {}) {
+        if (!this.tracks.has(name)) {
+            // Geometry indices switch rather than blend
+            this.tracks.set(name, { mode: name === GEOMETRY_TRACK ? 'step' : 'smooth', keyframes: [] });
+        }
+        
+        const track = this.tracks.get(name);
+        if (options.mode) {
+            track.mode = options.mode;
+        }
+        
+        const keyframe = { time: Math.max(0, time), value, easing: options.easing || 'linear' };
+        
+        // Replace a keyframe at the same time, otherwise insert in order
+        const existing = track.keyframes.findIndex(frame => frame.time === keyframe.time);
+        if (existing !== -1) {
+            track.keyframes[existing] = keyframe;
+        } else {
+            track.keyframes.push(keyframe);
+            track.keyframes.sort((a, b) => a.time - b.time);
+        }
+        
+        this.emit('changed', { timeline: this.name });
+        return keyframe;
+    }
+    
+    removeKeyframe(name, time) {
+        const track = this.tracks.get(name);
+        if (!track) return false;
+        
+        const index = track.keyframes.findIndex(frame => frame.time === time);
+        if (index === -1) return false;
+        
+        track.keyframes.splice(index, 1);
+        if (track.keyframes.length === 0) {
+            this.tracks.delete(name);
+        }
+        this.emit('changed', { timeline: this.name });
+        return true;
+    }
+    
+    addGeometrySwitch(time, geometry) {
+        return this.addKeyframe(GEOMETRY_TRACK, time, geometry, { mode: 'step' });
+    }
+    
+    removeTrack(name) {
+        if (!this.tracks.delete(name)) return false;
+        
+        this.emit('changed', { timeline: this.name });
+        return true;
+    }
+    
+    addCue(time, name, data = null) {
+        const cue = { time: Math.max(0, time), name, data };
+        this.cues.push(cue);
+        this.cues.sort((a, b) => a.time - b.time);
+        this.emit('changed', { timeline: this.name });
+        return cue;
+    }
+    
+    removeCue(name) {
+        const before = this.cues.length;
+        this.cues = this.cues.filter(cue => cue.name !== name);
+        if (this.cues.length === before) return false;
+        
+        this.emit('changed', { timeline: this.name });
+        return true;
+    }
+    
+    getDuration() {
+        if (this.duration !== null) return this.duration;
+        
+        let end = 0;
+        for (const track of this.tracks.values()) {
+            const last = track.keyframes[track.keyframes.length - 1];
+            if (last) end = Math.max(end, last.time);
+        }
+        for (const cue of this.cues) {
+            end = Math.max(end, cue.time);
+        }
+        return end;
+    }
+    
+    /**
+     * EVALUATION
+     */
+    
+    evaluate(position, getMeta = () => null) {
+        const values = {};
+        
+        for (const [name, track] of this.tracks) {
+            const value = this.evaluateTrack(track, position, getMeta(name));
+            if (value !== undefined) {
+                values[name] = value;
+            }
+        }
+        
+        return values;
+    }
+    
+    evaluateTrack(track, position, meta) {
+        const keyframes = track.keyframes;
+        if (keyframes.length === 0) return undefined;
+        
+        // Hold the first/last value outside the keyframed range
+        if (position <= keyframes[0].time) return keyframes[0].value;
+        
+        const last = keyframes[keyframes.length - 1];
+        if (position >= last.time) return last.value;
+        
+        let index = 0;
+        while (keyframes[index + 1].time <= position) index++;
+        
+        const from = keyframes[index];
+        if (track.mode === 'step' || !meta) return from.value;
+        
+        const to = keyframes[index + 1];
+        const progress = (position - from.time) / (to.time - from.time);
+        
+        return interpolateParameterValue(from.value, to.value, resolveEasing(from.easing)(progress), meta);
+    }
+    
+    /**
+     * PLAYBACK
+     */
+    
+    play(clockTime) {
+        if (this.playing) return;
+        
+        // Restart from the top when a finished timeline is played again
+        if (!this.loop && this.position >= this.getDuration()) {
+            this.position = 0;
+        }
+        
+        this.playing = true;
+        this.anchorTime = clockTime - this.position;
+        this.lap = 0;
+        this.atStart = this.position === 0;
+    }
+    
+    pause(clockTime) {
+        if (!this.playing) return;
+        
+        this.position = this.getPosition(clockTime);
+        this.playing = false;
+    }
+    
+    stop() {
+        this.playing = false;
+        this.position = 0;
+        this.atStart = true;
+    }
+    
+    seek(position, clockTime) {
+        this.position = Math.max(0, Math.min(position, this.getDuration()));
+        this.anchorTime = clockTime - this.position;
+        this.lap = 0;
+        this.atStart = this.position === 0;
+    }
+    
+    getPosition(clockTime) {
+        if (!this.playing) return this.position;
+        
+        const elapsed = Math.max(0, clockTime - this.anchorTime);
+        const duration = this.getDuration();
+        
+        if (duration <= 0) return 0;
+        if (this.loop) return elapsed % duration;
+        return Math.min(elapsed, duration);
+    }
+    
+    // Advance playback to clockTime; fires cues crossed since the last update
+    update(clockTime) {
+        if (!this.playing) return this.position;
+        
+        const previous = this.position;
+        const duration = this.getDuration();
+        const position = this.getPosition(clockTime);
+        const lap = this.loop && duration > 0 ?
+            Math.floor(Math.max(0, clockTime - this.anchorTime) / duration) : 0;
+        
+        if (lap > this.lap) {
+            // Finish the lap, then replay cues from the top of the new one. A long frame (or a
+            // background tab) can cross several laps at once: one event, laps says how many.
+            // Cues of the laps skipped in between aren't replayed.
+            this.fireCues(previous, duration, this.atStart);
+            this.emit('loop', { timeline: this.name, lap, laps: lap - this.lap });
+            this.fireCues(0, position, true);
+            this.lap = lap;
+        } else {
+            this.fireCues(previous, position, this.atStart);
+        }
+        
+        this.atStart = false;
+        this.position = position;
+        
+        if (!this.loop && position >= duration) {
+            this.playing = false;
+            this.emit('ended', { timeline: this.name });
+        }
+        
+        return position;
+    }
+    
+    fireCues(from, to, includeStart) {
+        for (const cue of this.cues) {
+            const afterStart = includeStart ? cue.time >= from : cue.time > from;
+            if (afterStart && cue.time <= to) {
+                this.emit('cue', { timeline: this.name, name: cue.name, time: cue.time, data: cue.data });
+            }
+        }
+    }
+    
+    isPlaying() {
+        return this.playing;
+    }
+    
+    /**
+     * SERIALIZATION
+     */
+    
+    toJSON() {
+        const tracks = {};
+        for (const [name, track] of this.tracks) {
+            tracks[name] = {
+                mode: track.mode,
+                keyframes: track.keyframes.map(frame => ({ ...frame }))
+            };
+        }
+        
+        return {
+            name: this.name,
+            duration: this.duration,
+            loop: this.loop,
+            tracks,
+            cues: this.cues.map(cue => ({ ...cue }))
+        };
+    }
+    
+    loadTracks(data) {
+        this.tracks.clear();
+        this.cues = [];
+        
+        for (const [name, track] of Object.entries(data.tracks || {})) {
+            for (const frame of track.keyframes || []) {
+                this.addKeyframe(name, frame.time, frame.value, { easing: frame.easing, mode: track.mode });
+            }
+        }
+        
+        for (const cue of data.cues || []) {
+            this.addCue(cue.time, cue.name, cue.data);
+        }
+    }
+    
+    static fromJSON(data) {
+        return new Timeline(typeof data === 'string' ? JSON.parse(data) : data);
+    }
+}
+
+// Export for module system
+export { Timeline };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.Timeline = Timeline;
+    console.log('🎬 Timeline loaded and available globally');
+}
\ No newline at end of file
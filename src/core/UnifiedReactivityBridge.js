@@ -3,6 +3,12 @@
  * Coordinates CSS, JS, and WebGL synchronization for the VIB34D system
  */
 
+import {
+    VECTOR_COMPONENTS,
+    serializeParameterForCSS,
+    serializeParameterForWebGL
+} from './ParameterTypes.js';
+
 class UnifiedReactivityBridge extends EventTarget {
     constructor(config = {}) {
         super();
@@ -15,6 +21,9 @@ class UnifiedReactivityBridge extends EventTarget {
             ...config
         };
         
+        // System references
+        this.homeMaster = config.homeMaster || null;
+        
         // State management
         this.state = {
             cssProperties: new Map(),
@@ -22,6 +31,9 @@ class UnifiedReactivityBridge extends EventTarget {
             webglUniforms: new Map()
         };
         
+        // Parameters registered at runtime through VIB3HomeMaster
+        this.registeredParameters = new Map();
+        
         // Synchronization queues
         this.syncQueue = [];
         this.isProcessing = false;
@@ -136,7 +148,19 @@ class UnifiedReactivityBridge extends EventTarget {
     
     updateCSS(property, value) {
         const cssProperty = `--vib3-${property}`;
-        document.documentElement.style.setProperty(cssProperty, value);
+        const meta = this.getParameterMeta(property);
+        
+        if (meta) {
+            // Typed parameters may expand to several properties (e.g. --vib3-offset-x)
+            const cssProperties = serializeParameterForCSS(value, meta);
+            for (const [suffix, cssValue] of Object.entries(cssProperties)) {
+                document.documentElement.style.setProperty(`${cssProperty}${suffix}`, cssValue);
+            }
+            value = cssProperties[''];
+        } else {
+            document.documentElement.style.setProperty(cssProperty, value);
+        }
+        
         this.state.cssProperties.set(property, value);
         
         if (this.config.debugMode) {
@@ -164,11 +188,20 @@ class UnifiedReactivityBridge extends EventTarget {
     }
     
     updateWebGL(property, value) {
-        this.state.webglUniforms.set(property, value);
+        const meta = this.getParameterMeta(property);
+        const uniform = meta ?
+            serializeParameterForWebGL(value, meta) :
+            { type: typeof value === 'number' ? 'float' : typeof value, value };
+        
+        this.state.webglUniforms.set(property, uniform.value);
         
         // Emit WebGL update event for visualizers
         const event = new CustomEvent('vib3-webgl-update', {
-            detail: { property, value }
+            detail: {
+                property,
+                value,
+                uniform: { name: `u_${property}`, ...uniform }
+            }
         });
         document.dispatchEvent(event);
         
@@ -177,6 +210,59 @@ class UnifiedReactivityBridge extends EventTarget {
         }
     }
     
+    removeProperty(property) {
+        document.documentElement.style.removeProperty(`--vib3-${property}`);
+        for (const component of VECTOR_COMPONENTS) {
+            document.documentElement.style.removeProperty(`--vib3-${property}-${component}`);
+        }
+        
+        if (window.VIB3_STATE) {
+            delete window.VIB3_STATE[property];
+        }
+        
+        this.state.cssProperties.delete(property);
+        this.state.jsVariables.delete(property);
+        this.state.webglUniforms.delete(property);
+    }
+    
+    /**
+     * HOME MASTER INTEGRATION
+     */
+    
+    setHomeMaster(homeMaster) {
+        this.homeMaster = homeMaster;
+    }
+    
+    getParameterMeta(property) {
+        if (this.registeredParameters.has(property)) {
+            return this.registeredParameters.get(property);
+        }
+        
+        if (this.homeMaster && typeof this.homeMaster.getParameterMeta === 'function') {
+            return this.homeMaster.getParameterMeta(property);
+        }
+        
+        return null;
+    }
+    
+    onParameterUpdate(name, value, oldValue, source) {
+        this.sync(name, value, 'homeMaster');
+    }
+    
+    onParameterRegistered(name, meta, value) {
+        this.registeredParameters.set(name, meta);
+        this.sync(name, value, 'homeMaster');
+        
+        if (this.config.debugMode) {
+            console.log(`📐 Bridge tracking registered parameter: ${name}`);
+        }
+    }
+    
+    onParameterUnregistered(name) {
+        this.registeredParameters.delete(name);
+        this.removeProperty(name);
+    }
+    
     /**
      * EVENT HANDLERS
      */
@@ -227,6 +313,7 @@ class UnifiedReactivityBridge extends EventTarget {
         this.state.cssProperties.clear();
         this.state.jsVariables.clear();
         this.state.webglUniforms.clear();
+        this.registeredParameters.clear();
         this.syncQueue = [];
         
         console.log('🔄 UnifiedReactivityBridge reset');
@@ -3,10 +3,13 @@
  * Mock implementation for core system compatibility
  */
 
+import { getDefaultClock } from '../utils/Clock.js';
+
 class VIB34D_MOIRE_VISUALIZER {
     constructor(canvas, config = {}) {
         this.canvas = canvas;
         this.config = config;
+        this.clock = (config && config.clock) || getDefaultClock();
         this.ctx = canvas.getContext('2d');
         this.isRunning = false;
         
@@ -40,7 +43,7 @@ class VIB34D_MOIRE_VISUALIZER {
         this.ctx.strokeStyle = '#00ff88';
         this.ctx.lineWidth = 1;
         
-        const time = Date.now() * 0.001;
+        const time = this.clock.now() * 0.001;
         for (let i = 0; i < 20; i++) {
             this.ctx.beginPath();
             this.ctx.arc(
@@ -53,7 +56,7 @@ class VIB34D_MOIRE_VISUALIZER {
         }
         
         if (this.isRunning) {
-            requestAnimationFrame(() => this.render());
+            this.clock.requestFrame(() => this.render());
         }
     }
     
@@ -3,10 +3,13 @@
  * Mock implementation for core system compatibility
  */
 
+import { getDefaultClock } from '../utils/Clock.js';
+
 class VIB34D_POLYTOPAL_VISUALIZER {
     constructor(canvas, config = {}) {
         this.canvas = canvas;
         this.config = config;
+        this.clock = (config && config.clock) || getDefaultClock();
         this.isRunning = false;
         
         try {
@@ -59,7 +62,7 @@ class VIB34D_POLYTOPAL_VISUALIZER {
             this.ctx.strokeStyle = '#00aaff';
             this.ctx.lineWidth = 2;
             
-            const time = Date.now() * 0.001;
+            const time = this.clock.now() * 0.001;
             const centerX = width / 2;
             const centerY = height / 2;
             const radius = 40;
@@ -83,7 +86,7 @@ class VIB34D_POLYTOPAL_VISUALIZER {
         }
         
         if (this.isRunning) {
-            requestAnimationFrame(() => this.render());
+            this.clock.requestFrame(() => this.render());
         }
     }
     
@@ -8,8 +8,40 @@
  * - Cross-visualizer synchronization
  * - Preset management integration
  * - Performance-aware parameter updates
+ * - Undo/redo history and named checkpoints
+ * - Atomic parameter batches and transactions
+ * - Runtime parameter registration
+ * - Typed parameters (float, int, boolean, enum, vectors, colors)
+ * - Eased parameter tweens
+ * - LFO/envelope modulation layered over base parameter values
+ * - Keyframe timeline playback driven by globalTime
+ * - Derived parameters and cross-parameter constraints
+ * - Source priorities, parameter locks and ownership rules
+ * - Layered global -> role -> instance parameter overrides
+ * - Selector-based parameter subscriptions, batched per update tick
+ * - Injectable clock (realtime, fixed-step, manual) for reproducible frames
  */
 
+import { ParameterHistory } from './ParameterHistory.js';
+import { ParameterAnimator } from './ParameterAnimator.js';
+import { ModulationMatrix } from './ModulationMatrix.js';
+import { Timeline } from './Timeline.js';
+import { ParameterGraph } from './ParameterGraph.js';
+import { SourceArbiter } from './SourceArbiter.js';
+import { ParameterSubscriptions } from './ParameterSubscriptions.js';
+import { getDefaultClock } from '../utils/Clock.js';
+import {
+    DEFAULT_PARAMETER_DEFINITIONS,
+    createParameterDefaults,
+    createParameterMeta
+} from './ParameterSchema.js';
+import {
+    SUPPORTED_PARAMETER_TYPES,
+    getParameterType,
+    validateParameterValue,
+    parameterValuesEqual
+} from './ParameterTypes.js';
+
 class VIB3HomeMaster extends EventTarget {
     constructor(config = {}) {
         super();
@@ -20,6 +52,13 @@ class VIB3HomeMaster extends EventTarget {
             debugMode: false,
             enablePresets: true,
             enableValidation: true,
+            enableHistory: true,
+            historyMaxSteps: 100,
+            historyCoalesceMS: 500,
+            defaultAnimationDuration: 500,
+            defaultAnimationEasing: 'easeInOutCubic',
+            sourcePriorities: {},
+            sourceHoldMS: 3000,
             ...config
         };
         
@@ -27,51 +66,73 @@ class VIB3HomeMaster extends EventTarget {
         this.systemController = config.systemController;
         this.reactivityBridge = null;
         
-        // Master parameter state
-        this.parameters = {
-            // Core 4D parameters
-            dimension: 3.5,
-            morphFactor: 0.5,
-            rotationSpeed: 0.5,
-            
-            // Visual parameters
-            intensity: 0.8,
-            glitchIntensity: 0.5,
-            gridDensity: 12.0,
-            
-            // Interaction parameters
-            interactionIntensity: 0.3,
-            
-            // Geometry parameters
-            geometry: 0, // Index of current geometry (0-7)
-            
-            // Time-based parameters
-            globalTime: 0.0,
-            animationSpeed: 1.0
-        };
+        // Time source (realtime, fixed-step or manual)
+        this.clock = config.clock || getDefaultClock();
+        this.updateFrameId = null;
+        
+        // Master parameter state (built-in definitions live in ParameterSchema.js)
+        this.parameters = createParameterDefaults(DEFAULT_PARAMETER_DEFINITIONS);
         
         // Parameter metadata
-        this.parameterMeta = {
-            dimension: { min: 3.0, max: 4.5, type: 'float', category: 'core' },
-            morphFactor: { min: 0.0, max: 1.5, type: 'float', category: 'core' },
-            rotationSpeed: { min: 0.0, max: 2.0, type: 'float', category: 'core' },
-            intensity: { min: 0.0, max: 1.0, type: 'float', category: 'visual' },
-            glitchIntensity: { min: 0.0, max: 1.0, type: 'float', category: 'visual' },
-            gridDensity: { min: 5.0, max: 25.0, type: 'float', category: 'visual' },
-            interactionIntensity: { min: 0.0, max: 1.0, type: 'float', category: 'interaction' },
-            geometry: { min: 0, max: 7, type: 'int', category: 'geometry' },
-            globalTime: { min: 0.0, max: Infinity, type: 'float', category: 'time' },
-            animationSpeed: { min: 0.1, max: 3.0, type: 'float', category: 'time' }
-        };
+        this.parameterMeta = createParameterMeta(DEFAULT_PARAMETER_DEFINITIONS);
         
         // Registered visualizers
         this.registeredVisualizers = new Map();
         
+        // Parameter overrides layered over global values: role -> { name: override },
+        // instanceId -> { name: override } (kept across re-registration)
+        this.roleOverrides = new Map();
+        this.instanceOverrides = new Map();
+        
         // Parameter update tracking
         this.updateQueue = [];
         this.lastUpdateTime = 0;
         this.isProcessingUpdates = false;
         
+        // Selector subscriptions, notified once per update tick
+        this.subscriptions = new ParameterSubscriptions({ clock: this.clock });
+        this.tickChanges = [];
+        
+        // Batch tracking (setParameters applies its updates atomically)
+        this.pendingBatch = null;
+        this.batchCounter = 0;
+        
+        // Active transaction (begin/commit/rollback)
+        this.activeTransaction = null;
+        
+        // Undo/redo history
+        this.history = this.config.enableHistory ? new ParameterHistory({
+            maxSteps: this.config.historyMaxSteps,
+            coalesceWindowMS: this.config.historyCoalesceMS
+        }) : null;
+        
+        // Parameter tweens
+        this.animator = new ParameterAnimator({
+            defaultDuration: this.config.defaultAnimationDuration,
+            defaultEasing: this.config.defaultAnimationEasing
+        });
+        
+        // Modulation (base values stay in this.parameters; modulated
+        // values are what visualizers and the reactivity bridge receive)
+        this.modulation = new ModulationMatrix();
+        this.modulationAmounts = new Map();
+        this.effectiveParameters = {};
+        this.startTime = null;
+        this.lastGlobalTimeUpdate = 0;
+        
+        // Derived parameters and constraints
+        this.graph = new ParameterGraph();
+        
+        // Write arbitration between sources
+        this.arbiter = new SourceArbiter({
+            clock: this.clock,
+            priorities: this.config.sourcePriorities,
+            holdMS: this.config.sourceHoldMS
+        });
+        
+        // Keyframe timeline (one loaded at a time)
+        this.timeline = null;
+        
         // Presets integration
         this.currentPreset = null;
         this.presetOverrides = new Map();
@@ -91,7 +152,8 @@ class VIB3HomeMaster extends EventTarget {
             this.startUpdateLoop();
             
             // Initialize time tracking
-            this.startTime = performance.now();
+            this.startTime = this.clock.now();
+            this.lastGlobalTimeUpdate = this.startTime;
             
             console.log('✅ VIB3HomeMaster started');
             
@@ -105,8 +167,16 @@ class VIB3HomeMaster extends EventTarget {
         console.log('⏸️ Stopping VIB3HomeMaster...');
         
         // Stop update processing
+        if (this.updateFrameId !== null) {
+            this.clock.cancelFrame(this.updateFrameId);
+            this.updateFrameId = null;
+        }
         this.isProcessingUpdates = false;
         this.updateQueue = [];
+        this.animator.cancelAll();
+        if (this.timeline) {
+            this.timeline.pause(this.parameters.globalTime);
+        }
         
         console.log('✅ VIB3HomeMaster stopped');
     }
@@ -117,6 +187,11 @@ class VIB3HomeMaster extends EventTarget {
     
     setReactivityBridge(bridge) {
         this.reactivityBridge = bridge;
+        
+        // The bridge reads parameter types to serialize CSS/WebGL values
+        if (typeof bridge.setHomeMaster === 'function') {
+            bridge.setHomeMaster(this);
+        }
         console.log('🔗 VIB3HomeMaster connected to ReactivityBridge');
     }
     
@@ -159,11 +234,29 @@ class VIB3HomeMaster extends EventTarget {
      */
     
     setParameter(name, value, source = 'api') {
+        // Writes from the transaction's source are staged until commit
+        if (this.activeTransaction && this.activeTransaction.source === source) {
+            this.activeTransaction.changes.set(name, value);
+            return true;
+        }
+        
         if (!this.parameters.hasOwnProperty(name)) {
             console.warn(`Unknown parameter: ${name}`);
             return false;
         }
         
+        if (this.graph.isDerived(name)) {
+            console.warn(`Cannot set derived parameter: ${name}`);
+            return false;
+        }
+        
+        // Higher-priority sources, locks and ownership rules may veto the write
+        const verdict = this.arbiter.check(name, source);
+        if (!verdict.allowed) {
+            this.reportRejection(name, value, source, verdict);
+            return false;
+        }
+        
         // Validate parameter
         if (this.config.enableValidation) {
             value = this.validateParameter(name, value);
@@ -173,8 +266,19 @@ class VIB3HomeMaster extends EventTarget {
             }
         }
         
+        this.arbiter.recordWrite(name, source);
+        
+        // A direct write takes over from any running tween
+        this.animator.cancel(name);
+        
         // Check if value actually changed
-        if (this.parameters[name] === value) {
+        if (this.valuesEqual(name, this.parameters[name], value)) {
+            return true;
+        }
+        
+        // Collect into the enclosing batch, if any
+        if (this.pendingBatch) {
+            this.pendingBatch.changes[name] = value;
             return true;
         }
         
@@ -188,15 +292,58 @@ class VIB3HomeMaster extends EventTarget {
         return this.parameters[name];
     }
     
+    // Includes writes still queued for the next frame, so a value read right after
+    // setParameter() isn't stale (getParameter() only sees applied values)
+    getPendingParameter(name) {
+        if (this.pendingBatch && name in this.pendingBatch.changes) {
+            return this.pendingBatch.changes[name];
+        }
+        for (let i = this.updateQueue.length - 1; i >= 0; i--) {
+            const update = this.updateQueue[i];
+            if (update.changes && name in update.changes) return update.changes[name];
+            if (!update.changes && update.name === name) return update.value;
+        }
+        return this.parameters[name];
+    }
+    
     getAllParameters() {
         return { ...this.parameters };
     }
     
+    getParameterMeta(name = null) {
+        if (name !== null) {
+            return this.parameterMeta[name] ? { ...this.parameterMeta[name] } : null;
+        }
+        
+        const meta = {};
+        for (const [paramName, paramMeta] of Object.entries(this.parameterMeta)) {
+            meta[paramName] = { ...paramMeta };
+        }
+        return meta;
+    }
+    
     setParameters(parameterMap, source = 'api') {
         const results = {};
         
-        for (const [name, value] of Object.entries(parameterMap)) {
-            results[name] = this.setParameter(name, value, source);
+        // Nested calls join the outer batch
+        const isOuterBatch = this.pendingBatch === null;
+        if (isOuterBatch) {
+            this.pendingBatch = { changes: {}, source };
+        }
+        
+        try {
+            for (const [name, value] of Object.entries(parameterMap)) {
+                results[name] = this.setParameter(name, value, source);
+            }
+        } finally {
+            if (isOuterBatch) {
+                const { changes } = this.pendingBatch;
+                this.pendingBatch = null;
+                
+                if (Object.keys(changes).length > 0) {
+                    this.queueParameterBatch(changes, source, `batch_${++this.batchCounter}`);
+                }
+            }
         }
         
         return results;
@@ -206,20 +353,143 @@ class VIB3HomeMaster extends EventTarget {
         const meta = this.parameterMeta[name];
         if (!meta) return null;
         
-        // Type validation
-        if (meta.type === 'float') {
-            value = parseFloat(value);
-            if (isNaN(value)) return null;
-        } else if (meta.type === 'int') {
-            value = parseInt(value);
-            if (isNaN(value)) return null;
+        // Type coercion and range clamping live in ParameterTypes.js
+        return validateParameterValue(value, meta);
+    }
+    
+    valuesEqual(name, a, b) {
+        return parameterValuesEqual(a, b, this.parameterMeta[name]);
+    }
+    
+    /**
+     * PARAMETER REGISTRATION
+     */
+    
+    registerParameter(name, definition = {}) {
+        if (typeof name !== 'string' || name.length === 0) {
+            console.warn('Parameter name must be a non-empty string');
+            return false;
+        }
+        
+        if (this.parameterMeta[name]) {
+            console.warn(`Parameter already registered: ${name}`);
+            return false;
         }
         
-        // Range validation
-        if (value < meta.min) value = meta.min;
-        if (value > meta.max) value = meta.max;
+        const type = definition.type || 'float';
+        if (!SUPPORTED_PARAMETER_TYPES.includes(type)) {
+            console.warn(`Unsupported parameter type for ${name}: ${type}`);
+            return false;
+        }
         
-        return value;
+        // Fill in type-specific defaults (ranges, options, default value)
+        const meta = {
+            ...getParameterType(type).defaultMeta,
+            category: 'custom',
+            ...definition,
+            type,
+            builtIn: false
+        };
+        
+        if ((type === 'float' || type === 'int') &&
+            (typeof meta.min !== 'number' || typeof meta.max !== 'number' || meta.min > meta.max)) {
+            console.warn(`Invalid range for parameter ${name}: ${meta.min}..${meta.max}`);
+            return false;
+        }
+        
+        if (type === 'enum' && (!Array.isArray(meta.options) || meta.options.length === 0)) {
+            console.warn(`Enum parameter ${name} needs a non-empty options list`);
+            return false;
+        }
+        
+        let defaultValue = meta.default;
+        if (defaultValue === undefined) {
+            defaultValue = type === 'enum' ? meta.options[0] : meta.min;
+        }
+        
+        this.parameterMeta[name] = meta;
+        
+        const value = this.validateParameter(name, defaultValue);
+        if (value === null) {
+            delete this.parameterMeta[name];
+            console.warn(`Invalid default value for parameter ${name}: ${defaultValue}`);
+            return false;
+        }
+        
+        this.parameters[name] = value;
+        this.parameterMeta[name].default = value;
+        
+        // Let the bridge and visualizers pick up the new parameter
+        if (this.reactivityBridge && typeof this.reactivityBridge.onParameterRegistered === 'function') {
+            this.reactivityBridge.onParameterRegistered(name, { ...this.parameterMeta[name] }, value);
+        }
+        this.syncParameterToVisualizers(name, value, 'register');
+        
+        this.emit('parameterRegistered', {
+            name,
+            value,
+            meta: { ...this.parameterMeta[name] }
+        });
+        
+        console.log(`📐 Parameter registered: ${name} (${type}, ${meta.category})`);
+        return true;
+    }
+    
+    unregisterParameter(name) {
+        const meta = this.parameterMeta[name];
+        if (!meta) {
+            console.warn(`Unknown parameter: ${name}`);
+            return false;
+        }
+        
+        if (meta.builtIn) {
+            console.warn(`Cannot unregister built-in parameter: ${name}`);
+            return false;
+        }
+        
+        const value = this.parameters[name];
+        delete this.parameters[name];
+        delete this.parameterMeta[name];
+        
+        // Drop any pending updates for the parameter
+        this.updateQueue = this.updateQueue.filter(update => update.changes || update.name !== name);
+        for (const update of this.updateQueue) {
+            if (update.changes) {
+                delete update.changes[name];
+            }
+        }
+        
+        // Drop derived definitions, constraints, modulation routes and tweens touching the parameter
+        this.graph.removeNodesReferencing(name);
+        this.arbiter.forget(name);
+        for (const overrides of [...this.roleOverrides.values(), ...this.instanceOverrides.values()]) {
+            delete overrides[name];
+        }
+        this.animator.cancel(name);
+        if (this.modulation.removeRoutesForTarget(name) > 0) {
+            this.emitModulationChanged();
+        }
+        this.modulationAmounts.delete(name);
+        delete this.effectiveParameters[name];
+        
+        if (this.registeredVisualizers) {
+            for (const visualizerInfo of this.registeredVisualizers.values()) {
+                visualizerInfo.parameterCache.delete(name);
+            }
+        }
+        
+        if (this.reactivityBridge && typeof this.reactivityBridge.onParameterUnregistered === 'function') {
+            this.reactivityBridge.onParameterUnregistered(name);
+        }
+        
+        this.emit('parameterUnregistered', { name, value, meta });
+        
+        console.log(`📐 Parameter unregistered: ${name}`);
+        return true;
+    }
+    
+    isParameterRegistered(name) {
+        return !!this.parameterMeta[name];
     }
     
     /**
@@ -231,7 +501,21 @@ class VIB3HomeMaster extends EventTarget {
             name,
             value,
             source,
-            timestamp: performance.now()
+            timestamp: this.clock.now()
+        });
+        
+        // Prevent queue overflow
+        if (this.updateQueue.length > 100) {
+            this.updateQueue = this.updateQueue.slice(-50);
+        }
+    }
+    
+    queueParameterBatch(changes, source, batchId) {
+        this.updateQueue.push({
+            changes,
+            source,
+            batchId,
+            timestamp: this.clock.now()
         });
         
         // Prevent queue overflow
@@ -246,37 +530,57 @@ class VIB3HomeMaster extends EventTarget {
         }
         
         this.isProcessingUpdates = true;
-        const now = performance.now();
+        const now = this.clock.now();
         
         // Process all queued updates
         while (this.updateQueue.length > 0) {
-            const update = this.updateQueue.shift();
-            this.applyParameterUpdate(update);
+            const update = this.resolveDependents(this.updateQueue.shift());
+            
+            if (update.changes) {
+                this.applyParameterBatch(update);
+            } else {
+                this.applyParameterUpdate(update);
+            }
         }
         
         // Update global time
-        if (this.startTime) {
-            this.parameters.globalTime = (now - this.startTime) * 0.001 * this.parameters.animationSpeed;
-        }
+        this.updateGlobalTime(now);
         
         this.lastUpdateTime = now;
         this.isProcessingUpdates = false;
+        
+        this.notifySubscribers(now);
     }
     
     applyParameterUpdate(update) {
-        const { name, value, source } = update;
+        const { name, value, source, batchId = null } = update;
         
         // Update parameter
         const oldValue = this.parameters[name];
         this.parameters[name] = value;
         
-        // Notify reactivity bridge
-        if (this.reactivityBridge && typeof this.reactivityBridge.onParameterUpdate === 'function') {
-            this.reactivityBridge.onParameterUpdate(name, value, oldValue, source);
+        // Record for undo/redo (derived values are recomputed, never restored)
+        if (this.history && !this.graph.isDerived(name)) {
+            this.history.record({
+                name,
+                value,
+                oldValue,
+                source,
+                batchId,
+                timestamp: update.timestamp
+            });
         }
         
+        // Downstream consumers see the modulated value
+        const effectiveValue = this.resolveEffectiveValue(name);
+        
+        // Notify reactivity bridge
+        this.notifyReactivityBridge([{ name, value: effectiveValue, oldValue }], source);
+        
         // Sync to visualizers
-        this.syncParameterToVisualizers(name, value, source);
+        this.syncParameterToVisualizers(name, effectiveValue, source);
+        
+        this.tickChanges.push({ name, value, oldValue, source });
         
         // Emit parameter change event
         this.emit('parameterChanged', {
@@ -284,7 +588,7 @@ class VIB3HomeMaster extends EventTarget {
             value,
             oldValue,
             source,
-            timestamp: performance.now()
+            timestamp: this.clock.now()
         });
         
         if (this.config.debugMode) {
@@ -292,189 +596,1175 @@ class VIB3HomeMaster extends EventTarget {
         }
     }
     
-    /**
-     * VISUALIZER SYNCHRONIZATION
-     */
-    
-    syncParameterToVisualizers(name, value, source) {
-        if (!this.registeredVisualizers) return;
+    applyParameterBatch(update) {
+        const { source, batchId = null } = update;
+        const changes = [];
         
-        for (const [instanceId, visualizerInfo] of this.registeredVisualizers) {
-            // Check if parameter has changed for this visualizer
-            const cache = visualizerInfo.parameterCache;
-            if (cache.get(name) === value) continue;
+        // Apply the whole batch before anyone is notified
+        for (const [name, value] of Object.entries(update.changes)) {
+            const oldValue = this.parameters[name];
+            if (this.valuesEqual(name, oldValue, value)) continue;
             
-            // Update cache
-            cache.set(name, value);
-            visualizerInfo.lastUpdate = performance.now();
+            this.parameters[name] = value;
+            changes.push({ name, value, oldValue });
             
-            // Emit update event for this visualizer
-            this.emit('visualizerParameterUpdate', {
-                instanceId,
-                name,
-                value,
-                source,
-                role: visualizerInfo.role
-            });
-        }
-    }
-    
-    syncVisualizerParameters(instanceId) {
-        if (!this.registeredVisualizers || !this.registeredVisualizers.has(instanceId)) {
-            return false;
+            if (this.history && !this.graph.isDerived(name)) {
+                this.history.record({
+                    name,
+                    value,
+                    oldValue,
+                    source,
+                    batchId,
+                    timestamp: update.timestamp
+                });
+            }
         }
         
-        const visualizerInfo = this.registeredVisualizers.get(instanceId);
+        if (changes.length === 0) return;
         
-        // Send all current parameters
-        for (const [name, value] of Object.entries(this.parameters)) {
-            visualizerInfo.parameterCache.set(name, value);
-            
-            this.emit('visualizerParameterUpdate', {
-                instanceId,
-                name,
-                value,
-                source: 'sync',
-                role: visualizerInfo.role
-            });
+        const parameters = Object.fromEntries(changes.map(change => [change.name, change.value]));
+        
+        // Downstream consumers see the modulated values
+        const effectiveChanges = changes.map(change => ({ ...change, value: this.resolveEffectiveValue(change.name) }));
+        
+        // Notify reactivity bridge
+        this.notifyReactivityBridge(effectiveChanges, source);
+        
+        // Sync to visualizers as one consolidated update
+        this.syncParameterToVisualizers(
+            Object.fromEntries(effectiveChanges.map(change => [change.name, change.value])),
+            source
+        );
+        
+        // Per-parameter events still fire, but only once the batch is fully applied
+        const timestamp = this.clock.now();
+        for (const { name, value, oldValue } of changes) {
+            this.tickChanges.push({ name, value, oldValue, source });
+            this.emit('parameterChanged', { name, value, oldValue, source, timestamp });
         }
         
-        visualizerInfo.lastUpdate = performance.now();
+        this.emit('parametersChanged', {
+            changes,
+            parameters,
+            source,
+            batchId,
+            timestamp
+        });
         
-        console.log(`🔄 Parameters synced to visualizer: ${instanceId}`);
-        return true;
+        if (this.config.debugMode) {
+            console.log(`🎛️ Parameters updated: ${changes.map(change => `${change.name} = ${change.value}`).join(', ')} (${source})`);
+        }
     }
     
-    syncAllVisualizers() {
-        if (!this.registeredVisualizers) return;
+    notifyReactivityBridge(changes, source) {
+        if (!this.reactivityBridge) return;
         
-        for (const instanceId of this.registeredVisualizers.keys()) {
-            this.syncVisualizerParameters(instanceId);
+        if (typeof this.reactivityBridge.onParametersUpdate === 'function') {
+            this.reactivityBridge.onParametersUpdate(changes, source);
+        } else if (typeof this.reactivityBridge.onParameterUpdate === 'function') {
+            for (const { name, value, oldValue } of changes) {
+                this.reactivityBridge.onParameterUpdate(name, value, oldValue, source);
+            }
         }
     }
     
     /**
-     * INTERACTION HANDLING
+     * SUBSCRIPTIONS
      */
     
-    handleScrollInteraction(deltaY) {
-        const currentGridDensity = this.parameters.gridDensity;
-        const direction = deltaY > 0 ? -1 : 1;
-        const newGridDensity = Math.max(5.0, Math.min(25.0, currentGridDensity + direction * 1.0));
+    subscribe(selector, callback, options = {}) {
+        const parameters = options.effective ? this.getEffectiveParameters() : { ...this.parameters };
+        const id = this.subscriptions.add(selector, callback, options, parameters);
+        if (id === null) return null;
         
-        this.setParameter('gridDensity', newGridDensity, 'scroll');
+        return () => this.subscriptions.remove(id);
     }
     
-    handleMouseInteraction(x, y, intensity = 0.5) {
-        // Map mouse position to morphFactor and dimension
-        const morphFactor = x * 1.5;
-        const dimension = 3.0 + (y * 1.5);
+    notifySubscribers(now = this.clock.now()) {
+        if (this.tickChanges.length === 0) return;
+        
+        const changes = this.tickChanges;
+        this.tickChanges = [];
+        
+        if (this.subscriptions.size === 0) return;
         
-        this.setParameter('morphFactor', morphFactor, 'mouse');
-        this.setParameter('dimension', dimension, 'mouse');
-        this.setParameter('interactionIntensity', intensity, 'mouse');
+        this.subscriptions.notify({ ...this.parameters }, changes, { now });
+        
+        // Base changes move modulated values too
+        this.subscriptions.notify(this.getEffectiveParameters(), changes, { effective: true, now });
     }
     
-    handleClickInteraction(x, y, isDown = true) {
-        const currentRotationSpeed = this.parameters.rotationSpeed;
-        const newRotationSpeed = isDown ? 
-            Math.min(2.0, currentRotationSpeed + 0.5) : 
-            Math.max(0.0, currentRotationSpeed - 0.3);
-            
-        this.setParameter('rotationSpeed', newRotationSpeed, 'click');
-        this.setParameter('interactionIntensity', isDown ? 1.0 : 0.3, 'click');
+    /**
+     * SOURCE ARBITRATION
+     */
+    
+    setSourcePriority(source, priority) {
+        this.arbiter.setPriority(source, priority);
     }
     
-    handleKeyboardInteraction(key, isDown = true) {
-        if (!isDown) return;
-        
-        // Geometry switching (keys 1-8)
-        if (/^[1-8]$/.test(key)) {
-            const geometryIndex = parseInt(key) - 1;
-            this.setParameter('geometry', geometryIndex, 'keyboard');
-            return;
+    lockParameter(name, source, options = {}) {
+        if (!this.parameterMeta[name]) {
+            console.warn(`Unknown parameter: ${name}`);
+            return null;
         }
         
-        // Parameter fine-tuning
-        switch (key) {
-            case 'ArrowUp':
-                this.adjustParameter('dimension', 0.1);
-                break;
-            case 'ArrowDown':
-                this.adjustParameter('dimension', -0.1);
-                break;
-            case 'ArrowLeft':
-                this.adjustParameter('rotationSpeed', -0.1);
-                break;
-            case 'ArrowRight':
-                this.adjustParameter('rotationSpeed', 0.1);
-                break;
-            case ' ': // Spacebar - toggle glitch
-                const currentGlitch = this.parameters.glitchIntensity;
-                this.setParameter('glitchIntensity', currentGlitch > 0.5 ? 0.1 : 0.9, 'keyboard');
-                break;
+        const lockId = this.arbiter.lock(name, source, options);
+        if (!lockId) {
+            const lock = this.arbiter.getLock(name);
+            this.reportRejection(name, undefined, source, {
+                allowed: false,
+                reason: 'locked',
+                message: `${name} is already locked by ${lock.source}`,
+                holder: lock.source
+            });
+            return null;
         }
+        
+        this.emit('parameterLocked', { name, source, lockId, duration: options.duration || null, reason: options.reason || null });
+        return lockId;
     }
     
-    adjustParameter(name, delta) {
-        const currentValue = this.parameters[name];
-        const newValue = currentValue + delta;
-        this.setParameter(name, newValue, 'keyboard');
+    unlockParameter(nameOrLockId) {
+        const unlocked = this.arbiter.unlock(nameOrLockId);
+        if (unlocked) {
+            this.emit('parameterUnlocked', { lock: nameOrLockId });
+        }
+        return unlocked;
     }
     
-    /**
-     * PRESET MANAGEMENT
-     */
-    
-    loadPreset(presetData) {
-        if (typeof presetData === 'string') {
-            // Assume it's a preset name - would need PresetDatabase integration
-            console.warn('Preset name loading requires PresetDatabase integration');
+    setParameterOwners(name, sources) {
+        if (!this.parameterMeta[name]) {
+            console.warn(`Unknown parameter: ${name}`);
             return false;
         }
         
-        if (typeof presetData === 'object' && presetData.parameters) {
-            this.currentPreset = presetData;
-            
-            // Apply preset parameters
-            for (const [name, value] of Object.entries(presetData.parameters)) {
-                this.setParameter(name, value, 'preset');
-            }
-            
-            console.log('🎨 Preset loaded:', presetData.name || 'unnamed');
-            return true;
+        this.arbiter.setOwners(name, sources);
+        return true;
+    }
+    
+    canSetParameter(name, source = 'api') {
+        if (!this.parameterMeta[name]) {
+            return { allowed: false, reason: 'unknown', message: `Unknown parameter: ${name}` };
         }
-        
-        return false;
+        if (this.graph.isDerived(name)) {
+            return { allowed: false, reason: 'derived', message: `${name} is a derived parameter` };
+        }
+        return this.arbiter.check(name, source);
     }
     
-    saveCurrentAsPreset(name) {
-        return {
+    reportRejection(name, value, source, verdict) {
+        this.emit('parameterRejected', {
             name,
-            timestamp: Date.now(),
-            parameters: { ...this.parameters },
-            metadata: {
-                visualizerCount: this.registeredVisualizers ? this.registeredVisualizers.size : 0,
-                version: '1.0'
-            }
-        };
+            value,
+            source,
+            reason: verdict.reason,
+            message: verdict.message,
+            holder: verdict.holder,
+            timestamp: this.clock.now()
+        });
+        
+        if (this.config.debugMode) {
+            console.log(`🚫 Rejected ${source} write to ${name}: ${verdict.message}`);
+        }
     }
     
     /**
-     * SYSTEM MONITORING
+     * DERIVED PARAMETERS AND CONSTRAINTS
      */
     
-    getSystemState() {
-        return {
-            parameters: { ...this.parameters },
-            visualizerCount: this.registeredVisualizers ? this.registeredVisualizers.size : 0,
-            updateQueueLength: this.updateQueue.length,
-            lastUpdateTime: this.lastUpdateTime,
-            currentPreset: this.currentPreset?.name || null,
-            isProcessing: this.isProcessingUpdates
-        };
-    }
-    
+    defineDerivedParameter(name, { inputs = [], compute } = {}) {
+        if (!this.parameterMeta[name]) {
+            console.warn(`Unknown parameter: ${name}`);
+            return false;
+        }
+        
+        const unknown = inputs.filter(input => !this.parameterMeta[input]);
+        if (unknown.length > 0) {
+            console.warn(`Unknown inputs for derived parameter ${name}: ${unknown.join(', ')}`);
+            return false;
+        }
+        
+        if (!this.graph.addDerived(name, { inputs, compute })) {
+            return false;
+        }
+        
+        // A computed parameter can no longer be tweened
+        this.animator.cancel(name);
+        this.recomputeDependents(inputs);
+        
+        this.emit('parameterGraphChanged', { action: 'derived', name, definitions: this.graph.getDefinitions() });
+        return true;
+    }
+    
+    removeDerivedParameter(name) {
+        if (!this.graph.removeDerived(name)) return false;
+        
+        this.emit('parameterGraphChanged', { action: 'removed', name, definitions: this.graph.getDefinitions() });
+        return true;
+    }
+    
+    addParameterConstraint(id, { inputs = [], targets = [], apply } = {}) {
+        const unknown = [...inputs, ...targets].filter(name => !this.parameterMeta[name]);
+        if (unknown.length > 0) {
+            console.warn(`Unknown parameters for constraint ${id}: ${unknown.join(', ')}`);
+            return false;
+        }
+        
+        if (!this.graph.addConstraint(id, { inputs, targets, apply })) {
+            return false;
+        }
+        
+        // Bring the current state into line straight away
+        this.recomputeDependents([...inputs, ...targets]);
+        
+        this.emit('parameterGraphChanged', { action: 'constraint', name: id, definitions: this.graph.getDefinitions() });
+        return true;
+    }
+    
+    removeParameterConstraint(id) {
+        if (!this.graph.removeConstraint(id)) return false;
+        
+        this.emit('parameterGraphChanged', { action: 'removed', name: id, definitions: this.graph.getDefinitions() });
+        return true;
+    }
+    
+    isDerivedParameter(name) {
+        return this.graph.isDerived(name);
+    }
+    
+    getParameterGraph() {
+        return this.graph.getDefinitions();
+    }
+    
+    recomputeDependents(names) {
+        // Run the affected nodes against the state as it will be once the queue drains
+        this.processParameterUpdates();
+        
+        const changes = this.resolveGraphOutputs(names, name => this.parameters[name]);
+        if (Object.keys(changes).length > 0) {
+            this.queueParameterBatch(changes, 'derived', `batch_${++this.batchCounter}`);
+        }
+    }
+    
+    resolveGraphOutputs(changedNames, getValue) {
+        const outputs = this.graph.resolve(changedNames, getValue);
+        const changes = {};
+        
+        for (const [name, rawValue] of Object.entries(outputs)) {
+            const value = this.validateParameter(name, rawValue);
+            if (value === null) {
+                console.warn(`Invalid computed value for parameter ${name}: ${rawValue}`);
+                continue;
+            }
+            changes[name] = value;
+        }
+        
+        return changes;
+    }
+    
+    // Fold derived values and constraint corrections into a queued update so
+    // inputs and outputs are applied (and undone) together
+    resolveDependents(update) {
+        if (this.graph.isEmpty()) return update;
+        
+        const changes = update.changes ? { ...update.changes } : { [update.name]: update.value };
+        const outputs = this.resolveGraphOutputs(
+            Object.keys(changes),
+            name => (name in changes ? changes[name] : this.parameters[name])
+        );
+        
+        if (Object.keys(outputs).length === 0) return update;
+        
+        return {
+            changes: { ...changes, ...outputs },
+            source: update.source,
+            batchId: update.batchId || `batch_${++this.batchCounter}`,
+            timestamp: update.timestamp
+        };
+    }
+    
+    /**
+     * TRANSACTIONS
+     */
+    
+    beginTransaction(source = 'api') {
+        if (this.activeTransaction) {
+            console.warn(`Transaction already in progress: ${this.activeTransaction.id}`);
+            return null;
+        }
+        
+        this.activeTransaction = {
+            id: `txn_${++this.batchCounter}`,
+            source,
+            changes: new Map(),
+            startedAt: this.clock.now()
+        };
+        
+        return this.activeTransaction.id;
+    }
+    
+    commitTransaction() {
+        const transaction = this.activeTransaction;
+        if (!transaction) {
+            console.warn('No transaction in progress');
+            return { success: false, errors: [{ name: null, reason: 'No transaction in progress' }] };
+        }
+        
+        this.activeTransaction = null;
+        
+        // Validate the whole batch before anything is applied
+        const parameters = {};
+        const errors = [];
+        
+        for (const [name, rawValue] of transaction.changes) {
+            if (!this.parameters.hasOwnProperty(name)) {
+                errors.push({ name, reason: 'Unknown parameter' });
+                continue;
+            }
+            
+            if (this.graph.isDerived(name)) {
+                errors.push({ name, reason: 'Derived parameter' });
+                continue;
+            }
+            
+            const verdict = this.arbiter.check(name, transaction.source);
+            if (!verdict.allowed) {
+                errors.push({ name, reason: verdict.message });
+                continue;
+            }
+            
+            const value = this.config.enableValidation ? this.validateParameter(name, rawValue) : rawValue;
+            if (value === null) {
+                errors.push({ name, reason: 'Invalid value' });
+                continue;
+            }
+            
+            parameters[name] = value;
+        }
+        
+        if (errors.length > 0) {
+            console.warn(`Transaction ${transaction.id} rejected:`, errors);
+            this.emit('transactionFailed', { transactionId: transaction.id, errors, source: transaction.source });
+            return { success: false, transactionId: transaction.id, errors };
+        }
+        
+        if (Object.keys(parameters).length > 0) {
+            for (const name of Object.keys(parameters)) {
+                this.animator.cancel(name);
+                this.arbiter.recordWrite(name, transaction.source);
+            }
+            this.queueParameterBatch(parameters, transaction.source, transaction.id);
+        }
+        
+        return { success: true, transactionId: transaction.id, parameters };
+    }
+    
+    rollbackTransaction() {
+        const transaction = this.activeTransaction;
+        if (!transaction) {
+            return false;
+        }
+        
+        this.activeTransaction = null;
+        
+        if (this.config.debugMode) {
+            console.log(`↩️ Transaction rolled back: ${transaction.id}`);
+        }
+        return true;
+    }
+    
+    transaction(callback, source = 'api') {
+        const transactionId = this.beginTransaction(source);
+        if (!transactionId) {
+            return { success: false, errors: [{ name: null, reason: 'Transaction already in progress' }] };
+        }
+        
+        try {
+            callback(this);
+        } catch (error) {
+            this.rollbackTransaction();
+            throw error;
+        }
+        
+        // The callback may have rolled back explicitly
+        if (!this.activeTransaction || this.activeTransaction.id !== transactionId) {
+            return { success: false, transactionId, errors: [], rolledBack: true };
+        }
+        
+        return this.commitTransaction();
+    }
+    
+    isInTransaction() {
+        return !!this.activeTransaction;
+    }
+    
+    /**
+     * PARAMETER ANIMATION
+     */
+    
+    animateParameter(name, target, options = {}) {
+        if (!this.parameterMeta[name]) {
+            console.warn(`Unknown parameter: ${name}`);
+            return null;
+        }
+        
+        if (this.graph.isDerived(name)) {
+            console.warn(`Cannot animate derived parameter: ${name}`);
+            return null;
+        }
+        
+        const source = options.source || 'animation';
+        const verdict = this.arbiter.check(name, source);
+        if (!verdict.allowed) {
+            this.reportRejection(name, target, source, verdict);
+            return null;
+        }
+        
+        const to = this.validateParameter(name, target);
+        if (to === null) {
+            console.warn(`Invalid animation target for parameter ${name}`);
+            return null;
+        }
+        
+        const {
+            duration = this.config.defaultAnimationDuration,
+            easing = this.config.defaultAnimationEasing,
+            delay = 0,
+            groupId = null,
+            onComplete = null
+        } = options;
+        
+        this.arbiter.recordWrite(name, source);
+        
+        // Start from the latest value, including writes still queued for the next frame
+        // (a running tween's last frame among them, so this retargets it)
+        return this.animator.start({
+            name,
+            from: this.getPendingParameter(name),
+            to,
+            meta: this.parameterMeta[name],
+            startTime: this.clock.now(),
+            duration,
+            easing,
+            delay,
+            groupId,
+            source,
+            onComplete
+        });
+    }
+    
+    animateParameters(parameterMap, options = {}) {
+        const groupId = `anim_${++this.batchCounter}`;
+        const results = {};
+        
+        for (const [name, target] of Object.entries(parameterMap)) {
+            results[name] = this.animateParameter(name, target, { ...options, groupId }) !== null;
+        }
+        
+        return { groupId, results };
+    }
+    
+    cancelAnimation(name = null) {
+        if (name === null) {
+            this.animator.cancelAll();
+            return true;
+        }
+        return this.animator.cancel(name);
+    }
+    
+    isAnimating(name = null) {
+        return this.animator.isAnimating(name);
+    }
+    
+    updateAnimations(now = this.clock.now()) {
+        if (!this.animator.isAnimating()) return;
+        
+        // One batch per tween group keeps multi-parameter tweens atomic
+        const batches = new Map();
+        for (const [name, { value, groupId, source }] of this.animator.update(now)) {
+            // Locks and ownership rules can change mid-tween; a refused frame ends the tween
+            const verdict = this.canSetParameter(name, source);
+            if (!verdict.allowed) {
+                this.animator.cancel(name);
+                this.reportRejection(name, value, source, verdict);
+                continue;
+            }
+            this.arbiter.recordWrite(name, source);
+            
+            if (!batches.has(groupId)) {
+                batches.set(groupId, { source, changes: {} });
+            }
+            batches.get(groupId).changes[name] = value;
+        }
+        
+        for (const [groupId, { source, changes }] of batches) {
+            this.queueParameterBatch(changes, source, groupId);
+        }
+    }
+    
+    /**
+     * MODULATION
+     */
+    
+    addModulationSource(id, definition = {}) {
+        if (this.modulation.hasSource(id)) {
+            console.warn(`Modulation source already exists: ${id}`);
+            return false;
+        }
+        
+        const added = this.modulation.addSource(id, definition);
+        if (added) this.emitModulationChanged();
+        return added;
+    }
+    
+    removeModulationSource(id) {
+        const removed = this.modulation.removeSource(id);
+        if (removed) this.emitModulationChanged();
+        return removed;
+    }
+    
+    addModulationRoute(source, target, options = {}) {
+        if (!this.isModulatable(target)) {
+            console.warn(`Parameter cannot be modulated: ${target}`);
+            return null;
+        }
+        
+        const routeId = this.modulation.addRoute({ ...options, source, target });
+        if (routeId) this.emitModulationChanged();
+        return routeId;
+    }
+    
+    updateModulationRoute(routeId, changes) {
+        const updated = this.modulation.updateRoute(routeId, changes);
+        if (updated) this.emitModulationChanged();
+        return updated;
+    }
+    
+    removeModulationRoute(routeId) {
+        const removed = this.modulation.removeRoute(routeId);
+        if (removed) this.emitModulationChanged();
+        return removed;
+    }
+    
+    triggerModulationSource(id) {
+        return this.modulation.trigger(id, this.parameters.globalTime);
+    }
+    
+    releaseModulationSource(id) {
+        return this.modulation.release(id, this.parameters.globalTime);
+    }
+    
+    getModulation() {
+        return this.modulation.toJSON();
+    }
+    
+    setModulation(data) {
+        this.modulation.fromJSON(data);
+        this.emitModulationChanged();
+    }
+    
+    clearModulation() {
+        this.modulation.clear();
+        this.emitModulationChanged();
+    }
+    
+    isModulatable(name) {
+        const meta = this.parameterMeta[name];
+        return !!meta && (meta.type === 'float' || meta.type === 'int') && name !== 'globalTime';
+    }
+    
+    emitModulationChanged() {
+        this.emit('modulationChanged', {
+            modulation: this.modulation.toJSON(),
+            timestamp: this.clock.now()
+        });
+    }
+    
+    getEffectiveParameter(name) {
+        return name in this.effectiveParameters ? this.effectiveParameters[name] : this.parameters[name];
+    }
+    
+    getEffectiveParameters() {
+        return { ...this.parameters, ...this.effectiveParameters };
+    }
+    
+    resolveEffectiveValue(name) {
+        const amount = this.modulationAmounts.get(name);
+        if (amount === undefined) {
+            delete this.effectiveParameters[name];
+            return this.parameters[name];
+        }
+        
+        const value = this.validateParameter(name, this.parameters[name] + amount);
+        this.effectiveParameters[name] = value;
+        return value;
+    }
+    
+    updateGlobalTime(now = this.clock.now()) {
+        if (this.startTime === null) return;
+        
+        // Integrate so animationSpeed changes alter the rate, not the position
+        const elapsed = Math.max(0, now - this.lastGlobalTimeUpdate);
+        this.parameters.globalTime += elapsed * 0.001 * this.parameters.animationSpeed;
+        this.lastGlobalTimeUpdate = now;
+    }
+    
+    updateModulation() {
+        if (this.modulation.isEmpty() && this.modulationAmounts.size === 0) return;
+        
+        const amounts = this.modulation.evaluate(this.parameters.globalTime);
+        const changes = [];
+        
+        // Targets no longer modulated fall back to their base value
+        for (const name of this.modulationAmounts.keys()) {
+            if (!amounts.has(name)) {
+                changes.push({ name, oldValue: this.getEffectiveParameter(name) });
+            }
+        }
+        
+        for (const name of amounts.keys()) {
+            if (this.isModulatable(name)) {
+                changes.push({ name, oldValue: this.getEffectiveParameter(name) });
+            } else {
+                amounts.delete(name);
+            }
+        }
+        
+        this.modulationAmounts = amounts;
+        
+        const updates = [];
+        for (const { name, oldValue } of changes) {
+            const value = this.resolveEffectiveValue(name);
+            if (!this.valuesEqual(name, oldValue, value)) {
+                updates.push({ name, value, oldValue });
+            }
+        }
+        
+        if (updates.length === 0) return;
+        
+        const parameters = Object.fromEntries(updates.map(update => [update.name, update.value]));
+        
+        this.notifyReactivityBridge(updates, 'modulation');
+        this.syncParameterToVisualizers(parameters, 'modulation');
+        
+        this.subscriptions.notify(
+            this.getEffectiveParameters(),
+            updates.map(update => ({ ...update, source: 'modulation' })),
+            { effective: true }
+        );
+        
+        this.emit('modulationUpdate', {
+            parameters,
+            time: this.parameters.globalTime,
+            timestamp: this.clock.now()
+        });
+    }
+    
+    /**
+     * TIMELINE
+     */
+    
+    loadTimeline(timeline) {
+        this.unloadTimeline();
+        
+        this.timeline = timeline instanceof Timeline ? timeline : Timeline.fromJSON(timeline);
+        
+        // Forward timeline events so callers only need to listen on HomeMaster
+        this.timeline.on('cue', cue => this.emit('timelineCue', cue));
+        this.timeline.on('loop', data => this.emit('timelineLoop', data));
+        this.timeline.on('ended', data => this.emit('timelineEnded', data));
+        this.timeline.on('changed', data => this.emit('timelineChanged', data));
+        
+        this.emit('timelineLoaded', { name: this.timeline.name, duration: this.timeline.getDuration() });
+        
+        console.log(`🎬 Timeline loaded: ${this.timeline.name}`);
+        return this.timeline;
+    }
+    
+    unloadTimeline() {
+        if (!this.timeline) return false;
+        
+        this.timeline.stop();
+        this.timeline = null;
+        this.emit('timelineUnloaded', {});
+        return true;
+    }
+    
+    getTimeline() {
+        return this.timeline;
+    }
+    
+    playTimeline() {
+        if (!this.timeline) return false;
+        
+        this.timeline.play(this.parameters.globalTime);
+        this.emit('timelineStateChanged', this.getTimelineState());
+        return true;
+    }
+    
+    pauseTimeline() {
+        if (!this.timeline) return false;
+        
+        this.timeline.pause(this.parameters.globalTime);
+        this.emit('timelineStateChanged', this.getTimelineState());
+        return true;
+    }
+    
+    stopTimeline() {
+        if (!this.timeline) return false;
+        
+        this.timeline.stop();
+        this.applyTimelinePosition(0);
+        this.emit('timelineStateChanged', this.getTimelineState());
+        return true;
+    }
+    
+    seekTimeline(position) {
+        if (!this.timeline) return false;
+        
+        this.timeline.seek(position, this.parameters.globalTime);
+        this.applyTimelinePosition(this.timeline.position);
+        this.emit('timelineStateChanged', this.getTimelineState());
+        return true;
+    }
+    
+    setTimelineLoop(loop) {
+        if (!this.timeline) return false;
+        
+        this.timeline.loop = !!loop;
+        return true;
+    }
+    
+    getTimelineState() {
+        if (!this.timeline) return null;
+        
+        return {
+            name: this.timeline.name,
+            playing: this.timeline.isPlaying(),
+            position: this.timeline.getPosition(this.parameters.globalTime),
+            duration: this.timeline.getDuration(),
+            loop: this.timeline.loop
+        };
+    }
+    
+    updateTimeline() {
+        if (!this.timeline || !this.timeline.isPlaying()) return;
+        
+        const position = this.timeline.update(this.parameters.globalTime);
+        this.applyTimelinePosition(position);
+    }
+    
+    applyTimelinePosition(position) {
+        const values = this.timeline.evaluate(position, name => this.parameterMeta[name] || null);
+        const changes = {};
+        
+        for (const [name, value] of Object.entries(values)) {
+            if (!this.parameterMeta[name] || this.graph.isDerived(name)) continue;
+            
+            // Playback yields silently to higher-priority writers and locks
+            if (!this.arbiter.check(name, 'timeline').allowed) continue;
+            this.arbiter.recordWrite(name, 'timeline');
+            
+            const validated = this.validateParameter(name, value);
+            if (validated !== null) {
+                changes[name] = validated;
+            }
+        }
+        
+        if (Object.keys(changes).length > 0) {
+            this.queueParameterBatch(changes, 'timeline', `timeline_${this.timeline.name}`);
+        }
+    }
+    
+    /**
+     * VISUALIZER SYNCHRONIZATION
+     */
+    
+    syncParameterToVisualizers(name, value, source) {
+        if (!this.registeredVisualizers) return;
+        
+        // Accept a { name: value } map for consolidated batch updates
+        if (typeof name === 'object') {
+            this.syncParameterBatchToVisualizers(name, value);
+            return;
+        }
+        
+        for (const [instanceId, visualizerInfo] of this.registeredVisualizers) {
+            // Check if the resolved parameter has changed for this visualizer
+            const cache = visualizerInfo.parameterCache;
+            const resolved = this.resolveVisualizerParameter(visualizerInfo, name, value);
+            if (this.valuesEqual(name, cache.get(name), resolved)) continue;
+            
+            // Update cache
+            cache.set(name, resolved);
+            visualizerInfo.lastUpdate = this.clock.now();
+            
+            // Emit update event for this visualizer
+            this.emit('visualizerParameterUpdate', {
+                instanceId,
+                name,
+                value: resolved,
+                source,
+                role: visualizerInfo.role
+            });
+        }
+    }
+    
+    syncParameterBatchToVisualizers(parameters, source, filter = null) {
+        for (const [instanceId, visualizerInfo] of this.registeredVisualizers) {
+            if (filter && !filter(visualizerInfo)) continue;
+            
+            const cache = visualizerInfo.parameterCache;
+            const changed = {};
+            
+            for (const [name, value] of Object.entries(parameters)) {
+                const resolved = this.resolveVisualizerParameter(visualizerInfo, name, value);
+                if (this.valuesEqual(name, cache.get(name), resolved)) continue;
+                cache.set(name, resolved);
+                changed[name] = resolved;
+            }
+            
+            if (Object.keys(changed).length === 0) continue;
+            
+            visualizerInfo.lastUpdate = this.clock.now();
+            
+            // One event per visualizer carrying every changed parameter
+            this.emit('visualizerParametersUpdate', {
+                instanceId,
+                parameters: changed,
+                source,
+                role: visualizerInfo.role
+            });
+        }
+    }
+    
+    syncVisualizerParameters(instanceId) {
+        if (!this.registeredVisualizers || !this.registeredVisualizers.has(instanceId)) {
+            return false;
+        }
+        
+        const visualizerInfo = this.registeredVisualizers.get(instanceId);
+        
+        // Send all current (modulated, override-resolved) parameters
+        for (const [name, value] of Object.entries(this.getResolvedParameters(instanceId))) {
+            visualizerInfo.parameterCache.set(name, value);
+            
+            this.emit('visualizerParameterUpdate', {
+                instanceId,
+                name,
+                value,
+                source: 'sync',
+                role: visualizerInfo.role
+            });
+        }
+        
+        visualizerInfo.lastUpdate = this.clock.now();
+        
+        console.log(`🔄 Parameters synced to visualizer: ${instanceId}`);
+        return true;
+    }
+    
+    syncAllVisualizers() {
+        if (!this.registeredVisualizers) return;
+        
+        for (const instanceId of this.registeredVisualizers.keys()) {
+            this.syncVisualizerParameters(instanceId);
+        }
+    }
+    
+    /**
+     * PARAMETER OVERRIDES
+     */
+    
+    setRoleOverride(role, name, override) {
+        return this.setParameterOverride(this.roleOverrides, 'role', role, name, override);
+    }
+    
+    clearRoleOverride(role, name = null) {
+        return this.clearParameterOverride(this.roleOverrides, 'role', role, name);
+    }
+    
+    setInstanceOverride(instanceId, name, override) {
+        return this.setParameterOverride(this.instanceOverrides, 'instance', instanceId, name, override);
+    }
+    
+    clearInstanceOverride(instanceId, name = null) {
+        return this.clearParameterOverride(this.instanceOverrides, 'instance', instanceId, name);
+    }
+    
+    getParameterOverrides() {
+        return {
+            roles: Object.fromEntries(Array.from(this.roleOverrides, ([role, overrides]) => [role, { ...overrides }])),
+            instances: Object.fromEntries(Array.from(this.instanceOverrides, ([id, overrides]) => [id, { ...overrides }]))
+        };
+    }
+    
+    setParameterOverride(layer, scope, key, name, override) {
+        const normalized = this.normalizeOverride(name, override);
+        if (!normalized) return false;
+        
+        if (!layer.has(key)) {
+            layer.set(key, {});
+        }
+        layer.get(key)[name] = normalized;
+        
+        this.emit('parameterOverrideChanged', { scope, target: key, name, override: { ...normalized } });
+        this.refreshVisualizerOverrides(scope, key);
+        return true;
+    }
+    
+    clearParameterOverride(layer, scope, key, name) {
+        const overrides = layer.get(key);
+        if (!overrides) return false;
+        
+        if (name === null) {
+            layer.delete(key);
+        } else {
+            if (!(name in overrides)) return false;
+            delete overrides[name];
+            if (Object.keys(overrides).length === 0) layer.delete(key);
+        }
+        
+        this.emit('parameterOverrideChanged', { scope, target: key, name, override: null });
+        this.refreshVisualizerOverrides(scope, key);
+        return true;
+    }
+    
+    // Overrides are { value } (absolute), { offset } and/or { multiplier };
+    // a bare value is shorthand for { value }
+    normalizeOverride(name, override) {
+        const meta = this.parameterMeta[name];
+        if (!meta) {
+            console.warn(`Unknown parameter: ${name}`);
+            return null;
+        }
+        
+        const isSpec = override !== null && typeof override === 'object' && !Array.isArray(override) &&
+            ('value' in override || 'offset' in override || 'multiplier' in override);
+        const spec = isSpec ? override : { value: override };
+        
+        if ('value' in spec) {
+            const value = this.validateParameter(name, spec.value);
+            if (value === null) {
+                console.warn(`Invalid override value for parameter ${name}`);
+                return null;
+            }
+            return { value };
+        }
+        
+        if (meta.type !== 'float' && meta.type !== 'int') {
+            console.warn(`Relative overrides need a numeric parameter: ${name}`);
+            return null;
+        }
+        
+        const offset = spec.offset ?? 0;
+        const multiplier = spec.multiplier ?? 1;
+        if (typeof offset !== 'number' || typeof multiplier !== 'number') {
+            console.warn(`Invalid relative override for parameter ${name}`);
+            return null;
+        }
+        
+        return { offset, multiplier };
+    }
+    
+    applyOverride(name, value, override) {
+        if (!override) return value;
+        if ('value' in override) return override.value;
+        return this.validateParameter(name, value * override.multiplier + override.offset) ?? value;
+    }
+    
+    resolveVisualizerParameter(visualizerInfo, name, value) {
+        const roleOverrides = this.roleOverrides.get(visualizerInfo.role);
+        const instanceOverrides = this.instanceOverrides.get(visualizerInfo.instanceId);
+        
+        // global -> role -> instance
+        value = this.applyOverride(name, value, roleOverrides && roleOverrides[name]);
+        return this.applyOverride(name, value, instanceOverrides && instanceOverrides[name]);
+    }
+    
+    getResolvedParameters(instanceId) {
+        const parameters = this.getEffectiveParameters();
+        const visualizerInfo = this.registeredVisualizers && this.registeredVisualizers.get(instanceId);
+        if (!visualizerInfo) return parameters;
+        
+        for (const [name, value] of Object.entries(parameters)) {
+            parameters[name] = this.resolveVisualizerParameter(visualizerInfo, name, value);
+        }
+        return parameters;
+    }
+    
+    refreshVisualizerOverrides(scope, key) {
+        const affected = (visualizerInfo) =>
+            scope === 'role' ? visualizerInfo.role === key : visualizerInfo.instanceId === key;
+        
+        this.syncParameterBatchToVisualizers(this.getEffectiveParameters(), 'override', affected);
+    }
+    
+    /**
+     * PRESET MANAGEMENT
+     */
+    
+    loadPreset(presetData, options = {}) {
+        if (typeof presetData === 'string') {
+            // Assume it's a preset name - would need PresetDatabase integration
+            console.warn('Preset name loading requires PresetDatabase integration');
+            return false;
+        }
+        
+        if (typeof presetData === 'object' && presetData.parameters) {
+            this.currentPreset = presetData;
+            
+            // A preset's modulation replaces the current routes; one without any clears them
+            if (presetData.modulation) {
+                this.setModulation(presetData.modulation);
+            } else if (this.modulation.sources.size > 0) {
+                this.clearModulation();
+            }
+            
+            // Presets may also carry a timeline; it is loaded but not started
+            if (presetData.timeline) {
+                this.loadTimeline(presetData.timeline);
+            }
+            
+            // Derived parameters are recomputed from the preset's inputs
+            const parameters = Object.fromEntries(
+                Object.entries(presetData.parameters).filter(([name]) => !this.graph.isDerived(name))
+            );
+            
+            if (options.duration > 0) {
+                // Tween into the preset
+                this.animateParameters(parameters, {
+                    duration: options.duration,
+                    easing: options.easing,
+                    source: 'preset'
+                });
+            } else {
+                // Apply preset parameters as a single undoable batch
+                this.setParameters(parameters, 'preset');
+            }
+            
+            this.emit('presetLoaded', { id: presetData.id || null, name: presetData.name || null });
+            console.log('🎨 Preset loaded:', presetData.name || 'unnamed');
+            return true;
+        }
+        
+        return false;
+    }
+    
+    saveCurrentAsPreset(name) {
+        return {
+            name,
+            timestamp: Date.now(),
+            parameters: { ...this.parameters },
+            modulation: this.modulation.isEmpty() ? null : this.modulation.toJSON(),
+            timeline: this.timeline ? this.timeline.toJSON() : null,
+            metadata: {
+                visualizerCount: this.registeredVisualizers ? this.registeredVisualizers.size : 0,
+                version: '1.0'
+            }
+        };
+    }
+    
+    /**
+     * HISTORY MANAGEMENT
+     */
+    
+    undo() {
+        if (!this.history) return false;
+        
+        // Apply anything still queued so undo acts on the visible state
+        this.processParameterUpdates();
+        
+        const parameters = this.history.undo();
+        if (!parameters) return false;
+        
+        this.setParameters(parameters, 'history');
+        this.emit('historyChanged', { action: 'undo', parameters, ...this.history.getStatus() });
+        return true;
+    }
+    
+    redo() {
+        if (!this.history) return false;
+        
+        this.processParameterUpdates();
+        
+        const parameters = this.history.redo();
+        if (!parameters) return false;
+        
+        this.setParameters(parameters, 'history');
+        this.emit('historyChanged', { action: 'redo', parameters, ...this.history.getStatus() });
+        return true;
+    }
+    
+    canUndo() {
+        return !!this.history && this.history.canUndo();
+    }
+    
+    canRedo() {
+        return !!this.history && this.history.canRedo();
+    }
+    
+    clearHistory() {
+        if (this.history) {
+            this.history.clear();
+        }
+    }
+    
+    createCheckpoint(name) {
+        if (!this.history) return false;
+        
+        this.processParameterUpdates();
+        
+        const { globalTime, ...parameters } = this.parameters;
+        for (const parameterName of Object.keys(parameters)) {
+            if (this.graph.isDerived(parameterName)) delete parameters[parameterName];
+        }
+        this.history.createCheckpoint(name, parameters);
+        
+        console.log(`📌 Checkpoint created: ${name}`);
+        return true;
+    }
+    
+    restoreCheckpoint(name) {
+        if (!this.history) return false;
+        
+        const checkpoint = this.history.getCheckpoint(name);
+        if (!checkpoint) {
+            console.warn(`Unknown checkpoint: ${name}`);
+            return false;
+        }
+        
+        // Restoring is itself an undoable step
+        this.setParameters(checkpoint.parameters, 'checkpoint');
+        
+        console.log(`📌 Checkpoint restored: ${name}`);
+        return true;
+    }
+    
+    removeCheckpoint(name) {
+        return !!this.history && this.history.removeCheckpoint(name);
+    }
+    
+    getCheckpointNames() {
+        return this.history ? this.history.getCheckpointNames() : [];
+    }
+    
+    /**
+     * SYSTEM MONITORING
+     */
+    
+    getSystemState() {
+        return {
+            parameters: { ...this.parameters },
+            effectiveParameters: this.getEffectiveParameters(),
+            visualizerCount: this.registeredVisualizers ? this.registeredVisualizers.size : 0,
+            updateQueueLength: this.updateQueue.length,
+            lastUpdateTime: this.lastUpdateTime,
+            currentPreset: this.currentPreset?.name || null,
+            isProcessing: this.isProcessingUpdates
+        };
+    }
+    
     getVisualizerInfo() {
         if (!this.registeredVisualizers) return {};
         
@@ -484,7 +1774,9 @@ class VIB3HomeMaster extends EventTarget {
                 role: visualizerInfo.role,
                 registeredAt: visualizerInfo.registeredAt,
                 lastUpdate: visualizerInfo.lastUpdate,
-                parameterCount: visualizerInfo.parameterCache.size
+                parameterCount: visualizerInfo.parameterCache.size,
+                overrideCount: Object.keys(this.instanceOverrides.get(instanceId) || {}).length +
+                    Object.keys(this.roleOverrides.get(visualizerInfo.role) || {}).length
             };
         }
         return info;
@@ -496,11 +1788,17 @@ class VIB3HomeMaster extends EventTarget {
     
     startUpdateLoop() {
         const update = () => {
+            const now = this.clock.now();
+            this.updateGlobalTime(now);
+            this.updateAnimations(now);
+            this.updateTimeline();
             this.processParameterUpdates();
-            requestAnimationFrame(update);
+            this.updateModulation();
+            this.subscriptions.flush(now);
+            this.updateFrameId = this.clock.requestFrame(update);
         };
         
-        requestAnimationFrame(update);
+        this.updateFrameId = this.clock.requestFrame(update);
         console.log('🔄 VIB3HomeMaster update loop started');
     }
     
@@ -510,9 +1808,6 @@ class VIB3HomeMaster extends EventTarget {
     
     handleEvent(eventType, eventData, source) {
         switch (eventType) {
-            case 'userInput':
-                this.handleUserInput(eventData, source);
-                break;
             case 'parameterUpdate':
                 if (eventData.name && eventData.value !== undefined) {
                     this.setParameter(eventData.name, eventData.value, source);
@@ -528,21 +1823,9 @@ class VIB3HomeMaster extends EventTarget {
         }
     }
     
-    handleUserInput(eventData, source) {
-        switch (eventData.type) {
-            case 'mouse':
-                this.handleMouseInteraction(eventData.x, eventData.y, eventData.intensity);
-                break;
-            case 'click':
-                this.handleClickInteraction(eventData.x, eventData.y, eventData.isDown);
-                break;
-            case 'scroll':
-                this.handleScrollInteraction(eventData.deltaY);
-                break;
-            case 'keyboard':
-                this.handleKeyboardInteraction(eventData.key, eventData.isDown);
-                break;
-        }
+    // EventTarget has no emit(); listeners read the payload from event.detail
+    emit(eventName, detail) {
+        this.dispatchEvent(new CustomEvent(eventName, { detail }));
     }
     
     /**
@@ -556,7 +1839,15 @@ class VIB3HomeMaster extends EventTarget {
             updateQueueLength: this.updateQueue.length,
             isProcessingUpdates: this.isProcessingUpdates,
             parameterCount: Object.keys(this.parameters).length,
-            systemStarted: !!this.startTime
+            history: this.history ? this.history.getStatus() : null,
+            transactionActive: !!this.activeTransaction,
+            activeAnimations: this.animator.getActiveAnimations().length,
+            modulationRoutes: this.modulation.routes.size,
+            timeline: this.getTimelineState(),
+            graphNodes: this.graph.nodes.size,
+            arbitration: this.arbiter.getStatus(),
+            subscriptions: this.subscriptions.size,
+            systemStarted: this.startTime !== null
         };
     }
 }
@@ -24,12 +24,89 @@ class VIB3SystemController extends EventTarget {
             ...config
         };
         
+        // State persistence (opt-in): save across reloads, optionally restore on init
+        this.config.persistence = {
+            enabled: false,
+            restore: false,
+            adapter: 'localStorage', // localStorage, indexedDB, memory
+            key: 'vib3-state',
+            debounceMS: 500,
+            ...(config.persistence || {})
+        };
+        
+        // Shareable URL state (opt-in): apply a shared link on init, optionally keep the URL updated
+        this.config.urlState = {
+            enabled: false,
+            sync: false,
+            location: 'hash', // hash or query
+            includeTimeline: false,
+            ...(config.urlState || {})
+        };
+        
+        // Cross-tab sync (opt-in): mirror parameters between same-origin windows
+        this.config.sync = {
+            enabled: false,
+            channelName: 'vib3-sync',
+            mode: 'both', // both, send (control surface), receive (output display)
+            ...(config.sync || {})
+        };
+        
+        // Remote control (opt-in): accept commands relayed by server/remote-server.js
+        this.config.remote = {
+            enabled: false,
+            url: 'ws://127.0.0.1:8787',
+            token: null,
+            ...(config.remote || {})
+        };
+        
+        // OSC input (opt-in): packets relayed from UDP by server/osc-relay.js
+        this.config.osc = {
+            enabled: false,
+            url: 'ws://127.0.0.1:8788',
+            token: null,
+            prefix: '/vib3',
+            mappings: [],
+            feedback: false,
+            ...(config.osc || {})
+        };
+        
+        // MIDI controllers (opt-in): mappings are learned in the page and persisted
+        this.config.midi = {
+            enabled: false,
+            storage: 'localStorage',
+            storageKey: 'vib3-midi-mappings',
+            mappings: null, // exportMidiMappings() JSON to start from when nothing is stored
+            ...(config.midi || {})
+        };
+        
+        // Game controllers (opt-in), e.g. for kiosks: sticks/triggers/buttons run the 'gamepad'
+        // input mappings; actions maps buttons to shortcut actions (default start/back: presets)
+        this.config.gamepad = {
+            enabled: false,
+            deadzone: 0.15,
+            triggerDeadzone: 0.05,
+            actions: null,
+            ...(config.gamepad || {})
+        };
+        
+        // Audio-reactive routes (opt-in); the page connects an input, since
+        // browsers only start audio after a user gesture
+        this.config.audio = {
+            enabled: false,
+            analysis: {},
+            routes: [],
+            ...(config.audio || {})
+        };
+        
         // System state
         this.isInitialized = false;
         this.isRunning = false;
         this.systemHealth = 'unknown';
         this.lastPerformanceCheck = 0;
         
+        // Shared time source (set up with the core modules)
+        this.clock = null;
+        
         // Module references (initialized lazily)
         this.modules = {
             homeMaster: null,
@@ -39,7 +116,15 @@ class VIB3SystemController extends EventTarget {
             geometryRegistry: null,
             presetDatabase: null,
             performanceMonitor: null,
-            errorHandler: null
+            errorHandler: null,
+            statePersistence: null,
+            urlState: null,
+            broadcastSync: null,
+            remoteControl: null,
+            oscBridge: null,
+            midiInput: null,
+            gamepadInput: null,
+            audioDriver: null
         };
         
         // Event routing
@@ -87,6 +172,24 @@ class VIB3SystemController extends EventTarget {
             // Phase 5: Validate system integrity
             await this.validateSystemIntegrity();
             
+            // Phase 6: Restore saved state and start persisting changes
+            await this.initializePersistence();
+            
+            // Phase 7: Apply shared URL state (wins over restored state)
+            await this.initializeUrlState();
+            
+            // Phase 8: Join other tabs (a running leader's state wins)
+            await this.initializeSync();
+            
+            // Phase 9: Open remote control and OSC connections
+            await this.initializeRemoteControl();
+            await this.initializeOSC();
+            
+            // Phase 10: Connect MIDI controllers, gamepads and audio analysis
+            await this.initializeMidi();
+            await this.initializeGamepad();
+            await this.initializeAudio();
+            
             this.isInitialized = true;
             this.systemHealth = 'healthy';
             
@@ -245,9 +348,14 @@ class VIB3SystemController extends EventTarget {
         console.log('🔧 Initializing core modules...');
         
         // Initialize VIB3HomeMaster (Central Authority)
+        // Shared clock: modules created without one (visualizers) use the default
+        const { getDefaultClock, setDefaultClock } = await import('../utils/Clock.js');
+        this.clock = setDefaultClock(this.config.clock || getDefaultClock());
+        
         const { VIB3HomeMaster } = await import('./VIB3HomeMaster.js');
         this.modules.homeMaster = new VIB3HomeMaster({
             systemController: this,
+            clock: this.clock,
             maxVisualizers: this.config.maxVisualizers
         });
         
@@ -269,7 +377,9 @@ class VIB3SystemController extends EventTarget {
         const { InteractionCoordinator } = await import('../interactions/InteractionCoordinator.js');
         this.modules.interactionCoordinator = new InteractionCoordinator({
             systemController: this,
-            homeMaster: this.modules.homeMaster
+            homeMaster: this.modules.homeMaster,
+            midiStorage: this.config.midi.storage,
+            midiStorageKey: this.config.midi.storageKey
         });
         
         // Initialize VisualizerPool
@@ -303,6 +413,7 @@ class VIB3SystemController extends EventTarget {
         const { PerformanceMonitor } = await import('../utils/PerformanceMonitor.js');
         this.modules.performanceMonitor = new PerformanceMonitor({
             systemController: this,
+            clock: this.clock,
             targetFPS: this.config.targetFPS
         });
         
@@ -328,13 +439,161 @@ class VIB3SystemController extends EventTarget {
         console.log('✅ System integrity validated');
     }
     
+    async initializePersistence() {
+        const { enabled, restore, adapter, key, debounceMS } = this.config.persistence;
+        if (!enabled) return;
+        
+        console.log('💾 Initializing state persistence...');
+        
+        const { StatePersistence } = await import('../utils/StatePersistence.js');
+        let persistence = new StatePersistence({ adapter, key, debounceMS });
+        
+        if (!persistence.adapter.isAvailable()) {
+            console.warn(`Storage adapter '${persistence.adapter.name}' unavailable, state will only persist in memory`);
+            persistence = new StatePersistence({ adapter: 'memory', key, debounceMS });
+        }
+        
+        if (restore) {
+            await persistence.restore(this.modules.homeMaster, { presetDatabase: this.modules.presetDatabase });
+        }
+        
+        persistence.attach(this.modules.homeMaster);
+        this.modules.statePersistence = persistence;
+    }
+    
+    async initializeUrlState() {
+        const { enabled, sync, location, includeTimeline } = this.config.urlState;
+        if (!enabled || typeof window === 'undefined') return;
+        
+        console.log('🔗 Initializing URL state...');
+        
+        const { UrlStateCodec } = await import('../utils/UrlStateCodec.js');
+        const codec = new UrlStateCodec({ location, includeTimeline });
+        
+        codec.applyFromUrl(this.modules.homeMaster, { presetDatabase: this.modules.presetDatabase });
+        
+        if (sync) {
+            codec.startSync(this.modules.homeMaster);
+        }
+        this.modules.urlState = codec;
+    }
+    
+    async initializeSync() {
+        const { enabled, channelName, mode } = this.config.sync;
+        if (!enabled) return;
+        
+        console.log('🔄 Initializing cross-tab sync...');
+        
+        const { BroadcastSync } = await import('../sync/BroadcastSync.js');
+        const sync = new BroadcastSync({ channelName, mode });
+        
+        if (sync.attach(this.modules.homeMaster)) {
+            this.modules.broadcastSync = sync;
+        }
+    }
+    
+    async initializeRemoteControl() {
+        const { enabled, url, token } = this.config.remote;
+        if (!enabled) return;
+        
+        console.log('🛰️ Initializing remote control...');
+        
+        const { RemoteControlClient } = await import('../remote/RemoteControlClient.js');
+        const remote = new RemoteControlClient({
+            url,
+            token,
+            homeMaster: this.modules.homeMaster,
+            systemController: this,
+            presetDatabase: this.modules.presetDatabase,
+            geometryRegistry: this.modules.geometryRegistry
+        });
+        
+        // Connects in the background and keeps retrying; init doesn't wait for the server
+        if (remote.connect()) {
+            this.modules.remoteControl = remote;
+        }
+    }
+    
+    async initializeOSC() {
+        const { enabled, ...oscConfig } = this.config.osc;
+        if (!enabled) return;
+        
+        console.log('🎚️ Initializing OSC bridge...');
+        
+        const { OSCBridge } = await import('../remote/OSCBridge.js');
+        const bridge = new OSCBridge({
+            ...oscConfig,
+            homeMaster: this.modules.homeMaster,
+            presetDatabase: this.modules.presetDatabase,
+            geometryRegistry: this.modules.geometryRegistry
+        });
+        
+        if (bridge.connect()) {
+            this.modules.oscBridge = bridge;
+        }
+    }
+    
+    async initializeMidi() {
+        const { enabled, mappings } = this.config.midi;
+        if (!enabled) return;
+        
+        console.log('🎹 Initializing MIDI input...');
+        
+        const { MidiInput } = await import('../interactions/MidiInput.js');
+        const midiInput = new MidiInput();
+        
+        if (!(await midiInput.connect())) return;
+        
+        const coordinator = this.modules.interactionCoordinator;
+        const restored = await coordinator.attachMidi(midiInput);
+        if (!restored && mappings) {
+            coordinator.importMidiMappings(mappings);
+        }
+        
+        this.modules.midiInput = midiInput;
+    }
+    
+    async initializeGamepad() {
+        const { enabled, deadzone, triggerDeadzone, actions } = this.config.gamepad;
+        if (!enabled) return;
+        
+        console.log('🕹️ Initializing gamepad input...');
+        
+        const { GamepadInput } = await import('../interactions/GamepadInput.js');
+        const gamepadInput = new GamepadInput({ deadzone, triggerDeadzone, clock: this.clock });
+        
+        if (!gamepadInput.connect()) return;
+        
+        this.modules.interactionCoordinator.attachGamepad(gamepadInput, actions ? { actions } : {});
+        this.modules.gamepadInput = gamepadInput;
+    }
+    
+    async initializeAudio() {
+        const { enabled, analysis, routes } = this.config.audio;
+        if (!enabled) return;
+        
+        console.log('🎧 Initializing audio-reactive driver...');
+        
+        const { AudioReactiveDriver } = await import('../audio/AudioReactiveDriver.js');
+        const driver = new AudioReactiveDriver({
+            analysis,
+            routes,
+            homeMaster: this.modules.homeMaster,
+            clock: this.clock
+        });
+        
+        if (driver.start()) {
+            this.modules.audioDriver = driver;
+        }
+    }
+    
     /**
      * EVENT ROUTING AND COORDINATION
      */
     
     setupEventRouting() {
         // Define event routing table
-        this.eventRouter.set('userInput', ['interactionCoordinator', 'homeMaster']);
+        this.eventRouter.set('userInput', ['interactionCoordinator']);
         this.eventRouter.set('parameterUpdate', ['homeMaster', 'reactivityBridge', 'visualizerPool']);
         this.eventRouter.set('geometryChange', ['geometryRegistry', 'visualizerPool']);
         this.eventRouter.set('visualizerUpdate', ['visualizerPool', 'performanceMonitor']);
@@ -490,6 +749,10 @@ class VIB3SystemController extends EventTarget {
         return this.modules[name];
     }
     
+    getClock() {
+        return this.clock;
+    }
+    
     // Parameter management
     async setParameter(name, value, source = 'api') {
         if (this.modules.homeMaster) {
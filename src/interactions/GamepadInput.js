@@ -0,0 +1,413 @@
+/**
+ * GAMEPAD INPUT
+ * Gamepad API poller for InteractionCoordinator
+ * 
+ * Responsibilities:
+ * - Poll connected gamepads on clock frames (the Gamepad API has no input events)
+ * - Apply radial deadzones to the sticks and a deadzone to the analog triggers
+ * - Report button presses and releases as edges
+ * - Pick up gamepads plugged in or removed at any time (events plus per-poll diffing)
+ * - Accept an injectable gamepad source so mappings can be exercised without hardware
+ * 
+ * Axes and buttons use the standard layout names, by position for pads without it:
+ * - axes: leftX, leftY, rightX, rightY (-1..1, y pointing up), lt, rt (0..1)
+ * - buttons: a, b, x, y, lb, rb, lt, rt, back, start, leftStick, rightStick, up, down, left, right, home
+ * 
+ * Events:
+ * - input: { index, id, axes, changed, pressed, released, deltaSeconds }, once per poll for
+ *   each gamepad that moved or is held off-centre (axes: every axis; changed: axes that moved)
+ * - buttondown / buttonup: { index, id, button, value }
+ * - connected / disconnected: { index, id }, devicesChanged: { devices }
+ */
+
+import { EventEmitterBase } from '../utils/EventEmitterBase.js';
+import { getDefaultClock } from '../utils/Clock.js';
+
+const STANDARD_BUTTONS = [
+    'a', 'b', 'x', 'y', 'lb', 'rb', 'lt', 'rt', 'back', 'start',
+    'leftStick', 'rightStick', 'up', 'down', 'left', 'right', 'home'
+];
+const STICKS = [
+    { x: 'leftX', y: 'leftY', axes: [0, 1] },
+    { x: 'rightX', y: 'rightY', axes: [2, 3] }
+];
+const TRIGGERS = [
+    { name: 'lt', button: 6 },
+    { name: 'rt', button: 7 }
+];
+const GAMEPAD_AXES = ['leftX', 'leftY', 'rightX', 'rightY', 'lt', 'rt'];
+
+// Longest step a rate rule sees, so a stalled tab doesn't jump on its next frame
+const MAX_DELTA_SECONDS = 0.1;
+
+function buttonName(index) {
+    return STANDARD_BUTTONS[index] || `button${index}`;
+}
+
+// Scales what's left outside the deadzone back onto 0..1, so motion starts smoothly at its edge
+function rescale(magnitude, deadzone) {
+    return magnitude <= deadzone ? 0 : Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
+
+// Radial: a stick pushed along one axis doesn't leak into the other
+function applyStickDeadzone(x, y, deadzone) {
+    const magnitude = Math.hypot(x, y);
+    const scaled = rescale(magnitude, deadzone);
+    return scaled === 0 ? { x: 0, y: 0 } : { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
+
+class GamepadInput extends EventEmitterBase {
+    constructor(config = {}) {
+        super();
+        
+        this.config = {
+            deadzone: 0.15,
+            triggerDeadzone: 0.05,
+            // Axis moves smaller than this don't count as changes (stick noise)
+            axisThreshold: 0.01,
+            ...config
+        };
+        
+        this.clock = config.clock || getDefaultClock();
+        
+        // { getGamepads() }: navigator by default, MockGamepadSource in tests
+        this.source = config.source || null;
+        this.connected = false;
+        
+        // Connected gamepads: index -> { index, id, mapping, axes: name -> value, buttons: name -> value }
+        this.pads = new Map();
+        
+        this.frame = null;
+        this.lastPoll = null;
+        
+        this.handleGamepadEvent = () => this.poll();
+    }
+    
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+    
+    /**
+     * DEVICES
+     */
+    
+    connect() {
+        if (this.connected) return true;
+        
+        if (!this.source) {
+            if (!GamepadInput.isSupported()) {
+                console.warn('Gamepad API not supported, gamepad input disabled');
+                return false;
+            }
+            this.source = { getGamepads: () => navigator.getGamepads() };
+        }
+        
+        // Polling finds pads on its own; the events just report them a frame sooner
+        if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+            window.addEventListener('gamepadconnected', this.handleGamepadEvent);
+            window.addEventListener('gamepaddisconnected', this.handleGamepadEvent);
+        }
+        
+        this.connected = true;
+        this.lastPoll = null;
+        this.scheduleFrame();
+        
+        console.log('🕹️ Gamepad input connected');
+        return true;
+    }
+    
+    disconnect() {
+        if (this.frame !== null) {
+            this.clock.cancelFrame(this.frame);
+            this.frame = null;
+        }
+        
+        if (typeof window !== 'undefined' && typeof window.removeEventListener === 'function') {
+            window.removeEventListener('gamepadconnected', this.handleGamepadEvent);
+            window.removeEventListener('gamepaddisconnected', this.handleGamepadEvent);
+        }
+        
+        for (const index of Array.from(this.pads.keys())) {
+            this.removePad(index);
+        }
+        if (this.connected) {
+            this.emit('devicesChanged', { devices: this.getDevices() });
+        }
+        
+        this.connected = false;
+    }
+    
+    readGamepads() {
+        try {
+            return Array.from(this.source.getGamepads() || []);
+        } catch (error) {
+            // Blocked by a permissions policy
+            console.warn('Cannot read gamepads:', error.message || error);
+            return [];
+        }
+    }
+    
+    addPad(gamepad) {
+        this.pads.set(gamepad.index, {
+            index: gamepad.index,
+            id: gamepad.id,
+            mapping: gamepad.mapping || '',
+            axes: Object.fromEntries(GAMEPAD_AXES.map(name => [name, 0])),
+            buttons: {}
+        });
+        this.emit('connected', { index: gamepad.index, id: gamepad.id });
+    }
+    
+    // Releases what the pad held, so mappings see sticks recentre and buttons come up
+    removePad(index) {
+        const pad = this.pads.get(index);
+        if (!pad) return;
+        
+        const changed = {};
+        for (const [name, value] of Object.entries(pad.axes)) {
+            if (value !== 0) changed[name] = 0;
+        }
+        const released = Object.keys(pad.buttons).filter(name => pad.buttons[name] > 0);
+        released.forEach(button => this.emit('buttonup', { index, id: pad.id, button, value: 0 }));
+        
+        this.pads.delete(index);
+        
+        if (Object.keys(changed).length > 0 || released.length > 0) {
+            this.emit('input', {
+                index,
+                id: pad.id,
+                axes: Object.fromEntries(GAMEPAD_AXES.map(name => [name, 0])),
+                changed,
+                pressed: [],
+                released,
+                deltaSeconds: 0
+            });
+        }
+        this.emit('disconnected', { index, id: pad.id });
+    }
+    
+    getDevices() {
+        return Array.from(this.pads.values()).map(({ index, id, mapping }) => ({ index, id, mapping }));
+    }
+    
+    /**
+     * POLLING
+     */
+    
+    scheduleFrame() {
+        this.frame = this.clock.requestFrame(() => {
+            this.frame = null;
+            if (!this.connected) return;
+            
+            this.poll();
+            this.scheduleFrame();
+        });
+    }
+    
+    poll() {
+        if (!this.source) return;
+        
+        const now = this.clock.now();
+        const deltaSeconds = this.lastPoll === null ? 0 : Math.min(MAX_DELTA_SECONDS, (now - this.lastPoll) / 1000);
+        this.lastPoll = now;
+        
+        const available = new Map();
+        for (const gamepad of this.readGamepads()) {
+            if (gamepad && gamepad.connected !== false) available.set(gamepad.index, gamepad);
+        }
+        
+        // Hot-plug: a pad that left its slot, or a different pad in the same slot
+        let devicesChanged = false;
+        for (const [index, pad] of Array.from(this.pads)) {
+            const gamepad = available.get(index);
+            if (!gamepad || gamepad.id !== pad.id) {
+                this.removePad(index);
+                devicesChanged = true;
+            }
+        }
+        for (const [index, gamepad] of available) {
+            if (!this.pads.has(index)) {
+                this.addPad(gamepad);
+                devicesChanged = true;
+            }
+        }
+        if (devicesChanged) {
+            this.emit('devicesChanged', { devices: this.getDevices() });
+        }
+        
+        for (const [index, gamepad] of available) {
+            this.readPad(this.pads.get(index), gamepad, deltaSeconds);
+        }
+    }
+    
+    readPad(pad, gamepad, deltaSeconds) {
+        const axes = gamepad.axes || [];
+        const buttons = gamepad.buttons || [];
+        const value = (button) => (typeof button === 'number' ? button : (button && button.value) || 0);
+        const isPressed = (button) => (typeof button === 'number' ? button > 0 : !!(button && (button.pressed || button.value > 0)));
+        
+        // Sticks report y down; flip it to match the coordinator's y-up positions
+        const next = {};
+        for (const stick of STICKS) {
+            const { x, y } = applyStickDeadzone(axes[stick.axes[0]] || 0, -(axes[stick.axes[1]] || 0), this.config.deadzone);
+            next[stick.x] = x;
+            next[stick.y] = y;
+        }
+        for (const trigger of TRIGGERS) {
+            next[trigger.name] = rescale(value(buttons[trigger.button]), this.config.triggerDeadzone);
+        }
+        
+        const changed = {};
+        for (const name of GAMEPAD_AXES) {
+            const previous = pad.axes[name];
+            // Always report reaching rest or full deflection, however small the step
+            const settled = next[name] !== previous && (next[name] === 0 || Math.abs(next[name]) === 1);
+            if (settled || Math.abs(next[name] - previous) >= this.config.axisThreshold) {
+                changed[name] = next[name];
+                pad.axes[name] = next[name];
+            }
+        }
+        
+        const pressed = [];
+        const released = [];
+        buttons.forEach((button, index) => {
+            const name = buttonName(index);
+            const wasDown = (pad.buttons[name] || 0) > 0;
+            const isDown = isPressed(button);
+            
+            if (isDown && !wasDown) {
+                pressed.push(name);
+                this.emit('buttondown', { index: pad.index, id: pad.id, button: name, value: value(button) || 1 });
+            } else if (!isDown && wasDown) {
+                released.push(name);
+                this.emit('buttonup', { index: pad.index, id: pad.id, button: name, value: 0 });
+            }
+            pad.buttons[name] = isDown ? value(button) || 1 : 0;
+        });
+        
+        const held = GAMEPAD_AXES.some(name => pad.axes[name] !== 0);
+        if (held || Object.keys(changed).length > 0 || pressed.length > 0 || released.length > 0) {
+            this.emit('input', {
+                index: pad.index,
+                id: pad.id,
+                axes: { ...pad.axes },
+                changed,
+                pressed,
+                released,
+                deltaSeconds
+            });
+        }
+    }
+    
+    /**
+     * STATUS
+     */
+    
+    getState(index = 0) {
+        const pad = this.pads.get(index);
+        return pad ? { index, id: pad.id, axes: { ...pad.axes }, buttons: { ...pad.buttons } } : null;
+    }
+    
+    getStatus() {
+        return {
+            connected: this.connected,
+            devices: this.getDevices()
+        };
+    }
+    
+    destroy() {
+        this.disconnect();
+    }
+}
+
+/**
+ * MOCK SOURCE
+ * Stands in for navigator.getGamepads() in tests and demos:
+ * new GamepadInput({ source: new MockGamepadSource() })
+ */
+
+// Shaped like a standard-mapping Gamepad; named axes take the y-up values GamepadInput reports
+class MockGamepad {
+    constructor(id = 'Mock Gamepad', index = 0) {
+        this.id = id;
+        this.index = index;
+        this.connected = false;
+        this.mapping = 'standard';
+        this.timestamp = 0;
+        this.axes = [0, 0, 0, 0];
+        this.buttons = STANDARD_BUTTONS.map(() => ({ pressed: false, touched: false, value: 0 }));
+    }
+    
+    // axis: leftX | leftY | rightX | rightY, or a raw axis index
+    setAxis(axis, value) {
+        if (typeof axis === 'number') {
+            this.axes[axis] = value;
+        } else {
+            const stick = STICKS.find(entry => entry.x === axis || entry.y === axis);
+            if (!stick) return false;
+            this.axes[stick.axes[stick.x === axis ? 0 : 1]] = stick.x === axis ? value : -value;
+        }
+        this.timestamp++;
+        return true;
+    }
+    
+    setStick(stick, x, y) {
+        const prefix = stick === 'right' ? 'right' : 'left';
+        this.setAxis(`${prefix}X`, x);
+        this.setAxis(`${prefix}Y`, y);
+    }
+    
+    // button: a standard name or an index; value < 1 for analog triggers
+    press(button, value = 1) {
+        const index = typeof button === 'number' ? button : STANDARD_BUTTONS.indexOf(button);
+        if (!this.buttons[index]) return false;
+        
+        this.buttons[index] = { pressed: value > 0, touched: value > 0, value };
+        this.timestamp++;
+        return true;
+    }
+    
+    release(button) {
+        return this.press(button, 0);
+    }
+}
+
+class MockGamepadSource {
+    constructor() {
+        this.slots = [null, null, null, null];
+    }
+    
+    // Takes the gamepad's index, or the first free slot
+    connect(gamepad = new MockGamepad()) {
+        let index = this.slots[gamepad.index] ? this.slots.indexOf(null) : gamepad.index;
+        if (index === -1) index = this.slots.length;
+        
+        gamepad.index = index;
+        gamepad.connected = true;
+        this.slots[index] = gamepad;
+        return gamepad;
+    }
+    
+    disconnect(gamepad) {
+        const index = this.slots.indexOf(gamepad);
+        if (index === -1) return false;
+        
+        gamepad.connected = false;
+        this.slots[index] = null;
+        return true;
+    }
+    
+    getGamepads() {
+        return [...this.slots];
+    }
+}
+
+// Export for module system
+export { GamepadInput, MockGamepad, MockGamepadSource, STANDARD_BUTTONS, GAMEPAD_AXES };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.GamepadInput = GamepadInput;
+    window.MockGamepad = MockGamepad;
+    console.log('🕹️ GamepadInput loaded and available globally');
+}
\ No newline at end of file
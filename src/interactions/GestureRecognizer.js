@@ -0,0 +1,384 @@
+/**
+ * GESTURE RECOGNIZER
+ * Multi-touch gesture recognition for InteractionCoordinator
+ * 
+ * Responsibilities:
+ * - Track touch points fed in as plain { id, x, y } lists (no DOM dependency)
+ * - Recognize tap, double-tap, long-press and swipe (one finger)
+ * - Recognize pinch, rotate and pan (two or more fingers), each with start/end events
+ * - Take time from an injectable Clock so synthetic touch sequences are deterministic
+ * 
+ * Coordinates are normalized 0..1 with y pointing up (same as InteractionCoordinator's mouse state).
+ * 
+ * Events:
+ * - tap, doubletap: { x, y }
+ * - longpress: { x, y }, longpressend: { x, y, duration }
+ * - swipe: { direction: left|right|up|down, distance, velocity, dx, dy }
+ * - pinchstart / pinch / pinchend: { scale, delta, center }      (delta: change in scale since last event)
+ * - rotatestart / rotate / rotateend: { rotation, delta, center } (radians, counter-clockwise positive)
+ * - panstart / pan / panend: { dx, dy, deltaX, deltaY, fingers, center }
+ */
+
+import { EventEmitterBase } from '../utils/EventEmitterBase.js';
+import { getDefaultClock } from '../utils/Clock.js';
+
+const CONTINUOUS_GESTURES = ['pinch', 'rotate', 'pan'];
+
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+function centroid(points) {
+    const sum = points.reduce((total, point) => ({ x: total.x + point.x, y: total.y + point.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+// Wraps an angle difference into -PI..PI
+function angleDelta(from, to) {
+    let delta = to - from;
+    while (delta > Math.PI) delta -= 2 * Math.PI;
+    while (delta < -Math.PI) delta += 2 * Math.PI;
+    return delta;
+}
+
+class GestureRecognizer extends EventEmitterBase {
+    constructor(config = {}) {
+        super();
+        
+        this.config = {
+            tapMaxMS: 250,
+            doubleTapMS: 300,
+            doubleTapDistance: 0.05,
+            longPressMS: 500,
+            // A finger that moves less than this is still "holding"
+            moveTolerance: 0.02,
+            swipeMinDistance: 0.15,
+            swipeMaxMS: 500,
+            pinchThreshold: 0.05,   // scale change
+            rotateThreshold: 0.1,   // radians
+            panThreshold: 0.02,
+            ...config
+        };
+        
+        this.clock = config.clock || getDefaultClock();
+        
+        // Active touches: id -> { startX, startY, x, y, startTime }
+        this.touches = new Map();
+        
+        // One-finger gesture state
+        this.maxTouches = 0;
+        this.lastTap = null;
+        this.longPress = null;      // { x, y, time } once fired
+        this.longPressFrame = null;
+        
+        // Multi-finger baseline, reset whenever the finger count changes
+        this.multi = null;
+    }
+    
+    now() {
+        return this.clock.now();
+    }
+    
+    /**
+     * TOUCH INPUT
+     * Each call receives the touches it concerns: new ones for start, moved ones
+     * for move, lifted ones for end/cancel.
+     */
+    
+    touchStart(touches) {
+        const time = this.now();
+        
+        for (const touch of touches) {
+            this.touches.set(touch.id, {
+                startX: touch.x,
+                startY: touch.y,
+                x: touch.x,
+                y: touch.y,
+                startTime: time
+            });
+        }
+        
+        this.maxTouches = Math.max(this.maxTouches, this.touches.size);
+        
+        if (this.touches.size === 1) {
+            this.scheduleLongPress();
+        } else {
+            // A second finger turns a hold into a multi-finger gesture
+            this.cancelLongPress();
+            this.endLongPress();
+        }
+        
+        this.resetMultiTouch();
+    }
+    
+    touchMove(touches) {
+        for (const touch of touches) {
+            const state = this.touches.get(touch.id);
+            if (state) {
+                state.x = touch.x;
+                state.y = touch.y;
+            }
+        }
+        
+        if (this.touches.size === 1) {
+            const [state] = this.touches.values();
+            if (distance({ x: state.startX, y: state.startY }, state) > this.config.moveTolerance) {
+                this.cancelLongPress();
+            }
+        } else if (this.touches.size >= 2) {
+            this.updateMultiTouch();
+        }
+    }
+    
+    touchEnd(touches) {
+        this.releaseTouches(touches, true);
+    }
+    
+    // Nothing is recognized from a cancelled sequence
+    touchCancel(touches) {
+        this.releaseTouches(touches, false);
+    }
+    
+    releaseTouches(touches, recognize) {
+        const time = this.now();
+        const single = recognize && this.touches.size === 1 && this.maxTouches === 1;
+        
+        for (const touch of touches) {
+            const state = this.touches.get(touch.id);
+            if (!state) continue;
+            
+            if (touch.x !== undefined) {
+                state.x = touch.x;
+                state.y = touch.y;
+            }
+            if (single) {
+                this.recognizeSingleTouchEnd(state, time);
+            }
+            this.touches.delete(touch.id);
+        }
+        
+        this.cancelLongPress();
+        this.endLongPress();
+        this.resetMultiTouch();
+        
+        if (this.touches.size === 0) {
+            this.maxTouches = 0;
+        }
+    }
+    
+    reset() {
+        this.cancelLongPress();
+        this.endLongPress();
+        this.resetMultiTouch();
+        this.touches.clear();
+        this.maxTouches = 0;
+        this.lastTap = null;
+    }
+    
+    /**
+     * ONE FINGER: TAP, DOUBLE-TAP, LONG-PRESS, SWIPE
+     */
+    
+    recognizeSingleTouchEnd(state, time) {
+        const duration = time - state.startTime;
+        const dx = state.x - state.startX;
+        const dy = state.y - state.startY;
+        const moved = Math.hypot(dx, dy);
+        
+        // The hold ends in releaseTouches; nothing else fires after a long-press
+        if (this.longPress) return;
+        
+        if (moved >= this.config.swipeMinDistance && duration <= this.config.swipeMaxMS) {
+            const direction = Math.abs(dx) > Math.abs(dy)
+                ? (dx > 0 ? 'right' : 'left')
+                : (dy > 0 ? 'up' : 'down');
+            
+            this.emit('swipe', {
+                direction,
+                distance: moved,
+                velocity: duration > 0 ? moved / (duration / 1000) : Infinity,
+                dx,
+                dy
+            });
+            return;
+        }
+        
+        if (moved <= this.config.moveTolerance && duration <= this.config.tapMaxMS) {
+            this.recognizeTap(state, time);
+        }
+    }
+    
+    recognizeTap(state, time) {
+        const tap = { x: state.x, y: state.y, time };
+        const previous = this.lastTap;
+        
+        this.emit('tap', { x: tap.x, y: tap.y });
+        
+        if (previous &&
+            time - previous.time <= this.config.doubleTapMS &&
+            distance(previous, tap) <= this.config.doubleTapDistance) {
+            this.emit('doubletap', { x: tap.x, y: tap.y });
+            // A third tap starts a new pair
+            this.lastTap = null;
+            return;
+        }
+        
+        this.lastTap = tap;
+    }
+    
+    // Polls on clock frames so a manual clock drives long-press deterministically
+    scheduleLongPress() {
+        this.cancelLongPress();
+        
+        const check = () => {
+            this.longPressFrame = null;
+            if (this.touches.size !== 1 || this.longPress) return;
+            
+            const [state] = this.touches.values();
+            if (this.now() - state.startTime >= this.config.longPressMS) {
+                this.longPress = { x: state.x, y: state.y, time: state.startTime };
+                this.emit('longpress', { x: state.x, y: state.y });
+                return;
+            }
+            this.longPressFrame = this.clock.requestFrame(check);
+        };
+        
+        this.longPressFrame = this.clock.requestFrame(check);
+    }
+    
+    // Stops waiting for a hold that hasn't happened yet
+    cancelLongPress() {
+        if (this.longPressFrame !== null) {
+            this.clock.cancelFrame(this.longPressFrame);
+            this.longPressFrame = null;
+        }
+    }
+    
+    endLongPress() {
+        if (!this.longPress) return;
+        
+        const { x, y, time } = this.longPress;
+        this.longPress = null;
+        this.emit('longpressend', { x, y, duration: this.now() - time });
+    }
+    
+    /**
+     * TWO OR MORE FINGERS: PINCH, ROTATE, PAN
+     */
+    
+    // Measurements use the first two fingers; pan uses the centroid of all
+    measure() {
+        const points = Array.from(this.touches.values());
+        const [a, b] = points;
+        
+        return {
+            center: centroid(points),
+            spread: distance(a, b),
+            angle: Math.atan2(b.y - a.y, b.x - a.x),
+            fingers: points.length
+        };
+    }
+    
+    resetMultiTouch() {
+        if (this.multi) {
+            for (const gesture of CONTINUOUS_GESTURES) {
+                if (this.multi.active[gesture]) this.endContinuous(gesture);
+            }
+        }
+        
+        if (this.touches.size < 2) {
+            this.multi = null;
+            return;
+        }
+        
+        const start = this.measure();
+        this.multi = {
+            start,
+            last: { scale: 1, rotation: 0, dx: 0, dy: 0 },
+            active: { pinch: false, rotate: false, pan: false }
+        };
+    }
+    
+    updateMultiTouch() {
+        if (!this.multi) return;
+        
+        const { start, last, active } = this.multi;
+        const current = this.measure();
+        
+        const scale = start.spread > 0 ? current.spread / start.spread : 1;
+        const rotation = angleDelta(start.angle, current.angle);
+        const dx = current.center.x - start.center.x;
+        const dy = current.center.y - start.center.y;
+        
+        if (active.pinch || Math.abs(scale - 1) >= this.config.pinchThreshold) {
+            this.updateContinuous('pinch', { scale, delta: scale - last.scale, center: current.center });
+            last.scale = scale;
+        }
+        
+        if (active.rotate || Math.abs(rotation) >= this.config.rotateThreshold) {
+            this.updateContinuous('rotate', { rotation, delta: rotation - last.rotation, center: current.center });
+            last.rotation = rotation;
+        }
+        
+        if (active.pan || Math.hypot(dx, dy) >= this.config.panThreshold) {
+            this.updateContinuous('pan', {
+                dx,
+                dy,
+                deltaX: dx - last.dx,
+                deltaY: dy - last.dy,
+                fingers: current.fingers,
+                center: current.center
+            });
+            last.dx = dx;
+            last.dy = dy;
+        }
+        
+        this.multi.current = current;
+    }
+    
+    updateContinuous(gesture, data) {
+        if (!this.multi.active[gesture]) {
+            this.multi.active[gesture] = true;
+            this.emit(`${gesture}start`, data);
+        }
+        this.emit(gesture, data);
+    }
+    
+    endContinuous(gesture) {
+        this.multi.active[gesture] = false;
+        this.emit(`${gesture}end`, { center: (this.multi.current || this.multi.start).center });
+    }
+    
+    /**
+     * STATUS
+     */
+    
+    getActiveGestures() {
+        const gestures = [];
+        if (this.longPress) gestures.push('longpress');
+        if (this.multi) {
+            gestures.push(...CONTINUOUS_GESTURES.filter(gesture => this.multi.active[gesture]));
+        }
+        return gestures;
+    }
+    
+    getStatus() {
+        return {
+            touches: this.touches.size,
+            activeGestures: this.getActiveGestures()
+        };
+    }
+    
+    destroy() {
+        this.reset();
+    }
+}
+
+// Export for module system
+export { GestureRecognizer };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.GestureRecognizer = GestureRecognizer;
+    console.log('👆 GestureRecognizer loaded and available globally');
+}
\ No newline at end of file
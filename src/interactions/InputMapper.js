@@ -0,0 +1,316 @@
+/**
+ * INPUT MAPPER
+ * Declarative input → parameter mapping rules for InteractionCoordinator
+ * 
+ * Responsibilities:
+ * - Define the default mouse / click / scroll / key / gesture / gamepad mappings
+ * - Validate and normalize rule sets (from config, presets or the UI)
+ * - Evaluate a rule against an input value and the parameter's current value
+ * 
+ * Rule: { input, axis, target, mode, scope, curve, range, inputRange, invert, value, step, scale, rate, wrap, values }
+ * - input/axis: mouse x|y (0..1) | pressure (0..1) | tiltX|tiltY (degrees) for mouse and pen pointers,
+ *   click press (1 down, 0 up),
+ *   scroll deltaY|deltaX (wheel delta), key <key name> (1 down, 0 up),
+ *   gesture pinch (scale change) | rotate (radians) | panX | panY (deltas) |
+ *   swipeLeft | swipeRight | swipeUp | swipeDown | tap | doubletap (1) | longpress (1 held, 0 released),
+ *   gamepad leftX | leftY | rightX | rightY (-1..1, y up) | lt | rt (0..1) | <button name> (1 down, 0 up)
+ * - mode:
+ *   absolute  input scaled onto range through curve; with `value`, sets it on press
+ *   relative  adds step in the input's direction on each press/scroll tick, or input × scale
+ *             for continuous deltas; clamped to range, or wrapped around it with wrap: true.
+ *             rate: true makes scale a speed: input (shaped by curve) × scale per second held,
+ *             for inputs reported every frame (gamepad sticks and triggers)
+ *   toggle    flips between values[0] and values[1] on press
+ * - scope:
+ *   global      sets the parameter for every visualizer (default)
+ *   instance    overrides it on the visualizer under the pointer (or the zone's visualizer) only;
+ *               mouse x|y are then relative to that visualizer's canvas
+ *   role        overrides it on every visualizer sharing that visualizer's role (board, card, ...)
+ * - range defaults to the target's parameterMeta range
+ */
+
+import { RESPONSE_CURVES, applyCurve, mapInputToParameter } from '../utils/ResponseCurves.js';
+
+const INPUT_MAPPING_MODES = ['absolute', 'relative', 'toggle'];
+const INPUT_MAPPING_SCOPES = ['global', 'instance', 'role'];
+
+// Axes per input (null = any non-empty name) and the default input range for absolute rules
+// (inputRanges overrides it per axis)
+const INPUT_TYPES = {
+    mouse: {
+        axes: ['x', 'y', 'pressure', 'tiltX', 'tiltY'],
+        inputRange: [0, 1],
+        inputRanges: { tiltX: [-90, 90], tiltY: [-90, 90] },
+        source: 'mouse'
+    },
+    click: { axes: ['press'], inputRange: [0, 1], source: 'click' },
+    scroll: { axes: ['deltaY', 'deltaX'], inputRange: [-100, 100], source: 'scroll' },
+    key: { axes: null, inputRange: [0, 1], source: 'keyboard' },
+    gesture: {
+        axes: ['pinch', 'rotate', 'panX', 'panY', 'swipeLeft', 'swipeRight', 'swipeUp', 'swipeDown', 'tap', 'doubletap', 'longpress'],
+        inputRange: [0, 1],
+        source: 'touch'
+    },
+    gamepad: {
+        axes: [
+            'leftX', 'leftY', 'rightX', 'rightY', 'lt', 'rt',
+            'a', 'b', 'x', 'y', 'lb', 'rb', 'back', 'start', 'leftStick', 'rightStick',
+            'up', 'down', 'left', 'right', 'home'
+        ],
+        inputRange: [0, 1],
+        inputRanges: { leftX: [-1, 1], leftY: [-1, 1], rightX: [-1, 1], rightY: [-1, 1] },
+        source: 'gamepad'
+    }
+};
+
+const DEFAULT_INPUT_MAPPINGS = [
+    // Mouse position → morphFactor and dimension
+    { input: 'mouse', axis: 'x', target: 'morphFactor', mode: 'absolute', range: [0, 1.5] },
+    { input: 'mouse', axis: 'y', target: 'dimension', mode: 'absolute', range: [3.0, 4.5] },
+    
+    // Click/hold → faster rotation, interaction intensity while held
+    { input: 'click', axis: 'press', target: 'rotationSpeed', mode: 'relative', step: 0.5, range: [0, 2.0] },
+    { input: 'click', axis: 'press', target: 'interactionIntensity', mode: 'absolute', range: [0.3, 1.0] },
+    
+    // Scroll down → sparser grid
+    { input: 'scroll', axis: 'deltaY', target: 'gridDensity', mode: 'relative', step: -1, range: [5, 25] },
+    
+    // Keys 1-8 → geometry
+    ...['1', '2', '3', '4', '5', '6', '7', '8'].map((key, index) => (
+        { input: 'key', axis: key, target: 'geometry', mode: 'absolute', value: index }
+    )),
+    
+    // Arrows fine-tune, space toggles glitch
+    { input: 'key', axis: 'ArrowUp', target: 'dimension', mode: 'relative', step: 0.1 },
+    { input: 'key', axis: 'ArrowDown', target: 'dimension', mode: 'relative', step: -0.1 },
+    { input: 'key', axis: 'ArrowRight', target: 'rotationSpeed', mode: 'relative', step: 0.1 },
+    { input: 'key', axis: 'ArrowLeft', target: 'rotationSpeed', mode: 'relative', step: -0.1 },
+    { input: 'key', axis: ' ', target: 'glitchIntensity', mode: 'toggle', values: [0.1, 0.9] },
+    
+    // Touch: pinch out → sparser grid, twist → rotation speed, swipe → next/previous geometry,
+    // multi-finger pan mirrors the mouse, hold and double-tap mirror click and space
+    { input: 'gesture', axis: 'pinch', target: 'gridDensity', mode: 'relative', scale: -10 },
+    { input: 'gesture', axis: 'rotate', target: 'rotationSpeed', mode: 'relative', scale: 0.5 },
+    { input: 'gesture', axis: 'swipeLeft', target: 'geometry', mode: 'relative', step: 1, wrap: true },
+    { input: 'gesture', axis: 'swipeRight', target: 'geometry', mode: 'relative', step: -1, wrap: true },
+    { input: 'gesture', axis: 'panX', target: 'morphFactor', mode: 'relative', scale: 1.5 },
+    { input: 'gesture', axis: 'panY', target: 'dimension', mode: 'relative', scale: 1.5 },
+    { input: 'gesture', axis: 'longpress', target: 'interactionIntensity', mode: 'absolute', range: [0.3, 1.0] },
+    { input: 'gesture', axis: 'doubletap', target: 'glitchIntensity', mode: 'toggle', values: [0.1, 0.9] },
+    
+    // Gamepad: sticks steer morph/dimension and rotation/grid at a speed set by deflection,
+    // right trigger mirrors click intensity, shoulders step geometry, A toggles glitch, d-pad fine-tunes
+    { input: 'gamepad', axis: 'leftX', target: 'morphFactor', mode: 'relative', scale: 0.75, rate: true, curve: 'exponential' },
+    { input: 'gamepad', axis: 'leftY', target: 'dimension', mode: 'relative', scale: 0.75, rate: true, curve: 'exponential' },
+    { input: 'gamepad', axis: 'rightX', target: 'rotationSpeed', mode: 'relative', scale: 1, rate: true, curve: 'exponential' },
+    { input: 'gamepad', axis: 'rightY', target: 'gridDensity', mode: 'relative', scale: 10, rate: true, curve: 'exponential' },
+    { input: 'gamepad', axis: 'rt', target: 'interactionIntensity', mode: 'absolute', range: [0.3, 1.0] },
+    { input: 'gamepad', axis: 'rb', target: 'geometry', mode: 'relative', step: 1, wrap: true },
+    { input: 'gamepad', axis: 'lb', target: 'geometry', mode: 'relative', step: -1, wrap: true },
+    { input: 'gamepad', axis: 'a', target: 'glitchIntensity', mode: 'toggle', values: [0.1, 0.9] },
+    { input: 'gamepad', axis: 'up', target: 'dimension', mode: 'relative', step: 0.1 },
+    { input: 'gamepad', axis: 'down', target: 'dimension', mode: 'relative', step: -0.1 },
+    { input: 'gamepad', axis: 'right', target: 'rotationSpeed', mode: 'relative', step: 0.1 },
+    { input: 'gamepad', axis: 'left', target: 'rotationSpeed', mode: 'relative', step: -0.1 }
+];
+
+/**
+ * VALIDATION
+ */
+
+const isRange = (range) => Array.isArray(range) && range.length === 2 && range.every(Number.isFinite);
+
+// homeMaster is optional; without it target parameters aren't checked
+function validateInputMapping(rule, homeMaster = null) {
+    const errors = [];
+    
+    if (!rule || typeof rule !== 'object') {
+        return { valid: false, errors: ['Mapping must be an object'], mapping: null };
+    }
+    
+    const { input, axis, target, mode = 'absolute', scope = 'global', curve = 'linear' } = rule;
+    const inputType = INPUT_TYPES[input];
+    
+    if (!inputType) {
+        errors.push(`Unknown input: ${input}`);
+    } else if (typeof axis !== 'string' || !axis || (inputType.axes && !inputType.axes.includes(axis))) {
+        errors.push(`Invalid axis for ${input}: ${axis}`);
+    }
+    
+    const meta = homeMaster && typeof target === 'string' ? homeMaster.getParameterMeta(target) : null;
+    if (typeof target !== 'string' || (homeMaster && !homeMaster.isParameterRegistered(target))) {
+        errors.push(`Unknown target parameter: ${target}`);
+    } else if (homeMaster && homeMaster.isDerivedParameter(target)) {
+        errors.push(`Cannot map input to derived parameter: ${target}`);
+    }
+    
+    if (!INPUT_MAPPING_MODES.includes(mode)) {
+        errors.push(`Invalid mode: ${mode}`);
+    }
+    if (!INPUT_MAPPING_SCOPES.includes(scope)) {
+        errors.push(`Invalid scope: ${scope}`);
+    }
+    if (typeof curve !== 'function' && !RESPONSE_CURVES[curve]) {
+        errors.push(`Unknown curve: ${curve}`);
+    }
+    if (rule.range !== undefined && !isRange(rule.range)) {
+        errors.push('range must be [min, max]');
+    }
+    if (rule.inputRange !== undefined && !isRange(rule.inputRange)) {
+        errors.push('inputRange must be [min, max]');
+    }
+    
+    const numeric = !meta || meta.type === 'float' || meta.type === 'int';
+    if (mode === 'relative') {
+        const isStep = (value) => Number.isFinite(value) && value !== 0;
+        if (!isStep(rule.step) && !isStep(rule.scale)) errors.push('relative mappings need a non-zero step or scale');
+        if (rule.rate && !isStep(rule.scale)) errors.push('rate mappings need a non-zero scale');
+        if (!numeric) errors.push(`relative mappings need a numeric target: ${target}`);
+        if (rule.wrap && meta && !(isFinite(meta.min) && isFinite(meta.max)) && !rule.range) {
+            errors.push(`wrap needs a bounded range: ${target}`);
+        }
+    }
+    if (rule.rate && mode !== 'relative') {
+        errors.push('rate needs mode: relative');
+    }
+    if (mode === 'toggle' && !(Array.isArray(rule.values) && rule.values.length === 2)) {
+        errors.push('toggle mappings need values: [off, on]');
+    }
+    
+    if (errors.length > 0) {
+        return { valid: false, errors, mapping: null };
+    }
+    
+    const mapping = {
+        input,
+        axis,
+        target,
+        mode,
+        scope,
+        curve,
+        range: rule.range || null,
+        inputRange: rule.inputRange || (inputType.inputRanges && inputType.inputRanges[axis]) || inputType.inputRange,
+        invert: !!rule.invert
+    };
+    if (rule.value !== undefined) mapping.value = rule.value;
+    if (mode === 'relative') {
+        if (rule.scale !== undefined) mapping.scale = rule.scale;
+        else mapping.step = rule.step;
+        mapping.rate = !!rule.rate;
+        mapping.wrap = !!rule.wrap;
+    }
+    if (mode === 'toggle') mapping.values = [...rule.values];
+    
+    return { valid: true, errors: [], mapping };
+}
+
+// Returns the valid rules plus every error, prefixed with the rule's index
+function validateInputMappings(rules, homeMaster = null) {
+    if (!Array.isArray(rules)) {
+        return { valid: false, errors: ['Mappings must be an array'], mappings: [] };
+    }
+    
+    const mappings = [];
+    const errors = [];
+    
+    rules.forEach((rule, index) => {
+        const result = validateInputMapping(rule, homeMaster);
+        if (result.valid) {
+            mappings.push(result.mapping);
+        } else {
+            result.errors.forEach(error => errors.push(`[${index}] ${error}`));
+        }
+    });
+    
+    return { valid: errors.length === 0, errors, mappings };
+}
+
+/**
+ * EVALUATION
+ */
+
+// Returns the new target value, or undefined when the rule doesn't fire for this input.
+// deltaSeconds is the time since the last evaluation, for rate rules only
+function evaluateInputMapping(mapping, inputValue, current, meta, deltaSeconds = 0) {
+    const pressed = inputValue > 0;
+    
+    switch (mapping.mode) {
+        case 'absolute': {
+            if (mapping.value !== undefined) {
+                return pressed ? mapping.value : undefined;
+            }
+            const value = mapInputToParameter(inputValue, meta, {
+                inputRange: mapping.inputRange,
+                outputRange: mapping.range,
+                curve: mapping.curve,
+                invert: mapping.invert
+            });
+            return value === null ? undefined : value;
+        }
+        
+        case 'relative': {
+            const sign = mapping.invert ? -1 : 1;
+            if (!inputValue || typeof current !== 'number') return undefined;
+            
+            let change;
+            if (mapping.rate) {
+                if (!(deltaSeconds > 0)) return undefined;
+                change = Math.sign(inputValue) * applyCurve(Math.abs(inputValue), mapping.curve) * mapping.scale * sign * deltaSeconds;
+            } else {
+                change = mapping.scale !== undefined
+                    ? inputValue * mapping.scale * sign
+                    : Math.sign(inputValue) * mapping.step * sign;
+            }
+            const next = current + change;
+            const [min, max] = mapping.range || [meta.min, meta.max];
+            
+            if (mapping.wrap) {
+                // Integer ranges include both ends: geometry 7 + 1 wraps to 0
+                const span = meta.type === 'int' ? max - min + 1 : max - min;
+                return span > 0 ? min + (((next - min) % span) + span) % span : min;
+            }
+            return Math.max(min, Math.min(max, next));
+        }
+        
+        case 'toggle': {
+            if (!pressed) return undefined;
+            
+            const [off, on] = mapping.values;
+            const isOn = typeof current === 'number' && typeof off === 'number'
+                ? Math.abs(current - on) < Math.abs(current - off)
+                : current === on;
+            return isOn ? off : on;
+        }
+        
+        default:
+            return undefined;
+    }
+}
+
+const InputMapper = {
+    INPUT_TYPES,
+    INPUT_MAPPING_MODES,
+    INPUT_MAPPING_SCOPES,
+    DEFAULT_INPUT_MAPPINGS,
+    validateInputMapping,
+    validateInputMappings,
+    evaluateInputMapping
+};
+
+// Export for module system
+export {
+    InputMapper,
+    INPUT_TYPES,
+    INPUT_MAPPING_MODES,
+    INPUT_MAPPING_SCOPES,
+    DEFAULT_INPUT_MAPPINGS,
+    validateInputMapping,
+    validateInputMappings,
+    evaluateInputMapping
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.InputMapper = InputMapper;
+    console.log('🎮 InputMapper loaded and available globally');
+}
\ No newline at end of file
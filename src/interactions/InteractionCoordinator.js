@@ -3,14 +3,31 @@
  * Unified event handling system for the VIB34D architecture
  * 
  * Responsibilities:
- * - Capture all user interactions (mouse, keyboard, touch, scroll)
- * - Map interactions to VIB3 parameter changes
+ * - Capture all user interactions (mouse, pen and touch as Pointer Events, keyboard, scroll)
+ * - Target the visualizer under the pointer (PointerTracker.js, scoped input mappings)
+ * - Apply per-canvas interaction zones with their own rules and focus reactions (InteractionZones.js)
+ * - Map interactions to VIB3 parameter changes through declarative rules (InputMapper.js)
  * - Handle ecosystem reactions (focused/unfocused element behaviors)
  * - Coordinate with VIB3HomeMaster for parameter updates
- * - Manage gesture recognition and complex interaction patterns
+ * - Manage gesture recognition and complex interaction patterns (GestureRecognizer.js)
+ * - Map MIDI controllers (CC, notes, pitch bend) with learn mode
+ * - Run keyboard shortcuts: modifiers, chords, sequences and contexts (ShortcutRegistry.js)
+ * - Map game controllers: sticks and triggers to parameters, buttons to rules and actions (GamepadInput.js)
  */
 
-class InteractionCoordinator extends EventTarget {
+import { EventEmitterBase } from '../utils/EventEmitterBase.js';
+import { mapInputToParameter } from '../utils/ResponseCurves.js';
+import { GestureRecognizer } from './GestureRecognizer.js';
+import { PointerTracker } from './PointerTracker.js';
+import { InteractionZones } from './InteractionZones.js';
+import { ShortcutRegistry, DEFAULT_SHORTCUTS, isEditableTarget } from './ShortcutRegistry.js';
+import { INPUT_TYPES, DEFAULT_INPUT_MAPPINGS, validateInputMappings, evaluateInputMapping } from './InputMapper.js';
+import { createStorageAdapter } from '../utils/StorageAdapters.js';
+import { getDefaultClock } from '../utils/Clock.js';
+
+const MIDI_MAPPINGS_VERSION = 1;
+
+class InteractionCoordinator extends EventEmitterBase {
     constructor(config = {}) {
         super();
         
@@ -18,13 +35,25 @@ class InteractionCoordinator extends EventTarget {
             enabledInputs: ['mouse', 'keyboard', 'touch', 'scroll'],
             eventThrottleMS: 16, // ~60fps
             gestureTimeout: 2000,
+            // PointerTracker config (capture, touchAction)
+            pointer: {},
+            // Interaction zone definitions, added on initialize (see InteractionZones.js)
+            zones: [],
+            // ShortcutRegistry config (sequenceTimeoutMS) and bindings: [{ keys, action, context, ... }]
+            shortcuts: {},
             debugMode: false,
+            // Mouse/click/scroll/key rules; presets with inputMappings replace them while loaded
+            inputMappings: DEFAULT_INPUT_MAPPINGS,
+            midiStorage: 'localStorage', // localStorage, indexedDB, memory or an adapter
+            midiStorageKey: 'vib3-midi-mappings',
+            // Gamepad buttons that run shortcut actions instead of their 'gamepad' input mappings
+            gamepadActions: { start: 'nextPreset', back: 'previousPreset' },
             ...config
         };
         
-        // System references
-        this.homeMaster = null;
-        this.systemController = null;
+        // System references (also set by initialize())
+        this.homeMaster = config.homeMaster || null;
+        this.systemController = config.systemController || null;
         
         // Event state tracking
         this.eventState = {
@@ -33,6 +62,11 @@ class InteractionCoordinator extends EventTarget {
                 y: 0,
                 velocity: { x: 0, y: 0 },
                 isDown: false,
+                pointerType: 'mouse',
+                pressure: 0,
+                tiltX: 0,
+                tiltY: 0,
+                surface: null,
                 lastActivity: 0
             },
             keyboard: {
@@ -55,6 +89,48 @@ class InteractionCoordinator extends EventTarget {
         this.parameterMappings = new Map();
         this.setupParameterMappings();
         
+        // Mouse, pen and touch pointers, hit-tested against visualizer canvases
+        this.pointerTracker = new PointerTracker(this.config.pointer);
+        this.visualizerSurfaces = new Map(); // instanceId -> canvas, from the VisualizerPool
+        this.hoverSurface = null;            // visualizer under the mouse/pen (for key rules)
+        this.gestureSurface = null;          // visualizer under the first finger of a gesture
+        
+        // Interaction zones; hits are { zone, x, y } with x/y relative to the zone's element
+        this.interactionZones = new InteractionZones();
+        this.hoverZone = null;               // zone under the mouse/pen
+        this.gestureZone = null;             // zone under the first finger of a gesture
+        this.zoneCaptures = new Map();       // pointerId -> zone it was pressed in
+        this.zoneOverrides = new Map();      // zoneId -> "scope:target:name" -> { scope, target, name, focus }
+        
+        // Touch gestures → 'gesture' input mappings
+        this.gestureRecognizer = new GestureRecognizer({
+            ...(config.gestures || {}),
+            clock: this.homeMaster ? this.homeMaster.clock : undefined
+        });
+        this.setupGestureMappings();
+        
+        // MIDI state (see attachMidi)
+        this.midiInput = null;
+        this.midiListener = null;
+        this.midiLearn = null;
+        this.midiPitchBase = new Map();
+        this.midiMappingCounter = 0;
+        this.midiStorage = createStorageAdapter(this.config.midiStorage);
+        
+        // Gamepad state (see attachGamepad)
+        this.gamepadInput = null;
+        this.gamepadListener = null;
+        this.gamepadActions = {};
+        
+        // Keyboard shortcuts run before 'key' input mappings; keys they consume don't reach the rules
+        const { bindings = DEFAULT_SHORTCUTS, ...shortcutConfig } = this.config.shortcuts;
+        this.shortcuts = new ShortcutRegistry({
+            ...shortcutConfig,
+            clock: this.homeMaster ? this.homeMaster.clock : undefined
+        });
+        this.consumedKeys = new Set();
+        this.setupShortcutActions(bindings);
+        
         // Event listener tracking
         this.eventListeners = new Map();
         this.lastMousePos = null;
@@ -71,24 +147,26 @@ class InteractionCoordinator extends EventTarget {
         this.systemController = systemController;
         
         this.setupEventListeners();
+        this.config.zones.forEach(zone => this.addZone(zone));
         
         console.log('🎮 InteractionCoordinator initialized');
         return Promise.resolve();
     }
     
+    // Same clock as the gestures and shortcuts, so manual and fixed-step clocks see consistent times
+    now() {
+        return (this.homeMaster ? this.homeMaster.clock : getDefaultClock()).now();
+    }
+    
     setupEventListeners() {
-        if (this.config.enabledInputs.includes('mouse')) {
-            this.setupMouseEvents();
+        if (this.config.enabledInputs.includes('mouse') || this.config.enabledInputs.includes('touch')) {
+            this.setupPointerEvents();
         }
         
         if (this.config.enabledInputs.includes('keyboard')) {
             this.setupKeyboardEvents();
         }
         
-        if (this.config.enabledInputs.includes('touch')) {
-            this.setupTouchEvents();
-        }
-        
         if (this.config.enabledInputs.includes('scroll')) {
             this.setupScrollEvents();
         }
@@ -102,24 +180,31 @@ class InteractionCoordinator extends EventTarget {
      * EVENT SETUP
      */
     
-    setupMouseEvents() {
-        const mouseMove = this.throttle((e) => {
-            this.handleMouseMove(e);
-        }, this.config.eventThrottleMS);
+    // Mouse, pen and touch share one pipeline; enabledInputs 'mouse' covers pens too
+    setupPointerEvents() {
+        if (!PointerTracker.isSupported()) {
+            console.warn('Pointer Events not supported, mouse and touch input disabled');
+            return;
+        }
         
-        const mouseDown = (e) => this.handleMouseDown(e);
-        const mouseUp = (e) => this.handleMouseUp(e);
+        // Parameter mapping is throttled; pointer and gesture tracking sees every move
+        this.mapPointerThrottled = this.throttle((pointer, zone) => {
+            this.mapPointer(pointer, zone);
+        }, this.config.eventThrottleMS);
         
         this.addEventListeners(document, {
-            'mousemove': mouseMove,
-            'mousedown': mouseDown,
-            'mouseup': mouseUp
+            'pointerdown': (e) => this.handlePointerDown(e),
+            'pointermove': (e) => this.handlePointerMove(e),
+            'pointerup': (e) => this.handlePointerUp(e),
+            'pointercancel': (e) => this.handlePointerCancel(e)
         });
         
-        // Setup hover events for interactive elements
-        this.setupHoverEvents();
+        if (this.config.enabledInputs.includes('mouse')) {
+            // Setup hover events for interactive elements
+            this.setupHoverEvents();
+        }
         
-        console.log('🖱️ Mouse events setup complete');
+        console.log('🖱️ Pointer events setup complete');
     }
     
     setupKeyboardEvents() {
@@ -134,22 +219,6 @@ class InteractionCoordinator extends EventTarget {
         console.log('⌨️ Keyboard events setup complete');
     }
     
-    setupTouchEvents() {
-        const touchStart = (e) => this.handleTouchStart(e);
-        const touchMove = this.throttle((e) => {
-            this.handleTouchMove(e);
-        }, this.config.eventThrottleMS);
-        const touchEnd = (e) => this.handleTouchEnd(e);
-        
-        this.addEventListeners(document, {
-            'touchstart': touchStart,
-            'touchmove': touchMove,
-            'touchend': touchEnd
-        });
-        
-        console.log('👆 Touch events setup complete');
-    }
-    
     setupScrollEvents() {
         const scroll = this.throttle((e) => {
             this.handleScroll(e);
@@ -167,8 +236,16 @@ class InteractionCoordinator extends EventTarget {
             this.handleResize();
         }, 100); // Less frequent for resize
         
+        // Keys released while the window is in the background never send keyup
+        const blur = () => {
+            this.eventState.keyboard.keysDown.clear();
+            this.consumedKeys.clear();
+            this.shortcuts.reset();
+        };
+        
         this.addEventListeners(window, {
-            'resize': resize
+            'resize': resize,
+            'blur': blur
         });
         
         console.log('🪟 Window events setup complete');
@@ -179,12 +256,12 @@ class InteractionCoordinator extends EventTarget {
         const interactiveElements = document.querySelectorAll('.module-demo, .status-item, .control-button');
         
         interactiveElements.forEach(element => {
-            const mouseEnter = (e) => this.handleElementHover(e, 'enter');
-            const mouseLeave = (e) => this.handleElementHover(e, 'leave');
+            const pointerEnter = (e) => this.handleElementHover(e, 'enter');
+            const pointerLeave = (e) => this.handleElementHover(e, 'leave');
             
             this.addEventListeners(element, {
-                'mouseenter': mouseEnter,
-                'mouseleave': mouseLeave
+                'pointerenter': pointerEnter,
+                'pointerleave': pointerLeave
             });
         });
     }
@@ -193,54 +270,147 @@ class InteractionCoordinator extends EventTarget {
      * EVENT HANDLERS
      */
     
-    handleMouseMove(e) {
-        // Update mouse state
-        this.eventState.mouse.x = e.clientX / window.innerWidth;
-        this.eventState.mouse.y = 1.0 - (e.clientY / window.innerHeight);
-        this.eventState.mouse.lastActivity = Date.now();
+    isPointerEnabled(pointerType) {
+        return this.config.enabledInputs.includes(pointerType === 'touch' ? 'touch' : 'mouse');
+    }
+    
+    handlePointerDown(e) {
+        if (!this.isPointerEnabled(e.pointerType)) return;
         
-        // Calculate velocity
-        if (this.lastMousePos) {
-            this.eventState.mouse.velocity.x = this.eventState.mouse.x - this.lastMousePos.x;
-            this.eventState.mouse.velocity.y = this.eventState.mouse.y - this.lastMousePos.y;
+        this.syncVisualizerSurfaces();
+        const pointer = this.pointerTracker.pointerDown(e);
+        
+        if (pointer.type === 'touch') {
+            if (this.gestureRecognizer.touches.size === 0) {
+                this.gestureSurface = pointer.surface;
+                this.gestureZone = this.interactionZones.zoneAt(pointer.clientX, pointer.clientY);
+            }
+            this.updateTouchState();
+            this.gestureRecognizer.touchStart([this.toTouchPoint(pointer)]);
+        } else {
+            const zone = this.pointerZone(pointer);
+            if (zone) this.zoneCaptures.set(pointer.id, zone.zone);
+            
+            this.updateMouseState(pointer);
+            this.updateHoverZone(zone);
+            this.mapPointer(pointer, zone);
+            this.mapInput('click', { press: 1 }, { surface: pointer.surface, zone });
         }
-        this.lastMousePos = { x: this.eventState.mouse.x, y: this.eventState.mouse.y };
         
-        // Map to parameters
-        this.updateParametersFromMouse();
+        this.emit('pointerDown', { button: e.button, pointer });
+    }
+    
+    handlePointerMove(e) {
+        if (!this.isPointerEnabled(e.pointerType)) return;
         
-        // Emit event
-        this.emit('mouseMove', {
-            position: { x: this.eventState.mouse.x, y: this.eventState.mouse.y },
-            velocity: this.eventState.mouse.velocity
-        });
+        this.syncVisualizerSurfaces();
+        const pointer = this.pointerTracker.pointerMove(e);
+        if (!pointer) return;
+        
+        if (pointer.type === 'touch') {
+            this.updateTouchState();
+            this.gestureRecognizer.touchMove([this.toTouchPoint(pointer)]);
+        } else {
+            const zone = this.pointerZone(pointer);
+            
+            this.updateMouseState(pointer);
+            this.hoverSurface = pointer.surface;
+            this.updateHoverZone(zone);
+            this.mapPointerThrottled(pointer, zone);
+        }
+        
+        this.emit('pointerMove', { pointer, velocity: this.eventState.mouse.velocity });
+    }
+    
+    handlePointerUp(e) {
+        this.releasePointer(e, 'pointerUp');
+    }
+    
+    // The browser took the pointer over (scrolling, a system gesture): no gesture is recognized,
+    // but a held click is still released
+    handlePointerCancel(e) {
+        this.releasePointer(e, 'pointerCancel');
     }
     
-    handleMouseDown(e) {
-        this.eventState.mouse.isDown = true;
-        this.eventState.mouse.lastActivity = Date.now();
+    releasePointer(e, eventName) {
+        if (!this.isPointerEnabled(e.pointerType)) return;
         
-        // Map to parameters
-        this.updateParametersFromClick(true);
+        const pointer = eventName === 'pointerCancel'
+            ? this.pointerTracker.pointerCancel(e)
+            : this.pointerTracker.pointerUp(e);
+        if (!pointer) return;
         
-        this.emit('mouseDown', { 
-            button: e.button,
-            position: { x: this.eventState.mouse.x, y: this.eventState.mouse.y }
-        });
+        if (pointer.type === 'touch') {
+            this.updateTouchState();
+            const points = [this.toTouchPoint(pointer)];
+            if (eventName === 'pointerCancel') {
+                this.gestureRecognizer.touchCancel(points);
+            } else {
+                this.gestureRecognizer.touchEnd(points);
+            }
+        } else {
+            const zone = this.pointerZone(pointer);
+            this.zoneCaptures.delete(pointer.id);
+            
+            this.updateMouseState(pointer);
+            this.mapInput('click', { press: 0 }, { surface: pointer.surface, zone });
+            
+            // Released outside the zone it was captured by
+            this.updateHoverZone(this.pointerZone(pointer));
+        }
+        
+        this.emit(eventName, { button: e.button, pointer });
     }
     
-    handleMouseUp(e) {
-        this.eventState.mouse.isDown = false;
+    updateMouseState(pointer) {
+        const mouse = this.eventState.mouse;
         
-        // Map to parameters
-        this.updateParametersFromClick(false);
+        mouse.x = pointer.x;
+        mouse.y = pointer.y;
+        mouse.isDown = pointer.isDown;
+        mouse.pointerType = pointer.type;
+        mouse.pressure = pointer.pressure;
+        mouse.tiltX = pointer.tiltX;
+        mouse.tiltY = pointer.tiltY;
+        mouse.surface = pointer.surface;
+        mouse.lastActivity = this.now();
         
-        this.emit('mouseUp', { 
-            button: e.button,
-            position: { x: this.eventState.mouse.x, y: this.eventState.mouse.y }
+        // Calculate velocity
+        if (this.lastMousePos) {
+            mouse.velocity.x = mouse.x - this.lastMousePos.x;
+            mouse.velocity.y = mouse.y - this.lastMousePos.y;
+        }
+        this.lastMousePos = { x: mouse.x, y: mouse.y };
+    }
+    
+    // Mouse and pen → 'mouse' rules; scoped rules read positions relative to the canvas under the
+    // pointer, zone rules relative to the zone's element
+    mapPointer(pointer, zone = null) {
+        const values = {
+            x: pointer.x,
+            y: pointer.y,
+            pressure: pointer.pressure,
+            tiltX: pointer.tiltX,
+            tiltY: pointer.tiltY
+        };
+        const surface = pointer.surface;
+        
+        return this.mapInput('mouse', values, {
+            surface,
+            surfaceValues: surface ? { ...values, x: surface.x, y: surface.y } : values,
+            zone
         });
     }
     
+    // A pressed pointer stays in the zone it went down in, like pointer capture
+    pointerZone(pointer) {
+        const captured = this.zoneCaptures.get(pointer.id);
+        if (captured && this.interactionZones.getZone(captured.id) === captured) {
+            return this.interactionZones.zonePosition(captured, pointer.clientX, pointer.clientY);
+        }
+        return this.interactionZones.zoneAt(pointer.clientX, pointer.clientY);
+    }
+    
     handleElementHover(e, action) {
         const element = e.currentTarget;
         const elementType = this.getElementType(element);
@@ -260,22 +430,35 @@ class InteractionCoordinator extends EventTarget {
     
     handleKeyDown(e) {
         this.eventState.keyboard.keysDown.add(e.key);
-        this.eventState.keyboard.lastKeyTime = Date.now();
+        this.eventState.keyboard.lastKeyTime = this.now();
+        
+        // Shortcuts first, including keys that continue a pending sequence
+        const consumed = this.shortcuts.handleKeyDown(e);
+        this.eventState.keyboard.keySequence = this.shortcuts.getPendingSequence();
         
-        // Handle specific key mappings
-        this.handleKeyMapping(e.key, true);
+        if (consumed) {
+            this.consumedKeys.add(e.key);
+        } else if (!isEditableTarget(e.target)) {
+            // Map to parameters (scoped rules target the visualizer under the mouse)
+            this.mapInput('key', { [e.key]: 1 }, { surface: this.hoverSurface, zone: this.hoverZone });
+        }
         
         this.emit('keyDown', {
             key: e.key,
             code: e.code,
+            consumed,
             keysDown: Array.from(this.eventState.keyboard.keysDown)
         });
     }
     
     handleKeyUp(e) {
         this.eventState.keyboard.keysDown.delete(e.key);
+        this.shortcuts.handleKeyUp(e);
         
-        this.handleKeyMapping(e.key, false);
+        // A release is only mapped when its press was
+        if (!this.consumedKeys.delete(e.key) && !isEditableTarget(e.target)) {
+            this.mapInput('key', { [e.key]: 0 }, { surface: this.hoverSurface, zone: this.hoverZone });
+        }
         
         this.emit('keyUp', {
             key: e.key,
@@ -284,21 +467,19 @@ class InteractionCoordinator extends EventTarget {
         });
     }
     
-    handleTouchStart(e) {
-        console.log('👆 Touch start detected');
+    // Same normalized, y-up window coordinates as the mouse state
+    toTouchPoint(pointer) {
+        return { id: pointer.id, x: pointer.x, y: pointer.y };
     }
     
-    handleTouchMove(e) {
-        console.log('👆 Touch move detected');
-    }
-    
-    handleTouchEnd(e) {
-        console.log('👆 Touch end detected');
+    updateTouchState() {
+        this.eventState.touch.touches = this.pointerTracker.getPointersByType('touch').map(pointer => this.toTouchPoint(pointer));
+        this.eventState.touch.lastTouchTime = this.now();
     }
     
     handleScroll(e) {
         const deltaY = e.deltaY;
-        const now = Date.now();
+        const now = this.now();
         
         // Update scroll state
         this.eventState.scroll.velocity = Math.abs(deltaY) / 100;
@@ -306,7 +487,11 @@ class InteractionCoordinator extends EventTarget {
         this.eventState.scroll.lastScrollTime = now;
         
         // Update parameters
-        this.updateParametersFromScroll(deltaY);
+        this.syncVisualizerSurfaces();
+        this.mapInput('scroll', { deltaY, deltaX: e.deltaX || 0 }, {
+            surface: this.pointerTracker.surfaceAt(e.clientX, e.clientY),
+            zone: this.interactionZones.zoneAt(e.clientX, e.clientY)
+        });
         
         this.emit('scroll', {
             delta: deltaY,
@@ -330,98 +515,817 @@ class InteractionCoordinator extends EventTarget {
      */
     
     setupParameterMappings() {
-        // Mouse position → morphFactor and dimension
-        this.parameterMappings.set('mousePosition', {
-            morphFactor: (mouse) => mouse.x * 1.5,
-            dimension: (mouse) => 3.0 + (mouse.y * 1.5)
-        });
+        // Mouse, click, scroll and key rules, indexed by input: 'mouse' -> [mapping, ...]
+        let result = validateInputMappings(this.config.inputMappings, this.homeMaster);
+        if (!result.valid) {
+            console.warn('Invalid input mappings in config, using defaults:', result.errors);
+            result = validateInputMappings(DEFAULT_INPUT_MAPPINGS, this.homeMaster);
+        }
+        this.inputMappings = result.mappings;
+        this.mappedPreset = null;
+        this.indexInputMappings(this.inputMappings);
         
-        // Click state → rotation speed
-        this.parameterMappings.set('clickState', {
-            rotationSpeed: (isDown, baseSpeed = 0.5) => isDown ? Math.min(2.0, baseSpeed + 0.5) : baseSpeed
+        // MIDI → parameters, geometry and presets (filled by learn mode or importMidiMappings)
+        this.parameterMappings.set('midi', {
+            cc: new Map(),        // "channel:controller" -> mapping
+            notes: new Map(),     // "channel:note" -> mapping
+            pitchBend: new Map()  // "channel:" -> mapping (one per channel)
         });
+    }
+    
+    setupGestureMappings() {
+        const recognizer = this.gestureRecognizer;
+        const forward = (type, values) => (data) => {
+            this.mapInput('gesture', typeof values === 'function' ? values(data) : values, {
+                surface: this.gestureSurface,
+                zone: this.gestureZone
+            });
+            this.emit('gesture', { type, ...data });
+        };
+        
+        recognizer.on('pinch', forward('pinch', ({ delta }) => ({ pinch: delta })));
+        recognizer.on('rotate', forward('rotate', ({ delta }) => ({ rotate: delta })));
+        recognizer.on('pan', forward('pan', ({ deltaX, deltaY }) => ({ panX: deltaX, panY: deltaY })));
+        recognizer.on('swipe', forward('swipe', ({ direction }) => ({
+            [`swipe${direction[0].toUpperCase()}${direction.slice(1)}`]: 1
+        })));
+        recognizer.on('tap', forward('tap', { tap: 1 }));
+        recognizer.on('doubletap', forward('doubletap', { doubletap: 1 }));
+        recognizer.on('longpress', forward('longpress', { longpress: 1 }));
+        recognizer.on('longpressend', forward('longpressend', { longpress: 0 }));
+    }
+    
+    // Validates the whole set first; an invalid rule rejects the set and keeps the current rules
+    setInputMappings(rules) {
+        const result = validateInputMappings(rules, this.homeMaster);
+        if (!result.valid) {
+            console.warn('Invalid input mappings:', result.errors);
+            return result;
+        }
+        
+        this.inputMappings = result.mappings;
+        this.indexInputMappings(this.inputMappings);
+        // A preset with its own rules keeps precedence until another preset loads
+        this.mappedPreset = null;
+        this.syncPresetInputMappings();
+        
+        this.emit('inputMappingsChanged', { mappings: this.getInputMappings() });
+        return result;
+    }
+    
+    resetInputMappings() {
+        return this.setInputMappings(DEFAULT_INPUT_MAPPINGS);
+    }
+    
+    // The active rules (a loaded preset's, if it has any)
+    getInputMappings() {
+        return Object.keys(INPUT_TYPES).flatMap(input => this.parameterMappings.get(input) || [])
+            .map(mapping => ({ ...mapping }));
+    }
+    
+    indexInputMappings(mappings) {
+        for (const input of Object.keys(INPUT_TYPES)) {
+            this.parameterMappings.set(input, mappings.filter(mapping => mapping.input === input));
+        }
+    }
+    
+    // Presets may carry inputMappings; checked lazily so every way of loading a preset is covered
+    syncPresetInputMappings() {
+        const preset = this.homeMaster ? this.homeMaster.currentPreset : null;
+        if (preset === this.mappedPreset) return;
+        this.mappedPreset = preset;
         
-        // Scroll → grid density
-        this.parameterMappings.set('scroll', {
-            gridDensity: (delta, current = 12.0) => {
-                const direction = delta > 0 ? -1 : 1;
-                return Math.max(5.0, Math.min(25.0, current + direction * 1.0));
+        let mappings = this.inputMappings;
+        if (preset && preset.inputMappings) {
+            const result = validateInputMappings(preset.inputMappings, this.homeMaster);
+            if (result.valid) {
+                mappings = result.mappings;
+            } else {
+                console.warn(`Ignoring invalid input mappings in preset ${preset.name || preset.id}:`, result.errors);
             }
-        });
+        }
         
-        // Key mappings → geometry switching
-        this.parameterMappings.set('keyGeometry', {
-            geometry: (key) => {
-                const geometryMap = {
-                    '1': 0, '2': 1, '3': 2, '4': 3,
-                    '5': 4, '6': 5, '7': 6, '8': 7
-                };
-                return geometryMap[key];
+        this.indexInputMappings(mappings);
+    }
+    
+    // values: axis -> input value, e.g. mapInput('mouse', { x: 0.2, y: 0.8 }); returns the values written.
+    // Rules scoped to an instance or role need context.surface ({ instanceId, role }, as reported
+    // by PointerTracker) and read context.surfaceValues when given; they write parameter overrides.
+    // context.zone ({ zone, x, y }) adds the zone's rules, which read positions relative to the zone.
+    // context.deltaSeconds marks a per-frame call (gamepad): only rate rules run then, and only then.
+    mapInput(input, values, { surface = null, surfaceValues = values, zone = null, deltaSeconds = null } = {}) {
+        if (!this.homeMaster || !INPUT_TYPES[input]) return {};
+        
+        this.syncPresetInputMappings();
+        
+        const zoneRules = zone ? this.interactionZones.getZoneMappings(zone.zone, input) : [];
+        const written = {};
+        
+        if (!(zoneRules.length > 0 && zone.zone.exclusive)) {
+            const changes = this.evaluateInputMappings(this.parameterMappings.get(input) || [], values, surfaceValues, surface, deltaSeconds);
+            Object.assign(written, this.applyInputChanges(input, changes, surface));
+        }
+        
+        if (zoneRules.length > 0) {
+            const target = this.resolveZoneTarget(zone.zone);
+            const zoneValues = input === 'mouse' ? { ...values, x: zone.x, y: zone.y } : values;
+            const changes = this.evaluateInputMappings(zoneRules, zoneValues, zoneValues, target, deltaSeconds);
+            
+            this.recordZoneOverrides(zone.zone, changes, target, false);
+            Object.assign(written, this.applyInputChanges(input, changes, target));
+        }
+        
+        return written;
+    }
+    
+    // Returns scope -> target -> value; scoped rules are skipped without a surface to override
+    evaluateInputMappings(mappings, values, surfaceValues, surface, deltaSeconds = null) {
+        const changes = { global: {}, instance: {}, role: {} };
+        let resolved = null;
+        
+        for (const mapping of mappings) {
+            if (!!mapping.rate !== (deltaSeconds !== null)) continue;
+            
+            const scoped = mapping.scope !== 'global';
+            if (scoped && !(surface && (mapping.scope === 'role' ? surface.role : surface.instanceId))) continue;
+            
+            const inputValues = scoped ? surfaceValues : values;
+            if (!(mapping.axis in inputValues)) continue;
+            
+            const meta = this.homeMaster.getParameterMeta(mapping.target);
+            if (!meta) continue;
+            
+            // Several rules on one target build on each other; scoped rules start
+            // from what the visualizer under the pointer currently shows
+            const written = changes[mapping.scope];
+            let current;
+            if (mapping.target in written) {
+                current = written[mapping.target];
+            } else if (scoped) {
+                resolved = resolved || this.homeMaster.getResolvedParameters(surface.instanceId);
+                current = resolved[mapping.target];
+            } else {
+                current = this.homeMaster.getParameter(mapping.target);
             }
-        });
+            
+            const value = evaluateInputMapping(mapping, inputValues[mapping.axis], current, meta, deltaSeconds || 0);
+            if (value !== undefined) {
+                written[mapping.target] = value;
+            }
+        }
+        
+        return changes;
     }
     
-    updateParametersFromMouse() {
-        if (!this.homeMaster) return;
+    applyInputChanges(input, changes, surface) {
+        if (Object.keys(changes.global).length > 0) {
+            this.homeMaster.setParameters(changes.global, INPUT_TYPES[input].source);
+        }
+        for (const [name, value] of Object.entries(changes.role)) {
+            this.homeMaster.setRoleOverride(surface.role, name, value);
+        }
+        for (const [name, value] of Object.entries(changes.instance)) {
+            this.homeMaster.setInstanceOverride(surface.instanceId, name, value);
+        }
         
-        const mappings = this.parameterMappings.get('mousePosition');
-        const mouse = this.eventState.mouse;
+        return { ...changes.global, ...changes.role, ...changes.instance };
+    }
+    
+    /**
+     * POINTER SURFACES
+     */
+    
+    // VisualizerPool canvases are checked lazily on pointer input, like preset input mappings,
+    // so instances created or destroyed at any time are picked up
+    syncVisualizerSurfaces() {
+        const pool = this.systemController && this.systemController.modules
+            ? this.systemController.modules.visualizerPool
+            : null;
+        if (!pool) return;
         
-        // Update parameters based on mouse position
-        if (mappings) {
-            try {
-                this.homeMaster.setParameter('morphFactor', mappings.morphFactor(mouse), 'mouse');
-                this.homeMaster.setParameter('dimension', mappings.dimension(mouse), 'mouse');
-            } catch (error) {
-                // Fail silently in demo
+        for (const [instanceId, canvas] of this.visualizerSurfaces) {
+            const instance = pool.instances.get(instanceId);
+            if (!instance || instance.canvas !== canvas) {
+                this.pointerTracker.unregisterSurface(canvas);
+                this.visualizerSurfaces.delete(instanceId);
+            }
+        }
+        
+        for (const [instanceId, instance] of pool.instances) {
+            if (instance.canvas && !this.visualizerSurfaces.has(instanceId)) {
+                this.pointerTracker.registerSurface(instance.canvas, { instanceId, role: instance.role });
+                this.visualizerSurfaces.set(instanceId, instance.canvas);
             }
         }
     }
     
-    updateParametersFromClick(isDown) {
-        if (!this.homeMaster) return;
+    // For canvases outside the VisualizerPool; instanceId/role are what scoped rules override
+    registerSurface(element, { instanceId = null, role = null } = {}) {
+        return this.pointerTracker.registerSurface(element, { instanceId, role });
+    }
+    
+    unregisterSurface(element) {
+        return this.pointerTracker.unregisterSurface(element);
+    }
+    
+    /**
+     * INTERACTION ZONES
+     */
+    
+    // See InteractionZones.js for the zone definition; returns the zone id or null
+    addZone(definition) {
+        if (definition && definition.id && this.interactionZones.getZone(definition.id)) {
+            this.removeZone(definition.id);
+        }
+        
+        const id = this.interactionZones.addZone(definition, this.homeMaster);
+        if (id !== null) {
+            this.emit('zonesChanged', { zones: this.getZones() });
+        }
+        return id;
+    }
+    
+    // Clears everything the zone overrode, whatever its resetOnLeave
+    removeZone(id) {
+        const zone = this.interactionZones.getZone(id);
+        if (!zone) return false;
+        
+        if (this.hoverZone && this.hoverZone.zone === zone) {
+            this.updateHoverZone(null);
+        }
+        if (this.gestureZone && this.gestureZone.zone === zone) {
+            this.gestureZone = null;
+        }
+        this.releaseZoneOverrides(zone, true);
+        this.zoneOverrides.delete(id);
+        
+        this.interactionZones.removeZone(id);
+        this.emit('zonesChanged', { zones: this.getZones() });
+        return true;
+    }
+    
+    clearZones() {
+        this.interactionZones.getZones().forEach(zone => this.removeZone(zone.id));
+    }
+    
+    getZones() {
+        return this.interactionZones.getZones();
+    }
+    
+    // The zone's own instanceId/role, else the pooled visualizer whose canvas is (inside) its element
+    resolveZoneTarget(zone) {
+        if (zone.instanceId) {
+            return this.getVisualizerSurface(zone.instanceId) || { instanceId: zone.instanceId, role: zone.role };
+        }
+        if (zone.role) {
+            return { instanceId: null, role: zone.role };
+        }
+        
+        this.syncVisualizerSurfaces();
+        for (const [instanceId, canvas] of this.visualizerSurfaces) {
+            if (canvas === zone.element || (typeof zone.element.contains === 'function' && zone.element.contains(canvas))) {
+                return this.getVisualizerSurface(instanceId);
+            }
+        }
+        return null;
+    }
+    
+    // focus: whether the override came from the zone's focus reaction (always cleared on leave)
+    recordZoneOverrides(zone, changes, target, focus) {
+        if (!this.zoneOverrides.has(zone.id)) {
+            this.zoneOverrides.set(zone.id, new Map());
+        }
+        const written = this.zoneOverrides.get(zone.id);
+        
+        for (const scope of ['role', 'instance']) {
+            const key = scope === 'role' ? target && target.role : target && target.instanceId;
+            for (const name of Object.keys(changes[scope] || {})) {
+                written.set(`${scope}:${key}:${name}`, { scope, target: key, name, focus });
+            }
+        }
+    }
+    
+    releaseZoneOverrides(zone, all = false) {
+        const written = this.zoneOverrides.get(zone.id);
+        if (!written) return;
+        
+        for (const [key, entry] of written) {
+            if (!all && !entry.focus && !zone.resetOnLeave) continue;
+            
+            if (entry.scope === 'role') {
+                this.homeMaster.clearRoleOverride(entry.target, entry.name);
+            } else {
+                this.homeMaster.clearInstanceOverride(entry.target, entry.name);
+            }
+            written.delete(key);
+        }
+    }
+    
+    updateHoverZone(hit) {
+        const previous = this.hoverZone ? this.hoverZone.zone : null;
+        const next = hit ? hit.zone : null;
+        this.hoverZone = hit;
+        
+        if (previous === next) return;
+        if (previous) this.handleZoneLeave(previous);
+        if (next) this.handleZoneEnter(next);
+    }
+    
+    /**
+     * KEYBOARD SHORTCUTS
+     * Actions are registered here; bindings come from config.shortcuts.bindings and can be
+     * changed at runtime through this.shortcuts (bind, rebind, unbind, importBindings).
+     */
+    
+    setupShortcutActions(bindings) {
+        const shortcuts = this.shortcuts;
+        
+        shortcuts.registerAction('undo', () => this.homeMaster && this.homeMaster.undo(), 'Undo the last parameter change');
+        shortcuts.registerAction('redo', () => this.homeMaster && this.homeMaster.redo(), 'Redo the last undone change');
+        shortcuts.registerAction('nextGeometry', () => this.stepGeometry(1), 'Next geometry');
+        shortcuts.registerAction('previousGeometry', () => this.stepGeometry(-1), 'Previous geometry');
+        shortcuts.registerAction('firstGeometry', () => this.stepGeometry(null), 'First geometry');
+        shortcuts.registerAction('nextPreset', () => this.stepPreset(1), 'Next preset');
+        shortcuts.registerAction('previousPreset', () => this.stepPreset(-1), 'Previous preset');
+        shortcuts.registerAction('resetInputMappings', () => this.resetInputMappings(), 'Restore the default input mappings');
+        
+        bindings.forEach(({ keys, action, ...options }) => shortcuts.bind(keys, action, options));
+        
+        shortcuts.on('shortcut', (data) => this.emit('shortcut', data));
+    }
+    
+    // direction: +1 / -1 wraps around the geometry range; null jumps to the first
+    stepGeometry(direction) {
+        if (!this.homeMaster) return false;
+        
+        const meta = this.homeMaster.getParameterMeta('geometry');
+        const count = meta.max - meta.min + 1;
+        const current = this.homeMaster.getParameter('geometry');
+        const next = direction === null
+            ? meta.min
+            : meta.min + (((current - meta.min + direction) % count) + count) % count;
+        
+        return this.homeMaster.setParameter('geometry', next, 'keyboard');
+    }
+    
+    // Cycles through the preset database in its order, starting after the loaded preset
+    stepPreset(direction) {
+        const presetDatabase = this.systemController && this.systemController.modules
+            ? this.systemController.modules.presetDatabase
+            : null;
+        const presets = presetDatabase ? presetDatabase.getAllPresets() : [];
+        if (!this.homeMaster || presets.length === 0) return false;
+        
+        const current = this.homeMaster.currentPreset;
+        const index = current ? presets.findIndex(preset => preset.id === current.id) : -1;
+        const next = index === -1
+            ? (direction > 0 ? 0 : presets.length - 1)
+            : ((index + direction) % presets.length + presets.length) % presets.length;
+        
+        this.homeMaster.loadPreset(presets[next]);
+        return true;
+    }
+    
+    /**
+     * GAMEPAD MAPPING
+     * GamepadInput reports each poll; moved axes and button edges run the 'gamepad' input
+     * mappings, axes held off-centre run rate rules every frame, and buttons listed in
+     * gamepadActions run shortcut actions instead.
+     */
+    
+    attachGamepad(gamepadInput, { actions = this.config.gamepadActions } = {}) {
+        this.detachGamepad();
         
-        const mappings = this.parameterMappings.get('clickState');
+        this.gamepadInput = gamepadInput;
+        this.gamepadActions = { ...actions };
+        this.gamepadListener = (data) => this.handleGamepadInput(data);
+        gamepadInput.on('input', this.gamepadListener);
         
-        if (mappings) {
-            try {
-                const currentRotationSpeed = this.homeMaster.getParameter('rotationSpeed') || 0.5;
-                this.homeMaster.setParameter('rotationSpeed', mappings.rotationSpeed(isDown, currentRotationSpeed), 'click');
-            } catch (error) {
-                // Fail silently in demo
+        return true;
+    }
+    
+    detachGamepad() {
+        if (this.gamepadInput && this.gamepadListener) {
+            this.gamepadInput.off('input', this.gamepadListener);
+        }
+        this.gamepadInput = null;
+        this.gamepadListener = null;
+    }
+    
+    handleGamepadInput({ index, axes, changed, pressed, released, deltaSeconds }) {
+        if (!this.homeMaster) return;
+        
+        const values = { ...changed };
+        for (const button of pressed) {
+            const action = this.gamepadActions[button];
+            if (action) {
+                this.shortcuts.runAction(action, { gamepad: index, button });
+            } else if (!(button in axes)) {
+                // Triggers map through their analog axis, not their press
+                values[button] = 1;
             }
         }
+        for (const button of released) {
+            if (!this.gamepadActions[button] && !(button in axes)) values[button] = 0;
+        }
+        
+        if (Object.keys(values).length > 0) {
+            this.mapInput('gamepad', values);
+        }
+        if (deltaSeconds > 0) {
+            this.mapInput('gamepad', axes, { deltaSeconds });
+        }
+        
+        if (this.config.debugMode && (pressed.length > 0 || released.length > 0)) {
+            console.log('🕹️ Gamepad:', { index, pressed, released });
+        }
     }
     
-    updateParametersFromScroll(delta) {
+    /**
+     * MIDI MAPPING
+     * Mappings live in parameterMappings.get('midi'):
+     * - cc: { type: 'cc', channel, controller, parameter, curve, outputRange, invert }
+     * - note: { type: 'note', channel, note, action: 'geometry' | 'preset', value, duration }
+     * - pitchbend: { type: 'pitchbend', channel, parameter, range, latch }
+     * channel null listens on all channels (omni).
+     */
+    
+    attachMidi(midiInput) {
+        this.detachMidi();
+        
+        this.midiInput = midiInput;
+        this.midiListener = (message) => this.handleMidiMessage(message);
+        midiInput.on('message', this.midiListener);
+        
+        return this.loadMidiMappings();
+    }
+    
+    detachMidi() {
+        if (this.midiInput && this.midiListener) {
+            this.midiInput.off('message', this.midiListener);
+        }
+        this.midiInput = null;
+        this.midiListener = null;
+        this.midiPitchBase.clear();
+    }
+    
+    handleMidiMessage(message) {
+        if (this.midiLearn && this.captureMidiLearn(message)) return;
         if (!this.homeMaster) return;
         
-        const mappings = this.parameterMappings.get('scroll');
+        const mappings = this.parameterMappings.get('midi');
         
-        if (mappings) {
-            try {
-                const currentGridDensity = this.homeMaster.getParameter('gridDensity') || 12.0;
-                this.homeMaster.setParameter('gridDensity', mappings.gridDensity(delta, currentGridDensity), 'scroll');
-            } catch (error) {
-                // Fail silently in demo
+        switch (message.type) {
+            case 'cc': {
+                const mapping = this.findMidiMapping(mappings.cc, message.channel, message.controller);
+                if (mapping) this.applyMidiControlChange(mapping, message.value);
+                break;
+            }
+            case 'noteon': {
+                const mapping = this.findMidiMapping(mappings.notes, message.channel, message.note);
+                if (mapping) this.triggerMidiNote(mapping);
+                break;
             }
+            case 'pitchbend': {
+                const mapping = this.findMidiMapping(mappings.pitchBend, message.channel, '');
+                if (mapping) this.applyMidiPitchBend(mapping, message.value);
+                break;
+            }
+        }
+        
+        if (this.config.debugMode) {
+            console.log('🎹 MIDI:', message);
+        }
+    }
+    
+    midiKey(channel, number) {
+        return `${channel === null || channel === undefined ? '*' : channel}:${number}`;
+    }
+    
+    // Channel-specific mappings win over omni ones
+    findMidiMapping(table, channel, number) {
+        return table.get(this.midiKey(channel, number)) || table.get(this.midiKey(null, number)) || null;
+    }
+    
+    applyMidiControlChange(mapping, value) {
+        const meta = this.homeMaster.getParameterMeta(mapping.parameter);
+        if (!meta) return;
+        
+        const mapped = mapInputToParameter(value, meta, {
+            inputRange: [0, 127],
+            outputRange: mapping.outputRange,
+            curve: mapping.curve,
+            invert: mapping.invert
+        });
+        
+        if (mapped !== null) {
+            this.homeMaster.setParameter(mapping.parameter, mapped, 'midi');
+        }
+    }
+    
+    triggerMidiNote(mapping) {
+        if (mapping.action === 'geometry') {
+            this.homeMaster.setParameter('geometry', mapping.value, 'midi');
+            return;
+        }
+        
+        const presetDatabase = this.systemController && this.systemController.modules
+            ? this.systemController.modules.presetDatabase
+            : null;
+        const preset = presetDatabase ? presetDatabase.getPreset(mapping.value) : null;
+        if (!preset) {
+            console.warn(`Unknown preset for MIDI note ${mapping.note}: ${mapping.value}`);
+            return;
         }
+        this.homeMaster.loadPreset(preset, { duration: mapping.duration });
     }
     
-    handleKeyMapping(key, isDown) {
-        if (!this.homeMaster || !isDown) return;
+    // Bends around the value held when the wheel left centre; range is a fraction of the parameter span
+    applyMidiPitchBend(mapping, bend) {
+        const meta = this.homeMaster.getParameterMeta(mapping.parameter);
+        if (!meta || !isFinite(meta.min) || !isFinite(meta.max)) return;
         
-        // Geometry switching (keys 1-8)
-        if (/^[1-8]$/.test(key)) {
-            const mappings = this.parameterMappings.get('keyGeometry');
-            if (mappings) {
-                try {
-                    const geometryIndex = mappings.geometry(key);
-                    this.homeMaster.setParameter('geometry', geometryIndex, 'keyboard');
-                } catch (error) {
-                    // Fail silently in demo
-                }
+        const key = this.midiKey(mapping.channel, mapping.parameter);
+        
+        if (bend === 0) {
+            const base = this.midiPitchBase.get(key);
+            this.midiPitchBase.delete(key);
+            if (base !== undefined && !mapping.latch) {
+                this.homeMaster.setParameter(mapping.parameter, base, 'midi');
             }
+            return;
+        }
+        
+        // A CC earlier in the same frame is still queued; bending from the applied value would drop it
+        if (!this.midiPitchBase.has(key)) {
+            this.midiPitchBase.set(key, this.homeMaster.getPendingParameter(mapping.parameter));
+        }
+        
+        const base = this.midiPitchBase.get(key);
+        const offset = (bend / 8192) * mapping.range * (meta.max - meta.min);
+        this.homeMaster.setParameter(mapping.parameter, base + offset, 'midi');
+    }
+    
+    /**
+     * MIDI LEARN
+     * startMidiLearn('morphFactor') binds the next control that moves; startMidiLearn()
+     * captures it first and waits for completeMidiLearn(target) from the UI.
+     */
+    
+    startMidiLearn(target = null, options = {}) {
+        this.midiLearn = { target, options, control: null };
+        this.emit('midiLearnStarted', { target });
+        return true;
+    }
+    
+    cancelMidiLearn() {
+        if (!this.midiLearn) return false;
+        
+        this.midiLearn = null;
+        this.emit('midiLearnCancelled', {});
+        return true;
+    }
+    
+    captureMidiLearn(message) {
+        let control;
+        switch (message.type) {
+            case 'cc':
+                control = { type: 'cc', channel: message.channel, controller: message.controller };
+                break;
+            case 'noteon':
+                control = { type: 'note', channel: message.channel, note: message.note };
+                break;
+            case 'pitchbend':
+                // Only a deliberate push counts, not the wheel settling back to centre
+                if (Math.abs(message.value) < 1024) return false;
+                control = { type: 'pitchbend', channel: message.channel };
+                break;
+            default:
+                return false;
+        }
+        
+        if (this.midiLearn.target !== null) {
+            this.completeMidiLearn(this.midiLearn.target, this.midiLearn.options, control);
+            return true;
+        }
+        
+        // Keep the first control; the tail of a knob turn shouldn't replace or trigger anything
+        if (!this.midiLearn.control) {
+            this.midiLearn.control = control;
+            this.emit('midiLearnCaptured', { control, source: message.source });
+        }
+        return true;
+    }
+    
+    // target: a parameter name, or { action: 'geometry' | 'preset', value } for notes
+    completeMidiLearn(target, options = {}, control = this.midiLearn && this.midiLearn.control) {
+        if (!control) {
+            console.warn('No MIDI control captured yet, move a control first');
+            return null;
+        }
+        
+        const { omni = false, ...mappingOptions } = options;
+        const binding = typeof target === 'string' ? { parameter: target } : { ...target };
+        
+        const id = this.addMidiMapping({
+            ...control,
+            ...binding,
+            ...mappingOptions,
+            channel: omni ? null : control.channel
+        });
+        
+        if (id === null) return null;
+        
+        this.midiLearn = null;
+        const mapping = this.getMidiMapping(id);
+        this.emit('midiLearnCompleted', { mapping });
+        console.log(`🎹 MIDI learned: ${this.describeMidiMapping(mapping)}`);
+        return mapping;
+    }
+    
+    describeMidiMapping(mapping) {
+        const channel = mapping.channel === null ? 'any channel' : `ch ${mapping.channel + 1}`;
+        switch (mapping.type) {
+            case 'cc': return `CC ${mapping.controller} (${channel}) → ${mapping.parameter}`;
+            case 'note': return `note ${mapping.note} (${channel}) → ${mapping.action} ${mapping.value}`;
+            default: return `pitch bend (${channel}) → ${mapping.parameter}`;
+        }
+    }
+    
+    /**
+     * MIDI MAPPING MANAGEMENT
+     */
+    
+    normalizeMidiMapping(mapping) {
+        const channel = mapping.channel === undefined ? null : mapping.channel;
+        if (channel !== null && !(Number.isInteger(channel) && channel >= 0 && channel <= 15)) {
+            console.warn(`Invalid MIDI channel: ${channel}`);
+            return null;
+        }
+        
+        const isParameter = (name) => typeof name === 'string' &&
+            (!this.homeMaster || this.homeMaster.isParameterRegistered(name));
+        const isDataByte = (value) => Number.isInteger(value) && value >= 0 && value <= 127;
+        const isGeometry = (value) => {
+            const meta = this.homeMaster ? this.homeMaster.getParameterMeta('geometry') : null;
+            return Number.isInteger(value) && (meta ? value >= meta.min && value <= meta.max : value >= 0);
+        };
+        
+        switch (mapping.type) {
+            case 'cc':
+                if (!isDataByte(mapping.controller) || !isParameter(mapping.parameter)) break;
+                return {
+                    type: 'cc',
+                    channel,
+                    controller: mapping.controller,
+                    parameter: mapping.parameter,
+                    curve: mapping.curve || 'linear',
+                    outputRange: mapping.outputRange || null,
+                    invert: !!mapping.invert
+                };
+            
+            case 'note':
+                if (!isDataByte(mapping.note)) break;
+                if (mapping.action === 'geometry' ? !isGeometry(mapping.value)
+                    : mapping.action !== 'preset' || typeof mapping.value !== 'string') break;
+                return {
+                    type: 'note',
+                    channel,
+                    note: mapping.note,
+                    action: mapping.action,
+                    value: mapping.value,
+                    duration: mapping.duration || 0
+                };
+            
+            case 'pitchbend':
+                if (!isParameter(mapping.parameter)) break;
+                return {
+                    type: 'pitchbend',
+                    channel,
+                    parameter: mapping.parameter,
+                    range: typeof mapping.range === 'number' ? mapping.range : 0.05,
+                    latch: !!mapping.latch
+                };
+        }
+        
+        console.warn('Invalid MIDI mapping:', mapping);
+        return null;
+    }
+    
+    midiTableFor(type) {
+        const mappings = this.parameterMappings.get('midi');
+        return { cc: mappings.cc, note: mappings.notes, pitchbend: mappings.pitchBend }[type];
+    }
+    
+    midiMappingKey(mapping) {
+        switch (mapping.type) {
+            case 'cc': return this.midiKey(mapping.channel, mapping.controller);
+            case 'note': return this.midiKey(mapping.channel, mapping.note);
+            default: return this.midiKey(mapping.channel, '');
+        }
+    }
+    
+    // Replaces any mapping on the same control; returns the mapping id or null
+    addMidiMapping(mapping, { persist = true } = {}) {
+        const normalized = this.normalizeMidiMapping(mapping);
+        if (!normalized) return null;
+        
+        normalized.id = `midi_${++this.midiMappingCounter}`;
+        this.midiTableFor(normalized.type).set(this.midiMappingKey(normalized), normalized);
+        
+        if (persist) this.saveMidiMappings();
+        this.emit('midiMappingsChanged', { mappings: this.getMidiMappings() });
+        return normalized.id;
+    }
+    
+    removeMidiMapping(id) {
+        const mapping = this.getMidiMapping(id);
+        if (!mapping) return false;
+        
+        this.midiTableFor(mapping.type).delete(this.midiMappingKey(mapping));
+        this.saveMidiMappings();
+        this.emit('midiMappingsChanged', { mappings: this.getMidiMappings() });
+        return true;
+    }
+    
+    clearMidiMappings({ persist = true } = {}) {
+        const mappings = this.parameterMappings.get('midi');
+        mappings.cc.clear();
+        mappings.notes.clear();
+        mappings.pitchBend.clear();
+        this.midiPitchBase.clear();
+        
+        if (persist) this.saveMidiMappings();
+        this.emit('midiMappingsChanged', { mappings: [] });
+    }
+    
+    getMidiMapping(id) {
+        return this.getMidiMappings().find(mapping => mapping.id === id) || null;
+    }
+    
+    getMidiMappings() {
+        const mappings = this.parameterMappings.get('midi');
+        return [...mappings.cc.values(), ...mappings.notes.values(), ...mappings.pitchBend.values()];
+    }
+    
+    exportMidiMappings() {
+        return {
+            version: MIDI_MAPPINGS_VERSION,
+            mappings: this.getMidiMappings().map(({ id, ...mapping }) => mapping)
+        };
+    }
+    
+    // Accepts the exportMidiMappings() object or its JSON string; returns the number imported
+    importMidiMappings(data, { replace = true, persist = true } = {}) {
+        let parsed = data;
+        try {
+            if (typeof data === 'string') parsed = JSON.parse(data);
+        } catch (error) {
+            console.warn('Invalid MIDI mappings JSON:', error.message);
+            return 0;
+        }
+        
+        if (!parsed || !Array.isArray(parsed.mappings)) {
+            console.warn('Invalid MIDI mappings: expected { version, mappings: [...] }');
+            return 0;
+        }
+        if ((parsed.version || 1) > MIDI_MAPPINGS_VERSION) {
+            console.warn(`MIDI mappings version ${parsed.version} is newer than supported (${MIDI_MAPPINGS_VERSION})`);
+            return 0;
+        }
+        
+        if (replace) this.clearMidiMappings({ persist: false });
+        
+        let imported = 0;
+        for (const mapping of parsed.mappings) {
+            if (this.addMidiMapping(mapping, { persist: false }) !== null) imported++;
+        }
+        
+        if (persist) this.saveMidiMappings();
+        return imported;
+    }
+    
+    async saveMidiMappings() {
+        if (!this.midiStorage.isAvailable()) return false;
+        
+        try {
+            await this.midiStorage.setItem(this.config.midiStorageKey, JSON.stringify(this.exportMidiMappings()));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save MIDI mappings:', error.message || error);
+            return false;
+        }
+    }
+    
+    async loadMidiMappings() {
+        if (!this.midiStorage.isAvailable()) return 0;
+        
+        try {
+            const raw = await this.midiStorage.getItem(this.config.midiStorageKey);
+            return raw ? this.importMidiMappings(raw, { persist: false }) : 0;
+        } catch (error) {
+            console.warn('Failed to load MIDI mappings:', error.message || error);
+            return 0;
         }
     }
     
@@ -445,6 +1349,33 @@ class InteractionCoordinator extends EventTarget {
         this.emit('elementUnfocused', { element, elementType });
     }
     
+    // Hovering a zone applies its focus overrides to the zone's visualizer (or role)
+    handleZoneEnter(zone) {
+        const target = this.resolveZoneTarget(zone);
+        
+        if (target && this.homeMaster && Object.keys(zone.focus).length > 0) {
+            const changes = { role: {}, instance: {} };
+            for (const [name, override] of Object.entries(zone.focus)) {
+                const applied = zone.scope === 'role'
+                    ? target.role && this.homeMaster.setRoleOverride(target.role, name, override)
+                    : target.instanceId && this.homeMaster.setInstanceOverride(target.instanceId, name, override);
+                if (applied) changes[zone.scope][name] = override;
+            }
+            this.recordZoneOverrides(zone, changes, target, true);
+        }
+        
+        this.emit('zoneEnter', { zoneId: zone.id, target });
+    }
+    
+    // Leaving drops the focus overrides, and the rules' overrides with resetOnLeave
+    handleZoneLeave(zone) {
+        if (this.homeMaster) {
+            this.releaseZoneOverrides(zone);
+        }
+        
+        this.emit('zoneLeave', { zoneId: zone.id });
+    }
+    
     /**
      * UTILITY METHODS
      */
@@ -489,11 +1420,43 @@ class InteractionCoordinator extends EventTarget {
     }
     
     handleEvent(eventType, eventData, source) {
+        if (eventType === 'userInput') {
+            this.handleUserInput(eventData);
+        }
+        
         if (this.config.debugMode) {
             console.log(`InteractionCoordinator received event: ${eventType}`, eventData);
         }
     }
     
+    // Synthetic input routed through VIB3SystemController ('userInput' events);
+    // an instanceId targets scoped rules at that visualizer, with x/y relative to its canvas
+    handleUserInput(eventData) {
+        const pressed = eventData.isDown === false ? 0 : 1;
+        const context = { surface: this.getVisualizerSurface(eventData.instanceId) };
+        
+        switch (eventData.type) {
+            case 'mouse':
+                return this.mapInput('mouse', { x: eventData.x, y: eventData.y }, context);
+            case 'click':
+                return this.mapInput('click', { press: pressed }, context);
+            case 'scroll':
+                return this.mapInput('scroll', { deltaY: eventData.deltaY || 0, deltaX: eventData.deltaX || 0 }, context);
+            case 'keyboard':
+                return this.mapInput('key', { [eventData.key]: pressed }, context);
+            default:
+                return {};
+        }
+    }
+    
+    getVisualizerSurface(instanceId) {
+        const pool = this.systemController && this.systemController.modules
+            ? this.systemController.modules.visualizerPool
+            : null;
+        const instance = instanceId && pool ? pool.instances.get(instanceId) : null;
+        return instance ? { instanceId, role: instance.role } : null;
+    }
+    
     getStatus() {
         return {
             enabledInputs: this.config.enabledInputs,
@@ -502,6 +1465,23 @@ class InteractionCoordinator extends EventTarget {
             mousePosition: {
                 x: this.eventState.mouse.x,
                 y: this.eventState.mouse.y
+            },
+            pointers: this.pointerTracker.getStatus(),
+            shortcuts: this.shortcuts.getStatus(),
+            zones: {
+                count: this.interactionZones.zones.size,
+                hover: this.hoverZone ? this.hoverZone.zone.id : null
+            },
+            touch: this.gestureRecognizer.getStatus(),
+            midi: {
+                connected: !!this.midiInput,
+                devices: this.midiInput ? this.midiInput.getDevices() : [],
+                mappings: this.getMidiMappings().length,
+                learning: !!this.midiLearn
+            },
+            gamepad: {
+                connected: !!this.gamepadInput,
+                devices: this.gamepadInput ? this.gamepadInput.getDevices() : []
             }
         };
     }
@@ -0,0 +1,154 @@
+/**
+ * INTERACTION ZONES
+ * Canvas- and element-bound input rules for InteractionCoordinator
+ * 
+ * Responsibilities:
+ * - Hold zones: a DOM element (usually a visualizer canvas or its card) with its own InputMapper rules
+ * - Validate a zone's rules and focus overrides when it is added
+ * - Hit-test zones and report positions relative to the zone's element
+ * 
+ * Zone: { id, element, instanceId, role, scope, mappings, exclusive, focus, resetOnLeave, priority }
+ * - element: DOM element or selector; 'mouse' x|y in the zone's rules are relative to it
+ * - instanceId / role: what instance- and role-scoped rules override; when omitted the coordinator
+ *   uses the visualizer whose canvas is (or is inside) the element
+ * - scope: default scope of the zone's rules, 'instance' unless given ('global' | 'role' | 'instance')
+ * - exclusive: inside the zone, global rules for the inputs it maps are skipped (default true)
+ * - focus: overrides applied while the mouse is over the zone, e.g. { interactionIntensity: 1 }
+ * - resetOnLeave: clear the overrides the zone's rules set when the mouse leaves (default true)
+ * - priority: among overlapping zones the highest wins, then the smallest element
+ */
+
+import { INPUT_MAPPING_SCOPES, validateInputMappings } from './InputMapper.js';
+import { elementPosition } from './PointerTracker.js';
+
+class InteractionZones {
+    constructor() {
+        // id -> zone (mappings indexed by input in zone.index)
+        this.zones = new Map();
+        this.zoneCounter = 0;
+    }
+    
+    /**
+     * ZONE MANAGEMENT
+     */
+    
+    // homeMaster is optional; without it target parameters aren't checked. Returns the zone id or null
+    addZone(definition = {}, homeMaster = null) {
+        const element = typeof definition.element === 'string' && typeof document !== 'undefined'
+            ? document.querySelector(definition.element)
+            : definition.element;
+        if (!element || typeof element.getBoundingClientRect !== 'function') {
+            console.warn(`Zone element not found: ${definition.element}`);
+            return null;
+        }
+        
+        const scope = definition.scope || 'instance';
+        if (!INPUT_MAPPING_SCOPES.includes(scope)) {
+            console.warn(`Invalid zone scope: ${scope}`);
+            return null;
+        }
+        
+        const result = validateInputMappings((definition.mappings || []).map(rule => ({ scope, ...rule })), homeMaster);
+        if (!result.valid) {
+            console.warn('Invalid zone mappings:', result.errors);
+            return null;
+        }
+        
+        const focus = { ...(definition.focus || {}) };
+        if (Object.keys(focus).length > 0) {
+            if (scope === 'global') {
+                console.warn('Zone focus overrides need a role or instance scope');
+                return null;
+            }
+            const unknown = Object.keys(focus).filter(name => homeMaster && !homeMaster.isParameterRegistered(name));
+            if (unknown.length > 0) {
+                console.warn(`Unknown focus parameters: ${unknown.join(', ')}`);
+                return null;
+            }
+        }
+        
+        const id = definition.id || `zone_${++this.zoneCounter}`;
+        const index = new Map();
+        for (const mapping of result.mappings) {
+            if (!index.has(mapping.input)) index.set(mapping.input, []);
+            index.get(mapping.input).push(mapping);
+        }
+        
+        // Same id replaces the zone
+        this.zones.set(id, {
+            id,
+            element,
+            instanceId: definition.instanceId || null,
+            role: definition.role || null,
+            scope,
+            mappings: result.mappings,
+            index,
+            exclusive: definition.exclusive !== false,
+            focus,
+            resetOnLeave: definition.resetOnLeave !== false,
+            priority: definition.priority || 0
+        });
+        
+        return id;
+    }
+    
+    removeZone(id) {
+        return this.zones.delete(id);
+    }
+    
+    clearZones() {
+        this.zones.clear();
+    }
+    
+    getZone(id) {
+        return this.zones.get(id) || null;
+    }
+    
+    getZones() {
+        return Array.from(this.zones.values()).map(({ index, mappings, focus, ...zone }) => ({
+            ...zone,
+            mappings: mappings.map(mapping => ({ ...mapping })),
+            focus: { ...focus }
+        }));
+    }
+    
+    getZoneMappings(zone, input) {
+        return zone.index.get(input) || [];
+    }
+    
+    /**
+     * HIT TESTING
+     */
+    
+    // { zone, x, y } for the zone under a point, or null
+    zoneAt(clientX, clientY) {
+        let best = null;
+        
+        for (const zone of this.zones.values()) {
+            const position = elementPosition(zone.element, clientX, clientY);
+            if (!position.inside) continue;
+            
+            if (!best || zone.priority > best.zone.priority ||
+                (zone.priority === best.zone.priority && position.area < best.area)) {
+                best = { zone, area: position.area, x: position.x, y: position.y };
+            }
+        }
+        
+        return best ? { zone: best.zone, x: best.x, y: best.y } : null;
+    }
+    
+    // Also outside the element, for a pointer captured by the zone
+    zonePosition(zone, clientX, clientY) {
+        const { x, y } = elementPosition(zone.element, clientX, clientY);
+        return { zone, x, y };
+    }
+}
+
+// Export for module system
+export { InteractionZones };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.InteractionZones = InteractionZones;
+    console.log('🎯 InteractionZones loaded and available globally');
+}
\ No newline at end of file
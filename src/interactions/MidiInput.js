@@ -0,0 +1,212 @@
+/**
+ * MIDI INPUT
+ * Web MIDI device layer for InteractionCoordinator
+ * 
+ * Responsibilities:
+ * - Request Web MIDI access and listen to every input (including hot-plugged ones)
+ * - Parse raw MIDI bytes into cc / noteon / noteoff / pitchbend messages
+ * - Accept mock sources so mappings can be exercised without hardware
+ * 
+ * Messages: { type, channel (0-15), controller?, note?, value?, velocity?, source }
+ * Events: 'message', 'devicesChanged'
+ */
+
+import { EventEmitterBase } from '../utils/EventEmitterBase.js';
+
+const STATUS = {
+    noteOff: 0x80,
+    noteOn: 0x90,
+    controlChange: 0xB0,
+    pitchBend: 0xE0
+};
+
+function parseMidiMessage(data, source = null) {
+    if (!data || data.length < 2) return null;
+    
+    const status = data[0] & 0xF0;
+    const channel = data[0] & 0x0F;
+    
+    switch (status) {
+        case STATUS.controlChange:
+            return { type: 'cc', channel, controller: data[1], value: data[2], source };
+        
+        case STATUS.noteOn:
+            // Running status devices send note-on with velocity 0 instead of note-off
+            if (data[2] === 0) {
+                return { type: 'noteoff', channel, note: data[1], velocity: 0, source };
+            }
+            return { type: 'noteon', channel, note: data[1], velocity: data[2], source };
+        
+        case STATUS.noteOff:
+            return { type: 'noteoff', channel, note: data[1], velocity: data[2], source };
+        
+        case STATUS.pitchBend:
+            // 14-bit value centred on 0: -8192..8191
+            return { type: 'pitchbend', channel, value: ((data[2] << 7) | data[1]) - 8192, source };
+        
+        default:
+            return null;
+    }
+}
+
+class MidiInput extends EventEmitterBase {
+    constructor(config = {}) {
+        super();
+        
+        this.config = {
+            sysex: false,
+            ...config
+        };
+        
+        this.access = null;
+        
+        // Attached inputs: id -> { input, listener }
+        this.inputs = new Map();
+        
+        this.handleStateChange = () => this.syncInputs();
+    }
+    
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+    
+    /**
+     * DEVICES
+     */
+    
+    async connect() {
+        if (!MidiInput.isSupported()) {
+            console.warn('Web MIDI not supported, MIDI input disabled');
+            return false;
+        }
+        
+        try {
+            this.access = await navigator.requestMIDIAccess({ sysex: this.config.sysex });
+        } catch (error) {
+            console.warn('MIDI access denied:', error.message || error);
+            return false;
+        }
+        
+        this.access.addEventListener('statechange', this.handleStateChange);
+        this.syncInputs();
+        
+        console.log(`🎹 MIDI connected (${this.inputs.size} input${this.inputs.size === 1 ? '' : 's'})`);
+        return true;
+    }
+    
+    syncInputs() {
+        if (!this.access) return;
+        
+        const available = new Map();
+        this.access.inputs.forEach(input => {
+            if (input.state !== 'disconnected') available.set(input.id, input);
+        });
+        
+        for (const id of Array.from(this.inputs.keys())) {
+            if (!available.has(id)) this.detachSource(id);
+        }
+        for (const [id, input] of available) {
+            if (!this.inputs.has(id)) this.attachSource(input);
+        }
+        
+        this.emit('devicesChanged', { devices: this.getDevices() });
+    }
+    
+    // Anything with id, name and 'midimessage' events: Web MIDI inputs or MockMidiSource
+    attachSource(input) {
+        if (this.inputs.has(input.id)) return false;
+        
+        const listener = (event) => {
+            const message = parseMidiMessage(event.data, input.name || input.id);
+            if (message) {
+                this.emit('message', message);
+            }
+        };
+        
+        input.addEventListener('midimessage', listener);
+        this.inputs.set(input.id, { input, listener });
+        return true;
+    }
+    
+    detachSource(id) {
+        const entry = this.inputs.get(id);
+        if (!entry) return false;
+        
+        entry.input.removeEventListener('midimessage', entry.listener);
+        this.inputs.delete(id);
+        return true;
+    }
+    
+    getDevices() {
+        return Array.from(this.inputs.values()).map(({ input }) => ({
+            id: input.id,
+            name: input.name || input.id,
+            manufacturer: input.manufacturer || null
+        }));
+    }
+    
+    disconnect() {
+        for (const id of Array.from(this.inputs.keys())) {
+            this.detachSource(id);
+        }
+        
+        if (this.access) {
+            this.access.removeEventListener('statechange', this.handleStateChange);
+            this.access = null;
+        }
+    }
+    
+    destroy() {
+        this.disconnect();
+    }
+}
+
+/**
+ * MOCK SOURCE
+ * Stands in for a hardware input in tests and demos
+ */
+
+class MockMidiSource extends EventTarget {
+    constructor(name = 'Mock MIDI') {
+        super();
+        
+        this.id = `mock_${name.toLowerCase().replace(/\W+/g, '_')}`;
+        this.name = name;
+        this.manufacturer = 'VIB3';
+        this.state = 'connected';
+    }
+    
+    send(bytes) {
+        const event = new Event('midimessage');
+        event.data = Uint8Array.from(bytes);
+        this.dispatchEvent(event);
+    }
+    
+    controlChange(controller, value, channel = 0) {
+        this.send([STATUS.controlChange | channel, controller, value]);
+    }
+    
+    noteOn(note, velocity = 100, channel = 0) {
+        this.send([STATUS.noteOn | channel, note, velocity]);
+    }
+    
+    noteOff(note, channel = 0) {
+        this.send([STATUS.noteOff | channel, note, 0]);
+    }
+    
+    // value: -8192..8191
+    pitchBend(value, channel = 0) {
+        const raw = Math.max(0, Math.min(16383, value + 8192));
+        this.send([STATUS.pitchBend | channel, raw & 0x7F, raw >> 7]);
+    }
+}
+
+// Export for module system
+export { MidiInput, MockMidiSource, parseMidiMessage };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.MidiInput = MidiInput;
+    window.MockMidiSource = MockMidiSource;
+    console.log('🎹 MidiInput loaded and available globally');
+}
\ No newline at end of file
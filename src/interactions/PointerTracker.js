@@ -0,0 +1,235 @@
+/**
+ * POINTER TRACKER
+ * Pointer Events state for InteractionCoordinator (mouse, pen and touch in one pipeline)
+ * 
+ * Responsibilities:
+ * - Track every active pointer with its type, buttons, pressure, tilt, twist and contact size
+ * - Hit-test registered surfaces (visualizer canvases) and report coordinates relative to them
+ * - Capture a pressed pointer, so a drag that starts on a card keeps targeting that card
+ * 
+ * The coordinator owns the DOM listeners and passes each PointerEvent to pointerDown/Move/Up/Cancel,
+ * which return a snapshot:
+ * { id, type: mouse|pen|touch, isPrimary, isDown, buttons, clientX, clientY, x, y,
+ *   pressure, tiltX, tiltY, twist, width, height, surface: { instanceId, role, x, y } | null }
+ * x/y are normalized 0..1 with y pointing up: window-relative on the pointer, canvas-relative on
+ * its surface (outside 0..1 while a captured pointer is dragged off the canvas).
+ */
+
+// Normalized, y-up position of a point over an element's box, and whether it lies inside
+function elementPosition(element, clientX, clientY) {
+    const rect = element.getBoundingClientRect();
+    return {
+        x: rect.width > 0 ? (clientX - rect.left) / rect.width : 0,
+        y: rect.height > 0 ? 1.0 - (clientY - rect.top) / rect.height : 0,
+        inside: clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom,
+        area: rect.width * rect.height
+    };
+}
+
+class PointerTracker {
+    constructor(config = {}) {
+        this.config = {
+            // Keep a pressed pointer bound to the surface it went down on
+            capture: true,
+            // Applied to surfaces so touch drags reach us instead of scrolling the page
+            touchAction: 'none',
+            ...config
+        };
+        
+        // Active pointers: pointerId -> pointer state (mice and pens stay while hovering)
+        this.pointers = new Map();
+        
+        // Surfaces: element -> { element, instanceId, role }
+        this.surfaces = new Map();
+    }
+    
+    static isSupported() {
+        return typeof window !== 'undefined' && typeof window.PointerEvent !== 'undefined';
+    }
+    
+    /**
+     * SURFACES
+     */
+    
+    // element: a visualizer canvas; instanceId/role identify it to VIB3HomeMaster overrides
+    registerSurface(element, { instanceId = null, role = null } = {}) {
+        this.surfaces.set(element, { element, instanceId, role });
+        
+        if (this.config.touchAction && element.style) {
+            element.style.touchAction = this.config.touchAction;
+        }
+        return true;
+    }
+    
+    unregisterSurface(element) {
+        for (const pointer of this.pointers.values()) {
+            if (pointer.capturedSurface && pointer.capturedSurface.element === element) {
+                pointer.capturedSurface = null;
+            }
+        }
+        return this.surfaces.delete(element);
+    }
+    
+    getSurfaces() {
+        return Array.from(this.surfaces.values()).map(({ element, instanceId, role }) => ({ element, instanceId, role }));
+    }
+    
+    // Smallest surface containing the point wins, so cards beat the full-screen board behind them
+    findSurface(clientX, clientY) {
+        let best = null;
+        let bestArea = Infinity;
+        
+        for (const surface of this.surfaces.values()) {
+            const { inside, area } = elementPosition(surface.element, clientX, clientY);
+            if (inside && area < bestArea) {
+                best = surface;
+                bestArea = area;
+            }
+        }
+        
+        return best;
+    }
+    
+    surfacePosition(surface, clientX, clientY) {
+        const { x, y } = elementPosition(surface.element, clientX, clientY);
+        return { instanceId: surface.instanceId, role: surface.role, x, y };
+    }
+    
+    // Visualizer under a point, with canvas-relative coordinates; null over no surface
+    surfaceAt(clientX, clientY) {
+        const surface = this.findSurface(clientX, clientY);
+        return surface ? this.surfacePosition(surface, clientX, clientY) : null;
+    }
+    
+    /**
+     * POINTER EVENTS
+     */
+    
+    pointerDown(e) {
+        const pointer = this.updatePointer(e, true);
+        
+        if (this.config.capture) {
+            pointer.capturedSurface = this.findSurface(e.clientX, e.clientY);
+            
+            // Moves keep arriving after the pointer leaves the canvas, or the window
+            const element = pointer.capturedSurface ? pointer.capturedSurface.element : e.target;
+            if (element && typeof element.setPointerCapture === 'function') {
+                try {
+                    element.setPointerCapture(e.pointerId);
+                } catch (error) {
+                    // Pointer already released
+                }
+            }
+        }
+        
+        return this.snapshot(pointer);
+    }
+    
+    // Returns null for a touch that went down before we were listening
+    pointerMove(e) {
+        const known = this.pointers.get(e.pointerId);
+        if (!known && e.pointerType === 'touch') return null;
+        
+        return this.snapshot(this.updatePointer(e, known ? known.isDown : false));
+    }
+    
+    pointerUp(e) {
+        return this.releasePointer(e);
+    }
+    
+    pointerCancel(e) {
+        return this.releasePointer(e);
+    }
+    
+    releasePointer(e) {
+        if (!this.pointers.has(e.pointerId) && e.pointerType === 'touch') return null;
+        
+        const pointer = this.updatePointer(e, false);
+        const snapshot = this.snapshot(pointer);
+        
+        // Capture ends with the press; touches end altogether
+        if (pointer.type === 'touch') {
+            this.pointers.delete(e.pointerId);
+        } else {
+            pointer.capturedSurface = null;
+        }
+        
+        return snapshot;
+    }
+    
+    updatePointer(e, isDown) {
+        let pointer = this.pointers.get(e.pointerId);
+        if (!pointer) {
+            pointer = { id: e.pointerId, capturedSurface: null };
+            this.pointers.set(e.pointerId, pointer);
+        }
+        
+        Object.assign(pointer, {
+            type: e.pointerType || 'mouse',
+            isPrimary: !!e.isPrimary,
+            isDown,
+            buttons: e.buttons || 0,
+            clientX: e.clientX,
+            clientY: e.clientY,
+            x: e.clientX / window.innerWidth,
+            y: 1.0 - (e.clientY / window.innerHeight),
+            // Without pressure support, 0.5 while pressed (as browsers report for mice)
+            pressure: e.pressure ?? (isDown ? 0.5 : 0),
+            tiltX: e.tiltX || 0,
+            tiltY: e.tiltY || 0,
+            twist: e.twist || 0,
+            width: e.width || 1,
+            height: e.height || 1
+        });
+        
+        return pointer;
+    }
+    
+    snapshot(pointer) {
+        const { capturedSurface, ...state } = pointer;
+        const surface = capturedSurface || this.findSurface(pointer.clientX, pointer.clientY);
+        
+        return {
+            ...state,
+            surface: surface ? this.surfacePosition(surface, pointer.clientX, pointer.clientY) : null
+        };
+    }
+    
+    /**
+     * STATUS
+     */
+    
+    getPointers() {
+        return Array.from(this.pointers.values()).map(pointer => this.snapshot(pointer));
+    }
+    
+    getPointersByType(type) {
+        return this.getPointers().filter(pointer => pointer.type === type);
+    }
+    
+    getStatus() {
+        return {
+            pointers: this.pointers.size,
+            pressed: Array.from(this.pointers.values()).filter(pointer => pointer.isDown).length,
+            surfaces: this.surfaces.size
+        };
+    }
+    
+    reset() {
+        this.pointers.clear();
+    }
+    
+    destroy() {
+        this.pointers.clear();
+        this.surfaces.clear();
+    }
+}
+
+// Export for module system
+export { PointerTracker, elementPosition };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.PointerTracker = PointerTracker;
+    console.log('🖱️ PointerTracker loaded and available globally');
+}
\ No newline at end of file
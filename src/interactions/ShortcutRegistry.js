@@ -0,0 +1,469 @@
+/**
+ * SHORTCUT REGISTRY
+ * Keyboard shortcuts for InteractionCoordinator: named actions bound to key combinations
+ * 
+ * Responsibilities:
+ * - Parse shortcuts with modifiers (ctrl+z, mod+shift+z), chords (a+s) and sequences (g g)
+ * - Match keydown events, holding a partial sequence until it completes or times out
+ * - Scope bindings to contexts; the most recently entered active context wins over 'global'
+ * - Detect conflicts (same keys, or one sequence a prefix of another, in one context)
+ * - Rebind at runtime, export/import bindings, ignore focused text inputs
+ * 
+ * Notation: steps separated by spaces, keys within a step joined by '+'.
+ * - Modifiers: ctrl, alt, shift, meta, and mod (meta on Apple platforms, ctrl elsewhere)
+ * - Keys: KeyboardEvent.key names, case-insensitive (z, arrowup, escape, f1), plus aliases
+ *   space, esc, up/down/left/right, plus. Symbols are written as typed ('?'), shift implied.
+ * - Two or more non-modifier keys in a step form a chord: all held at once.
+ * 
+ * Binding: { id, keys, action, context, description, preventDefault, allowInInputs }
+ * Events: 'shortcut' { id, action, keys, context }, 'sequencePending' { steps }, 'bindingsChanged'
+ */
+
+import { EventEmitterBase } from '../utils/EventEmitterBase.js';
+import { getDefaultClock } from '../utils/Clock.js';
+
+const SHORTCUTS_VERSION = 1;
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+// KeyboardEvent.key (lowercased) of the modifier keys themselves
+const MODIFIER_KEYS = { control: 'ctrl', alt: 'alt', altgraph: 'alt', shift: 'shift', meta: 'meta', os: 'meta' };
+
+const KEY_ALIASES = {
+    space: ' ',
+    spacebar: ' ',
+    esc: 'escape',
+    up: 'arrowup',
+    down: 'arrowdown',
+    left: 'arrowleft',
+    right: 'arrowright',
+    del: 'delete',
+    return: 'enter',
+    plus: '+'
+};
+
+const DEFAULT_SHORTCUTS = [
+    { keys: 'mod+z', action: 'undo' },
+    { keys: 'mod+shift+z', action: 'redo' },
+    { keys: 'mod+y', action: 'redo' },
+    { keys: 'g n', action: 'nextGeometry' },
+    { keys: 'g p', action: 'previousGeometry' },
+    { keys: 'g g', action: 'firstGeometry' }
+];
+
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'password', 'url', 'tel', 'number', 'date', 'time', 'datetime-local', 'month', 'week'];
+
+// Text fields, selects and contenteditable elements keep their keys
+function isEditableTarget(target) {
+    if (!target || !target.tagName) return false;
+    
+    const tag = target.tagName.toLowerCase();
+    if (tag === 'textarea' || tag === 'select') return true;
+    if (tag === 'input') return TEXT_INPUT_TYPES.includes((target.type || 'text').toLowerCase());
+    return !!target.isContentEditable;
+}
+
+function isApplePlatform() {
+    if (typeof navigator === 'undefined') return false;
+    return /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent || '');
+}
+
+function normalizeKey(key) {
+    const lower = key.length === 1 ? key.toLowerCase() : key.toLowerCase().trim();
+    return KEY_ALIASES[lower] ?? lower;
+}
+
+// Symbols already encode shift ('?' is shift+/ on US layouts), so shift isn't compared for them
+function impliesShift(key) {
+    return key.length === 1 && key !== ' ' && key.toLowerCase() === key.toUpperCase() && !/[0-9]/.test(key);
+}
+
+// Canonical step: modifiers in MODIFIERS order, then the keys sorted; ' ' shows as 'space'
+function formatStep(modifiers, keys) {
+    const shown = keys.map(key => (key === ' ' ? 'space' : key === '+' ? 'plus' : key));
+    return [...MODIFIERS.filter(modifier => modifiers.includes(modifier)), ...shown].join('+');
+}
+
+// Returns canonical steps (strings), or null when the notation is invalid
+function parseShortcut(keys, { apple = isApplePlatform() } = {}) {
+    if (typeof keys !== 'string' || !keys.trim()) return null;
+    
+    const steps = [];
+    for (const step of keys.trim().split(/\s+/)) {
+        const modifiers = [];
+        const stepKeys = [];
+        
+        for (const token of step.split('+')) {
+            if (!token) return null;
+            
+            const name = token.toLowerCase();
+            if (name === 'mod') {
+                modifiers.push(apple ? 'meta' : 'ctrl');
+            } else if (MODIFIERS.includes(name)) {
+                modifiers.push(name);
+            } else {
+                stepKeys.push(normalizeKey(token));
+            }
+        }
+        
+        if (stepKeys.length === 0 || new Set(stepKeys).size !== stepKeys.length) return null;
+        
+        const shiftless = stepKeys.length === 1 && impliesShift(stepKeys[0]);
+        steps.push(formatStep(shiftless ? modifiers.filter(m => m !== 'shift') : modifiers, stepKeys.sort()));
+    }
+    
+    return steps;
+}
+
+class ShortcutRegistry extends EventEmitterBase {
+    constructor(config = {}) {
+        super();
+        
+        this.config = {
+            sequenceTimeoutMS: 1000,
+            apple: isApplePlatform(),
+            ...config
+        };
+        
+        this.clock = config.clock || getDefaultClock();
+        
+        // name -> { name, handler, description }
+        this.actions = new Map();
+        // id -> binding (with its parsed steps)
+        this.bindings = new Map();
+        this.bindingCounter = 0;
+        
+        // Active contexts, most recently entered last; 'global' is always active
+        this.contexts = [];
+        
+        // Non-modifier keys held down, for chords: physical key (e.code) -> key as typed.
+        // The typed key can change before release ('?' goes up as '/' once shift is let go).
+        this.heldKeys = new Map();
+        this.pending = null; // { steps, time }
+    }
+    
+    /**
+     * ACTIONS
+     */
+    
+    registerAction(name, handler, description = '') {
+        if (typeof handler !== 'function') {
+            console.warn(`Shortcut action needs a handler: ${name}`);
+            return false;
+        }
+        this.actions.set(name, { name, handler, description });
+        return true;
+    }
+    
+    unregisterAction(name) {
+        return this.actions.delete(name);
+    }
+    
+    getActions() {
+        return Array.from(this.actions.values()).map(({ name, description }) => ({ name, description }));
+    }
+    
+    /**
+     * BINDINGS
+     */
+    
+    // Returns the binding id, or null when invalid or conflicting (replace: true drops the conflicts)
+    bind(keys, action, { context = 'global', description = '', preventDefault = true, allowInInputs = false, id = null, replace = false } = {}) {
+        const steps = parseShortcut(keys, { apple: this.config.apple });
+        if (!steps) {
+            console.warn(`Invalid shortcut: ${keys}`);
+            return null;
+        }
+        if (!this.actions.has(action)) {
+            console.warn(`Unknown shortcut action: ${action}`);
+            return null;
+        }
+        
+        const conflicts = this.findConflicts(keys, context, id);
+        if (conflicts.length > 0) {
+            if (!replace) {
+                console.warn(`Shortcut ${keys} conflicts with:`, conflicts.map(conflict => `${conflict.keys} (${conflict.action})`));
+                return null;
+            }
+            conflicts.forEach(conflict => this.bindings.delete(conflict.id));
+        }
+        
+        const bindingId = id || `shortcut_${++this.bindingCounter}`;
+        this.bindings.set(bindingId, {
+            id: bindingId,
+            keys: keys.trim(),
+            steps,
+            action,
+            context,
+            description,
+            preventDefault,
+            allowInInputs
+        });
+        
+        this.emit('bindingsChanged', { bindings: this.getBindings() });
+        return bindingId;
+    }
+    
+    unbind(id) {
+        const removed = this.bindings.delete(id);
+        if (removed) this.emit('bindingsChanged', { bindings: this.getBindings() });
+        return removed;
+    }
+    
+    // Keeps the binding's action and options; refused on conflict
+    rebind(id, keys) {
+        const binding = this.bindings.get(id);
+        if (!binding) return false;
+        
+        const steps = parseShortcut(keys, { apple: this.config.apple });
+        if (!steps) {
+            console.warn(`Invalid shortcut: ${keys}`);
+            return false;
+        }
+        
+        const conflicts = this.findConflicts(keys, binding.context, id);
+        if (conflicts.length > 0) {
+            console.warn(`Shortcut ${keys} conflicts with:`, conflicts.map(conflict => `${conflict.keys} (${conflict.action})`));
+            return false;
+        }
+        
+        binding.keys = keys.trim();
+        binding.steps = steps;
+        this.emit('bindingsChanged', { bindings: this.getBindings() });
+        return true;
+    }
+    
+    clearBindings() {
+        this.bindings.clear();
+        this.pending = null;
+        this.emit('bindingsChanged', { bindings: [] });
+    }
+    
+    getBinding(id) {
+        const binding = this.bindings.get(id);
+        return binding ? this.describeBinding(binding) : null;
+    }
+    
+    getBindings() {
+        return Array.from(this.bindings.values()).map(binding => this.describeBinding(binding));
+    }
+    
+    getBindingsForAction(action) {
+        return this.getBindings().filter(binding => binding.action === action);
+    }
+    
+    describeBinding({ steps, ...binding }) {
+        return { ...binding, normalized: steps.join(' ') };
+    }
+    
+    // Bindings in the same context whose keys equal these, or where one sequence starts the other
+    findConflicts(keys, context = 'global', ignoreId = null) {
+        const steps = parseShortcut(keys, { apple: this.config.apple });
+        if (!steps) return [];
+        
+        const startsWith = (longer, shorter) => shorter.every((step, i) => longer[i] === step);
+        
+        return Array.from(this.bindings.values())
+            .filter(binding => binding.id !== ignoreId && binding.context === context)
+            .filter(binding => startsWith(binding.steps, steps) || startsWith(steps, binding.steps))
+            .map(binding => ({
+                ...this.describeBinding(binding),
+                reason: binding.steps.length === steps.length ? 'same' : 'prefix'
+            }));
+    }
+    
+    /**
+     * CONTEXTS
+     */
+    
+    enterContext(name) {
+        if (name === 'global') return;
+        this.contexts = this.contexts.filter(context => context !== name);
+        this.contexts.push(name);
+        this.pending = null;
+    }
+    
+    leaveContext(name) {
+        const before = this.contexts.length;
+        this.contexts = this.contexts.filter(context => context !== name);
+        if (this.contexts.length !== before) this.pending = null;
+        return this.contexts.length !== before;
+    }
+    
+    // Most specific first
+    getActiveContexts() {
+        return [...this.contexts].reverse().concat('global');
+    }
+    
+    /**
+     * KEY HANDLING
+     */
+    
+    // Returns true when the key was used by a shortcut (fired, or part of a pending sequence)
+    handleKeyDown(e) {
+        const key = normalizeKey(e.key || '');
+        if (!key || MODIFIER_KEYS[key]) return false;
+        
+        // Browsers skip keyup for keys released while meta is held, so those aren't tracked
+        if (!e.metaKey) this.heldKeys.set(e.code || key, key);
+        if (e.repeat) return false;
+        
+        const editable = isEditableTarget(e.target);
+        const step = this.eventStep(e, key);
+        const now = this.clock.now();
+        
+        if (this.pending && now - this.pending.time > this.config.sequenceTimeoutMS) {
+            this.pending = null;
+        }
+        
+        // A key that doesn't continue the pending sequence may start a new one
+        let match = this.pending ? this.matchSteps([...this.pending.steps, step], editable) : null;
+        if (!match) match = this.matchSteps([step], editable);
+        
+        if (!match) {
+            this.pending = null;
+            return false;
+        }
+        
+        if (match.binding.preventDefault && typeof e.preventDefault === 'function') {
+            e.preventDefault();
+        }
+        
+        if (match.complete) {
+            this.pending = null;
+            this.trigger(match.binding, e);
+        } else {
+            this.pending = { steps: match.steps, time: now };
+            this.emit('sequencePending', { steps: [...match.steps] });
+        }
+        return true;
+    }
+    
+    handleKeyUp(e) {
+        this.heldKeys.delete(e.code || normalizeKey(e.key || ''));
+    }
+    
+    // Keys can be released outside the window; forget them and any partial sequence
+    reset() {
+        this.heldKeys.clear();
+        this.pending = null;
+    }
+    
+    eventStep(e, key) {
+        const modifiers = MODIFIERS.filter(modifier => e[`${modifier}Key`]);
+        
+        // No chords with meta (see handleKeyDown)
+        const keys = modifiers.includes('meta') ? [key] : Array.from(new Set(this.heldKeys.values())).sort();
+        const shiftless = keys.length === 1 && impliesShift(e.key);
+        
+        return formatStep(shiftless ? modifiers.filter(m => m !== 'shift') : modifiers, keys);
+    }
+    
+    // Searches the active contexts from the most specific; the first with a match wins
+    matchSteps(steps, editable) {
+        for (const context of this.getActiveContexts()) {
+            let prefix = null;
+            
+            for (const binding of this.bindings.values()) {
+                if (binding.context !== context || (editable && !binding.allowInInputs)) continue;
+                if (binding.steps.length < steps.length || !steps.every((step, i) => binding.steps[i] === step)) continue;
+                
+                if (binding.steps.length === steps.length) {
+                    return { binding, steps, complete: true };
+                }
+                prefix = prefix || { binding, steps, complete: false };
+            }
+            
+            if (prefix) return prefix;
+        }
+        return null;
+    }
+    
+    trigger(binding, event = null) {
+        if (!this.runAction(binding.action, { binding: this.describeBinding(binding), event })) return false;
+        
+        this.emit('shortcut', { id: binding.id, action: binding.action, keys: binding.keys, context: binding.context });
+        return true;
+    }
+    
+    // Also called directly for actions bound outside the keyboard (gamepad buttons)
+    runAction(name, details = {}) {
+        const action = this.actions.get(name);
+        if (!action) {
+            console.warn(`Unknown shortcut action: ${name}`);
+            return false;
+        }
+        
+        try {
+            action.handler({ binding: null, event: null, ...details });
+        } catch (error) {
+            console.error(`Shortcut action ${name} failed:`, error);
+            return false;
+        }
+        return true;
+    }
+    
+    getPendingSequence() {
+        return this.pending ? [...this.pending.steps] : [];
+    }
+    
+    /**
+     * IMPORT / EXPORT
+     */
+    
+    exportBindings() {
+        return {
+            version: SHORTCUTS_VERSION,
+            bindings: this.getBindings().map(({ id, normalized, ...binding }) => ({ id, ...binding }))
+        };
+    }
+    
+    // Accepts the exportBindings() object or its JSON string; returns the number imported
+    importBindings(data, { replace = true } = {}) {
+        let parsed = data;
+        try {
+            if (typeof data === 'string') parsed = JSON.parse(data);
+        } catch (error) {
+            console.warn('Invalid shortcuts JSON:', error.message);
+            return 0;
+        }
+        
+        if (!parsed || !Array.isArray(parsed.bindings)) {
+            console.warn('Invalid shortcuts: expected { version, bindings: [...] }');
+            return 0;
+        }
+        if ((parsed.version || 1) > SHORTCUTS_VERSION) {
+            console.warn(`Shortcuts version ${parsed.version} is newer than supported (${SHORTCUTS_VERSION})`);
+            return 0;
+        }
+        
+        if (replace) this.clearBindings();
+        
+        let imported = 0;
+        for (const { keys, action, ...options } of parsed.bindings) {
+            if (this.bind(keys, action, options) !== null) imported++;
+        }
+        return imported;
+    }
+    
+    /**
+     * STATUS
+     */
+    
+    getStatus() {
+        return {
+            actions: this.actions.size,
+            bindings: this.bindings.size,
+            contexts: this.getActiveContexts(),
+            pending: this.getPendingSequence()
+        };
+    }
+}
+
+// Export for module system
+export { ShortcutRegistry, DEFAULT_SHORTCUTS, parseShortcut, isEditableTarget };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ShortcutRegistry = ShortcutRegistry;
+    console.log('⌨️ ShortcutRegistry loaded and available globally');
+}
\ No newline at end of file
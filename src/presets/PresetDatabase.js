@@ -10,6 +10,10 @@
  * - Support real-time preset switching
  */
 
+import { createPresetParameterSchema } from '../core/ParameterSchema.js';
+import { validateParameterValue } from '../core/ParameterTypes.js';
+import { validateInputMappings } from '../interactions/InputMapper.js';
+
 class PresetDatabase extends EventTarget {
     constructor(config = {}) {
         super();
@@ -432,17 +436,20 @@ class PresetDatabase extends EventTarget {
     }
     
     createParameterSchema() {
-        return {
-            dimension: { type: 'number', min: 3.0, max: 4.5 },
-            morphFactor: { type: 'number', min: 0.0, max: 1.5 },
-            rotationSpeed: { type: 'number', min: 0.0, max: 2.0 },
-            intensity: { type: 'number', min: 0.0, max: 1.0 },
-            glitchIntensity: { type: 'number', min: 0.0, max: 1.0 },
-            gridDensity: { type: 'number', min: 5.0, max: 25.0 },
-            interactionIntensity: { type: 'number', min: 0.0, max: 1.0 },
-            geometry: { type: 'integer', min: 0, max: 7 },
-            animationSpeed: { type: 'number', min: 0.1, max: 3.0 }
-        };
+        // Built-in ranges come from the shared ParameterSchema definitions
+        return createPresetParameterSchema();
+    }
+    
+    getParameterSchema() {
+        // Prefer the live HomeMaster schema so runtime-registered parameters validate too
+        const homeMaster = this.systemController && typeof this.systemController.getModule === 'function' ?
+            this.systemController.getModule('homeMaster') : null;
+        
+        if (homeMaster && typeof homeMaster.getParameterMeta === 'function') {
+            return createPresetParameterSchema(homeMaster.getParameterMeta());
+        }
+        
+        return this.schemas.parameters;
     }
     
     validatePreset(preset) {
@@ -450,17 +457,30 @@ class PresetDatabase extends EventTarget {
             return false;
         }
         
+        // Optional input mapping rules (see InputMapper.js)
+        if (preset.inputMappings && !validateInputMappings(preset.inputMappings).valid) {
+            return false;
+        }
+        
         // Validate parameters
         return this.validateParameters(preset.parameters);
     }
     
     validateParameters(parameters) {
-        const schema = this.schemas.parameters;
+        const schema = this.getParameterSchema();
         
         for (const [name, value] of Object.entries(parameters)) {
             const paramSchema = schema[name];
             if (!paramSchema) continue;
             
+            // Vectors, colors, enums and booleans validate through their type handler
+            if (paramSchema.type !== 'number' && paramSchema.type !== 'integer') {
+                if (validateParameterValue(value, paramSchema) === null) {
+                    return false;
+                }
+                continue;
+            }
+            
             if (paramSchema.type === 'number' && typeof value !== 'number') {
                 return false;
             }
@@ -0,0 +1,405 @@
+/**
+ * OSC BRIDGE
+ * Drives VIB3HomeMaster from OSC controllers (VJ software, TouchOSC,
+ * installation rigs) via the UDP-to-WebSocket relay in server/osc-relay.js
+ * 
+ * Responsibilities:
+ * - Decode OSC packets relayed from UDP
+ * - Route built-in addresses and configurable mappings to parameters
+ * - Scale controller input ranges onto each parameter's parameterMeta range
+ * - Optionally send parameter changes back as OSC feedback
+ * 
+ * Built-in addresses (prefix defaults to /vib3):
+ * - /vib3/param/<name> <0..1>     normalized, scaled to the parameter range
+ * - /vib3/param/<name>/raw <value> applied as-is (validated and clamped)
+ * - /vib3/geometry <index|name>
+ * - /vib3/preset <id>
+ * 
+ * Events: 'connected', 'disconnected', 'message', 'unmapped', 'error'
+ */
+
+import { EventEmitterBase } from '../utils/EventEmitterBase.js';
+import { decodeMessages, encodeMessage } from './OSCCodec.js';
+import { mapInputToParameter, parameterToNormalized } from '../utils/ResponseCurves.js';
+
+const OSC_SOURCE = 'osc';
+
+// Driven by the clock; an OSC write would fight the timeline and modulation
+const READ_ONLY_PARAMETERS = ['globalTime'];
+
+// '*' matches one address segment, as in OSC address patterns
+function compileAddress(address) {
+    const escaped = address.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+    return new RegExp(`^${escaped}$`);
+}
+
+class OSCBridge extends EventEmitterBase {
+    constructor(config = {}) {
+        super();
+        
+        this.config = {
+            url: 'ws://127.0.0.1:8788',
+            token: null,
+            prefix: '/vib3',
+            feedback: false,
+            reconnect: true,
+            reconnectMinMS: 500,
+            reconnectMaxMS: 10000,
+            ...config
+        };
+        
+        this.homeMaster = config.homeMaster || null;
+        this.presetDatabase = config.presetDatabase || null;
+        this.geometryRegistry = config.geometryRegistry || null;
+        
+        // Injectable for Node and tests
+        this.WebSocketImpl = config.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        
+        this.socket = null;
+        this.connected = false;
+        this.shouldReconnect = false;
+        this.reconnectDelay = this.config.reconnectMinMS;
+        this.reconnectTimer = null;
+        this.unsubscribeFeedback = null;
+        
+        // Custom mappings: id -> { address, pattern, parameter, inputRange, outputRange, curve, invert }
+        this.mappings = new Map();
+        this.mappingCounter = 0;
+        
+        for (const mapping of config.mappings || []) {
+            this.addMapping(mapping);
+        }
+    }
+    
+    /**
+     * MAPPINGS
+     */
+    
+    addMapping({ address, parameter, inputRange = [0, 1], outputRange = null, curve = 'linear', invert = false }) {
+        if (typeof address !== 'string' || !address.startsWith('/')) {
+            console.warn(`Invalid OSC address for mapping: ${address}`);
+            return null;
+        }
+        
+        if (!this.homeMaster || !this.homeMaster.isParameterRegistered(parameter)) {
+            console.warn(`Cannot map ${address}: unknown parameter ${parameter}`);
+            return null;
+        }
+        if (!this.isWritable(parameter)) {
+            console.warn(`Cannot map ${address}: ${parameter} is read-only or derived`);
+            return null;
+        }
+        
+        const id = `osc_${++this.mappingCounter}`;
+        this.mappings.set(id, {
+            id,
+            address,
+            pattern: compileAddress(address),
+            parameter,
+            inputRange,
+            outputRange,
+            curve,
+            invert
+        });
+        return id;
+    }
+    
+    // Derived parameters can be defined after a mapping was added, so this runs per message too
+    isWritable(name) {
+        return !READ_ONLY_PARAMETERS.includes(name) && !this.homeMaster.isDerivedParameter(name);
+    }
+    
+    removeMapping(id) {
+        return this.mappings.delete(id);
+    }
+    
+    getMappings() {
+        return Array.from(this.mappings.values()).map(({ pattern, ...mapping }) => ({ ...mapping }));
+    }
+    
+    /**
+     * CONNECTION
+     */
+    
+    connect() {
+        if (!this.WebSocketImpl) {
+            console.warn('WebSocket not available, OSC bridge disabled');
+            return false;
+        }
+        
+        if (!this.homeMaster) {
+            console.warn('OSCBridge needs a homeMaster');
+            return false;
+        }
+        
+        this.shouldReconnect = this.config.reconnect;
+        this.openSocket();
+        return true;
+    }
+    
+    disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        
+        if (this.socket) {
+            this.socket.close(1000, 'Client disconnect');
+        }
+        this.cleanupConnection();
+    }
+    
+    openSocket() {
+        const socket = new this.WebSocketImpl(this.config.url);
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
+        
+        socket.addEventListener('open', () => {
+            socket.send(JSON.stringify({ type: 'hello', role: 'osc', token: this.config.token }));
+        });
+        
+        socket.addEventListener('message', (event) => {
+            if (typeof event.data === 'string') {
+                this.receiveControl(event.data);
+            } else {
+                this.receivePacket(event.data);
+            }
+        });
+        
+        socket.addEventListener('close', (event) => {
+            if (socket !== this.socket) return;
+            
+            const wasConnected = this.connected;
+            this.cleanupConnection();
+            
+            if (wasConnected) {
+                this.emit('disconnected', { code: event.code, reason: event.reason });
+                console.log(`🎚️ OSC bridge disconnected (${event.code})`);
+            }
+            
+            // Rejected tokens won't start working on retry
+            if (this.shouldReconnect && event.code !== 4001) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = setTimeout(() => this.openSocket(), this.reconnectDelay);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.config.reconnectMaxMS);
+            }
+        });
+        
+        socket.addEventListener('error', () => {
+            this.emit('error', { code: 'connection_failed', message: `Could not reach ${this.config.url}` });
+        });
+    }
+    
+    receiveControl(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        
+        if (message.type === 'welcome') {
+            this.connected = true;
+            this.reconnectDelay = this.config.reconnectMinMS;
+            if (this.config.feedback) {
+                this.startFeedback();
+            }
+            this.emit('connected', { url: this.config.url });
+            console.log(`🎚️ OSC bridge connected to ${this.config.url}`);
+        } else if (message.type === 'error') {
+            console.warn(`OSC relay error (${message.code}): ${message.message}`);
+            this.emit('error', message);
+        }
+    }
+    
+    cleanupConnection() {
+        this.stopFeedback();
+        this.socket = null;
+        this.connected = false;
+    }
+    
+    /**
+     * INCOMING OSC
+     */
+    
+    // Public so packets can be injected without a relay (tests, other transports)
+    receivePacket(data) {
+        let messages;
+        try {
+            messages = decodeMessages(data);
+        } catch (error) {
+            console.warn('Ignoring malformed OSC packet:', error.message);
+            return;
+        }
+        
+        // One batch per packet so bundles apply together
+        const changes = {};
+        for (const message of messages) {
+            this.emit('message', message);
+            this.routeMessage(message, changes);
+        }
+        
+        if (Object.keys(changes).length > 0) {
+            this.homeMaster.setParameters(changes, OSC_SOURCE);
+        }
+    }
+    
+    routeMessage({ address, args }, changes) {
+        const values = args.map(arg => (arg.type === 'T' || arg.type === 'F') ? Number(arg.value) : arg.value);
+        
+        // Custom mappings take precedence over built-in addresses
+        let handled = false;
+        for (const mapping of this.mappings.values()) {
+            if (mapping.pattern.test(address)) {
+                this.applyMapping(mapping, values, changes);
+                handled = true;
+            }
+        }
+        if (handled) return;
+        
+        const prefix = this.config.prefix;
+        const paramPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const paramMatch = address.match(new RegExp(`^${paramPrefix}/param/([^/]+)(/raw)?$`));
+        
+        if (paramMatch) {
+            const [, name, raw] = paramMatch;
+            if (!this.homeMaster.isParameterRegistered(name) || !this.isWritable(name)) {
+                this.emit('unmapped', { address, args });
+                return;
+            }
+            
+            if (raw) {
+                changes[name] = values.length > 1 ? values : values[0];
+            } else {
+                this.applyMapping({ parameter: name, inputRange: [0, 1] }, values, changes);
+            }
+        } else if (address === `${prefix}/geometry`) {
+            this.setGeometry(values[0]);
+        } else if (address === `${prefix}/preset`) {
+            this.loadPreset(values[0]);
+        } else {
+            this.emit('unmapped', { address, args });
+        }
+    }
+    
+    applyMapping(mapping, values, changes) {
+        const meta = this.homeMaster.getParameterMeta(mapping.parameter);
+        if (!meta || values.length === 0 || !this.isWritable(mapping.parameter)) return;
+        
+        const options = {
+            inputRange: mapping.inputRange,
+            outputRange: mapping.outputRange,
+            curve: mapping.curve,
+            invert: mapping.invert
+        };
+        
+        let value;
+        if (meta.type === 'vec2' || meta.type === 'vec3' || meta.type === 'vec4' || meta.type === 'color') {
+            // One argument per component, each scaled onto its own range
+            value = values.map((component, i) => {
+                const componentMeta = {
+                    type: 'float',
+                    min: meta.type === 'color' ? 0 : (Array.isArray(meta.min) ? meta.min[i] : meta.min),
+                    max: meta.type === 'color' ? 1 : (Array.isArray(meta.max) ? meta.max[i] : meta.max)
+                };
+                const scaled = mapInputToParameter(component, componentMeta, options);
+                return scaled === null ? component : scaled;
+            });
+        } else {
+            value = mapInputToParameter(values[0], meta, options);
+            // Unbounded parameters can't be scaled; pass the raw value through
+            if (value === null) value = values[0];
+        }
+        
+        changes[mapping.parameter] = value;
+    }
+    
+    setGeometry(geometry) {
+        let index = geometry;
+        
+        if (typeof geometry === 'string' && this.geometryRegistry) {
+            const match = this.geometryRegistry.getGeometryList()
+                .find(entry => entry.name.toLowerCase() === geometry.toLowerCase());
+            index = match ? match.index : null;
+        }
+        
+        if (typeof index !== 'number') {
+            console.warn(`Unknown geometry from OSC: ${geometry}`);
+            return;
+        }
+        this.homeMaster.setParameter('geometry', Math.round(index), OSC_SOURCE);
+    }
+    
+    loadPreset(presetId) {
+        const preset = this.presetDatabase ? this.presetDatabase.getPreset(presetId) : null;
+        if (!preset) {
+            console.warn(`Unknown preset from OSC: ${presetId}`);
+            return;
+        }
+        this.homeMaster.loadPreset(preset);
+    }
+    
+    /**
+     * FEEDBACK
+     */
+    
+    startFeedback() {
+        this.stopFeedback();
+        
+        this.unsubscribeFeedback = this.homeMaster.subscribe(
+            ({ globalTime, ...parameters }) => parameters,
+            (next, prev, details) => {
+                for (const change of details.changes) {
+                    // The controller already shows values it sent
+                    if (change.source !== OSC_SOURCE) {
+                        this.sendFeedback(change.name, change.value);
+                    }
+                }
+            }
+        );
+    }
+    
+    stopFeedback() {
+        if (this.unsubscribeFeedback) {
+            this.unsubscribeFeedback();
+            this.unsubscribeFeedback = null;
+        }
+    }
+    
+    sendFeedback(name, value) {
+        if (!this.socket || this.socket.readyState !== 1) return false;
+        
+        const meta = this.homeMaster.getParameterMeta(name);
+        if (!meta) return false;
+        
+        const normalized = parameterToNormalized(value, meta);
+        const address = `${this.config.prefix}/param/${name}`;
+        const args = normalized !== null ? [{ type: 'f', value: normalized }] :
+            [].concat(value).map(component => (typeof component === 'string' ? component : { type: 'f', value: component }));
+        
+        this.socket.send(encodeMessage(address, args));
+        return true;
+    }
+    
+    getStatus() {
+        return {
+            url: this.config.url,
+            connected: this.connected,
+            prefix: this.config.prefix,
+            mappings: this.mappings.size,
+            feedback: !!this.unsubscribeFeedback
+        };
+    }
+    
+    destroy() {
+        this.disconnect();
+    }
+}
+
+// Export for module system
+export { OSCBridge, OSC_SOURCE };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.OSCBridge = OSCBridge;
+    console.log('🎚️ OSCBridge loaded and available globally');
+}
\ No newline at end of file
@@ -0,0 +1,308 @@
+/**
+ * OSC CODEC
+ * Open Sound Control 1.0 packet encoding and decoding
+ * 
+ * Responsibilities:
+ * - Decode messages and (nested) bundles from binary packets
+ * - Encode messages and bundles for feedback to OSC controllers
+ * - Infer argument types from plain JS values when encoding
+ * 
+ * Supported type tags: i f s b h d t T F N I
+ * Decoded messages look like { address, args: [{ type, value }] }
+ */
+
+const BUNDLE_TAG = '#bundle';
+
+// Seconds between the NTP epoch (1900) and the Unix epoch (1970)
+const NTP_EPOCH_OFFSET = 2208988800;
+
+function padTo4(length) {
+    return (length + 3) & ~3;
+}
+
+function toUint8Array(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    throw new Error('OSC packets must be binary');
+}
+
+/**
+ * DECODING
+ */
+
+class OSCReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+    
+    remaining() {
+        return this.bytes.length - this.offset;
+    }
+    
+    ensure(length) {
+        if (this.offset + length > this.bytes.length) {
+            throw new Error('Truncated OSC packet');
+        }
+    }
+    
+    readString() {
+        const end = this.bytes.indexOf(0, this.offset);
+        if (end === -1) throw new Error('Unterminated OSC string');
+        
+        const value = new TextDecoder().decode(this.bytes.subarray(this.offset, end));
+        this.offset = padTo4(end + 1);
+        return value;
+    }
+    
+    readInt32() {
+        this.ensure(4);
+        const value = this.view.getInt32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+    
+    readFloat32() {
+        this.ensure(4);
+        const value = this.view.getFloat32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+    
+    readInt64() {
+        this.ensure(8);
+        const value = Number(this.view.getBigInt64(this.offset));
+        this.offset += 8;
+        return value;
+    }
+    
+    readFloat64() {
+        this.ensure(8);
+        const value = this.view.getFloat64(this.offset);
+        this.offset += 8;
+        return value;
+    }
+    
+    readBlob() {
+        const length = this.readInt32();
+        this.ensure(length);
+        const value = this.bytes.slice(this.offset, this.offset + length);
+        this.offset += padTo4(length);
+        return value;
+    }
+    
+    readTimeTag() {
+        this.ensure(8);
+        const seconds = this.view.getUint32(this.offset);
+        const fraction = this.view.getUint32(this.offset + 4);
+        this.offset += 8;
+        
+        // 1 means "immediately"
+        if (seconds === 0 && fraction === 1) return null;
+        return (seconds - NTP_EPOCH_OFFSET) * 1000 + (fraction / 0x100000000) * 1000;
+    }
+}
+
+function decodeMessage(reader) {
+    const address = reader.readString();
+    if (!address.startsWith('/')) {
+        throw new Error(`Invalid OSC address: ${address}`);
+    }
+    
+    // Type tags are optional in very old implementations
+    const args = [];
+    if (reader.remaining() === 0) return { address, args };
+    
+    const tags = reader.readString();
+    if (!tags.startsWith(',')) {
+        throw new Error(`Invalid OSC type tag string: ${tags}`);
+    }
+    
+    for (const tag of tags.slice(1)) {
+        switch (tag) {
+            case 'i': args.push({ type: 'i', value: reader.readInt32() }); break;
+            case 'f': args.push({ type: 'f', value: reader.readFloat32() }); break;
+            case 's': args.push({ type: 's', value: reader.readString() }); break;
+            case 'b': args.push({ type: 'b', value: reader.readBlob() }); break;
+            case 'h': args.push({ type: 'h', value: reader.readInt64() }); break;
+            case 'd': args.push({ type: 'd', value: reader.readFloat64() }); break;
+            case 't': args.push({ type: 't', value: reader.readTimeTag() }); break;
+            case 'T': args.push({ type: 'T', value: true }); break;
+            case 'F': args.push({ type: 'F', value: false }); break;
+            case 'N': args.push({ type: 'N', value: null }); break;
+            case 'I': args.push({ type: 'I', value: Infinity }); break;
+            default:
+                throw new Error(`Unsupported OSC type tag: ${tag}`);
+        }
+    }
+    
+    return { address, args };
+}
+
+// Returns a message, or { timeTag, elements } for bundles
+function decodeElement(bytes) {
+    const reader = new OSCReader(bytes);
+    
+    if (bytes[0] !== 0x23) {
+        return decodeMessage(reader);
+    }
+    
+    if (reader.readString() !== BUNDLE_TAG) {
+        throw new Error('Invalid OSC bundle');
+    }
+    
+    const timeTag = reader.readTimeTag();
+    const elements = [];
+    while (reader.remaining() > 0) {
+        const size = reader.readInt32();
+        reader.ensure(size);
+        elements.push(decodeElement(bytes.subarray(reader.offset, reader.offset + size)));
+        reader.offset += size;
+    }
+    
+    return { timeTag, elements };
+}
+
+function decodePacket(data) {
+    return decodeElement(toUint8Array(data));
+}
+
+// Flattens bundles into a plain list of messages
+function decodeMessages(data) {
+    const messages = [];
+    const collect = (element) => {
+        if (element.elements) {
+            element.elements.forEach(collect);
+        } else {
+            messages.push(element);
+        }
+    };
+    
+    collect(decodePacket(data));
+    return messages;
+}
+
+/**
+ * ENCODING
+ */
+
+function encodeString(value) {
+    const encoded = new TextEncoder().encode(value);
+    const bytes = new Uint8Array(padTo4(encoded.length + 1));
+    bytes.set(encoded);
+    return bytes;
+}
+
+function inferArgument(value) {
+    if (value && typeof value === 'object' && 'type' in value) return value;
+    
+    if (typeof value === 'boolean') return { type: value ? 'T' : 'F', value };
+    if (value === null || value === undefined) return { type: 'N', value: null };
+    if (typeof value === 'string') return { type: 's', value };
+    if (value instanceof Uint8Array || value instanceof ArrayBuffer) return { type: 'b', value: toUint8Array(value) };
+    if (value === Infinity) return { type: 'I', value };
+    if (Number.isInteger(value) && value >= -0x80000000 && value <= 0x7FFFFFFF) return { type: 'i', value };
+    return { type: 'f', value };
+}
+
+function encodeArgument({ type, value }) {
+    switch (type) {
+        case 'i':
+        case 'f': {
+            const bytes = new Uint8Array(4);
+            const view = new DataView(bytes.buffer);
+            if (type === 'i') view.setInt32(0, value);
+            else view.setFloat32(0, value);
+            return bytes;
+        }
+        case 'h':
+        case 'd': {
+            const bytes = new Uint8Array(8);
+            const view = new DataView(bytes.buffer);
+            if (type === 'h') view.setBigInt64(0, BigInt(Math.trunc(value)));
+            else view.setFloat64(0, value);
+            return bytes;
+        }
+        case 's':
+            return encodeString(value);
+        case 'b': {
+            const blob = toUint8Array(value);
+            const bytes = new Uint8Array(4 + padTo4(blob.length));
+            new DataView(bytes.buffer).setInt32(0, blob.length);
+            bytes.set(blob, 4);
+            return bytes;
+        }
+        case 't':
+            return encodeTimeTag(value);
+        case 'T':
+        case 'F':
+        case 'N':
+        case 'I':
+            return new Uint8Array(0);
+        default:
+            throw new Error(`Unsupported OSC type tag: ${type}`);
+    }
+}
+
+function encodeTimeTag(time) {
+    const bytes = new Uint8Array(8);
+    const view = new DataView(bytes.buffer);
+    
+    if (time === null || time === undefined) {
+        view.setUint32(4, 1);
+        return bytes;
+    }
+    
+    const seconds = time / 1000 + NTP_EPOCH_OFFSET;
+    view.setUint32(0, Math.floor(seconds));
+    view.setUint32(4, Math.floor((seconds % 1) * 0x100000000));
+    return bytes;
+}
+
+function concatBytes(parts) {
+    const length = parts.reduce((total, part) => total + part.length, 0);
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+// args may be plain values (types inferred) or { type, value } pairs
+function encodeMessage(address, args = []) {
+    const typed = args.map(inferArgument);
+    return concatBytes([
+        encodeString(address),
+        encodeString(`,${typed.map(arg => arg.type).join('')}`),
+        ...typed.map(encodeArgument)
+    ]);
+}
+
+// elements are encoded packets (Uint8Array) or { address, args } messages
+function encodeBundle(elements, timeTag = null) {
+    const parts = [encodeString(BUNDLE_TAG), encodeTimeTag(timeTag)];
+    
+    for (const element of elements) {
+        const bytes = element instanceof Uint8Array ? element : encodeMessage(element.address, element.args);
+        const size = new Uint8Array(4);
+        new DataView(size.buffer).setInt32(0, bytes.length);
+        parts.push(size, bytes);
+    }
+    
+    return concatBytes(parts);
+}
+
+const OSCCodec = { decodePacket, decodeMessages, encodeMessage, encodeBundle };
+
+// Export for module system
+export { OSCCodec, decodePacket, decodeMessages, encodeMessage, encodeBundle };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.OSCCodec = OSCCodec;
+    console.log('🎚️ OSCCodec loaded and available globally');
+}
\ No newline at end of file
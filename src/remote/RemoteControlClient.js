@@ -0,0 +1,397 @@
+/**
+ * REMOTE CONTROL CLIENT
+ * Connects a running VIB3 system to a remote control server (see
+ * REMOTE_PROTOCOL.md and server/remote-server.js) so external tools can
+ * drive it over WebSocket
+ * 
+ * Responsibilities:
+ * - Authenticate with the server as the 'system' peer
+ * - Execute controller commands: get, set, subscribe, unsubscribe,
+ *   loadPreset, setGeometry, status
+ * - Push subscribed parameter changes back to each controller
+ * - Reconnect with backoff when the server goes away
+ * 
+ * Events: 'connected', 'disconnected', 'command', 'error'
+ */
+
+import { EventEmitterBase } from '../utils/EventEmitterBase.js';
+
+const REMOTE_PROTOCOL_VERSION = 1;
+const REMOTE_SOURCE = 'remote';
+
+function commandError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class RemoteControlClient extends EventEmitterBase {
+    constructor(config = {}) {
+        super();
+        
+        this.config = {
+            url: 'ws://127.0.0.1:8787',
+            token: null,
+            reconnect: true,
+            reconnectMinMS: 500,
+            reconnectMaxMS: 10000,
+            ...config
+        };
+        
+        this.homeMaster = config.homeMaster || null;
+        this.systemController = config.systemController || null;
+        this.presetDatabase = config.presetDatabase || null;
+        this.geometryRegistry = config.geometryRegistry || null;
+        
+        // Injectable for Node and tests
+        this.WebSocketImpl = config.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        
+        this.socket = null;
+        this.clientId = null;
+        this.connected = false;
+        this.shouldReconnect = false;
+        this.reconnectDelay = this.config.reconnectMinMS;
+        this.reconnectTimer = null;
+        
+        // Remote subscriptions: controllerId -> Map(subscriptionId -> unsubscribe)
+        this.subscriptions = new Map();
+        this.subscriptionCounter = 0;
+        
+        this.commands = {
+            get: message => this.handleGet(message),
+            set: message => this.handleSet(message),
+            subscribe: (message, from) => this.handleSubscribe(message, from),
+            unsubscribe: (message, from) => this.handleUnsubscribe(message, from),
+            loadPreset: message => this.handleLoadPreset(message),
+            setGeometry: message => this.handleSetGeometry(message),
+            status: () => this.handleStatus()
+        };
+    }
+    
+    /**
+     * CONNECTION
+     */
+    
+    connect() {
+        if (!this.WebSocketImpl) {
+            console.warn('WebSocket not available, remote control disabled');
+            return false;
+        }
+        
+        if (!this.homeMaster) {
+            console.warn('RemoteControlClient needs a homeMaster');
+            return false;
+        }
+        
+        this.shouldReconnect = this.config.reconnect;
+        this.openSocket();
+        return true;
+    }
+    
+    disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        
+        if (this.socket) {
+            this.socket.close(1000, 'Client disconnect');
+        }
+        this.cleanupConnection();
+    }
+    
+    openSocket() {
+        const socket = new this.WebSocketImpl(this.config.url);
+        this.socket = socket;
+        
+        socket.addEventListener('open', () => {
+            this.sendMessage({
+                type: 'hello',
+                role: 'system',
+                protocol: REMOTE_PROTOCOL_VERSION,
+                token: this.config.token
+            });
+        });
+        
+        socket.addEventListener('message', event => this.receive(event.data));
+        
+        socket.addEventListener('close', event => {
+            if (socket !== this.socket) return;
+            
+            const wasConnected = this.connected;
+            this.cleanupConnection();
+            
+            if (wasConnected) {
+                this.emit('disconnected', { code: event.code, reason: event.reason });
+                console.log(`🛰️ Remote control disconnected (${event.code})`);
+            }
+            
+            // Rejected tokens won't start working on retry
+            if (this.shouldReconnect && event.code !== 4001) {
+                this.scheduleReconnect();
+            }
+        });
+        
+        socket.addEventListener('error', () => {
+            this.emit('error', { code: 'connection_failed', message: `Could not reach ${this.config.url}` });
+        });
+    }
+    
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.openSocket(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.config.reconnectMaxMS);
+    }
+    
+    cleanupConnection() {
+        for (const controllerId of Array.from(this.subscriptions.keys())) {
+            this.dropController(controllerId);
+        }
+        
+        this.socket = null;
+        this.clientId = null;
+        this.connected = false;
+    }
+    
+    sendMessage(message) {
+        if (!this.socket || this.socket.readyState !== 1) return false;
+        
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+    
+    /**
+     * INCOMING MESSAGES
+     */
+    
+    receive(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed remote message');
+            return;
+        }
+        
+        switch (message.type) {
+            case 'welcome':
+                this.clientId = message.clientId;
+                this.connected = true;
+                this.reconnectDelay = this.config.reconnectMinMS;
+                this.emit('connected', { clientId: message.clientId, url: this.config.url });
+                console.log(`🛰️ Remote control connected to ${this.config.url}`);
+                break;
+            
+            case 'error':
+                console.warn(`Remote server error (${message.code}): ${message.message}`);
+                this.emit('error', message);
+                break;
+            
+            case 'disconnected':
+                this.dropController(message.clientId);
+                break;
+            
+            default:
+                if (this.commands[message.type]) {
+                    this.executeCommand(message);
+                }
+        }
+    }
+    
+    async executeCommand(message) {
+        const { id = null, type, from } = message;
+        this.emit('command', { type, from, message });
+        
+        try {
+            const data = await this.commands[type](message, from);
+            this.sendMessage({ type: 'result', to: from, id, ok: true, data });
+        } catch (error) {
+            this.sendMessage({
+                type: 'error',
+                to: from,
+                id,
+                code: error.code || 'internal_error',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * COMMAND HANDLERS
+     */
+    
+    handleGet({ names }) {
+        const parameters = this.homeMaster.getAllParameters();
+        if (!names) return { parameters };
+        
+        if (!Array.isArray(names)) {
+            throw commandError('bad_request', 'names must be an array');
+        }
+        
+        const selected = {};
+        const unknown = [];
+        for (const name of names) {
+            if (name in parameters) {
+                selected[name] = parameters[name];
+            } else {
+                unknown.push(name);
+            }
+        }
+        return { parameters: selected, unknown };
+    }
+    
+    handleSet({ parameters }) {
+        if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+            throw commandError('bad_request', 'parameters must be an object of name: value');
+        }
+        
+        // Rejections (unknown, derived, locked, out-prioritised) come back per parameter
+        const results = this.homeMaster.setParameters(parameters, REMOTE_SOURCE);
+        const rejected = Object.keys(results).filter(name => !results[name]);
+        return { results, rejected };
+    }
+    
+    handleSubscribe({ names = null, throttle = 0, effective = false }, from) {
+        if (names !== null && !Array.isArray(names)) {
+            throw commandError('bad_request', 'names must be an array');
+        }
+        
+        const subscriptionId = `s${++this.subscriptionCounter}`;
+        
+        // Everything but globalTime unless it was asked for by name
+        const selector = names || (({ globalTime, ...parameters }) => parameters);
+        
+        const unsubscribe = this.homeMaster.subscribe(selector, (next, prev, details) => {
+            this.sendMessage({
+                type: 'parameters',
+                to: from,
+                subscriptionId,
+                parameters: next,
+                changes: details.changes.map(({ name, value, source }) => ({ name, value, source })),
+                timestamp: details.timestamp
+            });
+        }, { throttle, effective });
+        
+        if (!unsubscribe) {
+            throw commandError('bad_request', 'Invalid subscription');
+        }
+        
+        if (!this.subscriptions.has(from)) {
+            this.subscriptions.set(from, new Map());
+        }
+        this.subscriptions.get(from).set(subscriptionId, unsubscribe);
+        
+        const current = effective ? this.homeMaster.getEffectiveParameters() : this.homeMaster.getAllParameters();
+        return { subscriptionId, parameters: typeof selector === 'function' ? selector(current) : this.pick(current, names) };
+    }
+    
+    handleUnsubscribe({ subscriptionId }, from) {
+        const controllerSubscriptions = this.subscriptions.get(from);
+        const unsubscribe = controllerSubscriptions && controllerSubscriptions.get(subscriptionId);
+        if (!unsubscribe) {
+            throw commandError('not_found', `Unknown subscription: ${subscriptionId}`);
+        }
+        
+        unsubscribe();
+        controllerSubscriptions.delete(subscriptionId);
+        return { subscriptionId };
+    }
+    
+    handleLoadPreset({ preset, duration = 0 }) {
+        let presetData = preset;
+        
+        if (typeof preset === 'string') {
+            presetData = this.presetDatabase ? this.presetDatabase.getPreset(preset) : null;
+            if (!presetData) {
+                throw commandError('not_found', `Unknown preset: ${preset}`);
+            }
+        } else if (!preset || typeof preset !== 'object' || !preset.parameters) {
+            throw commandError('bad_request', 'preset must be a preset id or an object with parameters');
+        } else if (this.presetDatabase && !this.presetDatabase.validatePreset(preset)) {
+            throw commandError('bad_request', 'Invalid preset data');
+        }
+        
+        if (!this.homeMaster.loadPreset(presetData, { duration })) {
+            throw commandError('rejected', 'Preset could not be loaded');
+        }
+        return { preset: presetData.id || presetData.name || null };
+    }
+    
+    handleSetGeometry({ geometry }) {
+        const index = this.resolveGeometryIndex(geometry);
+        if (index === null) {
+            throw commandError('not_found', `Unknown geometry: ${geometry}`);
+        }
+        
+        if (!this.homeMaster.setParameter('geometry', index, REMOTE_SOURCE)) {
+            throw commandError('rejected', 'Geometry change was rejected');
+        }
+        return { geometry: index };
+    }
+    
+    resolveGeometryIndex(geometry) {
+        if (typeof geometry === 'number' && Number.isInteger(geometry)) {
+            const { min, max } = this.homeMaster.getParameterMeta('geometry');
+            return geometry >= min && geometry <= max ? geometry : null;
+        }
+        
+        if (typeof geometry === 'string' && this.geometryRegistry) {
+            const match = this.geometryRegistry.getGeometryList()
+                .find(entry => entry.name.toLowerCase() === geometry.toLowerCase());
+            return match ? match.index : null;
+        }
+        
+        return null;
+    }
+    
+    handleStatus() {
+        return {
+            homeMaster: this.homeMaster.getStatus(),
+            system: this.systemController ? this.systemController.getStatus() : null
+        };
+    }
+    
+    /**
+     * HELPERS
+     */
+    
+    pick(parameters, names) {
+        const slice = {};
+        for (const name of names) {
+            slice[name] = parameters[name];
+        }
+        return slice;
+    }
+    
+    dropController(controllerId) {
+        const controllerSubscriptions = this.subscriptions.get(controllerId);
+        if (!controllerSubscriptions) return;
+        
+        for (const unsubscribe of controllerSubscriptions.values()) {
+            unsubscribe();
+        }
+        this.subscriptions.delete(controllerId);
+    }
+    
+    getStatus() {
+        return {
+            url: this.config.url,
+            connected: this.connected,
+            clientId: this.clientId,
+            controllers: this.subscriptions.size,
+            subscriptions: Array.from(this.subscriptions.values()).reduce((total, map) => total + map.size, 0)
+        };
+    }
+    
+    destroy() {
+        this.disconnect();
+    }
+}
+
+// Export for module system
+export { RemoteControlClient, REMOTE_PROTOCOL_VERSION, REMOTE_SOURCE };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.RemoteControlClient = RemoteControlClient;
+    console.log('🛰️ RemoteControlClient loaded and available globally');
+}
\ No newline at end of file
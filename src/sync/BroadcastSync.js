@@ -0,0 +1,356 @@
+/**
+ * BROADCAST SYNC
+ * Mirrors VIB3HomeMaster parameters across same-origin tabs and windows
+ * 
+ * Responsibilities:
+ * - Broadcast local parameter changes over a BroadcastChannel
+ * - Apply remote changes with source 'sync' and never re-broadcast them
+ * - Elect a leader (oldest live tab) through heartbeats
+ * - Hand a full state snapshot to tabs that join late
+ * - Hold back local changes until the tab has synced, so a fresh tab's
+ *   defaults never overwrite the others
+ * 
+ * Modes: 'both' (default), 'send' (control surface), 'receive' (output display)
+ * 
+ * Messages: hello, state, update, heartbeat, bye
+ * Events: 'leaderChanged', 'synced', 'peersChanged'
+ */
+
+import { EventEmitterBase } from '../utils/EventEmitterBase.js';
+
+const SYNC_SOURCE = 'sync';
+
+class BroadcastSync extends EventEmitterBase {
+    constructor(config = {}) {
+        super();
+        
+        this.config = {
+            channelName: 'vib3-sync',
+            mode: 'both',
+            heartbeatMS: 1000,
+            peerTimeoutMS: 3500,
+            // How long a new tab waits for the leader's state before asking again
+            // (or, if it turns out to lead, treating its own state as shared)
+            syncTimeoutMS: 500,
+            // Runtime-only parameters that every tab advances on its own
+            excludeParameters: ['globalTime'],
+            // Loaded by each tab for itself (saved session, shared link)
+            localSources: ['restore', 'url'],
+            ...config
+        };
+        
+        this.id = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+        this.joinedAt = Date.now();
+        
+        this.channel = null;
+        this.homeMaster = null;
+        this.unsubscribe = null;
+        this.heartbeatTimer = null;
+        this.syncTimer = null;
+        
+        // Other live tabs: id -> { joinedAt, lastSeen }
+        this.peers = new Map();
+        this.leaderId = null;
+        this.synced = false;
+        
+        this.handleMessage = (event) => this.receive(event.data);
+    }
+    
+    static isSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+    
+    /**
+     * ATTACHMENT
+     */
+    
+    attach(homeMaster) {
+        if (!BroadcastSync.isSupported()) {
+            console.warn('BroadcastChannel not supported, cross-tab sync disabled');
+            return false;
+        }
+        
+        this.detach();
+        this.homeMaster = homeMaster;
+        
+        this.channel = new BroadcastChannel(this.config.channelName);
+        this.channel.addEventListener('message', this.handleMessage);
+        
+        if (this.canSend()) {
+            this.unsubscribe = homeMaster.subscribe(
+                parameters => this.selectShared(parameters),
+                (next, prev, details) => this.broadcastChanges(details.changes)
+            );
+        }
+        
+        // Ask the leader for the current state, then announce ourselves regularly
+        this.post({ type: 'hello', ...this.describe() });
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.config.heartbeatMS);
+        this.electLeader();
+        
+        if (this.canReceive()) {
+            this.syncTimer = setTimeout(() => this.checkSynced(), this.config.syncTimeoutMS);
+        }
+        
+        console.log(`🔄 BroadcastSync attached as ${this.id} (${this.config.mode})`);
+        return true;
+    }
+    
+    detach() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        clearTimeout(this.syncTimer);
+        this.syncTimer = null;
+        
+        if (this.channel) {
+            // Let peers re-elect right away instead of waiting for the timeout
+            this.post({ type: 'bye' });
+            this.channel.removeEventListener('message', this.handleMessage);
+            this.channel.close();
+            this.channel = null;
+        }
+        
+        this.peers.clear();
+        this.leaderId = null;
+        this.synced = false;
+        this.homeMaster = null;
+    }
+    
+    canSend() {
+        return this.config.mode !== 'receive';
+    }
+    
+    canReceive() {
+        return this.config.mode !== 'send';
+    }
+    
+    selectShared(parameters) {
+        const shared = {};
+        for (const [name, value] of Object.entries(parameters)) {
+            if (this.isShared(name)) {
+                shared[name] = value;
+            }
+        }
+        return shared;
+    }
+    
+    isShared(name) {
+        // Derived parameters are recomputed locally from their inputs
+        return !this.config.excludeParameters.includes(name) && !this.homeMaster.isDerivedParameter(name);
+    }
+    
+    /**
+     * OUTGOING
+     */
+    
+    post(message) {
+        if (!this.channel) return;
+        
+        try {
+            this.channel.postMessage({ ...message, from: this.id });
+        } catch (error) {
+            console.warn('BroadcastSync failed to post message:', error);
+        }
+    }
+    
+    broadcastChanges(changes) {
+        // Until then the other tabs hold the shared state, not this one
+        if (this.canReceive() && !this.synced) return;
+        
+        const parameters = {};
+        for (const change of changes) {
+            // Loop prevention: changes that arrived from another tab stay local
+            if (change.source === SYNC_SOURCE || this.config.localSources.includes(change.source)) continue;
+            if (!this.isShared(change.name)) continue;
+            parameters[change.name] = change.value;
+        }
+        
+        if (Object.keys(parameters).length > 0) {
+            this.post({ type: 'update', parameters });
+        }
+    }
+    
+    sendState(to) {
+        this.post({
+            type: 'state',
+            to,
+            parameters: this.selectShared(this.homeMaster.getAllParameters())
+        });
+    }
+    
+    describe() {
+        return { joinedAt: this.joinedAt, canLead: this.canSend() };
+    }
+    
+    heartbeat() {
+        this.post({ type: 'heartbeat', ...this.describe() });
+        this.prunePeers();
+    }
+    
+    /**
+     * INCOMING
+     */
+    
+    receive(message) {
+        if (!message || message.from === this.id || !this.homeMaster) return;
+        
+        switch (message.type) {
+            case 'hello':
+                this.trackPeer(message);
+                // Introduce ourselves so the newcomer can elect without waiting a heartbeat
+                this.post({ type: 'heartbeat', ...this.describe() });
+                if (this.isLeader() && this.canSend()) {
+                    this.sendState(message.from);
+                }
+                break;
+            
+            case 'heartbeat':
+                this.trackPeer(message);
+                break;
+            
+            case 'bye':
+                if (this.peers.delete(message.from)) {
+                    this.electLeader();
+                    this.emit('peersChanged', { peers: this.getPeers() });
+                }
+                break;
+            
+            case 'state':
+                if (message.to !== this.id || !this.canReceive()) break;
+                this.applyRemote(message.parameters);
+                this.markSynced(message.from);
+                break;
+            
+            case 'update':
+                if (this.canReceive()) {
+                    this.applyRemote(message.parameters);
+                }
+                break;
+        }
+    }
+    
+    // No state arrived in time. A leader's own state is the shared one; anyone
+    // else missed the leader's reply and asks again.
+    checkSynced() {
+        this.syncTimer = null;
+        if (this.synced || !this.channel) return;
+        
+        if (this.isLeader()) {
+            this.markSynced(null);
+            return;
+        }
+        
+        this.post({ type: 'hello', ...this.describe() });
+        this.syncTimer = setTimeout(() => this.checkSynced(), this.config.syncTimeoutMS);
+    }
+    
+    markSynced(from) {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = null;
+        this.synced = true;
+        this.emit('synced', { from });
+    }
+    
+    applyRemote(parameters) {
+        const shared = {};
+        for (const [name, value] of Object.entries(parameters || {})) {
+            if (this.homeMaster.isParameterRegistered(name) && this.isShared(name)) {
+                shared[name] = value;
+            }
+        }
+        this.homeMaster.setParameters(shared, SYNC_SOURCE);
+    }
+    
+    /**
+     * LEADER ELECTION
+     */
+    
+    trackPeer({ from, joinedAt, canLead }) {
+        const isNew = !this.peers.has(from);
+        this.peers.set(from, { joinedAt, canLead, lastSeen: Date.now() });
+        
+        if (isNew) {
+            this.electLeader();
+            this.emit('peersChanged', { peers: this.getPeers() });
+        }
+    }
+    
+    prunePeers(now = Date.now()) {
+        let changed = false;
+        for (const [id, peer] of Array.from(this.peers.entries())) {
+            if (now - peer.lastSeen > this.config.peerTimeoutMS) {
+                this.peers.delete(id);
+                changed = true;
+            }
+        }
+        
+        if (changed) {
+            this.electLeader();
+            this.emit('peersChanged', { peers: this.getPeers() });
+        }
+    }
+    
+    // Oldest tab that can send leads (receive-only displays have no state
+    // worth handing out); ties broken by id so every tab agrees
+    electLeader() {
+        const candidates = Array.from(this.peers.entries())
+            .filter(([, peer]) => peer.canLead)
+            .map(([id, peer]) => ({ id, joinedAt: peer.joinedAt }));
+        if (this.canSend()) {
+            candidates.push({ id: this.id, joinedAt: this.joinedAt });
+        }
+        
+        let leader = null;
+        for (const candidate of candidates) {
+            if (!leader || candidate.joinedAt < leader.joinedAt ||
+                (candidate.joinedAt === leader.joinedAt && candidate.id < leader.id)) {
+                leader = candidate;
+            }
+        }
+        
+        const leaderId = leader ? leader.id : null;
+        if (leaderId !== this.leaderId) {
+            this.leaderId = leaderId;
+            this.emit('leaderChanged', { leaderId, isLeader: this.isLeader() });
+        }
+    }
+    
+    isLeader() {
+        return this.leaderId === this.id;
+    }
+    
+    getPeers() {
+        return Array.from(this.peers.keys());
+    }
+    
+    getStatus() {
+        return {
+            id: this.id,
+            mode: this.config.mode,
+            channel: this.config.channelName,
+            connected: !!this.channel,
+            leaderId: this.leaderId,
+            isLeader: this.isLeader(),
+            peers: this.getPeers(),
+            synced: this.synced
+        };
+    }
+    
+    destroy() {
+        this.detach();
+    }
+}
+
+// Export for module system
+export { BroadcastSync, SYNC_SOURCE };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.BroadcastSync = BroadcastSync;
+    console.log('🔄 BroadcastSync loaded and available globally');
+}
\ No newline at end of file
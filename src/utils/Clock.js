@@ -0,0 +1,212 @@
+/**
+ * CLOCK
+ * Injectable time source and frame scheduler
+ * 
+ * Modes:
+ * - realtime: wall-clock time (performance.now()), frames on requestAnimationFrame
+ * - fixed: frames on requestAnimationFrame, but time advances exactly one
+ *   step per frame (frame N always happens at N * stepMS)
+ * - manual: nothing happens until step()/advance() is called (tests,
+ *   offline frame export, screenshots)
+ * 
+ * All frame callbacks queued for a frame run together and see the same
+ * time, so HomeMaster, visualizers and PerformanceMonitor stay in lockstep.
+ */
+
+const CLOCK_MODES = ['realtime', 'fixed', 'manual'];
+
+class Clock {
+    constructor(config = {}) {
+        this.config = {
+            mode: 'realtime',
+            fps: 60,
+            startTime: 0,
+            ...config
+        };
+        
+        this.mode = this.config.mode;
+        this.stepMS = 1000 / this.config.fps;
+        
+        // Frame state
+        this.frame = 0;
+        this.time = this.config.startTime;
+        this.delta = 0;
+        
+        // Pending frame callbacks: id -> callback
+        this.callbacks = new Map();
+        this.callbackCounter = 0;
+        this.scheduledFrame = null;
+        
+        if (!CLOCK_MODES.includes(this.mode)) {
+            console.warn(`Unknown clock mode: ${this.mode}, using realtime`);
+            this.mode = 'realtime';
+        }
+        
+        if (this.mode === 'realtime') {
+            this.time = performance.now();
+        }
+    }
+    
+    /**
+     * TIME
+     */
+    
+    now() {
+        // Realtime reads live; deterministic modes only move between frames
+        return this.mode === 'realtime' ? performance.now() : this.time;
+    }
+    
+    getFrame() {
+        return this.frame;
+    }
+    
+    getDelta() {
+        return this.delta;
+    }
+    
+    isDeterministic() {
+        return this.mode !== 'realtime';
+    }
+    
+    /**
+     * MODE CONTROL
+     */
+    
+    setMode(mode, options = {}) {
+        if (!CLOCK_MODES.includes(mode)) {
+            console.warn(`Unknown clock mode: ${mode}`);
+            return false;
+        }
+        
+        if (options.fps) {
+            this.stepMS = 1000 / options.fps;
+        }
+        
+        // Continue from the current time so switching modes doesn't jump
+        this.time = this.now();
+        this.mode = mode;
+        
+        // Manual mode drives frames itself; hand any RAF-queued work back to step()
+        if (mode === 'manual' && this.scheduledFrame !== null) {
+            cancelAnimationFrame(this.scheduledFrame);
+            this.scheduledFrame = null;
+        } else if (mode !== 'manual') {
+            this.scheduleFrame();
+        }
+        
+        return true;
+    }
+    
+    setTime(time) {
+        this.time = time;
+        this.delta = 0;
+    }
+    
+    reset(startTime = this.config.startTime) {
+        this.frame = 0;
+        this.delta = 0;
+        this.time = this.mode === 'realtime' ? performance.now() : startTime;
+    }
+    
+    /**
+     * FRAME SCHEDULING
+     */
+    
+    requestFrame(callback) {
+        const id = ++this.callbackCounter;
+        this.callbacks.set(id, callback);
+        this.scheduleFrame();
+        return id;
+    }
+    
+    cancelFrame(id) {
+        return this.callbacks.delete(id);
+    }
+    
+    scheduleFrame() {
+        if (this.mode === 'manual' || this.scheduledFrame !== null || this.callbacks.size === 0) return;
+        if (typeof requestAnimationFrame !== 'function') return;
+        
+        this.scheduledFrame = requestAnimationFrame((timestamp) => {
+            this.scheduledFrame = null;
+            
+            if (this.mode === 'realtime') {
+                this.runFrame(timestamp - this.time, timestamp);
+            } else {
+                this.runFrame(this.stepMS);
+            }
+        });
+    }
+    
+    // Manual mode: run `count` frames of one step each
+    step(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.runFrame(this.stepMS);
+        }
+        return this.time;
+    }
+    
+    // Manual mode: advance by a duration, in whole steps
+    advance(ms) {
+        return this.step(Math.max(0, Math.round(ms / this.stepMS)));
+    }
+    
+    runFrame(delta, timestamp = this.time + delta) {
+        this.frame++;
+        this.delta = delta;
+        this.time = timestamp;
+        
+        // Callbacks requested during this frame run on the next one
+        const callbacks = Array.from(this.callbacks.values());
+        this.callbacks.clear();
+        
+        for (const callback of callbacks) {
+            try {
+                callback(this.time);
+            } catch (error) {
+                console.error('Error in frame callback:', error);
+            }
+        }
+        
+        this.scheduleFrame();
+    }
+    
+    getStatus() {
+        return {
+            mode: this.mode,
+            frame: this.frame,
+            time: this.now(),
+            stepMS: this.stepMS,
+            pendingCallbacks: this.callbacks.size
+        };
+    }
+}
+
+/**
+ * DEFAULT CLOCK
+ * Shared by modules that aren't handed one explicitly (e.g. visualizers
+ * created by VisualizerPool)
+ */
+
+let defaultClock = null;
+
+function getDefaultClock() {
+    if (!defaultClock) {
+        defaultClock = new Clock();
+    }
+    return defaultClock;
+}
+
+function setDefaultClock(clock) {
+    defaultClock = clock;
+    return clock;
+}
+
+// Export for module system
+export { Clock, CLOCK_MODES, getDefaultClock, setDefaultClock };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.VIB3Clock = { Clock, getDefaultClock, setDefaultClock };
+    console.log('⏱️ Clock loaded and available globally');
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * EASING
+ * Easing curves for parameter tweens and timeline keyframes
+ * 
+ * Accepted easing specs:
+ * - A curve name ('linear', 'easeInOutCubic', 'ease-out', ...)
+ * - A cubic-bezier control point array [x1, y1, x2, y2]
+ * - A CSS-style string 'cubic-bezier(x1, y1, x2, y2)'
+ * - A function t => progress
+ */
+
+/**
+ * CUBIC BEZIER
+ */
+
+function cubicBezier(x1, y1, x2, y2) {
+    // Polynomial coefficients for x(t) and y(t)
+    const cx = 3 * x1;
+    const bx = 3 * (x2 - x1) - cx;
+    const ax = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ay = 1 - cy - by;
+    
+    const sampleX = t => ((ax * t + bx) * t + cx) * t;
+    const sampleY = t => ((ay * t + by) * t + cy) * t;
+    const sampleDerivativeX = t => (3 * ax * t + 2 * bx) * t + cx;
+    
+    const solveT = (x) => {
+        // Newton-Raphson first, bisection when the slope is too flat
+        let t = x;
+        for (let i = 0; i < 8; i++) {
+            const error = sampleX(t) - x;
+            if (Math.abs(error) < 1e-6) return t;
+            const slope = sampleDerivativeX(t);
+            if (Math.abs(slope) < 1e-6) break;
+            t -= error / slope;
+        }
+        
+        let low = 0;
+        let high = 1;
+        t = x;
+        while (low < high) {
+            const value = sampleX(t);
+            if (Math.abs(value - x) < 1e-6) return t;
+            if (x > value) low = t; else high = t;
+            t = (low + high) / 2;
+            if (high - low < 1e-7) break;
+        }
+        return t;
+    };
+    
+    return (t) => {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        return sampleY(solveT(t));
+    };
+}
+
+/**
+ * NAMED CURVES
+ */
+
+const EASING_FUNCTIONS = {
+    linear: t => t,
+    
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+    
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => (--t) * t * t + 1,
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
+    
+    easeInQuart: t => t * t * t * t,
+    easeOutQuart: t => 1 - (--t) * t * t * t,
+    easeInOutQuart: t => t < 0.5 ? 8 * t * t * t * t : 1 - 8 * (--t) * t * t * t,
+    
+    easeInSine: t => 1 - Math.cos((t * Math.PI) / 2),
+    easeOutSine: t => Math.sin((t * Math.PI) / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+    
+    easeInExpo: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+    easeOutExpo: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+    easeInOutExpo: t => {
+        if (t === 0 || t === 1) return t;
+        return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+    },
+    
+    easeInBack: t => 2.70158 * t * t * t - 1.70158 * t * t,
+    easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+    
+    easeOutElastic: t => {
+        if (t === 0 || t === 1) return t;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ((2 * Math.PI) / 3)) + 1;
+    },
+    
+    easeOutBounce: t => {
+        const n1 = 7.5625;
+        const d1 = 2.75;
+        if (t < 1 / d1) return n1 * t * t;
+        if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+        if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+        return n1 * (t -= 2.625 / d1) * t + 0.984375;
+    },
+    
+    step: t => t >= 1 ? 1 : 0,
+    
+    // CSS keyword curves
+    ease: cubicBezier(0.25, 0.1, 0.25, 1.0),
+    'ease-in': cubicBezier(0.42, 0, 1.0, 1.0),
+    'ease-out': cubicBezier(0, 0, 0.58, 1.0),
+    'ease-in-out': cubicBezier(0.42, 0, 0.58, 1.0)
+};
+
+/**
+ * RESOLUTION
+ */
+
+function resolveEasing(easing = 'linear') {
+    if (typeof easing === 'function') {
+        return easing;
+    }
+    
+    if (Array.isArray(easing) && easing.length === 4) {
+        return cubicBezier(...easing.map(Number));
+    }
+    
+    if (typeof easing === 'string') {
+        if (EASING_FUNCTIONS[easing]) {
+            return EASING_FUNCTIONS[easing];
+        }
+        
+        const bezierMatch = easing.match(/^cubic-bezier\(([^)]*)\)$/);
+        if (bezierMatch) {
+            const points = bezierMatch[1].split(',').map(point => parseFloat(point));
+            if (points.length === 4 && !points.some(isNaN)) {
+                return cubicBezier(...points);
+            }
+        }
+    }
+    
+    console.warn(`Unknown easing: ${easing}, falling back to linear`);
+    return EASING_FUNCTIONS.linear;
+}
+
+// Export for module system
+export { EASING_FUNCTIONS, cubicBezier, resolveEasing };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.VIB3Easing = { EASING_FUNCTIONS, cubicBezier, resolveEasing };
+    console.log('〰️ Easing loaded and available globally');
+}
\ No newline at end of file
@@ -11,6 +11,8 @@
  * - Resource usage alerts
  */
 
+import { getDefaultClock } from './Clock.js';
+
 class PerformanceMonitor extends EventTarget {
     constructor(config = {}) {
         super();
@@ -39,6 +41,9 @@ class PerformanceMonitor extends EventTarget {
         // System references
         this.systemController = config.systemController;
         
+        // Frame timing follows the shared clock (fixed-step clocks report steady frames)
+        this.clock = config.clock || getDefaultClock();
+        
         // Monitoring state
         this.isMonitoring = false;
         this.startTime = 0;
@@ -121,7 +126,7 @@ class PerformanceMonitor extends EventTarget {
         console.log('▶️ Starting performance monitoring...');
         
         this.isMonitoring = true;
-        this.startTime = performance.now();
+        this.startTime = this.clock.now();
         this.lastFrameTime = this.startTime;
         this.frameCount = 0;
         
@@ -144,7 +149,7 @@ class PerformanceMonitor extends EventTarget {
         
         // Clear intervals
         if (this.frameMonitorId) {
-            cancelAnimationFrame(this.frameMonitorId);
+            this.clock.cancelFrame(this.frameMonitorId);
         }
         
         if (this.periodicMonitorId) {
@@ -163,10 +168,10 @@ class PerformanceMonitor extends EventTarget {
             if (!this.isMonitoring) return;
             
             this.updateFrameMetrics(timestamp);
-            this.frameMonitorId = requestAnimationFrame(monitorFrame);
+            this.frameMonitorId = this.clock.requestFrame(monitorFrame);
         };
         
-        this.frameMonitorId = requestAnimationFrame(monitorFrame);
+        this.frameMonitorId = this.clock.requestFrame(monitorFrame);
     }
     
     updateFrameMetrics(timestamp) {
@@ -437,7 +442,7 @@ class PerformanceMonitor extends EventTarget {
     generatePerformanceReport() {
         const report = {
             timestamp: Date.now(),
-            uptime: this.isMonitoring ? Date.now() - this.startTime : 0,
+            uptime: this.isMonitoring ? this.clock.now() - this.startTime : 0,
             frameCount: this.frameCount,
             metrics: this.getMetricsSummary(),
             optimizationLevel: this.optimizationLevel,
@@ -531,7 +536,7 @@ class PerformanceMonitor extends EventTarget {
         }
         
         this.frameCount = 0;
-        this.startTime = performance.now();
+        this.startTime = this.clock.now();
         
         console.log('📊 Performance metrics reset');
     }
@@ -543,7 +548,7 @@ class PerformanceMonitor extends EventTarget {
     getStatus() {
         return {
             isMonitoring: this.isMonitoring,
-            uptime: this.isMonitoring ? Date.now() - this.startTime : 0,
+            uptime: this.isMonitoring ? this.clock.now() - this.startTime : 0,
             frameCount: this.frameCount,
             optimizationLevel: this.optimizationLevel,
             activeAlerts: this.alerts.active.size,
@@ -0,0 +1,119 @@
+/**
+ * RESPONSE CURVES
+ * Shared input scaling for external controllers (OSC, MIDI, ...)
+ * 
+ * Responsibilities:
+ * - Normalize a raw controller value from its input range to 0..1
+ * - Shape the normalized value with a response curve
+ * - Scale the result onto a parameter's parameterMeta range (or an override)
+ * 
+ * Curves: linear, exponential, logarithmic, sCurve, or any function t -> t
+ */
+
+const RESPONSE_CURVES = {
+    linear: t => t,
+    // Fine control at the low end
+    exponential: t => t * t,
+    // Fine control at the high end
+    logarithmic: t => Math.log10(1 + 9 * t),
+    // Fine control at both ends
+    sCurve: t => t * t * (3 - 2 * t)
+};
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function applyCurve(t, curve = 'linear') {
+    const shape = typeof curve === 'function' ? curve : RESPONSE_CURVES[curve];
+    if (!shape) {
+        console.warn(`Unknown response curve: ${curve}, using linear`);
+        return clamp01(t);
+    }
+    return clamp01(shape(clamp01(t)));
+}
+
+function normalizeInput(value, inputRange = [0, 1], invert = false) {
+    const [min, max] = inputRange;
+    const t = max === min ? 0 : clamp01((value - min) / (max - min));
+    return invert ? 1 - t : t;
+}
+
+// t is 0..1; returns a value for validateParameter, or null if the range is unbounded
+function scaleToParameter(t, meta, outputRange = null) {
+    switch (meta.type) {
+        case 'boolean':
+            return t >= 0.5;
+        
+        case 'enum': {
+            const options = meta.options || [];
+            return options[Math.min(options.length - 1, Math.floor(t * options.length))];
+        }
+        
+        case 'float':
+        case 'int': {
+            const [min, max] = outputRange || [meta.min, meta.max];
+            if (!isFinite(min) || !isFinite(max)) return null;
+            
+            const value = min + t * (max - min);
+            return meta.type === 'int' ? Math.round(value) : value;
+        }
+        
+        default:
+            return null;
+    }
+}
+
+// Full pipeline: raw controller value -> parameter value
+function mapInputToParameter(value, meta, { inputRange = [0, 1], outputRange = null, curve = 'linear', invert = false } = {}) {
+    return scaleToParameter(applyCurve(normalizeInput(value, inputRange, invert), curve), meta, outputRange);
+}
+
+// Inverse of scaleToParameter for feedback (motorized faders, LED rings); linear only
+function parameterToNormalized(value, meta, outputRange = null) {
+    switch (meta.type) {
+        case 'boolean':
+            return value ? 1 : 0;
+        
+        case 'enum': {
+            const options = meta.options || [];
+            return options.length > 1 ? options.indexOf(value) / (options.length - 1) : 0;
+        }
+        
+        case 'float':
+        case 'int': {
+            const [min, max] = outputRange || [meta.min, meta.max];
+            if (!isFinite(min) || !isFinite(max) || max === min) return null;
+            return clamp01((value - min) / (max - min));
+        }
+        
+        default:
+            return null;
+    }
+}
+
+const ResponseCurves = {
+    RESPONSE_CURVES,
+    applyCurve,
+    normalizeInput,
+    scaleToParameter,
+    mapInputToParameter,
+    parameterToNormalized
+};
+
+// Export for module system
+export {
+    ResponseCurves,
+    RESPONSE_CURVES,
+    applyCurve,
+    normalizeInput,
+    scaleToParameter,
+    mapInputToParameter,
+    parameterToNormalized
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ResponseCurves = ResponseCurves;
+    console.log('📈 ResponseCurves loaded and available globally');
+}
\ No newline at end of file
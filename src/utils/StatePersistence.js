@@ -0,0 +1,247 @@
+/**
+ * STATE PERSISTENCE
+ * Saves and restores VIB3HomeMaster state across page reloads
+ * 
+ * Responsibilities:
+ * - Capture parameters, active geometry, current preset and modulation
+ * - Debounce writes while parameters are changing
+ * - Version the stored schema and migrate older snapshots on load
+ * - Delegate storage to a pluggable adapter (localStorage, IndexedDB, memory)
+ * 
+ * Events: 'saved', 'restored', 'error'
+ */
+
+import { EventEmitterBase } from './EventEmitterBase.js';
+import { createStorageAdapter } from './StorageAdapters.js';
+
+const STATE_SCHEMA_VERSION = 1;
+
+// Upgrades keyed by the version they start from: { 1: state => v2State }.
+// Bump STATE_SCHEMA_VERSION and add an entry whenever captureState() changes shape.
+const STATE_MIGRATIONS = {};
+
+// Changes that don't show up in the parameter subscription but are part of the snapshot
+const SAVE_EVENTS = ['modulationChanged', 'presetLoaded'];
+
+class StatePersistence extends EventEmitterBase {
+    constructor(config = {}) {
+        super();
+        
+        this.config = {
+            key: 'vib3-state',
+            adapter: 'localStorage',
+            debounceMS: 500,
+            migrations: STATE_MIGRATIONS,
+            ...config
+        };
+        
+        this.adapter = createStorageAdapter(this.config.adapter, this.config.adapterConfig);
+        
+        this.homeMaster = null;
+        this.unsubscribe = null;
+        this.saveTimer = null;
+        this.lastSavedAt = null;
+        
+        // Flush pending writes when the page goes away
+        this.handlePageHide = () => this.flush();
+        this.handleStateEvent = () => this.scheduleSave();
+    }
+    
+    /**
+     * ATTACHMENT
+     */
+    
+    attach(homeMaster) {
+        this.detach();
+        this.homeMaster = homeMaster;
+        
+        // globalTime ticks constantly and isn't worth a write
+        this.unsubscribe = homeMaster.subscribe(
+            ({ globalTime, ...parameters }) => parameters,
+            () => this.scheduleSave()
+        );
+        SAVE_EVENTS.forEach(event => homeMaster.addEventListener(event, this.handleStateEvent));
+        
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', this.handlePageHide);
+        }
+        return this;
+    }
+    
+    detach() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.homeMaster) {
+            SAVE_EVENTS.forEach(event => this.homeMaster.removeEventListener(event, this.handleStateEvent));
+        }
+        
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('pagehide', this.handlePageHide);
+        }
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.homeMaster = null;
+    }
+    
+    /**
+     * SAVING
+     */
+    
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.config.debounceMS);
+    }
+    
+    async flush() {
+        if (this.saveTimer === null) return false;
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        return this.save();
+    }
+    
+    captureState(homeMaster = this.homeMaster) {
+        const parameters = {};
+        for (const [name, value] of Object.entries(homeMaster.getAllParameters())) {
+            if (name === 'globalTime' || homeMaster.isDerivedParameter(name)) continue;
+            parameters[name] = value;
+        }
+        
+        const preset = homeMaster.currentPreset;
+        
+        return {
+            version: STATE_SCHEMA_VERSION,
+            savedAt: Date.now(),
+            parameters,
+            geometry: parameters.geometry,
+            preset: preset ? { id: preset.id || null, name: preset.name || null } : null,
+            modulation: homeMaster.modulation.isEmpty() ? null : homeMaster.getModulation()
+        };
+    }
+    
+    async save() {
+        if (!this.homeMaster) return false;
+        
+        try {
+            const state = this.captureState();
+            await this.adapter.setItem(this.config.key, JSON.stringify(state));
+            this.lastSavedAt = state.savedAt;
+            this.emit('saved', { key: this.config.key, savedAt: state.savedAt });
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save state:', error);
+            this.emit('error', { action: 'save', error });
+            return false;
+        }
+    }
+    
+    /**
+     * LOADING
+     */
+    
+    async load() {
+        try {
+            const raw = await this.adapter.getItem(this.config.key);
+            if (!raw) return null;
+            
+            return this.migrate(JSON.parse(raw));
+        } catch (error) {
+            console.error('❌ Failed to load state:', error);
+            this.emit('error', { action: 'load', error });
+            return null;
+        }
+    }
+    
+    migrate(state) {
+        let version = state.version || 1;
+        
+        if (version > STATE_SCHEMA_VERSION) {
+            console.warn(`Stored state version ${version} is newer than supported (${STATE_SCHEMA_VERSION}), ignoring`);
+            return null;
+        }
+        
+        while (version < STATE_SCHEMA_VERSION) {
+            const migration = this.config.migrations[version];
+            if (!migration) {
+                console.warn(`No state migration from version ${version}, ignoring stored state`);
+                return null;
+            }
+            state = { ...migration(state), version: version + 1 };
+            version++;
+        }
+        
+        return state;
+    }
+    
+    // presetDatabase (optional) turns the saved preset reference back into the full preset
+    async restore(homeMaster = this.homeMaster, { presetDatabase = null } = {}) {
+        const state = await this.load();
+        if (!state) return false;
+        
+        // Parameters registered in a previous session may not exist yet
+        const parameters = {};
+        for (const [name, value] of Object.entries(state.parameters || {})) {
+            if (homeMaster.isParameterRegistered(name) && !homeMaster.isDerivedParameter(name)) {
+                parameters[name] = value;
+            }
+        }
+        if (state.geometry !== undefined && state.geometry !== null) {
+            parameters.geometry = state.geometry;
+        }
+        
+        if (state.modulation) {
+            homeMaster.setModulation(state.modulation);
+        }
+        
+        homeMaster.setParameters(parameters, 'restore');
+        
+        // The preset is only re-linked, never re-applied: the saved parameters already hold
+        // any tweaks made after it was loaded. Without the database (or once the preset is
+        // gone) currentPreset is just { id, name, restored: true }, with no parameters.
+        if (state.preset) {
+            const preset = presetDatabase && state.preset.id ? presetDatabase.getPreset(state.preset.id) : null;
+            homeMaster.currentPreset = preset || { ...state.preset, restored: true };
+        }
+        
+        this.emit('restored', { key: this.config.key, savedAt: state.savedAt, state });
+        console.log(`💾 State restored from ${this.adapter.name} (saved ${new Date(state.savedAt).toISOString()})`);
+        return true;
+    }
+    
+    async clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await this.adapter.removeItem(this.config.key);
+    }
+    
+    async destroy() {
+        await this.flush();
+        this.detach();
+    }
+    
+    getStatus() {
+        return {
+            adapter: this.adapter.name,
+            key: this.config.key,
+            attached: !!this.homeMaster,
+            pendingSave: this.saveTimer !== null,
+            lastSavedAt: this.lastSavedAt,
+            schemaVersion: STATE_SCHEMA_VERSION
+        };
+    }
+}
+
+// Export for module system
+export { StatePersistence, STATE_SCHEMA_VERSION, STATE_MIGRATIONS };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.StatePersistence = StatePersistence;
+    console.log('💾 StatePersistence loaded and available globally');
+}
\ No newline at end of file
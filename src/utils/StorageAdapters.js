@@ -0,0 +1,165 @@
+/**
+ * STORAGE ADAPTERS
+ * Pluggable key/value backends for StatePersistence
+ * 
+ * Every adapter exposes the same async interface:
+ * - getItem(key) -> string | null
+ * - setItem(key, value)
+ * - removeItem(key)
+ * - isAvailable() -> boolean
+ */
+
+/**
+ * MEMORY (tests, private browsing fallback)
+ */
+
+class MemoryStorageAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.store = new Map();
+    }
+    
+    async getItem(key) {
+        return this.store.has(key) ? this.store.get(key) : null;
+    }
+    
+    async setItem(key, value) {
+        this.store.set(key, String(value));
+    }
+    
+    async removeItem(key) {
+        this.store.delete(key);
+    }
+    
+    isAvailable() {
+        return true;
+    }
+}
+
+/**
+ * LOCAL STORAGE
+ */
+
+class LocalStorageAdapter {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.name = 'localStorage';
+        this.storage = storage;
+    }
+    
+    async getItem(key) {
+        return this.storage.getItem(key);
+    }
+    
+    async setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+    
+    async removeItem(key) {
+        this.storage.removeItem(key);
+    }
+    
+    isAvailable() {
+        if (!this.storage) return false;
+        
+        // Safari private mode and disabled storage throw on write
+        try {
+            const probe = '__vib3_storage_probe__';
+            this.storage.setItem(probe, probe);
+            this.storage.removeItem(probe);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+/**
+ * INDEXED DB
+ */
+
+class IndexedDBAdapter {
+    constructor(config = {}) {
+        this.name = 'indexedDB';
+        this.config = {
+            databaseName: 'vib3-state',
+            storeName: 'state',
+            ...config
+        };
+        
+        this.databasePromise = null;
+    }
+    
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.config.databaseName, 1);
+                
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.config.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.databasePromise;
+    }
+    
+    async transaction(mode, operation) {
+        const database = await this.openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.config.storeName, mode);
+            const request = operation(transaction.objectStore(this.config.storeName));
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async getItem(key) {
+        const value = await this.transaction('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+    
+    async setItem(key, value) {
+        await this.transaction('readwrite', store => store.put(String(value), key));
+    }
+    
+    async removeItem(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+    
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+}
+
+/**
+ * FACTORY
+ */
+
+function createStorageAdapter(type = 'localStorage', config = {}) {
+    // Already an adapter instance
+    if (type && typeof type === 'object') return type;
+    
+    switch (type) {
+        case 'memory':
+            return new MemoryStorageAdapter();
+        case 'indexedDB':
+            return new IndexedDBAdapter(config);
+        case 'localStorage':
+            return new LocalStorageAdapter();
+        default:
+            console.warn(`Unknown storage adapter: ${type}, using memory`);
+            return new MemoryStorageAdapter();
+    }
+}
+
+// Export for module system
+export { MemoryStorageAdapter, LocalStorageAdapter, IndexedDBAdapter, createStorageAdapter };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.VIB3StorageAdapters = { MemoryStorageAdapter, LocalStorageAdapter, IndexedDBAdapter, createStorageAdapter };
+    console.log('💾 StorageAdapters loaded and available globally');
+}
\ No newline at end of file
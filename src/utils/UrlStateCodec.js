@@ -0,0 +1,372 @@
+/**
+ * URL STATE CODEC
+ * Compact, shareable encoding of VIB3HomeMaster state in the URL
+ * 
+ * Responsibilities:
+ * - Encode parameters (and optionally preset and timeline) into one query/hash value
+ * - Decode defensively: unknown keys are skipped, values go through validateParameter
+ * - Version the format so old links keep working
+ * - Optionally keep the URL in sync as parameters, the preset or the timeline change
+ * 
+ * Format: vib3=<version>,<key>:<value>,<key>:<value>...
+ * - Built-in parameters use short keys (dimension -> d), custom ones their full name
+ * - Values at their default are omitted
+ * - Vectors and colors join components with '_'
+ * - p: preset id, t: timeline JSON (base64url)
+ * e.g. #vib3=1,d:4.2,m:1.1,g:5,p:holographic-dream
+ */
+
+const URL_STATE_VERSION = 1;
+
+// Short keys for built-in parameters; never reuse a retired key
+const PARAMETER_KEYS = {
+    dimension: 'd',
+    morphFactor: 'm',
+    rotationSpeed: 'r',
+    intensity: 'i',
+    glitchIntensity: 'gi',
+    gridDensity: 'gd',
+    interactionIntensity: 'ii',
+    geometry: 'g',
+    animationSpeed: 's'
+};
+
+const RESERVED_KEYS = ['p', 't'];
+
+// Never worth sharing: globalTime is runtime state
+const EXCLUDED_PARAMETERS = ['globalTime'];
+
+// HomeMaster events that change the encoded preset or timeline during live sync
+const STATE_EVENTS = ['presetLoaded', 'timelineLoaded', 'timelineUnloaded', 'timelineChanged'];
+
+/**
+ * BASE64URL (UTF-8 safe)
+ */
+
+function encodeBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+class UrlStateCodec {
+    constructor(config = {}) {
+        this.config = {
+            paramName: 'vib3',
+            location: 'hash', // hash or query
+            precision: 4,
+            includeDefaults: false,
+            includePreset: true,
+            includeTimeline: false,
+            // Trailing debounce: Safari throws once replaceState runs more than 100 times in 30 s
+            syncDebounceMS: 400,
+            ...config
+        };
+        
+        this.keyToName = Object.fromEntries(Object.entries(PARAMETER_KEYS).map(([name, key]) => [key, name]));
+        
+        this.homeMaster = null;
+        this.unsubscribe = null;
+        this.syncTimer = null;
+        
+        // The preset id and timeline are encoded too, but aren't parameters
+        this.handleStateEvent = () => this.scheduleWrite();
+    }
+    
+    /**
+     * ENCODING
+     */
+    
+    encode(homeMaster) {
+        const tokens = [String(URL_STATE_VERSION)];
+        const parameters = homeMaster.getAllParameters();
+        
+        for (const [name, value] of Object.entries(parameters)) {
+            if (EXCLUDED_PARAMETERS.includes(name) || homeMaster.isDerivedParameter(name)) continue;
+            
+            const meta = homeMaster.getParameterMeta(name);
+            if (!this.config.includeDefaults && homeMaster.valuesEqual(name, value, meta.default)) continue;
+            
+            const key = PARAMETER_KEYS[name] || name;
+            if (!PARAMETER_KEYS[name] && (this.keyToName[key] || RESERVED_KEYS.includes(key))) {
+                console.warn(`Parameter ${name} clashes with a reserved URL key and was not encoded`);
+                continue;
+            }
+            
+            tokens.push(`${encodeURIComponent(key)}:${this.encodeValue(value, meta)}`);
+        }
+        
+        const preset = homeMaster.currentPreset;
+        if (this.config.includePreset && preset && preset.id) {
+            tokens.push(`p:${encodeURIComponent(preset.id)}`);
+        }
+        
+        const timeline = homeMaster.getTimeline();
+        if (this.config.includeTimeline && timeline) {
+            tokens.push(`t:${encodeBase64Url(JSON.stringify(timeline.toJSON()))}`);
+        }
+        
+        return tokens.join(',');
+    }
+    
+    encodeValue(value, meta) {
+        switch (meta.type) {
+            case 'float':
+            case 'int':
+                return String(this.roundNumber(value));
+            case 'boolean':
+                return value ? '1' : '0';
+            case 'enum':
+                return encodeURIComponent(value);
+            default:
+                // Vectors and colors
+                return value.map(component => this.roundNumber(component)).join('_');
+        }
+    }
+    
+    roundNumber(value) {
+        const scale = Math.pow(10, this.config.precision);
+        return Math.round(value * scale) / scale;
+    }
+    
+    /**
+     * DECODING
+     */
+    
+    // Returns { version, parameters, preset, timeline, unknown, rejected } or null
+    decode(encoded, homeMaster) {
+        if (typeof encoded !== 'string' || encoded.length === 0) return null;
+        
+        const [versionToken, ...tokens] = encoded.split(',');
+        const version = parseInt(versionToken);
+        
+        if (isNaN(version) || version < 1) {
+            console.warn(`Malformed URL state: ${encoded}`);
+            return null;
+        }
+        
+        if (version > URL_STATE_VERSION) {
+            console.warn(`URL state version ${version} is newer than supported (${URL_STATE_VERSION}), ignoring`);
+            return null;
+        }
+        
+        const result = { version, parameters: {}, preset: null, timeline: null, unknown: [], rejected: [] };
+        
+        for (const token of tokens) {
+            const separator = token.indexOf(':');
+            if (separator <= 0) continue;
+            
+            let key;
+            let rawValue;
+            try {
+                key = decodeURIComponent(token.slice(0, separator));
+                rawValue = token.slice(separator + 1);
+            } catch (error) {
+                result.rejected.push(token);
+                continue;
+            }
+            
+            if (key === 'p') {
+                result.preset = this.safeDecode(rawValue);
+                continue;
+            }
+            
+            if (key === 't') {
+                try {
+                    result.timeline = JSON.parse(decodeBase64Url(rawValue));
+                } catch (error) {
+                    console.warn('Ignoring malformed timeline in URL state');
+                    result.rejected.push('t');
+                }
+                continue;
+            }
+            
+            const name = this.keyToName[key] || key;
+            if (!homeMaster.isParameterRegistered(name) || homeMaster.isDerivedParameter(name) ||
+                EXCLUDED_PARAMETERS.includes(name)) {
+                result.unknown.push(key);
+                continue;
+            }
+            
+            // Out-of-range values are clamped, unparseable ones rejected
+            const value = homeMaster.validateParameter(name, this.decodeValue(rawValue, homeMaster.getParameterMeta(name)));
+            if (value === null) {
+                result.rejected.push(name);
+                continue;
+            }
+            
+            result.parameters[name] = value;
+        }
+        
+        if (result.unknown.length > 0) {
+            console.warn(`Ignoring unknown URL state keys: ${result.unknown.join(', ')}`);
+        }
+        
+        return result;
+    }
+    
+    decodeValue(rawValue, meta) {
+        const value = this.safeDecode(rawValue);
+        if (value === null) return null;
+        
+        switch (meta.type) {
+            case 'float':
+            case 'int':
+            case 'boolean':
+            case 'enum':
+                return value;
+            default:
+                return value.split('_');
+        }
+    }
+    
+    safeDecode(rawValue) {
+        try {
+            return decodeURIComponent(rawValue);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * APPLYING
+     */
+    
+    apply(homeMaster, decoded, { presetDatabase = null } = {}) {
+        if (!decoded) return false;
+        
+        // Preset first so explicit parameters in the link win over it
+        if (decoded.preset) {
+            const preset = presetDatabase ? presetDatabase.getPreset(decoded.preset) : null;
+            if (preset) {
+                homeMaster.loadPreset(preset);
+            } else {
+                console.warn(`Preset from URL not found: ${decoded.preset}`);
+            }
+        }
+        
+        if (decoded.timeline) {
+            try {
+                homeMaster.loadTimeline(decoded.timeline);
+            } catch (error) {
+                console.warn('Failed to load timeline from URL state:', error);
+            }
+        }
+        
+        homeMaster.setParameters(decoded.parameters, 'url');
+        return true;
+    }
+    
+    /**
+     * LOCATION
+     */
+    
+    read(location = window.location) {
+        const raw = this.config.location === 'query' ? location.search : location.hash;
+        
+        // Parsed by hand: URLSearchParams would decode the escaped separators inside values
+        const pattern = new RegExp(`(?:^|[?#&])${this.config.paramName}=([^&]*)`);
+        const match = raw.match(pattern);
+        return match ? match[1] : null;
+    }
+    
+    buildUrl(encoded, location = window.location) {
+        const isQuery = this.config.location === 'query';
+        const raw = (isQuery ? location.search : location.hash).replace(/^[?#]/, '');
+        
+        // Keep whatever else lives in the query/hash
+        const parts = raw.split('&').filter(part => part.length > 0 && !part.startsWith(`${this.config.paramName}=`));
+        parts.push(`${this.config.paramName}=${encoded}`);
+        const section = parts.join('&');
+        
+        return isQuery ?
+            `${location.pathname}?${section}${location.hash}` :
+            `${location.pathname}${location.search}#${section}`;
+    }
+    
+    createShareUrl(homeMaster, location = window.location) {
+        return `${location.origin}${this.buildUrl(this.encode(homeMaster), location)}`;
+    }
+    
+    applyFromUrl(homeMaster, options = {}) {
+        const encoded = this.read(options.location);
+        if (!encoded) return false;
+        
+        return this.apply(homeMaster, this.decode(encoded, homeMaster), options);
+    }
+    
+    /**
+     * LIVE SYNC (opt-in)
+     */
+    
+    startSync(homeMaster) {
+        this.stopSync();
+        this.homeMaster = homeMaster;
+        
+        this.unsubscribe = homeMaster.subscribe(
+            ({ globalTime, ...parameters }) => parameters,
+            () => this.scheduleWrite()
+        );
+        STATE_EVENTS.forEach(event => homeMaster.addEventListener(event, this.handleStateEvent));
+        
+        this.writeToUrl();
+        return this;
+    }
+    
+    stopSync() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = null;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.homeMaster) {
+            STATE_EVENTS.forEach(event => this.homeMaster.removeEventListener(event, this.handleStateEvent));
+        }
+        this.homeMaster = null;
+    }
+    
+    scheduleWrite() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => {
+            this.syncTimer = null;
+            this.writeToUrl();
+        }, this.config.syncDebounceMS);
+    }
+    
+    writeToUrl() {
+        if (!this.homeMaster || typeof history === 'undefined') return false;
+        
+        // replaceState: parameter tweaks shouldn't flood the back button
+        try {
+            history.replaceState(history.state, '', this.buildUrl(this.encode(this.homeMaster)));
+            return true;
+        } catch (error) {
+            // Safari's SecurityError when over its rate limit; the next write catches up
+            console.warn('Could not update the URL:', error.message);
+            return false;
+        }
+    }
+    
+    destroy() {
+        this.stopSync();
+    }
+}
+
+// Export for module system
+export { UrlStateCodec, URL_STATE_VERSION, PARAMETER_KEYS };
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.UrlStateCodec = UrlStateCodec;
+    console.log('🔗 UrlStateCodec loaded and available globally');
+}
\ No newline at end of file
@@ -0,0 +1,91 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioFeatureExtractor } from '../src/audio/AudioFeatureExtractor.js';
+
+const SAMPLE_RATE = 44100;
+
+// Deterministic noise so every run analyzes the same audio
+function noiseSource(seed = 1) {
+    return () => {
+        seed = (seed * 16807) % 2147483647;
+        return (seed / 2147483647) * 2 - 1;
+    };
+}
+
+// Short decaying noise bursts, one per beat
+function clickTrack(bpm, seconds) {
+    const samples = new Float32Array(seconds * SAMPLE_RATE);
+    const noise = noiseSource();
+    const period = Math.round((60 / bpm) * SAMPLE_RATE);
+    
+    for (let start = 0; start < samples.length; start += period) {
+        for (let i = 0; i < 0.03 * SAMPLE_RATE && start + i < samples.length; i++) {
+            samples[start + i] = noise() * Math.exp(-i / (0.008 * SAMPLE_RATE));
+        }
+    }
+    return samples;
+}
+
+function finalTempo(samples) {
+    const features = new AudioFeatureExtractor().analyzeBuffer(samples, { sampleRate: SAMPLE_RATE });
+    return features[features.length - 1].tempo;
+}
+
+test('tempo is the beat, not half of it', () => {
+    // Both periods fall between two analysis frames, while their doubles land on one
+    for (const bpm of [120, 140]) {
+        const tempo = finalTempo(clickTrack(bpm, 8));
+        assert.ok(Math.abs(tempo - bpm) < 2, `${bpm} BPM detected as ${tempo}`);
+    }
+});
+
+test('tempo estimates stay on the beat across the range', () => {
+    for (const bpm of [70, 100, 160]) {
+        const tempo = finalTempo(clickTrack(bpm, 8));
+        assert.ok(Math.abs(tempo - bpm) < 2, `${bpm} BPM detected as ${tempo}`);
+    }
+});
+function sine(frequency, seconds, amplitude = 0.5) {
+    const samples = new Float32Array(seconds * SAMPLE_RATE);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+    }
+    return samples;
+}
+
+function loudestBand(features) {
+    return Object.entries(features.bands).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+test('a tone lights up the band it falls in', () => {
+    const extractor = new AudioFeatureExtractor();
+    
+    const bass = extractor.analyzeBuffer(sine(100, 0.5), { sampleRate: SAMPLE_RATE });
+    assert.equal(loudestBand(bass[bass.length - 1]), 'bass');
+    
+    const highMid = extractor.analyzeBuffer(sine(3000, 0.5), { sampleRate: SAMPLE_RATE });
+    assert.equal(loudestBand(highMid[highMid.length - 1]), 'highMid');
+});
+
+test('onsets line up with the clicks', () => {
+    const features = new AudioFeatureExtractor().analyzeBuffer(clickTrack(120, 4), { sampleRate: SAMPLE_RATE });
+    const onsets = features.filter(entry => entry.onset).map(entry => entry.time);
+    
+    // The first click arrives before there is any history to compare against
+    assert.ok(onsets.length >= 6 && onsets.length <= 8, `${onsets.length} onsets`);
+    for (const time of onsets) {
+        const offBeat = Math.abs(time - Math.round(time * 2) / 2);
+        assert.ok(offBeat < 0.06, `onset at ${time.toFixed(3)}s is off the beat`);
+    }
+});
+
+test('silence has no energy, onsets or tempo', () => {
+    const features = new AudioFeatureExtractor().analyzeBuffer(new Float32Array(SAMPLE_RATE * 2), { sampleRate: SAMPLE_RATE });
+    const last = features[features.length - 1];
+    
+    assert.equal(last.energy, 0);
+    assert.equal(features.some(entry => entry.onset), false);
+    assert.equal(last.tempo, null);
+});
\ No newline at end of file
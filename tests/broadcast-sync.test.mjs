@@ -0,0 +1,93 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { BroadcastSync } from '../src/sync/BroadcastSync.js';
+
+// BroadcastChannel delivers on a later turn of the event loop
+const settle = (ms = 30) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function tab(channelName) {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    
+    const sync = new BroadcastSync({ channelName, syncTimeoutMS: 20 });
+    sync.attach(homeMaster);
+    
+    const set = (name, value, source = 'keyboard') => {
+        homeMaster.setParameter(name, value, source);
+        clock.step();
+    };
+    return { clock, homeMaster, sync, set };
+}
+
+test('a joining tab sends nothing until it has the leader\'s state', async (t) => {
+    const channel = `sync-${Math.random()}`;
+    const first = await tab(channel);
+    t.after(() => first.sync.detach());
+    await settle();
+    assert.equal(first.sync.synced, true);
+    
+    first.set('gridDensity', 20);
+    
+    const second = await tab(channel);
+    t.after(() => second.sync.detach());
+    second.set('gridDensity', 7);
+    await settle();
+    first.clock.step();
+    second.clock.step();
+    
+    assert.equal(second.sync.synced, true);
+    assert.equal(first.homeMaster.getParameter('gridDensity'), 20);
+    assert.equal(second.homeMaster.getParameter('gridDensity'), 20);
+    
+    second.set('gridDensity', 12);
+    await settle();
+    first.clock.step();
+    assert.equal(first.homeMaster.getParameter('gridDensity'), 12);
+});
+
+test('restored and URL-loaded parameters stay in their own tab', async (t) => {
+    const only = await tab(`sync-${Math.random()}`);
+    t.after(() => only.sync.detach());
+    await settle();
+    assert.equal(only.sync.synced, true);
+    
+    const posted = [];
+    only.sync.post = (message) => posted.push(message);
+    
+    only.set('morphFactor', 1.2, 'restore');
+    only.sync.broadcastChanges([{ name: 'dimension', value: 4.2, source: 'url' }]);
+    assert.deepEqual(posted, []);
+    
+    only.set('morphFactor', 0.8);
+    assert.deepEqual(posted, [{ type: 'update', parameters: { morphFactor: 0.8 } }]);
+});
+
+test('a write from another tab lands while this tab holds a preset load', async (t) => {
+    const channel = `sync-${Math.random()}`;
+    const first = await tab(channel);
+    t.after(() => first.sync.detach());
+    await settle();
+    const second = await tab(channel);
+    t.after(() => second.sync.detach());
+    await settle();
+    assert.equal(second.sync.synced, true);
+    
+    first.homeMaster.loadPreset({ id: 'dense', parameters: { gridDensity: 20 } });
+    first.clock.step();
+    await settle();
+    second.clock.step();
+    assert.equal(second.homeMaster.getParameter('gridDensity'), 20);
+    
+    // Well inside the preset's priority hold in the first tab
+    second.set('gridDensity', 9, 'mouse');
+    await settle();
+    first.clock.step();
+    
+    assert.equal(first.homeMaster.getParameter('gridDensity'), 9);
+    assert.equal(second.homeMaster.getParameter('gridDensity'), 9);
+});
\ No newline at end of file
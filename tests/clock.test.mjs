@@ -0,0 +1,110 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+
+test('manual clocks only move when stepped, one fixed step per frame', () => {
+    const clock = new Clock({ mode: 'manual', fps: 50, startTime: 1000 });
+    assert.equal(clock.now(), 1000);
+    assert.equal(clock.isDeterministic(), true);
+    
+    assert.equal(clock.step(), 1020);
+    assert.equal(clock.getDelta(), 20);
+    assert.equal(clock.step(4), 1100);
+    assert.equal(clock.getFrame(), 5);
+    
+    // advance() rounds to whole steps
+    assert.equal(clock.advance(55), 1160);
+    assert.equal(clock.getFrame(), 8);
+    assert.equal(clock.advance(-100), 1160);
+});
+
+test('frame callbacks queued together run on the same frame and see the same time', () => {
+    const clock = new Clock({ mode: 'manual', fps: 100 });
+    const seen = [];
+    clock.requestFrame(time => seen.push(['a', time]));
+    clock.requestFrame(time => {
+        seen.push(['b', time]);
+        // Requested during a frame: runs on the next one
+        clock.requestFrame(next => seen.push(['c', next]));
+    });
+    
+    clock.step();
+    assert.deepEqual(seen, [['a', 10], ['b', 10]]);
+    clock.step();
+    assert.deepEqual(seen.at(-1), ['c', 20]);
+});
+
+test('cancelled callbacks never run and a throwing callback does not stop the frame', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const clock = new Clock({ mode: 'manual' });
+    const seen = [];
+    const id = clock.requestFrame(() => seen.push('cancelled'));
+    clock.requestFrame(() => { throw new Error('boom'); });
+    clock.requestFrame(() => seen.push('ran'));
+    
+    assert.equal(clock.cancelFrame(id), true);
+    assert.equal(clock.cancelFrame(id), false);
+    clock.step();
+    assert.deepEqual(seen, ['ran']);
+    assert.equal(clock.getStatus().pendingCallbacks, 0);
+});
+
+test('fixed mode advances exactly one step per animation frame', (t) => {
+    const frames = [];
+    globalThis.requestAnimationFrame = (callback) => frames.push(callback);
+    globalThis.cancelAnimationFrame = () => {};
+    t.after(() => {
+        delete globalThis.requestAnimationFrame;
+        delete globalThis.cancelAnimationFrame;
+    });
+    
+    const clock = new Clock({ mode: 'fixed', fps: 25 });
+    const seen = [];
+    clock.requestFrame(time => seen.push(time));
+    assert.equal(frames.length, 1);
+    
+    // The RAF timestamp is ignored; time is frame * stepMS
+    frames.shift()(123456);
+    assert.deepEqual(seen, [40]);
+});
+
+test('switching modes keeps the current time and hands queued work to step()', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    let cancelled = 0;
+    globalThis.requestAnimationFrame = () => 1;
+    globalThis.cancelAnimationFrame = () => { cancelled++; };
+    t.after(() => {
+        delete globalThis.requestAnimationFrame;
+        delete globalThis.cancelAnimationFrame;
+    });
+    
+    const clock = new Clock({ mode: 'fixed', fps: 10, startTime: 500 });
+    const seen = [];
+    clock.requestFrame(time => seen.push(time));
+    
+    assert.equal(clock.setMode('manual', { fps: 20 }), true);
+    assert.equal(cancelled, 1);
+    assert.equal(clock.now(), 500);
+    clock.step();
+    assert.deepEqual(seen, [550]);
+    
+    assert.equal(clock.setMode('slow-motion'), false);
+    assert.equal(clock.mode, 'manual');
+});
+test('a HomeMaster on a manual clock advances globalTime by the stepped time', async () => {
+    const clock = new Clock({ mode: 'manual', fps: 50 });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    
+    clock.advance(1000);
+    assert.ok(Math.abs(homeMaster.getParameter('globalTime') - 1) < 1e-9);
+    
+    // animationSpeed scales the rate from the next frame on
+    homeMaster.setParameter('animationSpeed', 2);
+    clock.step();
+    clock.advance(500);
+    assert.ok(Math.abs(homeMaster.getParameter('globalTime') - (1 + 0.02 + 1)) < 1e-9);
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { GamepadInput, MockGamepad, MockGamepadSource } from '../src/interactions/GamepadInput.js';
+
+function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const source = new MockGamepadSource();
+    const input = new GamepadInput({ source, clock });
+    const events = [];
+    ['connected', 'disconnected', 'devicesChanged', 'buttondown', 'buttonup', 'input'].forEach(name => {
+        input.on(name, (data) => events.push({ name, data }));
+    });
+    input.connect();
+    
+    const named = (name) => events.filter(event => event.name === name).map(event => event.data);
+    return { clock, source, input, events, named };
+}
+
+const close = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+
+test('pads plugged in after connect() are picked up on the next frame', () => {
+    const { clock, source, input, named } = setup();
+    clock.step();
+    assert.deepEqual(input.getDevices(), []);
+    
+    const pad = source.connect(new MockGamepad('Pad A'));
+    clock.step();
+    
+    assert.deepEqual(named('connected'), [{ index: 0, id: 'Pad A' }]);
+    assert.deepEqual(input.getDevices(), [{ index: 0, id: 'Pad A', mapping: 'standard' }]);
+    
+    const second = source.connect(new MockGamepad('Pad B'));
+    clock.step();
+    assert.equal(second.index, 1);
+    assert.equal(input.getDevices().length, 2);
+    assert.equal(pad.index, 0);
+});
+
+test('unplugging releases held buttons and recentres the sticks', () => {
+    const { clock, source, input, named } = setup();
+    const pad = source.connect(new MockGamepad('Pad A'));
+    clock.step();
+    
+    pad.press('a');
+    pad.setStick('left', 0.8, 0);
+    clock.step();
+    assert.deepEqual(named('buttondown').map(data => data.button), ['a']);
+    
+    source.disconnect(pad);
+    clock.step();
+    
+    assert.deepEqual(named('buttonup').map(data => data.button), ['a']);
+    const last = named('input').at(-1);
+    assert.deepEqual(last.released, ['a']);
+    assert.equal(last.changed.leftX, 0);
+    assert.deepEqual(named('disconnected'), [{ index: 0, id: 'Pad A' }]);
+    assert.deepEqual(input.getDevices(), []);
+});
+
+test('a different pad in the same slot replaces the old one', () => {
+    const { clock, source, named } = setup();
+    const first = source.connect(new MockGamepad('Pad A'));
+    clock.step();
+    
+    source.disconnect(first);
+    source.connect(new MockGamepad('Pad B'));
+    clock.step();
+    
+    assert.deepEqual(named('disconnected').map(data => data.id), ['Pad A']);
+    assert.deepEqual(named('connected').map(data => data.id), ['Pad A', 'Pad B']);
+});
+
+test('stick drift inside the deadzone is ignored', () => {
+    const { clock, source, input, named } = setup();
+    const pad = source.connect();
+    clock.step();
+    
+    pad.setStick('left', 0.1, -0.05);
+    pad.setStick('right', 0.12, 0.08);
+    clock.step(5);
+    
+    assert.equal(named('input').length, 0);
+    assert.deepEqual(input.getState(0).axes, { leftX: 0, leftY: 0, rightX: 0, rightY: 0, lt: 0, rt: 0 });
+});
+
+test('stick travel outside the deadzone is rescaled radially, y up', () => {
+    const { clock, source, input } = setup();
+    const pad = source.connect();
+    clock.step();
+    
+    // (0.575 - 0.15) / (1 - 0.15) = 0.5
+    pad.setStick('left', 0, 0.575);
+    clock.step();
+    let axes = input.getState(0).axes;
+    assert.ok(close(axes.leftY, 0.5));
+    assert.equal(axes.leftX, 0);
+    
+    // Full deflection on a diagonal keeps its direction
+    pad.setStick('left', -Math.SQRT1_2, -Math.SQRT1_2);
+    clock.step();
+    axes = input.getState(0).axes;
+    assert.ok(close(axes.leftX, axes.leftY));
+    assert.ok(close(Math.hypot(axes.leftX, axes.leftY), 1));
+    assert.ok(axes.leftX < 0);
+});
+
+test('trigger deadzone swallows a resting finger', () => {
+    const { clock, source, input } = setup();
+    const pad = source.connect();
+    clock.step();
+    
+    pad.press('lt', 0.03);
+    // (0.525 - 0.05) / (1 - 0.05) = 0.5
+    pad.press('rt', 0.525);
+    clock.step();
+    
+    const { axes } = input.getState(0);
+    assert.equal(axes.lt, 0);
+    assert.ok(close(axes.rt, 0.5));
+});
\ No newline at end of file
@@ -0,0 +1,146 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { GestureRecognizer } from '../src/interactions/GestureRecognizer.js';
+
+const EVENTS = [
+    'tap', 'doubletap', 'longpress', 'longpressend', 'swipe',
+    'pinchstart', 'pinch', 'pinchend', 'rotatestart', 'rotate', 'rotateend', 'panstart', 'pan', 'panend'
+];
+
+function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const recognizer = new GestureRecognizer({ clock });
+    const events = [];
+    EVENTS.forEach(name => recognizer.on(name, (data) => events.push({ name, data })));
+    const names = () => events.map(event => event.name);
+    return { clock, recognizer, events, names };
+}
+
+test('a quick touch in place is a tap', () => {
+    const { clock, recognizer, events, names } = setup();
+    recognizer.touchStart([{ id: 1, x: 0.5, y: 0.5 }]);
+    clock.advance(100);
+    recognizer.touchEnd([{ id: 1, x: 0.505, y: 0.5 }]);
+    
+    assert.deepEqual(names(), ['tap']);
+    assert.deepEqual(events[0].data, { x: 0.505, y: 0.5 });
+});
+
+test('a held touch is not a tap', () => {
+    const { clock, recognizer, names } = setup();
+    recognizer.touchStart([{ id: 1, x: 0.5, y: 0.5 }]);
+    clock.advance(300);
+    recognizer.touchEnd([{ id: 1 }]);
+    
+    assert.deepEqual(names(), []);
+});
+
+test('two taps close together are a double-tap; a third starts over', () => {
+    const { clock, recognizer, names } = setup();
+    const tap = (x) => {
+        recognizer.touchStart([{ id: 1, x, y: 0.5 }]);
+        clock.advance(50);
+        recognizer.touchEnd([{ id: 1 }]);
+        clock.advance(100);
+    };
+    
+    tap(0.5);
+    tap(0.51);
+    tap(0.5);
+    assert.deepEqual(names(), ['tap', 'tap', 'doubletap', 'tap']);
+});
+
+test('taps too far apart in time are not a double-tap', () => {
+    const { clock, recognizer, names } = setup();
+    recognizer.touchStart([{ id: 1, x: 0.5, y: 0.5 }]);
+    clock.advance(50);
+    recognizer.touchEnd([{ id: 1 }]);
+    clock.advance(400);
+    recognizer.touchStart([{ id: 1, x: 0.5, y: 0.5 }]);
+    clock.advance(50);
+    recognizer.touchEnd([{ id: 1 }]);
+    
+    assert.deepEqual(names(), ['tap', 'tap']);
+});
+
+test('long-press fires on a clock frame while held and ends on release', () => {
+    const { clock, recognizer, events, names } = setup();
+    recognizer.touchStart([{ id: 1, x: 0.3, y: 0.7 }]);
+    clock.advance(400);
+    assert.deepEqual(names(), []);
+    
+    clock.advance(150);
+    assert.deepEqual(names(), ['longpress']);
+    
+    clock.advance(200);
+    recognizer.touchEnd([{ id: 1 }]);
+    assert.deepEqual(names(), ['longpress', 'longpressend']);
+    assert.ok(events[1].data.duration >= 700);
+});
+
+test('moving cancels a pending long-press', () => {
+    const { clock, recognizer, names } = setup();
+    recognizer.touchStart([{ id: 1, x: 0.5, y: 0.5 }]);
+    clock.advance(100);
+    recognizer.touchMove([{ id: 1, x: 0.55, y: 0.5 }]);
+    clock.advance(600);
+    
+    assert.deepEqual(names(), []);
+});
+
+test('a fast stroke is a swipe in its main direction', () => {
+    const { clock, recognizer, events, names } = setup();
+    recognizer.touchStart([{ id: 1, x: 0.2, y: 0.5 }]);
+    clock.advance(100);
+    recognizer.touchMove([{ id: 1, x: 0.4, y: 0.52 }]);
+    clock.advance(100);
+    recognizer.touchEnd([{ id: 1, x: 0.6, y: 0.55 }]);
+    
+    assert.deepEqual(names(), ['swipe']);
+    assert.equal(events[0].data.direction, 'right');
+    assert.ok(Math.abs(events[0].data.dx - 0.4) < 1e-9);
+});
+
+test('a slow stroke is not a swipe', () => {
+    const { clock, recognizer, names } = setup();
+    recognizer.touchStart([{ id: 1, x: 0.5, y: 0.2 }]);
+    recognizer.touchMove([{ id: 1, x: 0.5, y: 0.3 }]);
+    clock.advance(800);
+    recognizer.touchEnd([{ id: 1, x: 0.5, y: 0.6 }]);
+    
+    assert.deepEqual(names(), []);
+});
+
+test('spreading two fingers is a pinch with start, updates and end', () => {
+    const { recognizer, events, names } = setup();
+    recognizer.touchStart([{ id: 1, x: 0.4, y: 0.5 }, { id: 2, x: 0.6, y: 0.5 }]);
+    
+    // Below the threshold nothing starts
+    recognizer.touchMove([{ id: 1, x: 0.399, y: 0.5 }]);
+    assert.deepEqual(names(), []);
+    
+    recognizer.touchMove([{ id: 1, x: 0.35, y: 0.5 }, { id: 2, x: 0.65, y: 0.5 }]);
+    recognizer.touchMove([{ id: 1, x: 0.3, y: 0.5 }, { id: 2, x: 0.7, y: 0.5 }]);
+    recognizer.touchEnd([{ id: 2 }]);
+    
+    assert.deepEqual(names(), ['pinchstart', 'pinch', 'pinch', 'pinchend']);
+    const pinches = events.filter(event => event.name === 'pinch');
+    assert.ok(Math.abs(pinches[0].data.scale - 1.5) < 1e-9);
+    assert.ok(Math.abs(pinches[1].data.scale - 2) < 1e-9);
+    assert.ok(Math.abs(pinches[1].data.delta - 0.5) < 1e-9);
+    assert.equal(recognizer.getActiveGestures().length, 0);
+});
+
+test('two fingers lifted quickly are not a tap', () => {
+    const { clock, recognizer, names } = setup();
+    recognizer.touchStart([{ id: 1, x: 0.4, y: 0.5 }]);
+    recognizer.touchStart([{ id: 2, x: 0.6, y: 0.5 }]);
+    clock.advance(50);
+    recognizer.touchEnd([{ id: 1 }]);
+    recognizer.touchEnd([{ id: 2 }]);
+    
+    assert.deepEqual(names(), []);
+});
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * TEST ENVIRONMENT
+ * Just enough of the browser for the modules under src/ to load in Node
+ * 
+ * Import first in every test file: node --test tests/*.test.mjs
+ * Modules announce themselves with console.log on load; set VIB3_TEST_VERBOSE=1 to see that output.
+ */
+
+globalThis.window = globalThis;
+globalThis.innerWidth = 1000;
+globalThis.innerHeight = 1000;
+globalThis.addEventListener = () => {};
+globalThis.removeEventListener = () => {};
+
+// document listeners are kept so tests can dispatch synthetic DOM events
+const documentListeners = new Map();
+globalThis.document = {
+    addEventListener(type, listener) {
+        if (!documentListeners.has(type)) documentListeners.set(type, []);
+        documentListeners.get(type).push(listener);
+    },
+    removeEventListener(type, listener) {
+        documentListeners.set(type, (documentListeners.get(type) || []).filter(entry => entry !== listener));
+    },
+    querySelector: () => null,
+    querySelectorAll: () => []
+};
+
+function dispatchDocumentEvent(type, event) {
+    (documentListeners.get(type) || []).forEach(listener => listener(event));
+}
+
+if (!process.env.VIB3_TEST_VERBOSE) {
+    console.log = () => {};
+}
+
+export { dispatchDocumentEvent };
\ No newline at end of file
@@ -0,0 +1,120 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { ParameterHistory } from '../src/core/ParameterHistory.js';
+
+async function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    return { clock, homeMaster };
+}
+
+test('undo and redo walk back and forth; a new change drops the redo branch', async () => {
+    const { clock, homeMaster } = await setup();
+    const start = homeMaster.getParameter('dimension');
+    
+    homeMaster.setParameter('dimension', 3.2, 'api');
+    clock.step();
+    homeMaster.setParameter('dimension', 4.2, 'api');
+    clock.step();
+    
+    assert.equal(homeMaster.undo(), true);
+    clock.step();
+    assert.equal(homeMaster.getParameter('dimension'), 3.2);
+    assert.equal(homeMaster.undo(), true);
+    clock.step();
+    assert.equal(homeMaster.getParameter('dimension'), start);
+    assert.equal(homeMaster.undo(), false);
+    
+    assert.equal(homeMaster.redo(), true);
+    clock.step();
+    assert.equal(homeMaster.getParameter('dimension'), 3.2);
+    
+    homeMaster.setParameter('dimension', 4, 'api');
+    clock.step();
+    assert.equal(homeMaster.canRedo(), false);
+});
+
+test('a setParameters batch is one undo step', async () => {
+    const { clock, homeMaster } = await setup();
+    const before = { morphFactor: homeMaster.getParameter('morphFactor'), glitchIntensity: homeMaster.getParameter('glitchIntensity') };
+    
+    homeMaster.setParameters({ morphFactor: 1.5, glitchIntensity: 0.9 }, 'api');
+    clock.step();
+    homeMaster.undo();
+    clock.step();
+    
+    assert.equal(homeMaster.getParameter('morphFactor'), before.morphFactor);
+    assert.equal(homeMaster.getParameter('glitchIntensity'), before.glitchIntensity);
+    assert.equal(homeMaster.canUndo(), false);
+});
+
+test('mouse bursts coalesce until the input pauses', () => {
+    const history = new ParameterHistory();
+    const move = (value, timestamp) => history.record({ name: 'morphFactor', value, oldValue: value - 0.1, source: 'mouse', timestamp });
+    
+    move(0.1, 0);
+    move(0.2, 100);
+    move(0.3, 200);
+    move(0.9, 1000);
+    
+    assert.deepEqual(history.undo(), { morphFactor: 0.8 });
+    assert.deepEqual(history.undo(), { morphFactor: 0 });
+    assert.equal(history.canUndo(), false);
+});
+
+test('history is bounded and ignores replayed sources', () => {
+    const history = new ParameterHistory({ maxSteps: 3 });
+    for (let i = 1; i <= 5; i++) {
+        history.record({ name: 'dimension', value: i, oldValue: i - 1, source: 'api', timestamp: i * 1000 });
+    }
+    assert.equal(history.record({ name: 'dimension', value: 9, oldValue: 5, source: 'timeline' }), false);
+    assert.equal(history.record({ name: 'globalTime', value: 9, oldValue: 5, source: 'api' }), false);
+    
+    assert.equal(history.getStatus().undoSteps, 3);
+    assert.deepEqual(history.undo(), { dimension: 4 });
+});
+
+test('checkpoints restore the saved state as an undoable step', async () => {
+    const { clock, homeMaster } = await setup();
+    homeMaster.setParameters({ dimension: 3.8, geometry: 2 }, 'api');
+    clock.step();
+    assert.equal(homeMaster.createCheckpoint('verse'), true);
+    
+    homeMaster.setParameters({ dimension: 4.4, geometry: 5 }, 'api');
+    clock.step();
+    assert.equal(homeMaster.restoreCheckpoint('verse'), true);
+    clock.step();
+    assert.equal(homeMaster.getParameter('dimension'), 3.8);
+    assert.equal(homeMaster.getParameter('geometry'), 2);
+    
+    homeMaster.undo();
+    clock.step();
+    assert.equal(homeMaster.getParameter('dimension'), 4.4);
+    
+    assert.deepEqual(homeMaster.getCheckpointNames(), ['verse']);
+    assert.equal(homeMaster.removeCheckpoint('verse'), true);
+    assert.equal(homeMaster.restoreCheckpoint('verse'), false);
+});
+
+for (const source of ['osc', 'remote']) {
+    test(`a burst of ${source} batches is a single undo step`, async () => {
+        const { clock, homeMaster } = await setup();
+        const start = homeMaster.getParameter('morphFactor');
+        
+        for (let i = 1; i <= 30; i++) {
+            homeMaster.setParameters({ morphFactor: i / 30, glitchIntensity: i / 60 }, source);
+            clock.step();
+        }
+        assert.equal(homeMaster.getStatus().history.undoSteps, 1);
+        
+        homeMaster.undo();
+        clock.step();
+        assert.equal(homeMaster.getParameter('morphFactor'), start);
+        assert.equal(homeMaster.canUndo(), false);
+    });
+}
\ No newline at end of file
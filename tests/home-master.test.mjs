@@ -0,0 +1,74 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+
+async function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    return { clock, homeMaster };
+}
+
+test('a lock taken mid-tween stops the tween', async () => {
+    const { clock, homeMaster } = await setup();
+    const rejections = [];
+    homeMaster.addEventListener('parameterRejected', (event) => rejections.push(event.detail));
+    
+    homeMaster.animateParameter('morphFactor', 1.4, { duration: 1000, easing: 'linear' });
+    clock.advance(200);
+    assert.ok(homeMaster.isAnimating('morphFactor'));
+    
+    homeMaster.lockParameter('morphFactor', 'osc');
+    clock.step();
+    const held = homeMaster.getParameter('morphFactor');
+    clock.advance(500);
+    
+    assert.equal(homeMaster.getParameter('morphFactor'), held);
+    assert.equal(homeMaster.isAnimating('morphFactor'), false);
+    assert.equal(rejections.length, 1);
+    assert.equal(rejections[0].reason, 'locked');
+    assert.equal(rejections[0].source, 'animation');
+});
+
+test('tween frames respect ownership rules set after the tween started', async () => {
+    const { clock, homeMaster } = await setup();
+    
+    homeMaster.animateParameter('gridDensity', 20, { duration: 1000, source: 'timeline' });
+    clock.advance(100);
+    homeMaster.setParameterOwners('gridDensity', ['midi']);
+    clock.step();
+    const held = homeMaster.getParameter('gridDensity');
+    clock.advance(500);
+    
+    assert.equal(homeMaster.getParameter('gridDensity'), held);
+    assert.equal(homeMaster.isAnimating(), false);
+});
+test('a tween starts from a value set earlier in the same frame', async () => {
+    const { clock, homeMaster } = await setup();
+    
+    homeMaster.setParameter('dimension', 4.4, 'api');
+    homeMaster.animateParameter('dimension', 3.4, { duration: 1000, easing: 'linear', source: 'api' });
+    clock.advance(500);
+    
+    assert.ok(Math.abs(homeMaster.getParameter('dimension') - 3.9) < 0.02);
+});
+test('a preset saved without modulation clears the previous routes', async () => {
+    const { clock, homeMaster } = await setup();
+    const still = homeMaster.saveCurrentAsPreset('still');
+    assert.equal(still.modulation, null);
+    
+    homeMaster.addModulationSource('wobble', { type: 'lfo', rate: 2 });
+    homeMaster.addModulationRoute('wobble', 'morphFactor', { depth: 0.5 });
+    const moving = homeMaster.saveCurrentAsPreset('moving');
+    homeMaster.loadPreset(still);
+    clock.step();
+    
+    assert.equal(homeMaster.modulation.isEmpty(), true);
+    assert.deepEqual(homeMaster.getModulation().sources, {});
+    
+    homeMaster.loadPreset(moving);
+    assert.equal(homeMaster.modulation.isEmpty(), false);
+});
\ No newline at end of file
@@ -0,0 +1,125 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import {
+    INPUT_TYPES,
+    DEFAULT_INPUT_MAPPINGS,
+    validateInputMapping,
+    validateInputMappings,
+    evaluateInputMapping
+} from '../src/interactions/InputMapper.js';
+
+const floatMeta = { type: 'float', min: 0, max: 2 };
+const geometryMeta = { type: 'int', min: 0, max: 7 };
+
+function mapping(rule) {
+    const result = validateInputMapping(rule);
+    assert.deepEqual(result.errors, []);
+    return result.mapping;
+}
+
+test('the default mappings are valid against the built-in parameters', async () => {
+    const homeMaster = new VIB3HomeMaster({ clock: new Clock({ mode: 'manual' }) });
+    await homeMaster.start();
+    
+    const result = validateInputMappings(DEFAULT_INPUT_MAPPINGS, homeMaster);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.mappings.length, DEFAULT_INPUT_MAPPINGS.length);
+});
+
+test('invalid rules are reported with their index and left out', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const homeMaster = new VIB3HomeMaster({ clock: new Clock({ mode: 'manual' }) });
+    await homeMaster.start();
+    homeMaster.defineDerivedParameter('intensity', {
+        inputs: ['morphFactor'],
+        compute: ({ morphFactor }) => morphFactor / 2
+    });
+    
+    const result = validateInputMappings([
+        { input: 'mouse', axis: 'x', target: 'morphFactor' },
+        { input: 'joystick', axis: 'x', target: 'morphFactor' },
+        { input: 'mouse', axis: 'z', target: 'morphFactor' },
+        { input: 'mouse', axis: 'x', target: 'notAParameter' },
+        { input: 'mouse', axis: 'x', target: 'intensity' },
+        { input: 'scroll', axis: 'deltaY', target: 'gridDensity', mode: 'relative' },
+        { input: 'key', axis: 'g', target: 'glitchIntensity', mode: 'toggle', values: [0.1] },
+        { input: 'gamepad', axis: 'a', target: 'dimension', rate: true, scale: 1 },
+        { input: 'mouse', axis: 'y', target: 'dimension', curve: 'wobbly', range: [3] }
+    ], homeMaster);
+    
+    assert.equal(result.valid, false);
+    assert.equal(result.mappings.length, 1);
+    assert.deepEqual(result.errors, [
+        '[1] Unknown input: joystick',
+        '[2] Invalid axis for mouse: z',
+        '[3] Unknown target parameter: notAParameter',
+        '[4] Cannot map input to derived parameter: intensity',
+        '[5] relative mappings need a non-zero step or scale',
+        '[6] toggle mappings need values: [off, on]',
+        '[7] rate needs mode: relative',
+        '[8] Unknown curve: wobbly',
+        '[8] range must be [min, max]'
+    ]);
+    assert.equal(validateInputMappings('mouse').valid, false);
+});
+
+test('validation fills in defaults and the per-axis input range', () => {
+    const tilt = mapping({ input: 'mouse', axis: 'tiltX', target: 'morphFactor' });
+    assert.equal(tilt.mode, 'absolute');
+    assert.equal(tilt.scope, 'global');
+    assert.equal(tilt.curve, 'linear');
+    assert.deepEqual(tilt.inputRange, INPUT_TYPES.mouse.inputRanges.tiltX);
+    
+    const scroll = mapping({ input: 'scroll', axis: 'deltaY', target: 'gridDensity', mode: 'relative', step: -1 });
+    assert.deepEqual(scroll.inputRange, [-100, 100]);
+    assert.equal(scroll.step, -1);
+    assert.equal(scroll.wrap, false);
+});
+
+test('absolute rules scale the input onto the range through the curve', () => {
+    const linear = mapping({ input: 'mouse', axis: 'x', target: 'rotationSpeed', range: [0, 1] });
+    assert.equal(evaluateInputMapping(linear, 0.25, 0, floatMeta), 0.25);
+    
+    const curved = mapping({ input: 'mouse', axis: 'x', target: 'rotationSpeed', curve: 'exponential', invert: true });
+    assert.equal(evaluateInputMapping(curved, 0.5, 0, floatMeta), 0.5);
+    assert.equal(evaluateInputMapping(curved, 0, 0, floatMeta), 2);
+    
+    // With a fixed value the rule only fires on press
+    const key = mapping({ input: 'key', axis: '3', target: 'geometry', value: 2 });
+    assert.equal(evaluateInputMapping(key, 1, 0, geometryMeta), 2);
+    assert.equal(evaluateInputMapping(key, 0, 0, geometryMeta), undefined);
+});
+
+test('relative rules step, scale, clamp and wrap', () => {
+    const step = mapping({ input: 'key', axis: 'ArrowUp', target: 'rotationSpeed', mode: 'relative', step: 0.5 });
+    assert.equal(evaluateInputMapping(step, 1, 1, floatMeta), 1.5);
+    assert.equal(evaluateInputMapping(step, 1, 1.8, floatMeta), 2);
+    assert.equal(evaluateInputMapping(step, 0, 1, floatMeta), undefined);
+    
+    const scaled = mapping({ input: 'gesture', axis: 'panX', target: 'rotationSpeed', mode: 'relative', scale: 2 });
+    assert.equal(evaluateInputMapping(scaled, -0.25, 1, floatMeta), 0.5);
+    
+    // Integer ranges wrap inclusively: 7 + 1 → 0, 0 - 1 → 7
+    const next = mapping({ input: 'gamepad', axis: 'rb', target: 'geometry', mode: 'relative', step: 1, wrap: true });
+    const previous = mapping({ input: 'gamepad', axis: 'lb', target: 'geometry', mode: 'relative', step: -1, wrap: true });
+    assert.equal(evaluateInputMapping(next, 1, 7, geometryMeta), 0);
+    assert.equal(evaluateInputMapping(previous, 1, 0, geometryMeta), 7);
+});
+
+test('rate rules move by input × scale per second held', () => {
+    const stick = mapping({ input: 'gamepad', axis: 'leftX', target: 'rotationSpeed', mode: 'relative', scale: 1, rate: true });
+    assert.equal(evaluateInputMapping(stick, 0.5, 1, floatMeta, 0.5), 1.25);
+    assert.equal(evaluateInputMapping(stick, -1, 1, floatMeta, 0.25), 0.75);
+    assert.equal(evaluateInputMapping(stick, 1, 1, floatMeta, 0), undefined);
+});
+
+test('toggle rules switch to the value the current one is furthest from', () => {
+    const toggle = mapping({ input: 'key', axis: ' ', target: 'glitchIntensity', mode: 'toggle', values: [0.1, 0.9] });
+    assert.equal(evaluateInputMapping(toggle, 1, 0.5, floatMeta), 0.9);
+    assert.equal(evaluateInputMapping(toggle, 1, 0.85, floatMeta), 0.1);
+    assert.equal(evaluateInputMapping(toggle, 0, 0.85, floatMeta), undefined);
+});
\ No newline at end of file
@@ -0,0 +1,29 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { InteractionCoordinator } from '../src/interactions/InteractionCoordinator.js';
+
+async function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    const coordinator = new InteractionCoordinator({ homeMaster });
+    return { clock, homeMaster, coordinator };
+}
+
+const keyEvent = (key, code) => ({ key, code, target: null, preventDefault() {} });
+
+test('interaction timestamps come from the home master clock', async () => {
+    const { clock, coordinator } = await setup();
+    clock.advance(1234);
+    const now = clock.now();
+    
+    coordinator.handleScroll({ deltaY: 100, clientX: 10, clientY: 10 });
+    coordinator.handleKeyDown(keyEvent('q', 'KeyQ'));
+    
+    assert.equal(coordinator.eventState.scroll.lastScrollTime, now);
+    assert.equal(coordinator.eventState.keyboard.lastKeyTime, now);
+});
\ No newline at end of file
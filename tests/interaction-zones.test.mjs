@@ -0,0 +1,139 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { InteractionZones } from '../src/interactions/InteractionZones.js';
+import { InteractionCoordinator } from '../src/interactions/InteractionCoordinator.js';
+
+function element(left, top, width, height) {
+    return {
+        getBoundingClientRect: () => ({ left, top, width, height, right: left + width, bottom: top + height })
+    };
+}
+
+function pointerEvent(clientX, clientY, extra = {}) {
+    return { pointerId: 1, pointerType: 'mouse', isPrimary: true, buttons: 0, button: 0, clientX, clientY, target: null, ...extra };
+}
+
+const cardZone = {
+    id: 'card',
+    element: element(100, 200, 200, 100),
+    instanceId: 'card-1',
+    role: 'card',
+    mappings: [{ input: 'mouse', axis: 'x', target: 'rotationSpeed' }],
+    focus: { interactionIntensity: 1 }
+};
+
+// Pointer handlers are wired up by initialize(), which needs Pointer Events
+async function setup(t) {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    globalThis.PointerEvent = class {};
+    t.after(() => delete globalThis.PointerEvent);
+    
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    const coordinator = new InteractionCoordinator({ homeMaster });
+    await coordinator.initialize(homeMaster, null);
+    
+    const move = (clientX, clientY, extra) => {
+        coordinator.handlePointerMove(pointerEvent(clientX, clientY, extra));
+        t.mock.timers.tick(coordinator.config.eventThrottleMS);
+        clock.step();
+    };
+    return { clock, homeMaster, coordinator, move };
+}
+
+test('the highest-priority zone wins, then the smallest element', () => {
+    const zones = new InteractionZones();
+    zones.addZone({ id: 'page', element: element(0, 0, 1000, 1000), scope: 'global' });
+    zones.addZone({ id: 'card', element: element(100, 200, 200, 100) });
+    
+    const hit = zones.zoneAt(150, 275);
+    assert.equal(hit.zone.id, 'card');
+    assert.equal(hit.x, 0.25);
+    assert.equal(hit.y, 0.25);
+    assert.equal(zones.zoneAt(500, 500).zone.id, 'page');
+    assert.equal(zones.zoneAt(1500, 500), null);
+    
+    zones.addZone({ id: 'page', element: element(0, 0, 1000, 1000), scope: 'global', priority: 1 });
+    assert.equal(zones.zoneAt(150, 275).zone.id, 'page');
+    
+    // Positions outside the element, for captured pointers
+    assert.deepEqual(zones.zonePosition(zones.getZone('card'), 400, 300), { zone: zones.getZone('card'), x: 1.5, y: 0 });
+});
+
+test('zones with a missing element, bad scope, invalid rules or global focus are rejected', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const zones = new InteractionZones();
+    const box = element(0, 0, 10, 10);
+    
+    assert.equal(zones.addZone({ element: '#missing' }), null);
+    assert.equal(zones.addZone({ element: box, scope: 'everywhere' }), null);
+    assert.equal(zones.addZone({ element: box, mappings: [{ input: 'mouse', axis: 'z', target: 'morphFactor' }] }), null);
+    assert.equal(zones.addZone({ element: box, scope: 'global', focus: { intensity: 1 } }), null);
+    assert.deepEqual(zones.getZones(), []);
+    
+    // Rules default to the zone's scope
+    const id = zones.addZone({ element: box, scope: 'role', mappings: [{ input: 'key', axis: 'g', target: 'morphFactor', value: 1 }] });
+    assert.equal(zones.getZone(id).mappings[0].scope, 'role');
+});
+
+test('hovering a zone applies its focus and its own rules, and leaving clears them', async (t) => {
+    const { homeMaster, coordinator, move } = await setup(t);
+    const events = [];
+    coordinator.on('zoneEnter', data => events.push(['enter', data.zoneId]));
+    coordinator.on('zoneLeave', data => events.push(['leave', data.zoneId]));
+    assert.equal(coordinator.addZone(cardZone), 'card');
+    
+    move(150, 250);
+    assert.deepEqual(events, [['enter', 'card']]);
+    assert.deepEqual(homeMaster.getParameterOverrides().instances['card-1'], {
+        interactionIntensity: { value: 1 },
+        rotationSpeed: { value: 0.5 }
+    });
+    
+    // Exclusive by default: the global mouse x rule is skipped inside the zone
+    assert.equal(homeMaster.getParameter('morphFactor'), 0.5);
+    
+    move(600, 250);
+    assert.deepEqual(events, [['enter', 'card'], ['leave', 'card']]);
+    assert.deepEqual(homeMaster.getParameterOverrides().instances, {});
+    assert.ok(Math.abs(homeMaster.getParameter('morphFactor') - 0.9) < 1e-9);
+});
+
+test('a pointer pressed in a zone stays captured by it until released', async (t) => {
+    const { homeMaster, coordinator, move } = await setup(t);
+    const events = [];
+    coordinator.on('zoneLeave', data => events.push(data.zoneId));
+    coordinator.addZone(cardZone);
+    
+    coordinator.handlePointerDown(pointerEvent(150, 250, { buttons: 1 }));
+    assert.equal(coordinator.zoneCaptures.get(1).id, 'card');
+    
+    // Dragged past the right edge: still the zone's rule, clamped to the parameter range
+    move(600, 250, { buttons: 1 });
+    assert.deepEqual(events, []);
+    assert.deepEqual(homeMaster.getParameterOverrides().instances['card-1'].rotationSpeed, { value: 2 });
+    assert.equal(homeMaster.getParameter('morphFactor'), 0.5);
+    
+    coordinator.handlePointerUp(pointerEvent(600, 250));
+    assert.equal(coordinator.zoneCaptures.size, 0);
+    assert.deepEqual(events, ['card']);
+    assert.deepEqual(homeMaster.getParameterOverrides().instances, {});
+});
+
+test('removing a zone clears its overrides even without resetOnLeave', async (t) => {
+    const { homeMaster, coordinator, move } = await setup(t);
+    coordinator.addZone({ ...cardZone, focus: {}, resetOnLeave: false });
+    
+    move(150, 250);
+    move(600, 250);
+    assert.deepEqual(Object.keys(homeMaster.getParameterOverrides().instances['card-1']), ['rotationSpeed']);
+    
+    assert.equal(coordinator.removeZone('card'), true);
+    assert.deepEqual(homeMaster.getParameterOverrides().instances, {});
+    assert.equal(coordinator.removeZone('card'), false);
+});
\ No newline at end of file
@@ -0,0 +1,148 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { InteractionCoordinator } from '../src/interactions/InteractionCoordinator.js';
+import { MidiInput, MockMidiSource } from '../src/interactions/MidiInput.js';
+import { MemoryStorageAdapter } from '../src/utils/StorageAdapters.js';
+
+async function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    
+    const storage = new MemoryStorageAdapter();
+    const coordinator = new InteractionCoordinator({ homeMaster, midiStorage: storage });
+    const midiInput = new MidiInput();
+    const device = new MockMidiSource('Knobs');
+    midiInput.attachSource(device);
+    await coordinator.attachMidi(midiInput);
+    
+    return { clock, homeMaster, coordinator, device, storage };
+}
+
+test('learn binds the next CC, then the CC drives the parameter', async () => {
+    const { clock, homeMaster, coordinator, device } = await setup();
+    const events = [];
+    ['midiLearnStarted', 'midiLearnCompleted', 'midiMappingsChanged'].forEach(name => {
+        coordinator.on(name, () => events.push(name));
+    });
+    
+    coordinator.startMidiLearn('gridDensity');
+    device.controlChange(21, 64);
+    clock.step();
+    
+    assert.deepEqual(events, ['midiLearnStarted', 'midiMappingsChanged', 'midiLearnCompleted']);
+    assert.equal(coordinator.midiLearn, null);
+    assert.deepEqual(coordinator.getMidiMappings().map(({ type, channel, controller, parameter }) => ({ type, channel, controller, parameter })), [
+        { type: 'cc', channel: 0, controller: 21, parameter: 'gridDensity' }
+    ]);
+    
+    const meta = homeMaster.getParameterMeta('gridDensity');
+    device.controlChange(21, 127);
+    clock.step();
+    assert.equal(homeMaster.getParameter('gridDensity'), meta.max);
+    
+    device.controlChange(21, 0);
+    clock.step();
+    assert.equal(homeMaster.getParameter('gridDensity'), meta.min);
+    assert.equal(coordinator.getMidiMappings().length, 1);
+});
+
+test('two-step learn captures a note and completes with an action from the UI', async () => {
+    const { clock, homeMaster, coordinator, device } = await setup();
+    const captured = [];
+    coordinator.on('midiLearnCaptured', (data) => captured.push(data.control));
+    
+    coordinator.startMidiLearn();
+    device.noteOn(36);
+    assert.equal(captured.length, 1);
+    
+    const mapping = coordinator.completeMidiLearn({ action: 'geometry', value: 5 });
+    assert.equal(mapping.note, 36);
+    assert.equal(coordinator.midiLearn, null);
+    
+    device.noteOn(36);
+    clock.step();
+    assert.equal(homeMaster.getParameter('geometry'), 5);
+});
+
+test('cancelling learn leaves the mappings untouched', async () => {
+    const { clock, homeMaster, coordinator, device } = await setup();
+    const before = homeMaster.getParameter('morphFactor');
+    
+    coordinator.startMidiLearn('morphFactor');
+    coordinator.cancelMidiLearn();
+    device.controlChange(1, 127);
+    clock.step();
+    
+    assert.equal(coordinator.getMidiMappings().length, 0);
+    assert.equal(homeMaster.getParameter('morphFactor'), before);
+});
+
+test('learned mappings are persisted and restored', async () => {
+    const { coordinator, device, storage, homeMaster } = await setup();
+    
+    coordinator.startMidiLearn('gridDensity', { curve: 'exponential' });
+    device.controlChange(21, 10);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    const restored = new InteractionCoordinator({ homeMaster, midiStorage: storage });
+    assert.equal(await restored.loadMidiMappings(), 1);
+    assert.equal(restored.getMidiMappings()[0].curve, 'exponential');
+});
+test('pitch bend returns to a CC value set earlier in the same frame', async () => {
+    const { clock, homeMaster, coordinator, device } = await setup();
+    coordinator.importMidiMappings({
+        version: 1,
+        mappings: [
+            { type: 'cc', channel: 0, controller: 1, parameter: 'morphFactor' },
+            { type: 'pitchbend', channel: 0, parameter: 'morphFactor', range: 0.1 }
+        ]
+    });
+    const meta = homeMaster.getParameterMeta('morphFactor');
+    
+    const fromCC = meta.min + (64 / 127) * (meta.max - meta.min);
+    
+    device.controlChange(1, 64);
+    device.pitchBend(4096);
+    clock.step();
+    assert.ok(Math.abs(homeMaster.getParameter('morphFactor') - (fromCC + 0.05 * (meta.max - meta.min))) < 1e-9);
+    
+    device.pitchBend(0);
+    clock.step();
+    assert.ok(Math.abs(homeMaster.getParameter('morphFactor') - fromCC) < 1e-9);
+});
+test('imports reject controllers, notes and geometry values out of range', async () => {
+    const { coordinator } = await setup();
+    const imported = (mapping) => coordinator.importMidiMappings({ version: 1, mappings: [mapping] });
+    
+    assert.equal(imported({ type: 'cc', controller: 300, parameter: 'morphFactor' }), 0);
+    assert.equal(imported({ type: 'cc', controller: -1, parameter: 'morphFactor' }), 0);
+    assert.equal(imported({ type: 'note', note: 128, action: 'geometry', value: 1 }), 0);
+    assert.equal(imported({ type: 'note', note: 36, action: 'geometry', value: 99 }), 0);
+    assert.equal(imported({ type: 'note', note: 36, action: 'preset', value: 7 }), 0);
+    assert.equal(imported({ type: 'cc', controller: 127, parameter: 'morphFactor' }), 1);
+    assert.equal(imported({ type: 'note', note: 0, action: 'geometry', value: 7 }), 1);
+});
+test('a knob sweep is a single undo step', async () => {
+    const { clock, homeMaster, coordinator, device } = await setup();
+    coordinator.startMidiLearn('gridDensity');
+    device.controlChange(21, 0);
+    clock.step();
+    homeMaster.clearHistory();
+    const before = homeMaster.getParameter('gridDensity');
+    
+    for (let value = 0; value <= 127; value++) {
+        device.controlChange(21, value);
+        clock.step();
+    }
+    assert.equal(homeMaster.getParameter('gridDensity'), homeMaster.getParameterMeta('gridDensity').max);
+    
+    homeMaster.undo();
+    clock.step();
+    assert.equal(homeMaster.getParameter('gridDensity'), before);
+    assert.equal(homeMaster.canUndo(), false);
+});
\ No newline at end of file
@@ -0,0 +1,31 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ModulationMatrix } from '../src/core/ModulationMatrix.js';
+
+test('a random walk takes one step per 1/rate seconds', () => {
+    const matrix = new ModulationMatrix();
+    matrix.addSource('walk', { type: 'randomWalk', rate: 4, step: 0.2 });
+    const source = matrix.sources.get('walk');
+    
+    matrix.evaluate(10);
+    matrix.evaluate(11.1);
+    assert.equal(source.randomState, 4);
+    assert.ok(Math.abs(source.output) <= 0.8);
+});
+
+test('a long gap caps the random-walk steps taken in one evaluation', () => {
+    const matrix = new ModulationMatrix();
+    matrix.addSource('walk', { type: 'randomWalk', rate: 100 });
+    const source = matrix.sources.get('walk');
+    
+    matrix.evaluate(0);
+    matrix.evaluate(100000);
+    assert.equal(source.randomState, 64);
+    assert.ok(100000 - source.lastTime < 0.01);
+    
+    // The walk carries on normally from there
+    matrix.evaluate(100000.1);
+    assert.ok(source.randomState >= 73 && source.randomState <= 74);
+});
\ No newline at end of file
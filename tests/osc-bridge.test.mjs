@@ -0,0 +1,48 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { OSCBridge } from '../src/remote/OSCBridge.js';
+import { encodeMessage } from '../src/remote/OSCCodec.js';
+
+async function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    const bridge = new OSCBridge({ homeMaster });
+    const unmapped = [];
+    bridge.on('unmapped', (message) => unmapped.push(message.address));
+    return { clock, homeMaster, bridge, unmapped };
+}
+
+test('/param scales 0..1 onto the parameter range', async () => {
+    const { clock, homeMaster, bridge } = await setup();
+    const meta = homeMaster.getParameterMeta('morphFactor');
+    
+    bridge.receivePacket(encodeMessage('/vib3/param/morphFactor', [{ type: 'f', value: 1 }]));
+    clock.step();
+    assert.equal(homeMaster.getParameter('morphFactor'), meta.max);
+});
+
+test('globalTime and derived parameters cannot be written over OSC', async (t) => {
+    const { clock, homeMaster, bridge, unmapped } = await setup();
+    t.mock.method(console, 'warn', () => {});
+    homeMaster.defineDerivedParameter('intensity', { inputs: ['morphFactor'], compute: ({ morphFactor }) => morphFactor / 2 });
+    clock.step();
+    const time = homeMaster.getParameter('globalTime');
+    const intensity = homeMaster.getParameter('intensity');
+    
+    bridge.receivePacket(encodeMessage('/vib3/param/globalTime/raw', [{ type: 'f', value: 1e6 }]));
+    bridge.receivePacket(encodeMessage('/vib3/param/globalTime', [{ type: 'f', value: 1 }]));
+    bridge.receivePacket(encodeMessage('/vib3/param/intensity', [{ type: 'f', value: 1 }]));
+    clock.step();
+    
+    assert.ok(homeMaster.getParameter('globalTime') < time + 1);
+    assert.equal(homeMaster.getParameter('intensity'), intensity);
+    assert.deepEqual(unmapped, ['/vib3/param/globalTime/raw', '/vib3/param/globalTime', '/vib3/param/intensity']);
+    
+    assert.equal(bridge.addMapping({ address: '/fader/1', parameter: 'globalTime' }), null);
+    assert.equal(bridge.addMapping({ address: '/fader/2', parameter: 'intensity' }), null);
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'node:dgram';
+import { once } from 'node:events';
+
+import { OSCRelay } from '../server/osc-relay.js';
+
+// "/vib3" with an empty type tag string
+const PACKET = Buffer.from('/vib3\0\0\0,\0\0\0', 'binary');
+
+async function feedbackReachesSender(options) {
+    const relay = new OSCRelay({ udpPort: 0, wsPort: 0, tokens: ['secret'], ...options });
+    const { udpPort } = await relay.start();
+    const controller = dgram.createSocket('udp4');
+    await new Promise(resolve => controller.bind(0, '127.0.0.1', resolve));
+    
+    try {
+        controller.send(PACKET, udpPort, '127.0.0.1');
+        await once(relay.udpSocket, 'message');
+        
+        const received = once(controller, 'message').then(() => true);
+        relay.sendFeedback(PACKET);
+        return await Promise.race([received, new Promise(resolve => setTimeout(() => resolve(false), 200))]);
+    } finally {
+        controller.close();
+        await relay.stop();
+    }
+}
+
+test('UDP listens on loopback unless told otherwise', () => {
+    assert.equal(new OSCRelay({ tokens: ['secret'] }).options.udpHost, '127.0.0.1');
+});
+
+test('feedback is not reflected to senders that are not allowlisted', async () => {
+    assert.equal(await feedbackReachesSender({}), false);
+});
+
+test('feedback goes to the last sender when its address is allowlisted', async () => {
+    assert.equal(await feedbackReachesSender({ feedbackAllow: ['127.0.0.1'] }), true);
+});
+
+test('a UDP socket error after startup is logged, not thrown', async (t) => {
+    const relay = new OSCRelay({ udpPort: 0, wsPort: 0, tokens: ['secret'] });
+    await relay.start();
+    t.after(() => relay.stop());
+    
+    const warnings = [];
+    t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+    relay.udpSocket.emit('error', new Error('send EHOSTUNREACH'));
+    
+    assert.deepEqual(warnings, ['OSC relay UDP error: send EHOSTUNREACH']);
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+
+async function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    homeMaster.registerVisualizer('hero', 'content');
+    homeMaster.registerVisualizer('backdrop', 'background');
+    homeMaster.registerVisualizer('backdrop-2', 'background');
+    return { clock, homeMaster };
+}
+
+test('instance overrides apply on top of role overrides, which apply on top of the global value', async () => {
+    const { homeMaster } = await setup();
+    homeMaster.setRoleOverride('background', 'intensity', { multiplier: 0.5 });
+    homeMaster.setInstanceOverride('backdrop-2', 'intensity', { offset: 0.1 });
+    
+    assert.equal(homeMaster.getResolvedParameters('hero').intensity, 0.8);
+    assert.equal(homeMaster.getResolvedParameters('backdrop').intensity, 0.4);
+    assert.equal(homeMaster.getResolvedParameters('backdrop-2').intensity, 0.5);
+    
+    // An absolute instance value wins over the role's relative one
+    homeMaster.setInstanceOverride('backdrop-2', 'intensity', 0.2);
+    assert.equal(homeMaster.getResolvedParameters('backdrop-2').intensity, 0.2);
+    
+    // Overrides leave the global value alone
+    assert.equal(homeMaster.getParameter('intensity'), 0.8);
+});
+
+test('relative overrides are clamped to the parameter range and follow the global value', async () => {
+    const { clock, homeMaster } = await setup();
+    homeMaster.setRoleOverride('background', 'intensity', { multiplier: 2 });
+    assert.equal(homeMaster.getResolvedParameters('backdrop').intensity, 1.0);
+    
+    homeMaster.setParameter('intensity', 0.3);
+    clock.step();
+    assert.equal(homeMaster.getResolvedParameters('backdrop').intensity, 0.6);
+});
+
+test('changing an override pushes resolved values only to the visualizers it affects', async () => {
+    const { homeMaster } = await setup();
+    const updates = [];
+    homeMaster.addEventListener('visualizerParametersUpdate', (event) => updates.push(event.detail));
+    
+    homeMaster.setRoleOverride('background', 'morphFactor', 1.2);
+    assert.deepEqual(updates.map(update => update.instanceId).sort(), ['backdrop', 'backdrop-2']);
+    assert.ok(updates.every(update => update.source === 'override' && update.parameters.morphFactor === 1.2));
+    
+    updates.length = 0;
+    homeMaster.clearRoleOverride('background', 'morphFactor');
+    assert.equal(updates.length, 2);
+    assert.ok(updates.every(update => update.parameters.morphFactor === 0.5));
+    assert.deepEqual(homeMaster.getParameterOverrides(), { roles: {}, instances: {} });
+});
+
+test('invalid overrides are rejected', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { homeMaster } = await setup();
+    
+    assert.equal(homeMaster.setRoleOverride('background', 'notAParameter', 1), false);
+    assert.equal(homeMaster.setInstanceOverride('hero', 'intensity', 'loud'), false);
+    assert.equal(homeMaster.clearInstanceOverride('hero', 'intensity'), false);
+    assert.deepEqual(homeMaster.getParameterOverrides(), { roles: {}, instances: {} });
+});
\ No newline at end of file
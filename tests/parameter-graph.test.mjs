@@ -0,0 +1,70 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { ParameterGraph } from '../src/core/ParameterGraph.js';
+
+function quietGraph(t) {
+    t.mock.method(console, 'warn', () => {});
+    return new ParameterGraph();
+}
+
+test('definitions that would form a cycle are rejected and leave the graph as it was', (t) => {
+    const graph = quietGraph(t);
+    assert.equal(graph.addDerived('b', { inputs: ['a'], compute: ({ a }) => a + 1 }), true);
+    assert.equal(graph.addDerived('c', { inputs: ['b'], compute: ({ b }) => b * 2 }), true);
+    const before = graph.getDefinitions();
+    
+    assert.equal(graph.addDerived('a', { inputs: ['c'], compute: ({ c }) => c }), false);
+    assert.equal(graph.addDerived('d', { inputs: ['d'], compute: () => 0 }), false);
+    assert.equal(graph.addConstraint('loop', { inputs: ['c'], targets: ['a'], apply: ({ c }) => ({ a: c }) }), false);
+    
+    assert.deepEqual(graph.getDefinitions(), before);
+    assert.equal(graph.isDerived('a'), false);
+});
+
+test('nodes run in dependency order whatever order they were added in', (t) => {
+    const graph = quietGraph(t);
+    graph.addDerived('c', { inputs: ['b'], compute: ({ b }) => b * 2 });
+    graph.addDerived('b', { inputs: ['a'], compute: ({ a }) => a + 1 });
+    
+    assert.deepEqual(graph.getDefinitions().map(node => node.id), ['derived:b', 'derived:c']);
+    
+    const state = { a: 1, b: 2, c: 4 };
+    assert.deepEqual(graph.resolve(['a'], name => (name === 'a' ? 5 : state[name])), { b: 6, c: 12 });
+});
+
+test('constraints on the same target apply in the order they were added', (t) => {
+    const graph = quietGraph(t);
+    graph.addConstraint('floor', { targets: ['x'], apply: ({ x }) => ({ x: Math.max(x, 2) }) });
+    graph.addConstraint('even', { targets: ['x'], apply: ({ x }) => ({ x: Math.ceil(x / 2) * 2 }) });
+    
+    assert.deepEqual(graph.resolve(['x'], () => 1), { x: 2 });
+    assert.deepEqual(graph.resolve(['x'], () => 3), { x: 4 });
+});
+
+test('derived parameters follow their inputs and refuse direct writes', async (t) => {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    t.mock.method(console, 'warn', () => {});
+    
+    assert.equal(homeMaster.defineDerivedParameter('intensity', {
+        inputs: ['morphFactor'],
+        compute: ({ morphFactor }) => morphFactor / 2
+    }), true);
+    assert.equal(homeMaster.defineDerivedParameter('morphFactor', {
+        inputs: ['intensity'],
+        compute: ({ intensity }) => intensity
+    }), false);
+    
+    homeMaster.setParameter('morphFactor', 1.2, 'api');
+    clock.step();
+    assert.equal(homeMaster.getParameter('intensity'), 0.6);
+    
+    assert.equal(homeMaster.setParameter('intensity', 0.1, 'api'), false);
+    clock.step();
+    assert.equal(homeMaster.getParameter('intensity'), 0.6);
+});
\ No newline at end of file
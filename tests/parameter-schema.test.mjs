@@ -0,0 +1,75 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { DEFAULT_PARAMETER_DEFINITIONS, createPresetParameterSchema } from '../src/core/ParameterSchema.js';
+
+async function setup(t) {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    t.mock.method(console, 'warn', () => {});
+    return { clock, homeMaster };
+}
+
+test('built-in parameters come from the shared definitions', async (t) => {
+    const { homeMaster } = await setup(t);
+    for (const [name, definition] of Object.entries(DEFAULT_PARAMETER_DEFINITIONS)) {
+        assert.equal(homeMaster.getParameter(name), definition.default);
+        assert.equal(homeMaster.getParameterMeta(name).builtIn, true);
+    }
+});
+
+test('registered parameters get a default, metadata and an event', async (t) => {
+    const { clock, homeMaster } = await setup(t);
+    const registered = [];
+    homeMaster.addEventListener('parameterRegistered', (event) => registered.push(event.detail));
+    
+    assert.equal(homeMaster.registerParameter('warp', { min: 2, max: 8 }), true);
+    assert.equal(homeMaster.getParameter('warp'), 2);
+    assert.deepEqual(registered.map(({ name, value }) => ({ name, value })), [{ name: 'warp', value: 2 }]);
+    
+    const meta = homeMaster.getParameterMeta('warp');
+    assert.equal(meta.type, 'float');
+    assert.equal(meta.category, 'custom');
+    assert.equal(meta.builtIn, false);
+    
+    homeMaster.setParameter('warp', 50, 'api');
+    clock.step();
+    assert.equal(homeMaster.getParameter('warp'), 8);
+});
+
+test('bad definitions are refused', async (t) => {
+    const { homeMaster } = await setup(t);
+    
+    assert.equal(homeMaster.registerParameter('', {}), false);
+    assert.equal(homeMaster.registerParameter('dimension', {}), false);
+    assert.equal(homeMaster.registerParameter('spin', { type: 'quaternion' }), false);
+    assert.equal(homeMaster.registerParameter('spin', { min: 5, max: 1 }), false);
+    assert.equal(homeMaster.registerParameter('mode', { type: 'enum', options: [] }), false);
+    assert.equal(homeMaster.isParameterRegistered('spin'), false);
+});
+
+test('unregistering drops the value and queued writes; built-ins stay', async (t) => {
+    const { clock, homeMaster } = await setup(t);
+    homeMaster.registerParameter('warp', { min: 0, max: 1 });
+    homeMaster.setParameter('warp', 0.5, 'api');
+    
+    assert.equal(homeMaster.unregisterParameter('warp'), true);
+    clock.step();
+    assert.equal(homeMaster.isParameterRegistered('warp'), false);
+    assert.equal('warp' in homeMaster.getAllParameters(), false);
+    
+    assert.equal(homeMaster.unregisterParameter('dimension'), false);
+});
+
+test('the preset schema follows the live parameter metadata', async (t) => {
+    const { homeMaster } = await setup(t);
+    homeMaster.registerParameter('layers', { type: 'int', min: 1, max: 6, default: 2 });
+    
+    const schema = createPresetParameterSchema(homeMaster.getParameterMeta());
+    assert.deepEqual(schema.layers, { type: 'integer', min: 1, max: 6 });
+    assert.deepEqual(schema.dimension, { type: 'number', min: 3.0, max: 4.5 });
+});
\ No newline at end of file
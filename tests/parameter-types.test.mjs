@@ -0,0 +1,77 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    validateParameterValue,
+    interpolateParameterValue,
+    parameterValuesEqual,
+    serializeParameterForCSS,
+    serializeParameterForWebGL
+} from '../src/core/ParameterTypes.js';
+
+const close = (actual, expected) => actual.every((value, i) => Math.abs(value - expected[i]) < 1e-6);
+
+test('vectors accept arrays, strings and objects and clamp per component', () => {
+    const meta = { type: 'vec3', min: [0, -1, -1], max: [1, 1, 10] };
+    
+    assert.deepEqual(validateParameterValue([0.5, 2, 3], meta), [0.5, 1, 3]);
+    assert.deepEqual(validateParameterValue('0.2, -3 4', meta), [0.2, -1, 4]);
+    assert.deepEqual(validateParameterValue({ x: 1, y: 0, z: 20 }, meta), [1, 0, 10]);
+    assert.deepEqual(validateParameterValue(new Float32Array([0, 0, 0]), meta), [0, 0, 0]);
+    
+    assert.equal(validateParameterValue([1, 2], meta), null);
+    assert.equal(validateParameterValue('1, two, 3', meta), null);
+    assert.equal(validateParameterValue(5, meta), null);
+});
+
+test('colors parse hex, rgb(a), hsl(a), arrays and objects into 0..1 rgba', () => {
+    const meta = { type: 'color' };
+    
+    assert.deepEqual(validateParameterValue('#ff0000', meta), [1, 0, 0, 1]);
+    assert.deepEqual(validateParameterValue('#0f08', meta), [0, 1, 0, 0x88 / 255]);
+    assert.deepEqual(validateParameterValue('rgba(255, 0, 255, 0.5)', meta), [1, 0, 1, 0.5]);
+    assert.deepEqual(validateParameterValue('rgb(100% 0% 0%)', meta), [1, 0, 0, 1]);
+    assert.ok(close(validateParameterValue('hsl(240, 100%, 50%)', meta), [0, 0, 1, 1]));
+    assert.deepEqual(validateParameterValue({ r: 255, g: 255, b: 0 }, meta), [1, 1, 0, 1]);
+    assert.deepEqual(validateParameterValue([2, 0.5, -1], meta), [1, 0.5, 0, 1]);
+    
+    assert.equal(validateParameterValue('#12345', meta), null);
+    assert.equal(validateParameterValue('teal', meta), null);
+});
+
+test('enums accept an option or its index and nothing else', () => {
+    const meta = { type: 'enum', options: ['wire', 'solid', 'points'] };
+    
+    assert.equal(validateParameterValue('solid', meta), 'solid');
+    assert.equal(validateParameterValue(2, meta), 'points');
+    assert.equal(validateParameterValue(3, meta), null);
+    assert.equal(validateParameterValue('Solid', meta), null);
+    assert.deepEqual(serializeParameterForWebGL('points', meta), { type: 'int', value: 2 });
+});
+
+test('booleans accept common spellings', () => {
+    const meta = { type: 'boolean' };
+    
+    assert.equal(validateParameterValue('on', meta), true);
+    assert.equal(validateParameterValue(0, meta), false);
+    assert.equal(validateParameterValue(' No ', meta), false);
+    assert.equal(validateParameterValue('maybe', meta), null);
+});
+
+test('interpolation blends continuous types and switches discrete ones at the end', () => {
+    assert.deepEqual(interpolateParameterValue([0, 0], [2, 4], 0.5, { type: 'vec2' }), [1, 2]);
+    assert.deepEqual(interpolateParameterValue([0, 0, 0, 1], [1, 1, 1, 0], 0.25, { type: 'color' }), [0.25, 0.25, 0.25, 0.75]);
+    assert.equal(interpolateParameterValue(0, 10, 0.26, { type: 'int' }), 3);
+    assert.equal(interpolateParameterValue('wire', 'solid', 0.99, { type: 'enum' }), 'wire');
+    assert.equal(interpolateParameterValue('wire', 'solid', 1, { type: 'enum' }), 'solid');
+});
+
+test('equality is structural and serialization follows the type', () => {
+    assert.equal(parameterValuesEqual([1, 2], [1, 2], { type: 'vec2' }), true);
+    assert.equal(parameterValuesEqual([1, 2], [1, 3], { type: 'vec2' }), false);
+    
+    assert.deepEqual(serializeParameterForCSS([1, 0.5, 0, 1], { type: 'color' }), { '': 'rgba(255, 128, 0, 1)' });
+    assert.deepEqual(serializeParameterForCSS([0.25, 1], { type: 'vec2' }), { '': '0.25 1', '-x': '0.25', '-y': '1' });
+    assert.deepEqual(serializeParameterForWebGL(true, { type: 'boolean' }), { type: 'bool', value: 1 });
+});
\ No newline at end of file
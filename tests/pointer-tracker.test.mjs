@@ -0,0 +1,84 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PointerTracker } from '../src/interactions/PointerTracker.js';
+
+function element(left, top, width, height) {
+    return {
+        style: {},
+        captured: [],
+        getBoundingClientRect: () => ({ left, top, width, height, right: left + width, bottom: top + height }),
+        setPointerCapture(id) { this.captured.push(id); }
+    };
+}
+
+function pointerEvent(clientX, clientY, extra = {}) {
+    return { pointerId: 1, pointerType: 'mouse', isPrimary: true, buttons: 0, clientX, clientY, target: null, ...extra };
+}
+
+function setup() {
+    const tracker = new PointerTracker();
+    const board = element(0, 0, 1000, 1000);
+    const card = element(100, 200, 200, 100);
+    tracker.registerSurface(board, { instanceId: 'board', role: 'background' });
+    tracker.registerSurface(card, { instanceId: 'card-1', role: 'card' });
+    return { tracker, board, card };
+}
+
+test('the smallest surface under the point wins, with canvas-relative y-up coordinates', () => {
+    const { tracker, card } = setup();
+    assert.equal(card.style.touchAction, 'none');
+    
+    assert.deepEqual(tracker.surfaceAt(150, 275), { instanceId: 'card-1', role: 'card', x: 0.25, y: 0.25 });
+    assert.deepEqual(tracker.surfaceAt(500, 500), { instanceId: 'board', role: 'background', x: 0.5, y: 0.5 });
+    assert.equal(tracker.surfaceAt(1200, 500), null);
+});
+
+test('a pressed pointer stays on the surface it went down on until released', () => {
+    const { tracker, card } = setup();
+    
+    const down = tracker.pointerDown(pointerEvent(200, 250, { buttons: 1 }));
+    assert.equal(down.isDown, true);
+    assert.equal(down.pressure, 0.5);
+    assert.equal(down.surface.instanceId, 'card-1');
+    assert.deepEqual(card.captured, [1]);
+    
+    // Dragged off the card: still reported against it, outside 0..1
+    const dragged = tracker.pointerMove(pointerEvent(400, 250, { buttons: 1 }));
+    assert.equal(dragged.surface.instanceId, 'card-1');
+    assert.equal(dragged.surface.x, 1.5);
+    assert.equal(dragged.x, 0.4);
+    
+    const up = tracker.pointerUp(pointerEvent(400, 250));
+    assert.equal(up.surface.instanceId, 'card-1');
+    assert.equal(tracker.pointerMove(pointerEvent(400, 250)).surface.instanceId, 'board');
+});
+
+test('touches end on release and unknown touches are ignored', () => {
+    const { tracker } = setup();
+    const touch = (clientX, clientY, extra = {}) => pointerEvent(clientX, clientY, { pointerId: 7, pointerType: 'touch', ...extra });
+    
+    assert.equal(tracker.pointerMove(touch(150, 250)), null);
+    
+    tracker.pointerDown(touch(150, 250, { pressure: 0.8, width: 20, height: 24 }));
+    tracker.pointerMove(pointerEvent(600, 600));
+    const [active] = tracker.getPointersByType('touch');
+    assert.equal(active.pressure, 0.8);
+    assert.equal(active.width, 20);
+    assert.equal(tracker.getPointersByType('mouse').length, 1);
+    assert.deepEqual(tracker.getStatus(), { pointers: 2, pressed: 1, surfaces: 2 });
+    
+    tracker.pointerCancel(touch(150, 250));
+    assert.deepEqual(tracker.getPointersByType('touch'), []);
+    assert.equal(tracker.pointerUp(touch(150, 250)), null);
+});
+
+test('unregistering a surface releases pointers captured on it', () => {
+    const { tracker, card } = setup();
+    tracker.pointerDown(pointerEvent(200, 250, { buttons: 1 }));
+    
+    assert.equal(tracker.unregisterSurface(card), true);
+    assert.equal(tracker.pointerMove(pointerEvent(200, 250, { buttons: 1 })).surface.instanceId, 'board');
+    assert.deepEqual(tracker.getSurfaces().map(surface => surface.instanceId), ['board']);
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RemoteControlServer } from '../server/remote-server.js';
+
+// Stands in for a WebSocketConnection; the server only calls sendJSON and close
+function transport() {
+    return {
+        sent: [],
+        closed: null,
+        sendJSON(message) { this.sent.push(message); },
+        close(code, reason) { this.closed = { code, reason }; }
+    };
+}
+
+function hello(server, role, token) {
+    const connection = transport();
+    const client = server.attachClient(connection);
+    server.handleMessage(client, { type: 'hello', role, token });
+    return { client, connection };
+}
+
+test('controller tokens do not authorize the system role', () => {
+    const server = new RemoteControlServer({ tokens: ['controller'], systemTokens: ['page'] });
+    
+    const intruder = hello(server, 'system', 'controller');
+    assert.equal(intruder.connection.closed.code, 4001);
+    assert.equal(server.system, null);
+    
+    const page = hello(server, 'system', 'page');
+    assert.equal(page.connection.closed, null);
+    assert.equal(server.system, page.client);
+    
+    assert.equal(hello(server, 'controller', 'page').connection.closed.code, 4001);
+    assert.equal(hello(server, 'controller', 'controller').connection.closed, null);
+});
+
+test('without system tokens a page may only join a fully open server', () => {
+    const guarded = new RemoteControlServer({ tokens: ['controller'] });
+    assert.equal(hello(guarded, 'system', 'controller').connection.closed.code, 4001);
+    
+    const open = new RemoteControlServer();
+    assert.equal(hello(open, 'system').connection.closed, null);
+});
+
+test('a second system is turned away instead of replacing the first', () => {
+    const server = new RemoteControlServer({ systemTokens: ['page'] });
+    const first = hello(server, 'system', 'page');
+    const second = hello(server, 'system', 'page');
+    
+    assert.equal(second.connection.closed.code, 4002);
+    assert.equal(second.connection.sent.at(-1).code, 'system_connected');
+    assert.equal(first.connection.closed, null);
+    assert.equal(server.system, first.client);
+    
+    server.detachClient(second.client);
+    assert.equal(server.system, first.client);
+    
+    server.detachClient(first.client);
+    const third = hello(server, 'system', 'page');
+    assert.equal(server.system, third.client);
+});
\ No newline at end of file
@@ -0,0 +1,43 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { ShortcutRegistry } from '../src/interactions/ShortcutRegistry.js';
+
+function setup() {
+    const registry = new ShortcutRegistry({ clock: new Clock({ mode: 'manual' }), apple: false });
+    const fired = [];
+    ['help', 'chord', 'next'].forEach(name => registry.registerAction(name, () => fired.push(name)));
+    return { registry, fired };
+}
+
+const down = (registry, key, code, extra = {}) => registry.handleKeyDown({ key, code, ...extra });
+const up = (registry, key, code) => registry.handleKeyUp({ key, code });
+
+test('a symbol released after shift does not stay held', () => {
+    const { registry, fired } = setup();
+    registry.bind('?', 'help');
+    registry.bind('n', 'next');
+    
+    down(registry, '?', 'Slash', { shiftKey: true });
+    // Shift goes up first, so the slash key is released as '/'
+    up(registry, '/', 'Slash');
+    down(registry, 'n', 'KeyN');
+    
+    assert.deepEqual(fired, ['help', 'next']);
+    assert.equal(registry.heldKeys.size, 1);
+});
+
+test('chords match only while every key is held', () => {
+    const { registry, fired } = setup();
+    registry.bind('a+s', 'chord');
+    
+    down(registry, 'a', 'KeyA');
+    down(registry, 's', 'KeyS');
+    up(registry, 's', 'KeyS');
+    up(registry, 'a', 'KeyA');
+    down(registry, 's', 'KeyS');
+    
+    assert.deepEqual(fired, ['chord']);
+});
\ No newline at end of file
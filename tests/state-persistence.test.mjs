@@ -0,0 +1,52 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { StatePersistence } from '../src/utils/StatePersistence.js';
+
+async function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    const persistence = new StatePersistence({ adapter: 'memory', debounceMS: 10 });
+    return { clock, homeMaster, persistence };
+}
+
+test('modulation and preset changes schedule a save', async (t) => {
+    const { homeMaster, persistence } = await setup();
+    persistence.attach(homeMaster);
+    t.after(() => persistence.detach());
+    
+    homeMaster.addModulationSource('wobble', { type: 'lfo', rate: 0.5 });
+    homeMaster.addModulationRoute('wobble', 'morphFactor', { depth: 0.3 });
+    assert.equal(await persistence.flush(), true);
+    const saved = JSON.parse(await persistence.adapter.getItem('vib3-state'));
+    assert.equal(saved.modulation.sources.wobble.rate, 0.5);
+    
+    homeMaster.loadPreset({ id: 'calm', name: 'Calm', parameters: {} });
+    assert.equal(await persistence.flush(), true);
+    assert.equal((await persistence.load()).preset.id, 'calm');
+    
+    persistence.detach();
+    homeMaster.addModulationSource('drift', { type: 'randomWalk' });
+    assert.equal(await persistence.flush(), false);
+});
+
+test('restore re-links the saved preset through the preset database', async () => {
+    const { homeMaster, persistence } = await setup();
+    const calm = { id: 'calm', name: 'Calm', parameters: { dimension: 3.6 } };
+    persistence.attach(homeMaster);
+    homeMaster.loadPreset(calm);
+    await persistence.save();
+    persistence.detach();
+    
+    const other = await setup();
+    await persistence.restore(other.homeMaster);
+    assert.deepEqual(other.homeMaster.currentPreset, { id: 'calm', name: 'Calm', restored: true });
+    
+    const presetDatabase = { getPreset: (id) => (id === 'calm' ? calm : null) };
+    await persistence.restore(other.homeMaster, { presetDatabase });
+    assert.equal(other.homeMaster.currentPreset, calm);
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+
+async function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    return { clock, homeMaster };
+}
+
+test('selectors are notified once per tick, only when their slice changes', async () => {
+    const { clock, homeMaster } = await setup();
+    const calls = [];
+    homeMaster.subscribe(['dimension', 'morphFactor'], (next, prev, details) => calls.push({ next, prev, details }));
+    
+    homeMaster.setParameter('dimension', 3.8);
+    homeMaster.setParameter('morphFactor', 0.9);
+    assert.equal(calls.length, 0);
+    
+    clock.step();
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].next, { dimension: 3.8, morphFactor: 0.9 });
+    assert.deepEqual(calls[0].prev, { dimension: 3.5, morphFactor: 0.5 });
+    assert.deepEqual(calls[0].details.changes.map(change => change.name).sort(), ['dimension', 'morphFactor']);
+    assert.deepEqual(calls[0].details.sources, ['api']);
+    
+    // Parameters outside the selection don't notify
+    homeMaster.setParameter('intensity', 0.2);
+    clock.step(3);
+    assert.equal(calls.length, 1);
+});
+
+test('function selectors only notify when their result changes', async () => {
+    const { clock, homeMaster } = await setup();
+    const calls = [];
+    homeMaster.subscribe(
+        parameters => (parameters.dimension >= 4 ? 'high' : 'low'),
+        next => calls.push(next)
+    );
+    
+    homeMaster.setParameter('dimension', 3.9);
+    clock.step();
+    assert.deepEqual(calls, []);
+    
+    homeMaster.setParameter('dimension', 4.2);
+    clock.step();
+    assert.deepEqual(calls, ['high']);
+});
+
+test('throttled subscribers get the latest value and every change once the window ends', async () => {
+    const { clock, homeMaster } = await setup();
+    const calls = [];
+    homeMaster.subscribe('dimension', (next, prev, details) => calls.push({ next, prev, details }), { throttle: 100 });
+    
+    homeMaster.setParameter('dimension', 3.6);
+    clock.step();
+    assert.equal(calls.length, 1);
+    
+    homeMaster.setParameter('dimension', 3.7);
+    clock.step();
+    homeMaster.setParameter('dimension', 3.8);
+    clock.step();
+    assert.equal(calls.length, 1);
+    
+    // The update loop flushes the pending notification without another change
+    clock.advance(100);
+    assert.equal(calls.length, 2);
+    assert.equal(calls[1].next, 3.8);
+    assert.equal(calls[1].prev, 3.6);
+    assert.deepEqual(calls[1].details.changes.map(change => change.value), [3.7, 3.8]);
+});
+
+test('effective subscribers see modulated values, base subscribers do not', async () => {
+    const { clock, homeMaster } = await setup();
+    const base = [];
+    const effective = [];
+    homeMaster.subscribe('morphFactor', next => base.push(next));
+    homeMaster.subscribe('morphFactor', next => effective.push(next), { effective: true });
+    
+    homeMaster.addModulationSource('wobble', { type: 'lfo', rate: 2 });
+    homeMaster.addModulationRoute('wobble', 'morphFactor', { depth: 0.3 });
+    clock.advance(200);
+    
+    assert.deepEqual(base, []);
+    assert.ok(effective.length > 0);
+    assert.equal(effective.at(-1), homeMaster.getEffectiveParameters().morphFactor);
+});
+
+test('unsubscribing stops notifications and immediate delivers the current value', async () => {
+    const { clock, homeMaster } = await setup();
+    const calls = [];
+    const unsubscribe = homeMaster.subscribe('geometry', next => calls.push(next), { immediate: true });
+    assert.deepEqual(calls, [0]);
+    
+    unsubscribe();
+    homeMaster.setParameter('geometry', 3);
+    clock.step();
+    assert.deepEqual(calls, [0]);
+});
\ No newline at end of file
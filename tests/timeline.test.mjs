@@ -0,0 +1,119 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { Timeline } from '../src/core/Timeline.js';
+
+function record(timeline, names = ['cue', 'loop', 'ended']) {
+    const events = [];
+    names.forEach(event => timeline.on(event, (data) => events.push({ event, ...data })));
+    return events;
+}
+
+const FLOAT = { type: 'float', min: 0, max: 10 };
+
+test('smooth tracks interpolate between keyframes and hold outside them', () => {
+    const timeline = new Timeline();
+    timeline.addKeyframe('dimension', 1, 3);
+    timeline.addKeyframe('dimension', 3, 4, { easing: 'easeInQuad' });
+    timeline.addKeyframe('dimension', 2, 3.5);
+    const at = (position) => timeline.evaluate(position, () => FLOAT).dimension;
+    
+    assert.equal(at(0), 3);
+    assert.equal(at(1.5), 3.25);
+    assert.equal(at(2), 3.5);
+    // Easing belongs to the segment starting at the keyframe, so 2..3 is still linear
+    assert.equal(at(2.5), 3.75);
+    assert.equal(at(9), 4);
+    assert.equal(timeline.getDuration(), 3);
+});
+
+test('easing shapes the segment that starts at its keyframe', () => {
+    const timeline = new Timeline();
+    timeline.addKeyframe('morphFactor', 0, 0, { easing: 'easeInQuad' });
+    timeline.addKeyframe('morphFactor', 2, 1);
+    assert.equal(timeline.evaluate(1, () => FLOAT).morphFactor, 0.25);
+});
+
+test('geometry switches step instead of blending', () => {
+    const timeline = new Timeline();
+    timeline.addGeometrySwitch(0, 1);
+    timeline.addGeometrySwitch(2, 6);
+    
+    assert.equal(timeline.evaluate(1.99, () => FLOAT).geometry, 1);
+    assert.equal(timeline.evaluate(2, () => FLOAT).geometry, 6);
+});
+
+test('a looping timeline wraps and replays its cues every lap', () => {
+    const timeline = new Timeline({ name: 'pulse', loop: true });
+    timeline.addCue(0, 'top');
+    timeline.addCue(1, 'middle');
+    timeline.addKeyframe('intensity', 2, 1);
+    const events = record(timeline);
+    
+    timeline.play(10);
+    timeline.update(10);
+    timeline.update(11.5);
+    timeline.update(12.5);
+    
+    assert.equal(timeline.position, 0.5);
+    assert.deepEqual(events.map(({ event, name, lap }) => event === 'loop' ? `loop ${lap}` : name), ['top', 'middle', 'loop 1', 'top']);
+});
+
+test('a one-shot timeline stops at its end', () => {
+    const timeline = new Timeline({ name: 'intro' });
+    timeline.addKeyframe('intensity', 2, 1);
+    const events = record(timeline);
+    
+    timeline.play(0);
+    timeline.update(5);
+    
+    assert.equal(timeline.position, 2);
+    assert.equal(timeline.isPlaying(), false);
+    assert.deepEqual(events.map(({ event }) => event), ['ended']);
+    
+    // Playing a finished timeline starts it over
+    timeline.play(5);
+    assert.equal(timeline.getPosition(6), 1);
+});
+
+test('timelines round-trip through JSON', () => {
+    const timeline = new Timeline({ name: 'set', loop: true, duration: 8 });
+    timeline.addKeyframe('dimension', 0, 3, { easing: 'easeOutCubic' });
+    timeline.addKeyframe('dimension', 4, 4.5);
+    timeline.addCue(2, 'drop', { strobe: true });
+    
+    const copy = Timeline.fromJSON(JSON.stringify(timeline.toJSON()));
+    assert.deepEqual(copy.toJSON(), timeline.toJSON());
+});
+
+test('playback drives parameters from globalTime', async () => {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    
+    homeMaster.loadTimeline({
+        name: 'rise',
+        tracks: { morphFactor: { keyframes: [{ time: 0, value: 0 }, { time: 2, value: 1 }] } }
+    });
+    homeMaster.playTimeline();
+    clock.advance(1000);
+    
+    assert.ok(Math.abs(homeMaster.getParameter('morphFactor') - 0.5) < 0.02);
+});
+
+test('an update spanning several laps reports how many were crossed', () => {
+    const timeline = new Timeline({ name: 'spin', loop: true, duration: 2 });
+    const loops = record(timeline, ['loop']);
+    timeline.play(0);
+    
+    timeline.update(1);
+    timeline.update(7.5);
+    assert.deepEqual(loops, [{ event: 'loop', timeline: 'spin', lap: 3, laps: 3 }]);
+    assert.equal(timeline.position, 1.5);
+    
+    timeline.update(8.5);
+    assert.deepEqual(loops.at(-1), { event: 'loop', timeline: 'spin', lap: 4, laps: 1 });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+
+async function setup(t) {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    t.mock.method(console, 'warn', () => {});
+    return { clock, homeMaster };
+}
+
+test('a batch is applied in full before anyone is notified', async (t) => {
+    const { clock, homeMaster } = await setup(t);
+    const seen = [];
+    homeMaster.addEventListener('parameterChanged', () => {
+        seen.push([homeMaster.getParameter('dimension'), homeMaster.getParameter('morphFactor')]);
+    });
+    const batches = [];
+    homeMaster.addEventListener('parametersChanged', (event) => batches.push(event.detail.parameters));
+    
+    homeMaster.setParameters({ dimension: 4.2, morphFactor: 1.1 }, 'api');
+    clock.step();
+    
+    assert.deepEqual(seen, [[4.2, 1.1], [4.2, 1.1]]);
+    assert.deepEqual(batches, [{ dimension: 4.2, morphFactor: 1.1 }]);
+});
+
+test('a transaction stages writes and applies them together on commit', async (t) => {
+    const { clock, homeMaster } = await setup(t);
+    const before = homeMaster.getParameter('dimension');
+    
+    const result = homeMaster.transaction((hm) => {
+        hm.setParameter('dimension', 4.2);
+        hm.setParameter('geometry', 3);
+        assert.equal(hm.getParameter('dimension'), before);
+    });
+    clock.step();
+    
+    assert.equal(result.success, true);
+    assert.equal(homeMaster.getParameter('dimension'), 4.2);
+    assert.equal(homeMaster.getParameter('geometry'), 3);
+    assert.equal(homeMaster.isInTransaction(), false);
+});
+
+test('one invalid write rejects the whole transaction', async (t) => {
+    const { clock, homeMaster } = await setup(t);
+    const before = homeMaster.getAllParameters();
+    const failures = [];
+    homeMaster.addEventListener('transactionFailed', (event) => failures.push(event.detail));
+    
+    homeMaster.beginTransaction();
+    homeMaster.setParameter('dimension', 4.2);
+    homeMaster.setParameter('noSuchParameter', 1);
+    const result = homeMaster.commitTransaction();
+    clock.step();
+    
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors, [{ name: 'noSuchParameter', reason: 'Unknown parameter' }]);
+    assert.equal(failures.length, 1);
+    assert.equal(homeMaster.getParameter('dimension'), before.dimension);
+});
+
+test('rollback, explicit or from a throwing callback, discards staged writes', async (t) => {
+    const { clock, homeMaster } = await setup(t);
+    const before = homeMaster.getParameter('morphFactor');
+    
+    const result = homeMaster.transaction((hm) => {
+        hm.setParameter('morphFactor', 1.4);
+        hm.rollbackTransaction();
+    });
+    assert.equal(result.rolledBack, true);
+    
+    assert.throws(() => homeMaster.transaction((hm) => {
+        hm.setParameter('morphFactor', 1.2);
+        throw new Error('boom');
+    }), /boom/);
+    clock.step();
+    
+    assert.equal(homeMaster.getParameter('morphFactor'), before);
+    assert.equal(homeMaster.isInTransaction(), false);
+    assert.ok(homeMaster.beginTransaction());
+});
\ No newline at end of file
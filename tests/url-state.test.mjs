@@ -0,0 +1,93 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Clock } from '../src/utils/Clock.js';
+import { VIB3HomeMaster } from '../src/core/VIB3HomeMaster.js';
+import { UrlStateCodec } from '../src/utils/UrlStateCodec.js';
+
+async function setup() {
+    const clock = new Clock({ mode: 'manual' });
+    const homeMaster = new VIB3HomeMaster({ clock });
+    await homeMaster.start();
+    return { clock, homeMaster };
+}
+
+test('versions below 1 are rejected', async () => {
+    const { homeMaster } = await setup();
+    const codec = new UrlStateCodec();
+    
+    assert.equal(codec.decode('0,d:4.2', homeMaster), null);
+    assert.equal(codec.decode('-3,d:4.2', homeMaster), null);
+    assert.equal(codec.decode('1,d:4.2', homeMaster).parameters.dimension, 4.2);
+});
+
+function mockHistory(t, replaceState) {
+    globalThis.location = { pathname: '/', search: '', hash: '', origin: 'http://localhost' };
+    globalThis.history = { state: null, replaceState };
+    t.after(() => {
+        delete globalThis.location;
+        delete globalThis.history;
+    });
+}
+
+test('live sync rewrites the URL when the preset or timeline changes', async (t) => {
+    const { homeMaster } = await setup();
+    const urls = [];
+    mockHistory(t, (state, title, url) => urls.push(url));
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    
+    const codec = new UrlStateCodec({ includeTimeline: true });
+    codec.startSync(homeMaster);
+    t.after(() => codec.stopSync());
+    const latest = () => {
+        t.mock.timers.tick(codec.config.syncDebounceMS);
+        return urls[urls.length - 1];
+    };
+    
+    homeMaster.loadPreset({ id: 'calm', name: 'Calm', parameters: {} });
+    assert.match(latest(), /p:calm/);
+    
+    homeMaster.loadTimeline({ name: 'intro', tracks: {} });
+    const withTimeline = latest();
+    assert.match(withTimeline, /,t:/);
+    
+    homeMaster.getTimeline().addKeyframe('dimension', 2, 4);
+    assert.notEqual(latest(), withTimeline);
+    
+    homeMaster.unloadTimeline();
+    assert.doesNotMatch(latest(), /,t:/);
+    
+    const count = urls.length;
+    homeMaster.loadPreset({ id: 'other', parameters: {} });
+    codec.stopSync();
+    t.mock.timers.tick(codec.config.syncDebounceMS);
+    assert.equal(urls.length, count);
+});
+
+test('a continuous drag stays under Safari\'s replaceState limit', async (t) => {
+    const { clock, homeMaster } = await setup();
+    let calls = 0;
+    mockHistory(t, () => {
+        calls++;
+        throw new Error('SecurityError: Attempt to use history.replaceState() more than 100 times per 30 seconds');
+    });
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    t.mock.method(console, 'warn', () => {});
+    
+    const codec = new UrlStateCodec();
+    codec.startSync(homeMaster);
+    t.after(() => codec.stopSync());
+    calls = 0;
+    
+    // 30 s of 60 fps drag, one write per frame
+    for (let frame = 0; frame < 1800; frame++) {
+        homeMaster.setParameter('morphFactor', (frame % 100) / 100, 'mouse');
+        clock.step();
+        t.mock.timers.tick(1000 / 60);
+    }
+    t.mock.timers.tick(codec.config.syncDebounceMS);
+    
+    assert.ok(calls <= 100);
+    assert.ok(calls >= 1);
+});
\ No newline at end of file
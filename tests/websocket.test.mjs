@@ -0,0 +1,96 @@
+import './helpers/environment.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+import { WebSocketConnection, acceptUpgrade, OPCODES } from '../server/websocket.js';
+
+function fakeSocket() {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.write = (data) => socket.written.push(data);
+    socket.end = (data) => { socket.ended = data ?? true; };
+    socket.setNoDelay = () => {};
+    return socket;
+}
+
+// Client frames must be masked; payloads stay under 126 bytes here
+function clientFrame(opcode, text, fin = true) {
+    const payload = Buffer.from(text, 'utf8');
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+    return Buffer.concat([Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]), mask, masked]);
+}
+
+function connect(options) {
+    const socket = fakeSocket();
+    const connection = new WebSocketConnection(socket, options);
+    const events = { messages: [], close: null };
+    connection.on('message', (data) => events.messages.push(data));
+    connection.on('close', (code) => { events.close = code; });
+    return { socket, events };
+}
+
+test('fragmented messages are reassembled', () => {
+    const { socket, events } = connect();
+    socket.emit('data', clientFrame(OPCODES.text, 'hel', false));
+    socket.emit('data', clientFrame(OPCODES.continuation, 'lo'));
+    assert.deepEqual(events.messages, ['hello']);
+    assert.equal(events.close, null);
+});
+
+test('maxPayload limits the fragments together, not just each frame', () => {
+    const { socket, events } = connect({ maxPayload: 8 });
+    socket.emit('data', clientFrame(OPCODES.text, 'abcde', false));
+    socket.emit('data', clientFrame(OPCODES.continuation, 'fghij', false));
+    assert.equal(events.close, 1009);
+    assert.deepEqual(events.messages, []);
+});
+
+test('a new data frame inside a fragmented message is a protocol error', () => {
+    const { socket, events } = connect();
+    socket.emit('data', clientFrame(OPCODES.text, 'one', false));
+    socket.emit('data', clientFrame(OPCODES.text, 'two'));
+    assert.equal(events.close, 1002);
+    assert.deepEqual(events.messages, []);
+});
+function upgrade(origin, allowedOrigins, { host = '127.0.0.1:8787', allowedHosts } = {}) {
+    const headers = {
+        host,
+        upgrade: 'websocket',
+        'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==',
+        'sec-websocket-version': '13'
+    };
+    if (origin) headers.origin = origin;
+    
+    const socket = fakeSocket();
+    const connection = acceptUpgrade({ headers }, socket, { allowedOrigins, allowedHosts });
+    return { connection, socket };
+}
+
+test('upgrades from other origins are refused unless allowlisted', () => {
+    const refused = upgrade('https://evil.example');
+    assert.equal(refused.connection, null);
+    assert.match(refused.socket.ended, /^HTTP\/1.1 403/);
+    
+    assert.equal(upgrade('null').connection, null);
+    assert.ok(upgrade('http://localhost:8000', ['http://localhost:8000']).connection);
+    assert.ok(upgrade('null', ['null']).connection);
+    assert.ok(upgrade('https://evil.example', ['*']).connection);
+});
+
+test('same-origin and non-browser upgrades are accepted', () => {
+    assert.ok(upgrade('http://127.0.0.1:8787').connection);
+    assert.ok(upgrade(null).connection);
+});
+
+test('a rebound hostname matching its own Host header is refused', () => {
+    // evil.example re-resolved to 127.0.0.1: the browser sends matching Origin and Host
+    const rebound = upgrade('http://evil.example:8787', [], { host: 'evil.example:8787' });
+    assert.equal(rebound.connection, null);
+    assert.match(rebound.socket.ended, /^HTTP\/1.1 403/);
+    
+    assert.ok(upgrade('http://localhost:8787', [], { host: 'localhost:8787' }).connection);
+    assert.ok(upgrade('http://[::1]:8787', [], { host: '[::1]:8787' }).connection);
+    assert.ok(upgrade('http://studio.local:8787', [], { host: 'studio.local:8787', allowedHosts: ['studio.local'] }).connection);
+});
\ No newline at end of file